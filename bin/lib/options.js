@@ -197,6 +197,40 @@ module.exports = [
     name: 'force-user',
     help: 'Force a WebID to always be logged in (useful when offline)'
   },
+  {
+    name: 'quota',
+    help: 'Storage quota of each account, in bytes (default: no quota)',
+    prompt: false
+  },
+  {
+    name: 'versions',
+    help: 'Keep the previous versions of resources (browsable with Memento)',
+    flag: true,
+    default: false,
+    prompt: false
+  },
+  {
+    name: 'max-versions',
+    help: 'Versions kept of each resource, 0 to keep them all (default: 10)',
+    prompt: false
+  },
+  {
+    name: 'trash',
+    help: 'Move deleted resources to a trash they can be restored from',
+    flag: true,
+    default: false,
+    prompt: false
+  },
+  {
+    name: 'trash-retention',
+    help: 'Days deleted resources stay in the trash, 0 to keep them (default: 30)',
+    prompt: false
+  },
+  {
+    name: 'graph-cache-size',
+    help: 'Parsed ACL and RDF documents kept in memory, 0 to disable (default: 1000)',
+    prompt: false
+  },
   {
     name: 'strict-origin',
     help: 'Enforce same origin policy in the ACL',
@@ -1,2 +1,3 @@
 module.exports = require('./lib/create-app')
 module.exports.createServer = require('./lib/create-server')
+module.exports.storage = require('./lib/storage')
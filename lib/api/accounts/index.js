@@ -1,4 +1,6 @@
 module.exports = {
+  quota: require('./quota'),
   signin: require('./signin'),
-  signout: require('./signout')
+  signout: require('./signout'),
+  trash: require('./trash')
 }
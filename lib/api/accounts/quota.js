@@ -0,0 +1,27 @@
+module.exports = quota
+
+const allow = require('../../handlers/allow').allow
+const quotas = require('../../quota')
+
+/**
+ * Reports the storage used by the account of the request's host against its
+ * quota, to agents that can read the account's root container.
+ */
+function quota () {
+  const checkAccess = allow('Read')
+  return (req, res, next) => {
+    const ldp = req.app.locals.ldp
+    res.locals.path = '/'
+    checkAccess(req, res, (err) => {
+      if (err) {
+        return next(err)
+      }
+      quotas.report(ldp, req.hostname, (err, report) => {
+        if (err) {
+          return next(err)
+        }
+        res.json(report)
+      })
+    })
+  }
+}
@@ -0,0 +1,68 @@
+module.exports = trash
+
+const express = require('express')
+const allow = require('../../handlers/allow').allow
+const error = require('../../http-error')
+const trashes = require('../../trash')
+const utils = require('../../utils')
+
+/**
+ * Lets agents in control of the account's root container manage the trash of
+ * the account of the request's host:
+ *
+ *  - `GET /` lists the deleted items
+ *  - `POST /:id` restores an item to the path it was deleted from
+ *  - `DELETE /:id` permanently deletes an item
+ *  - `DELETE /` empties the trash
+ */
+function trash () {
+  const router = express.Router()
+  const checkAccess = allow('Control')
+
+  router.use((req, res, next) => {
+    if (!req.app.locals.ldp.trash) {
+      return next(error(404, 'The trash is not enabled'))
+    }
+    res.locals.path = '/'
+    checkAccess(req, res, next)
+  })
+
+  router.get('/', (req, res, next) => {
+    trashes.list(req.app.locals.ldp, req.hostname, (err, items) => {
+      if (err) {
+        return next(err)
+      }
+      res.json(items)
+    })
+  })
+
+  router.post('/:id', (req, res, next) => {
+    trashes.restore(req.app.locals.ldp, req.hostname, req.params.id, (err, path) => {
+      if (err) {
+        return next(err)
+      }
+      res.set('Location', utils.uriBase(req) + path)
+      res.sendStatus(201)
+    })
+  })
+
+  router.delete('/:id', (req, res, next) => {
+    trashes.purge(req.app.locals.ldp, req.hostname, req.params.id, (err) => {
+      if (err) {
+        return next(err)
+      }
+      res.sendStatus(200)
+    })
+  })
+
+  router.delete('/', (req, res, next) => {
+    trashes.empty(req.app.locals.ldp, req.hostname, (err) => {
+      if (err) {
+        return next(err)
+      }
+      res.sendStatus(200)
+    })
+  })
+
+  return router
+}
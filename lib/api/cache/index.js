@@ -0,0 +1,23 @@
+exports.stats = stats
+
+const allow = require('../../handlers/allow').allow
+
+/**
+ * Reports the metrics of the graph cache of the server (see
+ * lib/graph-cache.js) as JSON, to agents with Control over the root container
+ * of the account of the request's host. On multi-user servers the cache is
+ * shared by all the accounts, but its metrics are only counts.
+ */
+function stats () {
+  const checkAccess = allow('Control')
+  return (req, res, next) => {
+    const ldp = req.app.locals.ldp
+    res.locals.path = '/'
+    checkAccess(req, res, (err) => {
+      if (err) {
+        return next(err)
+      }
+      res.json(ldp.graphCache.stats())
+    })
+  }
+}
@@ -0,0 +1,157 @@
+exports.fragments = fragments
+
+const $rdf = require('rdflib')
+const Negotiator = require('negotiator')
+const querystring = require('querystring')
+const dataset = require('../sparql').dataset
+const error = require('../../http-error')
+const ns = require('solid-namespace')($rdf)
+const toTerm = require('../../sparql').toTerm
+const utils = require('../../utils')
+
+const hydra = $rdf.Namespace('http://www.w3.org/ns/hydra/core#')
+const voID = $rdf.Namespace('http://rdfs.org/ns/void#')
+
+// Number of triples of each page of a fragment
+const PAGE_SIZE = 100
+const POSITIONS = [ 'subject', 'predicate', 'object' ]
+const RDF_TYPES = [ 'text/turtle', 'application/n-triples', 'application/ld+json', 'application/rdf+xml' ]
+// Milliseconds after which building the dataset fails
+const TIMEOUT = 10000
+// Number of distinct triples past which the others are no longer kept track
+// of, a triple in several resources then counting once per resource
+const MAX_DISTINCT = 10000
+
+/**
+ * [Triple Pattern Fragments](https://www.hydra-cg.com/spec/latest/triple-pattern-fragments/)
+ * of the RDF resources of the account of the request's host that the agent
+ * can read (the same dataset as the SPARQL endpoint, see lib/api/sparql).
+ *
+ * `GET ?subject=&predicate=&object=[&page=]` returns a page of the triples
+ * matching the pattern, with the hypermedia controls of the interface and
+ * the total count of matches (an estimate past `MAX_DISTINCT` triples).
+ * Terms use the explicit representation of Hydra: IRIs as is, literals
+ * quoted (`"Alice"@en`, `"5"^^http://www.w3.org/2001/XMLSchema#integer`);
+ * variables, blank nodes and empty values match anything.
+ *
+ * Only authenticated agents can use it. Each page is matched against the
+ * same cached graphs as SPARQL queries, so paging through a fragment only
+ * reads the resources changed in between.
+ */
+function fragments () {
+  return (req, res, next) => {
+    const contentType = new Negotiator(req).mediaType(RDF_TYPES)
+    if (!contentType) {
+      return next(error(406, 'Fragments can be sent as ' + RDF_TYPES.join(', ')))
+    }
+    const page = req.query.page === undefined ? 1 : parseInt(req.query.page, 10)
+    if (!(page > 0)) {
+      return next(error(400, 'Invalid page'))
+    }
+    const pattern = {}
+    let terms
+    try {
+      terms = POSITIONS.map((position) => {
+        const value = req.query[position]
+        if (value !== undefined && typeof value !== 'string') {
+          throw new Error('Invalid ' + position)
+        }
+        if (!value || value[0] === '?' || value.indexOf('_:') === 0) {
+          return undefined
+        }
+        pattern[position] = value
+        return toTerm(value)
+      })
+    } catch (err) {
+      return next(error(400, err.message))
+    }
+
+    dataset(req, Date.now() + TIMEOUT, (err, graph) => {
+      if (err) {
+        return next(err)
+      }
+      // Matches are numbered resource by resource, and only the triples of
+      // the page are kept. Those already matched in another resource are
+      // left out, as long as they are among the first MAX_DISTINCT triples.
+      const fragment = $rdf.graph()
+      const seen = new Set()
+      let total = 0
+      graph.documents.forEach((document) => {
+        document.graph.statementsMatching(terms[0], terms[1], terms[2]).forEach((st) => {
+          const key = st.subject.toNT() + ' ' + st.predicate.toNT() + ' ' + st.object.toNT()
+          if (seen.has(key)) {
+            return
+          }
+          if (seen.size < MAX_DISTINCT) {
+            seen.add(key)
+          }
+          total++
+          if (total > (page - 1) * PAGE_SIZE && total <= page * PAGE_SIZE) {
+            fragment.add(st.subject, st.predicate, st.object)
+          }
+        })
+      })
+
+      const interfaceUri = utils.uriBase(req) + '/api/fragments'
+      addControls(fragment, interfaceUri, pattern, page, total)
+
+      const fragmentUri = pageUri(interfaceUri, pattern, page)
+      utils.serialize(fragment, fragmentUri, contentType, (err, data) => {
+        if (err) {
+          return next(error(500, 'Failed to serialize the fragment'))
+        }
+        res.set('Content-Type', contentType + '; charset=utf-8')
+        res.vary('Accept')
+        res.send(data)
+      })
+    })
+  }
+}
+
+// Adds the metadata and hypermedia controls of a page to a fragment
+function addControls (fragment, interfaceUri, pattern, page, total) {
+  const datasetNode = $rdf.sym(interfaceUri + '#dataset')
+  const pageNode = $rdf.sym(pageUri(interfaceUri, pattern, page))
+  const count = $rdf.lit(String(total), undefined, ns.xsd('integer'))
+
+  fragment.add(datasetNode, ns.rdf('type'), voID('Dataset'))
+  fragment.add(datasetNode, ns.rdf('type'), hydra('Collection'))
+  fragment.add(datasetNode, voID('subset'), pageNode)
+  const search = $rdf.blankNode()
+  fragment.add(datasetNode, hydra('search'), search)
+  fragment.add(search, hydra('template'), $rdf.lit(interfaceUri + '{?subject,predicate,object}'))
+  fragment.add(search, hydra('variableRepresentation'), hydra('ExplicitRepresentation'))
+  POSITIONS.forEach((position) => {
+    const mapping = $rdf.blankNode()
+    fragment.add(search, hydra('mapping'), mapping)
+    fragment.add(mapping, hydra('variable'), $rdf.lit(position))
+    fragment.add(mapping, hydra('property'), ns.rdf(position))
+  })
+
+  fragment.add(pageNode, ns.rdf('type'), hydra('PartialCollectionView'))
+  fragment.add(pageNode, ns.dct('source'), datasetNode)
+  fragment.add(pageNode, hydra('totalItems'), count)
+  fragment.add(pageNode, voID('triples'), count)
+  fragment.add(pageNode, hydra('itemsPerPage'), $rdf.lit(String(PAGE_SIZE), undefined, ns.xsd('integer')))
+  fragment.add(pageNode, hydra('first'), $rdf.sym(pageUri(interfaceUri, pattern, 1)))
+  if (page > 1) {
+    fragment.add(pageNode, hydra('previous'), $rdf.sym(pageUri(interfaceUri, pattern, page - 1)))
+  }
+  if (page * PAGE_SIZE < total) {
+    fragment.add(pageNode, hydra('next'), $rdf.sym(pageUri(interfaceUri, pattern, page + 1)))
+  }
+}
+
+function pageUri (interfaceUri, pattern, page) {
+  const query = {}
+  POSITIONS.forEach((position) => {
+    if (pattern[position]) {
+      query[position] = pattern[position]
+    }
+  })
+  if (page > 1) {
+    query.page = page
+  }
+  const search = querystring.stringify(query)
+  return interfaceUri + (search ? '?' + search : '')
+}
@@ -1,4 +1,9 @@
 module.exports = {
   accounts: require('./accounts'),
-  messages: require('./messages')
+  cache: require('./cache'),
+  fragments: require('./fragments'),
+  messages: require('./messages'),
+  search: require('./search'),
+  sparql: require('./sparql'),
+  uploads: require('./uploads')
 }
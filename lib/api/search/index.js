@@ -0,0 +1,61 @@
+exports.search = search
+
+const async = require('async')
+const can = require('../../handlers/allow').can
+const error = require('../../http-error')
+const utils = require('../../utils')
+
+// Number of results returned by default, and at most
+const DEFAULT_LIMIT = 20
+const MAX_LIMIT = 100
+
+/**
+ * Full-text search of the account of the request's host (see
+ * lib/search-index.js): `GET ?q=<words>[&limit=<number>]` returns the
+ * resources the agent can read containing all the words, best matches first,
+ * as a JSON list of `{ path, uri, score }` objects.
+ */
+function search () {
+  return (req, res, next) => {
+    const ldp = req.app.locals.ldp
+    const text = req.query.q
+    if (!text) {
+      return next(error(400, 'You need to specify a query'))
+    }
+    const limit = req.query.limit === undefined
+      ? DEFAULT_LIMIT : parseInt(req.query.limit, 10)
+    if (!(limit > 0)) {
+      return next(error(400, 'Invalid limit'))
+    }
+
+    const root = !ldp.idp ? ldp.root : ldp.root + req.hostname + '/'
+    ldp.searchIndex.search(root, text, (err, matches) => {
+      if (err) {
+        return next(error(err, 'Failed to search the account'))
+      }
+      const results = []
+      async.eachSeries(matches, (match, next) => {
+        if (results.length >= Math.min(limit, MAX_LIMIT)) {
+          return next()
+        }
+        const resourcePath = match.filename.slice(root.length - 1)
+        can(req, 'Read', resourcePath, (err) => {
+          if (err) {
+            return next(err.status === 401 || err.status === 403 ? null : err)
+          }
+          results.push({
+            'path': resourcePath,
+            'uri': utils.uriBase(req) + resourcePath,
+            'score': match.score
+          })
+          next()
+        })
+      }, (err) => {
+        if (err) {
+          return next(err)
+        }
+        res.json(results)
+      })
+    })
+  }
+}
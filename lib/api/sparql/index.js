@@ -0,0 +1,165 @@
+exports.query = query
+exports.dataset = dataset
+
+const $rdf = require('rdflib')
+const async = require('async')
+const Negotiator = require('negotiator')
+const path = require('path')
+const debug = require('debug')('solid:api:sparql')
+const can = require('../../handlers/allow').can
+const contentTypes = require('../../content-types')
+const error = require('../../http-error')
+const isMember = require('../../ldp-container').isMember
+const sparql = require('../../sparql')
+const isReserved = require('../../reserved').isReserved
+const utils = require('../../utils')
+
+// Types of the resources that make up the dataset
+const RDF_TYPES = [ 'text/turtle', 'text/n3', 'application/rdf+xml', 'application/ld+json' ]
+// Negotiated types of the results, JSON by default
+const RESULT_TYPES = sparql.RESULT_TYPES.concat('application/json')
+// Milliseconds after which queries fail, building the dataset included
+const QUERY_TIMEOUT = 10000
+// Number of results of SELECT queries past which the others are left out
+const MAX_RESULTS = 10000
+// Number of solutions kept in memory at once past which queries fail
+const MAX_SOLUTIONS = 100000
+
+/**
+ * Runs SPARQL queries across the RDF resources of the account of the
+ * request's host that the authenticated agent can read. The query is either in the query
+ * string (`GET ?query=`), or sent with `POST` as an `application/sparql-query`
+ * body or as the `query` field of a form.
+ *
+ * Each resource is a named graph of the dataset (named by its URI), and the
+ * default graph their union. Results are sent as SPARQL JSON, XML, CSV or TSV
+ * depending on the Accept header. Queries fail with a 503 error after
+ * `QUERY_TIMEOUT` or past `MAX_SOLUTIONS` solutions in memory, and SELECT
+ * queries return at most `MAX_RESULTS` results.
+ */
+function query () {
+  return (req, res, next) => {
+    const text = typeof req.body === 'string'
+      ? req.body
+      : (req.body && req.body.query) || req.query.query
+    run(text, req, res, next)
+  }
+}
+
+function run (text, req, res, next) {
+  if (!text) {
+    return next(error(400, 'You need to specify a query'))
+  }
+  const contentType = new Negotiator(req).mediaType(RESULT_TYPES)
+  if (!contentType) {
+    return next(error(406, 'Results can be sent as ' + RESULT_TYPES.join(', ')))
+  }
+
+  const deadline = Date.now() + QUERY_TIMEOUT
+  dataset(req, deadline, (err, graph) => {
+    if (err) {
+      return next(err)
+    }
+    const options = {
+      timeout: deadline - Date.now(),
+      maxResults: MAX_RESULTS,
+      maxSolutions: MAX_SOLUTIONS
+    }
+    sparql.query(graph, text, utils.uriBase(req) + '/', options, (err, results) => {
+      if (err) {
+        return next(err)
+      }
+      res.set('Content-Type', contentType + '; charset=utf-8')
+      res.vary('Accept')
+      res.send(sparql.serialize(results, contentType))
+    })
+  })
+}
+
+/**
+ * Calls back with a view of the RDF resources of the account of the
+ * request's host that the agent of the request can read, which has rdflib's
+ * `statementsMatching()`, each statement having the URI of its resource as
+ * `why`, and the `documents` themselves (`{ uri, graph }` objects). Resources are parsed through the dataset cache of the LDP instance
+ * (kept apart from its graph cache, so that queries don't push the `.acl`
+ * files out of it), so only those changed since are read again. Auxiliary
+ * resources (`.acl` and `.meta`), the trash, old versions and uploads in
+ * progress are left out, as are resources that fail to parse.
+ *
+ * Fails with a 401 error if the agent isn't authenticated, and with a 503
+ * error once past the `deadline`.
+ * @method dataset
+ * @param req {IncomingRequest}
+ * @param deadline {Number} Time (in milliseconds since the epoch)
+ * @param callback {Function}
+ */
+function dataset (req, deadline, callback) {
+  const ldp = req.app.locals.ldp
+  const root = !ldp.idp ? ldp.root : ldp.root + req.hostname + '/'
+  const baseUri = utils.uriBase(req)
+  const documents = []
+  if (!req.session.userId) {
+    return callback(error(401, 'You need to be authenticated'))
+  }
+
+  ldp.descendants(req.hostname, '/', (err, paths) => {
+    if (err) {
+      return callback(err)
+    }
+    const resourcePaths = (paths || []).filter((resourcePath) => {
+      return !resourcePath.endsWith('/') &&
+        !isReserved(resourcePath) &&
+        isMember(ldp, path.basename(resourcePath))
+    })
+    async.eachSeries(resourcePaths, (resourcePath, next) => {
+      if (Date.now() >= deadline) {
+        return next(error(503, 'The query took too long'))
+      }
+      const filename = utils.uriToFilename(resourcePath, root)
+      contentTypes.lookup(ldp, filename, (err, contentType) => {
+        if (err || RDF_TYPES.indexOf(contentType) < 0) {
+          return next()
+        }
+        can(req, 'Read', resourcePath, (err) => {
+          if (err) {
+            if (err.status === 401 || err.status === 403) {
+              return next()
+            }
+            return next(err)
+          }
+          const uri = baseUri + resourcePath
+          ldp.datasetCache.get(filename, uri, contentType, (err, graph) => {
+            if (err) {
+              debug('Skipping ' + resourcePath + ': ' + err.message)
+              return next()
+            }
+            documents.push({ uri: $rdf.sym(uri), graph: graph })
+            next()
+          })
+        })
+      })
+    }, (err) => {
+      callback(err, union(documents))
+    })
+  })
+}
+
+// The statements of cached graphs, which can't be modified, are matched in
+// place rather than copied into one graph
+function union (documents) {
+  return {
+    documents: documents,
+    statementsMatching: (subject, predicate, object, why) => {
+      const matches = []
+      documents.forEach((document) => {
+        if (why && !why.sameTerm(document.uri)) {
+          return
+        }
+        document.graph.statementsMatching(subject, predicate, object).forEach((st) => {
+          matches.push($rdf.st(st.subject, st.predicate, st.object, document.uri))
+        })
+      })
+      return matches
+    }
+  }
+}
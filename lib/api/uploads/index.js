@@ -0,0 +1,174 @@
+exports.create = create
+exports.status = status
+exports.append = append
+exports.finish = finish
+exports.abort = abort
+
+const debug = require('debug')('solid:api:uploads')
+const can = require('../../handlers/allow').can
+const error = require('../../http-error')
+const uploads = require('../../uploads')
+const utils = require('../../utils')
+
+/**
+ * Resumable uploads into the account of the request's host (see
+ * lib/uploads.js):
+ *
+ *  - `POST /api/uploads` with a JSON body `{ target, length, contentType }`
+ *    creates an upload session (`length` and `contentType` are optional),
+ *    returning its URL in the `Location` header
+ *  - `PATCH /api/uploads/:id` with an `Upload-Offset` header sends a chunk,
+ *    which must start where the previous one ended; the response gives the
+ *    new offset in its `Upload-Offset` header
+ *  - `GET` or `HEAD /api/uploads/:id` gives the current offset, to resume
+ *  - `POST /api/uploads/:id` writes the uploaded data into the target
+ *  - `DELETE /api/uploads/:id` gives up on the upload
+ *
+ * The agent needs Write access to the target, and only the agent that
+ * created a session can use it.
+ */
+function create () {
+  return (req, res, next) => {
+    const ldp = req.app.locals.ldp
+    const body = req.body || {}
+    const target = body.target
+    const length = body.length
+    if (typeof target !== 'string' || target[0] !== '/' || target.endsWith('/')) {
+      return next(error(400, 'The target of the upload must be the path of a resource'))
+    }
+    if (length !== undefined && !(Number.isInteger(length) && length >= 0)) {
+      return next(error(400, 'Invalid upload length'))
+    }
+    if (body.contentType !== undefined && typeof body.contentType !== 'string') {
+      return next(error(400, 'Invalid content type'))
+    }
+    can(req, 'Write', target, (err) => {
+      if (err) {
+        return next(err)
+      }
+      const options = {
+        target: target,
+        length: length,
+        contentType: body.contentType,
+        agent: req.session.userId
+      }
+      uploads.create(ldp, req.hostname, options, (err, record) => {
+        if (err) {
+          return next(err)
+        }
+        debug('Created upload ' + record.id + ' for ' + target)
+        res.set('Location', utils.uriBase(req) + '/api/uploads/' + record.id)
+        res.set('Upload-Offset', '0')
+        res.sendStatus(201)
+      })
+    })
+  }
+}
+
+function status () {
+  return (req, res, next) => {
+    session(req, (err, record) => {
+      if (err) {
+        return next(err)
+      }
+      res.set('Cache-Control', 'no-store')
+      res.set('Upload-Offset', String(record.offset))
+      if (record.length !== undefined) {
+        res.set('Upload-Length', String(record.length))
+      }
+      res.json({
+        'target': record.target,
+        'offset': record.offset,
+        'length': record.length,
+        'updated': record.updated
+      })
+    })
+  }
+}
+
+function append () {
+  return (req, res, next) => {
+    const ldp = req.app.locals.ldp
+    const offset = /^\d+$/.test(req.get('Upload-Offset') || '')
+      ? parseInt(req.get('Upload-Offset'), 10) : NaN
+    if (isNaN(offset)) {
+      return next(error(400, 'Upload-Offset header required'))
+    }
+    session(req, (err, record) => {
+      if (err) {
+        return next(err)
+      }
+      uploads.append(ldp, req.hostname, record.id, offset, req, (err, offset) => {
+        if (err) {
+          if (err.status === 409) {
+            // Where to resume from
+            return uploads.read(ldp, req.hostname, record.id, (readErr, record) => {
+              if (!readErr) {
+                res.set('Upload-Offset', String(record.offset))
+              }
+              next(err)
+            })
+          }
+          return next(err)
+        }
+        res.set('Upload-Offset', String(offset))
+        res.sendStatus(204)
+      })
+    })
+  }
+}
+
+function finish () {
+  return (req, res, next) => {
+    const ldp = req.app.locals.ldp
+    session(req, (err, record) => {
+      if (err) {
+        return next(err)
+      }
+      // Access to the target may have changed since the upload started
+      can(req, 'Write', record.target, (err) => {
+        if (err) {
+          return next(err)
+        }
+        uploads.finish(ldp, req.hostname, record.id, (err) => {
+          if (err) {
+            return next(err)
+          }
+          debug('Finished upload ' + record.id + ' into ' + record.target)
+          res.set('Location', utils.uriBase(req) + record.target)
+          res.sendStatus(201)
+        })
+      })
+    })
+  }
+}
+
+function abort () {
+  return (req, res, next) => {
+    const ldp = req.app.locals.ldp
+    session(req, (err, record) => {
+      if (err) {
+        return next(err)
+      }
+      uploads.abort(ldp, req.hostname, record.id, (err) => {
+        if (err) {
+          return next(err)
+        }
+        res.sendStatus(200)
+      })
+    })
+  }
+}
+
+// Calls back with the upload session of a request, if its agent created it
+function session (req, callback) {
+  uploads.read(req.app.locals.ldp, req.hostname, req.params.id, (err, record) => {
+    if (err) {
+      return callback(err)
+    }
+    if (record.agent !== req.session.userId) {
+      return callback(error(403, 'This upload belongs to another agent'))
+    }
+    callback(null, record)
+  })
+}
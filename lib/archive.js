@@ -0,0 +1,569 @@
+/**
+ * Archives of containers, in the zip or tar (ustar) format, written as
+ * streams so that whole containers can be downloaded without buffering them.
+ * Zip entries are deflated, with their checksum and sizes given in data
+ * descriptors after their data. Zip64 isn't supported, so entries and
+ * archives are limited to 4GB, and archives to 65535 entries: past that,
+ * adding an entry or finalizing the archive fails. Tar entries with names
+ * too long for the ustar header get a PAX extended header.
+ *
+ * Archives are read back from storage, where they can be read at any
+ * offset (zip archives start with their end).
+ * @module archive
+ */
+module.exports.pack = pack
+module.exports.list = list
+module.exports.crc32 = crc32
+
+var async = require('async')
+var PassThrough = require('stream').PassThrough
+var Transform = require('stream').Transform
+var zlib = require('zlib')
+var error = require('./http-error')
+
+// Content types of the archive formats
+var TYPES = {
+  'application/zip': 'zip',
+  'application/x-tar': 'tar'
+}
+module.exports.TYPES = TYPES
+
+var BLOCK = 512
+
+// Largest sizes, offsets and number of entries of zip archives without Zip64
+var ZIP_MAX_SIZE = 0xFFFFFFFF
+var ZIP_MAX_ENTRIES = 0xFFFF
+
+var CRC_TABLE = []
+for (var n = 0; n < 256; n++) {
+  var c = n
+  for (var k = 0; k < 8; k++) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1
+  }
+  CRC_TABLE[n] = c >>> 0
+}
+
+/**
+ * Updates the CRC-32 checksum of data with another chunk of it.
+ * @method crc32
+ * @param chunk {Buffer}
+ * @param [crc] {Number} Checksum of the data before the chunk
+ * @return {Number}
+ */
+function crc32 (chunk, crc) {
+  crc = crc === undefined ? 0xFFFFFFFF : ~crc
+  for (var i = 0; i < chunk.length; i++) {
+    crc = CRC_TABLE[(crc ^ chunk[i]) & 0xFF] ^ (crc >>> 8)
+  }
+  return ~crc >>> 0
+}
+
+/**
+ * Starts an archive. The returned stream gives the archive, with its
+ * `entry(header, source, callback)` method adding an entry, where `header`
+ * has the `name` of the entry (ending with a `/` for folders), its `size`
+ * and its `mtime`, and `source` is a stream of its data (none for folders).
+ * Entries must be added one after the other, and `finalize([callback])` ends
+ * the archive. Both call back with an error if the archive would go past the
+ * limits of its format, and the archive must then be given up on.
+ * @method pack
+ * @param format {String} `zip` or `tar`
+ * @return {Stream}
+ */
+function pack (format) {
+  var archive = new PassThrough()
+  var writer = format === 'zip' ? new ZipWriter(archive) : new TarWriter(archive)
+  archive.entry = writer.entry.bind(writer)
+  archive.finalize = writer.finalize.bind(writer)
+  return archive
+}
+
+// Copies the data of an entry into the archive, following its pace
+function copy (source, archive, transform, callback) {
+  source.on('data', function (chunk) {
+    if (!archive.write(transform(chunk))) {
+      source.pause()
+      archive.once('drain', function () { source.resume() })
+    }
+  })
+  source.on('error', callback)
+  source.on('end', function () { callback(null) })
+}
+
+function TarWriter (archive) {
+  this.archive = archive
+}
+
+TarWriter.prototype.entry = function (header, source, callback) {
+  var archive = this.archive
+  var name = header.name
+  var directory = name.endsWith('/')
+  var size = directory ? 0 : header.size
+  var ustar = tarHeader(name, size, header.mtime, directory ? '5' : '0')
+  if (!ustar) {
+    // Long names go in a PAX extended header
+    var record = ' path=' + name + '\n'
+    var length = Buffer.byteLength(record)
+    length += String(length + String(length).length).length
+    var pax = Buffer.from(length + record)
+    archive.write(tarHeader('PaxHeader', pax.length, header.mtime, 'x'))
+    archive.write(pad(pax))
+    ustar = tarHeader(shorten(name), size, header.mtime, directory ? '5' : '0')
+  }
+  archive.write(ustar)
+  if (directory) {
+    return callback(null)
+  }
+  // Resources that changed since their size was found are cut or padded
+  var left = size
+  copy(source, archive, function (chunk) {
+    chunk = chunk.slice(0, Math.max(left, 0))
+    left -= chunk.length
+    return chunk
+  }, function (err) {
+    if (err) {
+      return callback(err)
+    }
+    archive.write(Buffer.alloc(Math.max(left, 0) + padding(size)))
+    callback(null)
+  })
+}
+
+TarWriter.prototype.finalize = function (callback) {
+  this.archive.end(Buffer.alloc(2 * BLOCK))
+  if (callback) {
+    callback(null)
+  }
+}
+
+// Builds a ustar header, or returns null if the name doesn't fit in it
+function tarHeader (name, size, mtime, type) {
+  var nameBytes = Buffer.from(name)
+  var prefix = Buffer.alloc(0)
+  if (nameBytes.length > 100) {
+    var slash = name.lastIndexOf('/', name.length - 2)
+    prefix = Buffer.from(name.slice(0, slash))
+    nameBytes = Buffer.from(name.slice(slash + 1))
+    if (slash < 0 || prefix.length > 155 || nameBytes.length > 100) {
+      return null
+    }
+  }
+  var block = Buffer.alloc(BLOCK)
+  nameBytes.copy(block, 0)
+  block.write(type === '5' ? '0000755' : '0000644', 100)
+  block.write('0000000', 108)
+  block.write('0000000', 116)
+  block.write(octal(size, 11), 124)
+  block.write(octal(Math.floor(mtime.getTime() / 1000), 11), 136)
+  block.write('        ', 148)
+  block.write(type, 156)
+  block.write('ustar\u000000', 257)
+  prefix.copy(block, 345)
+  var sum = 0
+  for (var i = 0; i < BLOCK; i++) {
+    sum += block[i]
+  }
+  block.write(octal(sum, 6) + '\u0000 ', 148)
+  return block
+}
+
+// Name for the ustar header of an entry with a PAX header, for tools
+// ignoring PAX headers
+function shorten (name) {
+  var bytes = Buffer.from(name)
+  return bytes.length <= 100 ? name : bytes.slice(bytes.length - 100).toString()
+}
+
+function octal (number, length) {
+  var digits = number.toString(8)
+  while (digits.length < length) {
+    digits = '0' + digits
+  }
+  return digits
+}
+
+function padding (size) {
+  return (BLOCK - size % BLOCK) % BLOCK
+}
+
+function pad (data) {
+  return Buffer.concat([ data, Buffer.alloc(padding(data.length)) ])
+}
+
+function ZipWriter (archive) {
+  this.archive = archive
+  this.offset = 0
+  this.entries = []
+}
+
+ZipWriter.prototype.entry = function (header, source, callback) {
+  var self = this
+  var name = Buffer.from(header.name)
+  var directory = header.name.endsWith('/')
+  if (self.offset > ZIP_MAX_SIZE || self.entries.length >= ZIP_MAX_ENTRIES ||
+      name.length > 0xFFFF) {
+    return callback(tooLarge())
+  }
+  var entry = {
+    'name': name,
+    'method': directory ? 0 : 8,
+    'time': dosTime(header.mtime),
+    'date': dosDate(header.mtime),
+    'crc': 0,
+    'compressedSize': 0,
+    'size': 0,
+    'offset': self.offset,
+    'directory': directory
+  }
+  // Sizes and checksum come in the data descriptor (flag 8), names are
+  // UTF-8 (flag 0x800)
+  var local = Buffer.alloc(30)
+  local.writeUInt32LE(0x04034b50, 0)
+  local.writeUInt16LE(20, 4)
+  local.writeUInt16LE(0x808, 6)
+  local.writeUInt16LE(entry.method, 8)
+  local.writeUInt16LE(entry.time, 10)
+  local.writeUInt16LE(entry.date, 12)
+  local.writeUInt16LE(name.length, 26)
+  self.write(Buffer.concat([ local, name ]))
+  self.entries.push(entry)
+  if (directory) {
+    self.write(descriptor(entry))
+    return callback(null)
+  }
+  var deflate = zlib.createDeflateRaw()
+  source.on('data', function (chunk) {
+    entry.crc = crc32(chunk, entry.crc)
+    entry.size += chunk.length
+  })
+  source.on('error', function (err) {
+    deflate.emit('error', err)
+  })
+  copy(source.pipe(deflate), self.archive, function (chunk) {
+    entry.compressedSize += chunk.length
+    self.offset += chunk.length
+    return chunk
+  }, function (err) {
+    if (err) {
+      return callback(err)
+    }
+    if (entry.size > ZIP_MAX_SIZE || entry.compressedSize > ZIP_MAX_SIZE) {
+      return callback(tooLarge())
+    }
+    self.write(descriptor(entry))
+    callback(null)
+  })
+}
+
+ZipWriter.prototype.finalize = function (callback) {
+  var self = this
+  callback = callback || function () {}
+  var start = self.offset
+  if (start > ZIP_MAX_SIZE) {
+    return callback(tooLarge())
+  }
+  self.entries.forEach(function (entry) {
+    var central = Buffer.alloc(46)
+    central.writeUInt32LE(0x02014b50, 0)
+    central.writeUInt16LE(0x314, 4)
+    central.writeUInt16LE(20, 6)
+    central.writeUInt16LE(0x808, 8)
+    central.writeUInt16LE(entry.method, 10)
+    central.writeUInt16LE(entry.time, 12)
+    central.writeUInt16LE(entry.date, 14)
+    central.writeUInt32LE(entry.crc, 16)
+    central.writeUInt32LE(entry.compressedSize, 20)
+    central.writeUInt32LE(entry.size, 24)
+    central.writeUInt16LE(entry.name.length, 28)
+    // Unix permissions, and the MS-DOS directory attribute
+    central.writeUInt32LE(((entry.directory ? 0o40755 : 0o100644) << 16 |
+      (entry.directory ? 0x10 : 0)) >>> 0, 38)
+    central.writeUInt32LE(entry.offset, 42)
+    self.write(Buffer.concat([ central, entry.name ]))
+  })
+  var end = Buffer.alloc(22)
+  end.writeUInt32LE(0x06054b50, 0)
+  end.writeUInt16LE(self.entries.length, 8)
+  end.writeUInt16LE(self.entries.length, 10)
+  end.writeUInt32LE(self.offset - start, 12)
+  end.writeUInt32LE(start, 16)
+  self.archive.end(end)
+  callback(null)
+}
+
+ZipWriter.prototype.write = function (data) {
+  this.offset += data.length
+  this.archive.write(data)
+}
+
+function descriptor (entry) {
+  var data = Buffer.alloc(16)
+  data.writeUInt32LE(0x08074b50, 0)
+  data.writeUInt32LE(entry.crc, 4)
+  data.writeUInt32LE(entry.compressedSize, 8)
+  data.writeUInt32LE(entry.size, 12)
+  return data
+}
+
+function tooLarge () {
+  return error(507, 'Zip archives are limited to 4 GB and ' + ZIP_MAX_ENTRIES + ' entries')
+}
+
+function dosTime (date) {
+  return (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1)
+}
+
+function dosDate (date) {
+  return (Math.max(date.getFullYear() - 1980, 0) << 9) |
+    ((date.getMonth() + 1) << 5) | date.getDate()
+}
+
+/**
+ * Calls back with the entries of an archive, each with its `name` (ending
+ * with a `/` for folders), its `type` (`file`, `directory`, or `other` for
+ * links and the like, which can't be read) and an `open(callback)` method
+ * calling back with a stream of its data. Fails with a 400 if the archive
+ * can't be read.
+ * @method list
+ * @param format {String} `zip` or `tar`
+ * @param size {Number} Size of the archive
+ * @param open {Function} Returns a stream of the bytes of the archive from
+ *   a `start` to an `end` offset (inclusive), such as `ldp.createReadStream()`
+ *   bound to the archive's file
+ * @param callback {Function}
+ */
+function list (format, size, open, callback) {
+  var read = function (start, length, callback) {
+    readRange(open, start, length, callback)
+  }
+  var entries = format === 'zip' ? listZip : listTar
+  entries(size, read, open, function (err, entries) {
+    if (err) {
+      return callback(err.status ? err : error(400, 'Invalid ' + format + ' archive'))
+    }
+    callback(null, entries)
+  })
+}
+
+// Reads part of an archive into a buffer
+function readRange (open, start, length, callback) {
+  if (!length) {
+    return callback(null, Buffer.alloc(0))
+  }
+  var chunks = []
+  open(start, start + length - 1)
+    .on('data', function (chunk) { chunks.push(chunk) })
+    .on('error', callback)
+    .on('end', function () {
+      var data = Buffer.concat(chunks)
+      if (data.length < length) {
+        return callback(new Error('Unexpected end of the archive'))
+      }
+      callback(null, data)
+    })
+}
+
+function listTar (size, read, open, callback) {
+  var entries = []
+  var offset = 0
+  // Names given by a PAX or GNU header for the entry after it
+  var longName = null
+  var ended = false
+  async.whilst(function () {
+    return !ended && offset + BLOCK <= size
+  }, function (next) {
+    read(offset, BLOCK, function (err, block) {
+      if (err) {
+        return next(err)
+      }
+      if (!block.some(function (byte) { return byte })) {
+        ended = true
+        return next()
+      }
+      var header = parseTarHeader(block)
+      if (!header) {
+        return next(new Error('Invalid tar header'))
+      }
+      var start = offset + BLOCK
+      offset = start + header.size + padding(header.size)
+      if (header.type === 'x' || header.type === 'L') {
+        return read(start, header.size, function (err, data) {
+          if (err) {
+            return next(err)
+          }
+          longName = header.type === 'L'
+            ? data.toString().replace(/\0.*$/, '')
+            : paxPath(data.toString()) || longName
+          next()
+        })
+      }
+      if (header.type === 'g') {
+        return next()
+      }
+      var name = longName || header.name
+      longName = null
+      var type = header.type === '5' ? 'directory'
+        : header.type === '0' || header.type === '\0' || header.type === '7' ? 'file' : 'other'
+      if (type === 'directory' && !name.endsWith('/')) {
+        name += '/'
+      }
+      entries.push({
+        'name': name,
+        'type': type,
+        'size': header.size,
+        'open': function (callback) {
+          callback(null, openRange(open, start, header.size))
+        }
+      })
+      next()
+    })
+  }, function (err) {
+    if (!err && !ended && offset !== size) {
+      err = new Error('Truncated tar archive')
+    }
+    callback(err, entries)
+  })
+}
+
+// Parses a tar header, or returns null if its checksum is wrong
+function parseTarHeader (block) {
+  var field = function (start, length) {
+    return block.slice(start, start + length).toString().replace(/\0.*$/, '')
+  }
+  var sum = 0
+  for (var i = 0; i < BLOCK; i++) {
+    sum += i >= 148 && i < 156 ? 32 : block[i]
+  }
+  if (parseInt(field(148, 8).trim(), 8) !== sum) {
+    return null
+  }
+  var size = 0
+  if (block[124] & 0x80) {
+    // Base-256 encoding of large sizes
+    for (var j = 125; j < 136; j++) {
+      size = size * 256 + block[j]
+    }
+  } else {
+    size = parseInt(field(124, 12).trim(), 8) || 0
+  }
+  var name = field(0, 100)
+  if (field(257, 5) === 'ustar' && field(345, 155)) {
+    name = field(345, 155) + '/' + name
+  }
+  return { 'name': name, 'size': size, 'type': String.fromCharCode(block[156]) }
+}
+
+// Finds the path in the records of a PAX header
+function paxPath (records) {
+  var match = /(?:^|\n)\d+ path=([^\n]*)\n/.exec(records)
+  return match && match[1]
+}
+
+function listZip (size, read, open, callback) {
+  var tail = Math.min(size, 22 + 0xFFFF)
+  read(size - tail, tail, function (err, data) {
+    if (err) {
+      return callback(err)
+    }
+    var end = data.length - 22
+    while (end >= 0 && data.readUInt32LE(end) !== 0x06054b50) {
+      end--
+    }
+    if (end < 0) {
+      return callback(new Error('No end of central directory'))
+    }
+    var count = data.readUInt16LE(end + 10)
+    var directorySize = data.readUInt32LE(end + 12)
+    var directoryOffset = data.readUInt32LE(end + 16)
+    if (count === 0xFFFF || directoryOffset === 0xFFFFFFFF) {
+      return callback(error(400, 'Zip64 archives are not supported'))
+    }
+    read(directoryOffset, directorySize, function (err, directory) {
+      if (err) {
+        return callback(err)
+      }
+      var entries = []
+      var offset = 0
+      for (var i = 0; i < count; i++) {
+        if (offset + 46 > directory.length || directory.readUInt32LE(offset) !== 0x02014b50) {
+          return callback(new Error('Invalid central directory'))
+        }
+        entries.push(zipEntry(directory, offset, read, open))
+        offset += 46 + directory.readUInt16LE(offset + 28) +
+          directory.readUInt16LE(offset + 30) + directory.readUInt16LE(offset + 32)
+      }
+      callback(null, entries)
+    })
+  })
+}
+
+// Reads an entry of the central directory of a zip archive
+function zipEntry (directory, offset, read, open) {
+  var flags = directory.readUInt16LE(offset + 8)
+  var method = directory.readUInt16LE(offset + 10)
+  var crc = directory.readUInt32LE(offset + 16)
+  var compressedSize = directory.readUInt32LE(offset + 20)
+  var size = directory.readUInt32LE(offset + 24)
+  var nameLength = directory.readUInt16LE(offset + 28)
+  var mode = directory.readUInt32LE(offset + 38) >>> 16
+  var localOffset = directory.readUInt32LE(offset + 42)
+  var name = directory.slice(offset + 46, offset + 46 + nameLength).toString()
+  // Encrypted entries, unknown compression methods and symbolic links
+  // can't be read
+  var type = name.endsWith('/') ? 'directory'
+    : flags & 1 || (method !== 0 && method !== 8) || (mode & 0o170000) === 0o120000
+      ? 'other' : 'file'
+  return {
+    'name': name,
+    'type': type,
+    'size': size,
+    'open': function (callback) {
+      read(localOffset, 30, function (err, local) {
+        if (err || local.readUInt32LE(0) !== 0x04034b50) {
+          return callback(error(400, 'Invalid zip archive'))
+        }
+        var start = localOffset + 30 + local.readUInt16LE(26) + local.readUInt16LE(28)
+        var data = openRange(open, start, compressedSize)
+        if (method === 8) {
+          data = chain(data, zlib.createInflateRaw())
+        }
+        callback(null, chain(data, checkCrc(crc, size)))
+      })
+    }
+  }
+}
+
+// Opens part of an archive, possibly empty
+function openRange (open, start, length) {
+  if (!length) {
+    var empty = new PassThrough()
+    empty.end()
+    return empty
+  }
+  return open(start, start + length - 1)
+}
+
+// Pipes a stream into another, passing its errors on
+function chain (source, destination) {
+  source.on('error', function (err) {
+    destination.emit('error', err)
+  })
+  return source.pipe(destination)
+}
+
+// Fails if data doesn't have the checksum and size of its zip entry
+function checkCrc (crc, size) {
+  var actual
+  var length = 0
+  return new Transform({
+    'transform': function (chunk, encoding, callback) {
+      actual = crc32(chunk, actual)
+      length += chunk.length
+      callback(null, chunk)
+    },
+    'flush': function (callback) {
+      var valid = length === size && (actual === undefined ? 0 : actual) === crc
+      callback(valid ? null : error(400, 'Corrupted zip entry'))
+    }
+  })
+}
@@ -11,11 +11,18 @@ const serviceConfigDefaults = {
       // 'changePassword': '/api/account/changePassword',
       // 'delete': '/api/accounts/delete',
       'new': '/api/accounts/new',
+      'quota': '/api/accounts/quota',
       'recover': '/api/accounts/recover',
       'signin': '/api/accounts/signin',
       'signout': '/api/accounts/signout',
+      'trash': '/api/accounts/trash',
       'validateToken': '/api/accounts/validateToken'
-    }
+    },
+    'cache': '/api/cache',
+    'fragments': '/api/fragments',
+    'search': '/api/search',
+    'sparql': '/api/sparql',
+    'uploads': '/api/uploads'
   }
 }
 
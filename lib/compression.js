@@ -0,0 +1,119 @@
+/**
+ * Compression of the responses to GET requests, with the content coding
+ * negotiated through the `Accept-Encoding` header: brotli (if Node supports
+ * it) or gzip. Only textual representations (such as RDF, HTML or JSON) are
+ * compressed, media being compressed already.
+ * @module compression
+ */
+module.exports.negotiate = negotiate
+module.exports.pipe = pipe
+module.exports.send = send
+module.exports.compressible = compressible
+
+var Negotiator = require('negotiator')
+var zlib = require('zlib')
+var debug = require('./debug').handlers
+
+// Smaller representations are not worth compressing
+var THRESHOLD = 1024
+
+var CODINGS = {
+  'gzip': {
+    'stream': function () { return zlib.createGzip() },
+    'buffer': function (data, callback) { zlib.gzip(data, callback) }
+  }
+}
+// Available from Node 10.16
+if (zlib.createBrotliCompress) {
+  CODINGS.br = {
+    'stream': function () { return zlib.createBrotliCompress() },
+    'buffer': function (data, callback) { zlib.brotliCompress(data, callback) }
+  }
+}
+
+var COMPRESSIBLE = [
+  /^text\//,
+  /\+(json|xml)$/,
+  /^application\/(json|xml|javascript|n-triples|n-quads|nquads|n3|x-turtle)$/
+]
+
+/**
+ * Tests whether a content type is worth compressing.
+ * @method compressible
+ * @param contentType {String}
+ * @return {Boolean}
+ */
+function compressible (contentType) {
+  var type = (contentType || '').split(';')[0].trim().toLowerCase()
+  return COMPRESSIBLE.some(function (pattern) { return pattern.test(type) })
+}
+
+/**
+ * Chooses the content coding of a response from the `Accept-Encoding`
+ * header of its request, and adds `Accept-Encoding` to its `Vary` header
+ * when the representation could be compressed.
+ * @method negotiate
+ * @param req {IncomingMessage}
+ * @param res {ServerResponse}
+ * @param contentType {String} Content type of the response
+ * @param [size] {Number} Size of the response, if known
+ * @return {String} `br` or `gzip`, or `null` to send it as is
+ */
+function negotiate (req, res, contentType, size) {
+  if (!compressible(contentType)) {
+    return null
+  }
+  res.vary('Accept-Encoding')
+  if (size !== undefined && size < THRESHOLD) {
+    return null
+  }
+  // Brotli first whenever it is accepted: it compresses better
+  var negotiator = new Negotiator(req)
+  var coding = Object.keys(CODINGS).sort().find(function (coding) {
+    return negotiator.encodings([ coding ]).indexOf(coding) >= 0
+  })
+  return coding || null
+}
+
+/**
+ * Pipes a stream into a response, compressed with a content coding (as
+ * chosen by `negotiate()`) unless it is `null`.
+ * @method pipe
+ * @param stream {Stream}
+ * @param res {ServerResponse}
+ * @param coding {String}
+ */
+function pipe (stream, res, coding) {
+  if (!coding) {
+    return stream.pipe(res)
+  }
+  res.set('Content-Encoding', coding)
+  res.removeHeader('Content-Length')
+  stream.pipe(CODINGS[coding].stream()).pipe(res)
+}
+
+/**
+ * Sends data as the body of a response, compressed with a content coding
+ * (as chosen by `negotiate()`) unless it is `null`.
+ * @method send
+ * @param res {ServerResponse}
+ * @param data {String|Buffer}
+ * @param coding {String}
+ * @param callback {Function} Called once the response is sent
+ */
+function send (res, data, coding, callback) {
+  if (!coding) {
+    res.send(data)
+    return callback()
+  }
+  CODINGS[coding].buffer(data, function (err, compressed) {
+    if (err) {
+      debug('GET -- Failed to compress the response: ' + err.message)
+      res.send(data)
+      return callback()
+    }
+    res.set('Content-Encoding', coding)
+    res.send(compressed)
+    callback()
+  })
+}
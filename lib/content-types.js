@@ -0,0 +1,125 @@
+/**
+ * Content types of resources.
+ *
+ * The Content-Type a resource is uploaded with is recorded in its metadata
+ * file (`<name>.meta`) as a `dcterms:format` statement, unless the extension
+ * of the resource already implies it. Uploads without a Content-Type are
+ * recorded as `application/octet-stream`.
+ * @module content-types
+ */
+module.exports.lookup = lookup
+module.exports.record = record
+
+var $rdf = require('rdflib')
+var mime = require('mime-types')
+var ns = require('solid-namespace')($rdf)
+var debug = require('./debug').ldp
+var error = require('./http-error')
+var quota = require('./quota')
+var utils = require('./utils')
+
+var BINARY = 'application/octet-stream'
+// Resources created before types were recorded (such as the profiles of new
+// accounts) default to Turtle
+var DEFAULT = 'text/turtle'
+
+/**
+ * Calls back with the content type of a resource.
+ * @method lookup
+ * @param ldp {LDP}
+ * @param filename {String} Path of the resource in the storage backend
+ * @param callback {Function}
+ */
+function lookup (ldp, filename, callback) {
+  if (utils.hasSuffix(filename, ldp.turtleExtensions)) {
+    return callback(null, 'text/turtle')
+  }
+  readMetadata(ldp, filename, function (err, graph) {
+    var recorded = !err && graph.any(graph.sym(fileUri(filename)), ns.dct('format'))
+    callback(null, recorded ? recorded.value : mime.lookup(filename) || DEFAULT)
+  })
+}
+
+/**
+ * Records the content type a resource was uploaded with. Does nothing if
+ * `contentType` is undefined, which keeps the current one.
+ * @method record
+ * @param ldp {LDP}
+ * @param filename {String} Path of the resource in the storage backend
+ * @param contentType {String} Content-Type header of the upload
+ * @param callback {Function}
+ */
+function record (ldp, filename, contentType, callback) {
+  if (contentType === undefined ||
+      utils.hasSuffix(filename, ldp.turtleExtensions)) {
+    return callback(null)
+  }
+  var type = contentType.split(';')[0].trim().toLowerCase() || BINARY
+  // No need to record what the extension says
+  if (type === mime.lookup(filename)) {
+    type = null
+  }
+
+  readMetadata(ldp, filename, function (err, graph, exists) {
+    if (err) {
+      // Better not to overwrite metadata that can't be parsed
+      debug('Content type -- Failed to read the metadata of ' + filename + ': ' + err)
+      return callback(null)
+    }
+    var subject = graph.sym(fileUri(filename))
+    var current = graph.any(subject, ns.dct('format'))
+    if ((current ? current.value : null) === type) {
+      return callback(null)
+    }
+    graph.removeMany(subject, ns.dct('format'))
+    if (type) {
+      graph.add(subject, ns.dct('format'), $rdf.lit(type))
+    } else if (!exists) {
+      return callback(null)
+    }
+    utils.serialize(graph, fileUri(metaFilename(ldp, filename)), 'text/turtle', function (err, data) {
+      if (err) {
+        return callback(error(err, 'Failed to record the content type'))
+      }
+      ldp.storage.stat(metaFilename(ldp, filename), function (err, stats) {
+        var replaced = !err ? stats.size : 0
+        ldp.storage.writeFile(metaFilename(ldp, filename), data, function (err) {
+          if (err) {
+            quota.invalidate(ldp, filename)
+            return callback(error(err, 'Failed to record the content type'))
+          }
+          quota.update(ldp, filename, Buffer.byteLength(data) - replaced)
+          debug('Content type -- Recorded ' + (type || 'none') + ' for ' + filename)
+          callback(null)
+        })
+      })
+    })
+  })
+}
+
+/**
+ * Calls back with the graph of the metadata file of a resource (empty if
+ * there's none), and whether that file exists.
+ * @method readMetadata
+ * @private
+ */
+function readMetadata (ldp, filename, callback) {
+  var metaFile = metaFilename(ldp, filename)
+  ldp.storage.readFile(metaFile, { 'encoding': 'utf8' }, function (err, data) {
+    var exists = !err
+    if (err && err.code !== 'ENOENT') {
+      return callback(err)
+    }
+    utils.parse(data || '', fileUri(metaFile), 'text/turtle', function (err, graph) {
+      callback(err, graph, exists)
+    })
+  })
+}
+
+function metaFilename (ldp, filename) {
+  return filename + ldp.suffixMeta
+}
+
+function fileUri (filename) {
+  return 'file://' + filename
+}
@@ -15,13 +15,14 @@ const AccountRecovery = require('./account-recovery')
 const capabilityDiscovery = require('./capability-discovery')
 const bodyParser = require('body-parser')
 const API = require('./api')
+const trash = require('./trash')
 var authentication = require('./handlers/authentication')
 
 var corsSettings = cors({
   methods: [
-    'OPTIONS', 'HEAD', 'GET', 'PATCH', 'POST', 'PUT', 'DELETE'
+    'OPTIONS', 'HEAD', 'GET', 'PATCH', 'POST', 'PUT', 'DELETE', 'MOVE'
   ],
-  exposedHeaders: 'User, Location, Link, Vary, Last-Modified, ETag, Accept-Patch, Accept-Post, Updates-Via, Allow, Content-Length',
+  exposedHeaders: 'User, Location, Link, Vary, Last-Modified, ETag, Memento-Datetime, Accept-Patch, Accept-Post, Updates-Via, Allow, Content-Length, Upload-Offset, Upload-Length',
   credentials: true,
   maxAge: 1728000,
   origin: true,
@@ -54,6 +55,11 @@ function createApp (argv = {}) {
     })
   }
 
+  // Purge expired trash items on startup and then periodically
+  if (ldp.trash) {
+    trash.schedulePurge(ldp)
+  }
+
   // Setting options as local variable
   app.locals.ldp = ldp
   app.locals.appUrls = argv.apps // used for service capability discovery
@@ -85,7 +91,7 @@ function createApp (argv = {}) {
 
   // Set default Allow methods
   app.use(function (req, res, next) {
-    res.set('Allow', 'OPTIONS, HEAD, GET, PATCH, POST, PUT, DELETE')
+    res.set('Allow', 'OPTIONS, HEAD, GET, PATCH, POST, PUT, DELETE, MOVE')
     next()
   })
 
@@ -99,6 +105,30 @@ function createApp (argv = {}) {
     proxy(app, ldp.proxy)
   }
 
+  // adds GET /api/accounts/quota
+  app.get('/api/accounts/quota', authentication, API.accounts.quota())
+  // adds GET, DELETE /api/accounts/trash
+  // adds POST, DELETE /api/accounts/trash/:id
+  app.use('/api/accounts/trash', authentication, API.accounts.trash())
+  // adds GET /api/cache
+  app.get('/api/cache', authentication, API.cache.stats())
+  // adds GET /api/fragments
+  app.get('/api/fragments', authentication, API.fragments.fragments())
+  // adds GET /api/search
+  app.get('/api/search', authentication, API.search.search())
+  // adds GET, POST /api/sparql
+  app.get('/api/sparql', authentication, API.sparql.query())
+  app.post('/api/sparql', authentication,
+    bodyParser.text({ type: 'application/sparql-query' }),
+    bodyParser.urlencoded({ extended: false }), API.sparql.query())
+  // adds POST /api/uploads
+  // adds GET, PATCH, POST, DELETE /api/uploads/:id
+  app.post('/api/uploads', authentication, bodyParser.json(), API.uploads.create())
+  app.get('/api/uploads/:id', authentication, API.uploads.status())
+  app.patch('/api/uploads/:id', authentication, API.uploads.append())
+  app.post('/api/uploads/:id', authentication, API.uploads.finish())
+  app.delete('/api/uploads/:id', authentication, API.uploads.abort())
+
   if (ldp.webid) {
     var accountRecovery = AccountRecovery({ redirect: '/' })
     // adds GET /api/accounts/recover
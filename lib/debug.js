@@ -12,3 +12,5 @@ exports.subscription = debug('solid:subscription')
 exports.container = debug('solid:container')
 exports.idp = debug('solid:idp')
 exports.ldp = debug('solid:ldp')
+exports.cache = debug('solid:cache')
+exports.search = debug('solid:search')
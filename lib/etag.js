@@ -0,0 +1,82 @@
+module.exports.fromStats = fromStats
+module.exports.fromData = fromData
+module.exports.forType = forType
+module.exports.matches = matches
+
+var crypto = require('crypto')
+
+/**
+ * Returns a strong entity tag for a stored resource, derived from its size,
+ * modification time and file identifier (so that computing it doesn't
+ * require reading it). Writes replace the file with a new one (see
+ * `LDP.replace()`), which gets a new identifier: writes of the same size
+ * within one tick of the clock still get different tags.
+ * @method fromStats
+ * @param stats {Object} Stats object returned by the storage backend
+ * @return {String} Quoted entity tag
+ */
+function fromStats (stats) {
+  var mtime = stats.mtimeMs !== undefined ? stats.mtimeMs : stats.mtime.getTime()
+  return quote(hash(stats.size + '-' + mtime + '-' + (stats.ino || 0)))
+}
+
+/**
+ * Returns a strong entity tag for a generated representation, such as a
+ * container listing.
+ * @method fromData
+ * @param data {String|Buffer}
+ * @return {String} Quoted entity tag
+ */
+function fromData (data) {
+  return quote(hash(data))
+}
+
+/**
+ * Returns the entity tag of the representation of a resource translated into
+ * another content type, which has to differ from the stored one.
+ * @method forType
+ * @param etag {String} Entity tag of the stored representation
+ * @param contentType {String} Content type of the translated representation
+ * @return {String} Quoted entity tag
+ */
+function forType (etag, contentType) {
+  return quote(hash(etag + contentType))
+}
+
+/**
+ * Tests whether an `If-Match` or `If-None-Match` header value matches an
+ * entity tag.
+ * @method matches
+ * @param header {String} List of entity tags, or `*`
+ * @param etag {String} Current entity tag, undefined if the resource is missing
+ * @param [weak] {Boolean} Use the weak comparison function (ignores `W/`)
+ * @return {Boolean}
+ */
+function matches (header, etag, weak) {
+  if (!etag) {
+    return false
+  }
+  if (header.trim() === '*') {
+    return true
+  }
+  return header.split(',')
+    .map(function (tag) { return tag.trim() })
+    .some(function (tag) {
+      if (weak) {
+        return stripWeak(tag) === stripWeak(etag)
+      }
+      return tag.indexOf('W/') !== 0 && tag === etag
+    })
+}
+
+function stripWeak (tag) {
+  return tag.indexOf('W/') === 0 ? tag.slice(2) : tag
+}
+
+function hash (data) {
+  return crypto.createHash('md5').update(data).digest('hex')
+}
+
+function quote (tag) {
+  return '"' + tag + '"'
+}
@@ -0,0 +1,134 @@
+'use strict'
+
+const debug = require('./debug').cache
+const utils = require('./utils')
+
+/**
+ * In-process cache of parsed RDF documents, such as the `.acl` resources read
+ * on every request. Entries are keyed by the path of the document in the
+ * storage backend and checked against its modification time and size. The
+ * LDP write and delete paths also invalidate them, since modification times
+ * don't always change on quick successive writes.
+ *
+ * Cached graphs are shared, they must not be modified.
+ * @class GraphCache
+ */
+class GraphCache {
+  /**
+   * @constructor
+   * @param storage {Object} Storage backend (see lib/storage/index.js)
+   * @param [size=1000] {Number} Number of documents kept, 0 to disable
+   */
+  constructor (storage, size) {
+    this.storage = storage
+    this.size = size === undefined ? 1000 : size
+    // Least recently used first
+    this.entries = new Map()
+    this.hits = 0
+    this.misses = 0
+    this.invalidations = 0
+    this.evictions = 0
+  }
+
+  /**
+   * Calls back with the parsed graph of a document, reading it only if it
+   * isn't cached or changed since.
+   * @method get
+   * @param filename {String} Path of the document in the storage backend
+   * @param baseUri {String}
+   * @param contentType {String}
+   * @param callback {Function}
+   */
+  get (filename, baseUri, contentType, callback) {
+    this.storage.stat(filename, (err, stats) => {
+      if (err) {
+        return callback(err)
+      }
+      const entry = this.entries.get(filename)
+      if (entry && entry.baseUri === baseUri &&
+          entry.contentType === contentType &&
+          entry.mtime === stats.mtime.getTime() && entry.size === stats.size) {
+        this.hits++
+        // Most recently used
+        this.entries.delete(filename)
+        this.entries.set(filename, entry)
+        debug('Hit ' + filename + ' (' + this.stats().hitRate + ' hit rate)')
+        return callback(null, entry.graph)
+      }
+      this.misses++
+      debug('Miss ' + filename + ' (' + this.stats().hitRate + ' hit rate)')
+
+      // Changes made while reading invalidate what was read
+      const invalidations = this.invalidations
+      this.storage.readFile(filename, { 'encoding': 'utf8' }, (err, data) => {
+        if (err) {
+          return callback(err)
+        }
+        utils.parse(data, baseUri, contentType, (err, graph) => {
+          if (err) {
+            return callback(err)
+          }
+          if (this.invalidations === invalidations) {
+            this.store(filename, {
+              baseUri: baseUri,
+              contentType: contentType,
+              mtime: stats.mtime.getTime(),
+              size: stats.size,
+              graph: graph
+            })
+          }
+          callback(null, graph)
+        })
+      })
+    })
+  }
+
+  /**
+   * Drops a document, or all the documents of a container, from the cache.
+   * @method invalidate
+   * @param filename {String} Path of the document or container in the
+   *   storage backend
+   */
+  invalidate (filename) {
+    this.invalidations++
+    const directory = filename.endsWith('/') ? filename : filename + '/'
+    for (const key of this.entries.keys()) {
+      if (key === filename || key.startsWith(directory)) {
+        debug('Invalidated ' + key)
+        this.entries.delete(key)
+      }
+    }
+  }
+
+  /**
+   * Returns the metrics of the cache.
+   * @method stats
+   * @return {Object} Numbers of `hits`, `misses`, `invalidations`,
+   *   `evictions` and `entries`, and the `hitRate` (between 0 and 1)
+   */
+  stats () {
+    const lookups = this.hits + this.misses
+    return {
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: lookups ? Math.round(this.hits / lookups * 100) / 100 : 0,
+      invalidations: this.invalidations,
+      evictions: this.evictions,
+      entries: this.entries.size
+    }
+  }
+
+  store (filename, entry) {
+    if (this.size <= 0) {
+      return
+    }
+    this.entries.delete(filename)
+    this.entries.set(filename, entry)
+    if (this.entries.size > this.size) {
+      this.entries.delete(this.entries.keys().next().value)
+      this.evictions++
+    }
+  }
+}
+
+module.exports = GraphCache
@@ -1,9 +1,8 @@
 module.exports.allow = allow
+module.exports.can = can
 
 var ACL = require('../acl-checker')
-var $rdf = require('rdflib')
 var url = require('url')
-var async = require('async')
 var debug = require('../debug').ACL
 var utils = require('../utils')
 
@@ -12,40 +11,53 @@ process.env.NODE_TLS_REJECT_UNAUTHORIZED = '0'
 
 function allow (mode) {
   return function allowHandler (req, res, next) {
-    var ldp = req.app.locals.ldp
-    if (!ldp.webid) {
-      return next()
-    }
-    var baseUri = utils.uriBase(req)
+    var reqPath = res && res.locals && res.locals.path
+      ? res.locals.path
+      : req.path
+    can(req, mode, reqPath, next)
+  }
+}
 
-    var acl = new ACL({
-      debug: debug,
-      fetch: fetchDocument(req.hostname, ldp, baseUri),
-      suffix: ldp.suffixAcl,
-      strictOrigin: ldp.strictOrigin
-    })
+/**
+ * Checks whether the agent of a request has an access mode on a resource,
+ * calling back with an error (401 or 403) if it doesn't.
+ * @method can
+ * @param req {IncomingRequest}
+ * @param mode {String} Access mode, e.g. 'Read' or 'Write'
+ * @param reqPath {String} Path of the resource
+ * @param callback {Function}
+ */
+function can (req, mode, reqPath, callback) {
+  var ldp = req.app.locals.ldp
+  if (!ldp.webid) {
+    return callback()
+  }
+  var baseUri = utils.uriBase(req)
 
-    getUserId(req, function (err, userId) {
-      if (err) return next(err)
+  var acl = new ACL({
+    debug: debug,
+    fetch: fetchDocument(req.hostname, ldp, baseUri),
+    suffix: ldp.suffixAcl,
+    strictOrigin: ldp.strictOrigin
+  })
 
-      var reqPath = res && res.locals && res.locals.path
-        ? res.locals.path
-        : req.path
-      ldp.exists(req.hostname, reqPath, (err, ret) => {
-        if (ret) {
-          var stat = ret.stream
-        }
-        if (!reqPath.endsWith('/') && !err && stat.isDirectory()) {
-          reqPath += '/'
-        }
-        var options = {
-          origin: req.get('origin'),
-          host: req.protocol + '://' + req.get('host')
-        }
-        return acl.can(userId, mode, baseUri + reqPath, next, options)
-      })
+  getUserId(req, function (err, userId) {
+    if (err) return callback(err)
+
+    ldp.exists(req.hostname, reqPath, (err, ret) => {
+      if (ret) {
+        var stat = ret.stream
+      }
+      if (!reqPath.endsWith('/') && !err && stat.isDirectory()) {
+        reqPath += '/'
+      }
+      var options = {
+        origin: req.get('origin'),
+        host: req.protocol + '://' + req.get('host')
+      }
+      return acl.can(userId, mode, baseUri + reqPath, callback, options)
     })
-  }
+  })
 }
 
 /**
@@ -64,32 +76,20 @@ function allow (mode) {
  */
 function fetchDocument (host, ldp, baseUri) {
   return function fetch (uri, callback) {
-    var graph = $rdf.graph()
-    async.waterfall([
-      function readFile (cb) {
-        // If local request, slice off the initial baseUri
-        // S(uri).chompLeft(baseUri).s
-        var newPath = uri.startsWith(baseUri)
-          ? uri.slice(baseUri.length)
-          : uri
-        // Determine the root file system folder to look in
-        // TODO prettify this
-        var root = !ldp.idp ? ldp.root : ldp.root + host + '/'
-        // Derive the file path for the resource
-        var documentPath = utils.uriToFilename(newPath, root)
-        var documentUri = url.parse(documentPath)
-        documentPath = documentUri.pathname
-        return ldp.readFile(documentPath, cb)
-      },
-      function parseFile (body, cb) {
-        try {
-          $rdf.parse(body, graph, uri, 'text/turtle')
-        } catch (err) {
-          return cb(err, graph)
-        }
-        return cb(null, graph)
-      }
-    ], callback)
+    // If local request, slice off the initial baseUri
+    // S(uri).chompLeft(baseUri).s
+    var newPath = uri.startsWith(baseUri)
+      ? uri.slice(baseUri.length)
+      : uri
+    // Determine the root file system folder to look in
+    // TODO prettify this
+    var root = !ldp.idp ? ldp.root : ldp.root + host + '/'
+    // Derive the file path for the resource
+    var documentPath = utils.uriToFilename(newPath, root)
+    var documentUri = url.parse(documentPath)
+    documentPath = documentUri.pathname
+    // Parsed documents are cached (see lib/graph-cache.js)
+    ldp.graphCache.get(documentPath, uri, 'text/turtle', callback)
   }
 }
 
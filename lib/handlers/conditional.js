@@ -0,0 +1,139 @@
+module.exports.check = check
+module.exports.evaluate = evaluate
+module.exports.ifRange = ifRange
+
+var debug = require('../debug').handlers
+var error = require('../http-error')
+var etags = require('../etag')
+var utils = require('../utils')
+
+/**
+ * Checks the preconditions of a request modifying a resource (`If-Match`,
+ * `If-None-Match`, `If-Unmodified-Since`) against the current state of that
+ * resource, calling back with a 412 error if they don't hold.
+ * For example, `If-None-Match: *` makes a PUT create-only.
+ * The caller must hold the lock on the resource (see lib/lock.js) until it
+ * is modified, or a concurrent request could change it in between.
+ * @method check
+ * @param req {IncomingMessage}
+ * @param res {ServerResponse}
+ * @param next {Function}
+ */
+function check (req, res, next) {
+  if (!req.get('If-Match') && !req.get('If-None-Match') &&
+      !req.get('If-Unmodified-Since')) {
+    return next()
+  }
+  var ldp = req.app.locals.ldp
+  var options = {
+    'hostname': req.hostname,
+    'path': res.locals.path || req.path,
+    'baseUri': utils.uriBase(req),
+    'includeBody': false
+  }
+
+  ldp.get(options, function (err, ret) {
+    if (err && err.status !== 404) {
+      return next(err)
+    }
+    // The resource doesn't exist (yet)
+    if (err) {
+      return compare()
+    }
+    if (!ret.container) {
+      return compare(ret.etag, ret.lastModified)
+    }
+    // The entity tag of a container is the one of its (Turtle) listing
+    options.includeBody = true
+    options.possibleRDFType = 'text/turtle'
+    ldp.get(options, function (err, ret) {
+      if (err) {
+        return next(err)
+      }
+      ret.stream.destroy()
+      compare(ret.etag, ret.lastModified)
+    })
+  })
+
+  function compare (etag, lastModified) {
+    if (evaluate(req, etag, lastModified)) {
+      debug(req.method + ' -- Precondition failed, current ETag: ' + etag)
+      return next(error(412, 'Precondition failed'))
+    }
+    next()
+  }
+}
+
+/**
+ * Evaluates the conditional headers of a request against the entity tag and
+ * modification date of the target resource, in the order given by RFC 7232.
+ * @method evaluate
+ * @param req {IncomingMessage}
+ * @param [etag] {String} Current entity tag, undefined if there's no resource
+ * @param [lastModified] {Date} Modification date of the resource
+ * @return {Number} 304 or 412 if the request should not be carried out,
+ *   undefined otherwise
+ */
+function evaluate (req, etag, lastModified) {
+  var safe = req.method === 'GET' || req.method === 'HEAD'
+  var ifMatch = req.get('If-Match')
+  var ifNoneMatch = req.get('If-None-Match')
+  var ifModifiedSince = req.get('If-Modified-Since')
+  var ifUnmodifiedSince = req.get('If-Unmodified-Since')
+
+  if (ifMatch) {
+    if (!etags.matches(ifMatch, etag)) {
+      return 412
+    }
+  } else if (ifUnmodifiedSince &&
+      modifiedSince(lastModified, ifUnmodifiedSince) === true) {
+    return 412
+  }
+
+  if (ifNoneMatch) {
+    if (etags.matches(ifNoneMatch, etag, true)) {
+      return safe ? 304 : 412
+    }
+  } else if (safe && ifModifiedSince &&
+      modifiedSince(lastModified, ifModifiedSince) === false) {
+    return 304
+  }
+}
+
+/**
+ * Evaluates the `If-Range` header of a request: the ranges it asks for are
+ * only sent if the representation is still the one identified by the entity
+ * tag (compared strongly) or modification date given.
+ * @method ifRange
+ * @param req {IncomingMessage}
+ * @param etag {String} Current entity tag
+ * @param lastModified {Date} Modification date of the resource
+ * @return {Boolean} Whether the `Range` header should be honoured
+ */
+function ifRange (req, etag, lastModified) {
+  var value = req.get('If-Range')
+  if (!value) {
+    return true
+  }
+  value = value.trim()
+  if (value[0] === '"' || value.indexOf('W/') === 0) {
+    return etags.matches(value, etag)
+  }
+  var date = Date.parse(value)
+  return !!lastModified && !isNaN(date) &&
+    Math.floor(lastModified.getTime() / 1000) === Math.floor(date / 1000)
+}
+
+/**
+ * Compares a modification date to an HTTP date (one-second resolution).
+ * @method modifiedSince
+ * @private
+ * @return {Boolean} Undefined if either date is missing or invalid
+ */
+function modifiedSince (lastModified, httpDate) {
+  var date = Date.parse(httpDate)
+  if (!lastModified || isNaN(date)) {
+    return undefined
+  }
+  return Math.floor(lastModified.getTime() / 1000) > Math.floor(date / 1000)
+}
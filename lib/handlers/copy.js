@@ -1,16 +1,24 @@
 module.exports = handler
 
+const async = require('async')
+const path = require('path')
+const url = require('url')
+const acl = require('./allow')
 const debug = require('../debug')
 const error = require('../http-error')
 const ldpCopy = require('../ldp-copy')
+const membership = require('../ldp-membership')
 const utils = require('../utils')
 
 /**
- * Handles HTTP COPY requests to import a given resource (specified in the
+ * Handles HTTP COPY requests to copy a given resource (specified in the
  * `Source:` header) to a destination (specified in request path).
- * For the moment, you can copy from public resources only (no auth delegation
- * is implemented), and is mainly intended for use with
- * "Save an external resource to Solid" type apps.
+ * Sources on this server (paths, or URLs of the account) are copied through
+ * the storage backend, containers with everything inside them, provided the
+ * agent can read everything copied and write everything created.
+ * Other URLs are imported over HTTP: for the moment, you can copy from
+ * public resources only (no auth delegation is implemented), which is mainly
+ * intended for use with "Save an external resource to Solid" type apps.
  * @method handler
  */
 function handler (req, res, next) {
@@ -19,18 +27,65 @@ function handler (req, res, next) {
     return next(error(400, 'Source header required'))
   }
   const serverRoot = utils.uriBase(req)
-  const copyFromUrl = serverRoot + copyFrom
   const copyTo = res.locals.path || req.path
-  const copyToPath = utils.reqToPath(req)
-  ldpCopy(copyToPath, copyFromUrl, function (err) {
+  const ldp = req.app.locals.ldp
+  const check = (mode, resourcePath, callback) => acl.can(req, mode, resourcePath, callback)
+
+  if (copyFrom.indexOf(serverRoot + '/') !== 0 && url.parse(copyFrom).protocol) {
+    return ldpCopy(ldp, req.hostname, copyTo, copyFrom, function (err) {
+      if (err) {
+        return done(err)
+      }
+      created(copyTo)
+    })
+  }
+  const copyFromPath = copyFrom.indexOf(serverRoot + '/') === 0
+    ? url.parse(copyFrom.slice(serverRoot.length)).pathname
+    : copyFrom
+  if (copyFromPath[0] !== '/') {
+    return next(error(400, 'Invalid Source header'))
+  }
+
+  async.waterfall([
+    (cb) => ldpCopy.sources(ldp, req.hostname, copyFromPath, cb),
+    (paths, cb) => async.eachSeries(paths, (resourcePath, next) => {
+      const target = copyTo.replace(/\/?$/, paths[0].endsWith('/') ? '/' : '') +
+        resourcePath.slice(paths[0].length)
+      acl.can(req, 'Read', resourcePath, (err) => {
+        if (err) {
+          return next(err)
+        }
+        acl.can(req, 'Write', target, next)
+      })
+    }, (err) => cb(err)),
+    (cb) => membership.authorize(ldp, req.hostname, serverRoot, parentPath(copyTo), check, cb),
+    (cb) => ldpCopy.copyLocal(ldp, req.hostname, copyTo, copyFromPath, serverRoot, cb),
+    (copyToPath, cb) => {
+      membership.add(ldp, req.hostname, serverRoot, copyToPath, check, (err) => {
+        cb(err && (err.status ? err : error(err, 'Failed to update the membership resource')), copyToPath)
+      })
+    }
+  ], (err, copyToPath) => {
     if (err) {
-      let statusCode = err.statusCode || 500
-      let errorMessage = err.statusMessage || err.message
-      debug.handlers('Error with COPY request:' + errorMessage)
-      return next(error(statusCode, errorMessage))
+      return done(err)
     }
-    res.set('Location', copyTo)
+    created(copyToPath)
+  })
+
+  function done (err) {
+    let statusCode = err.statusCode || err.status || 500
+    let errorMessage = err.statusMessage || err.message
+    debug.handlers('Error with COPY request:' + errorMessage)
+    return next(error(statusCode, errorMessage))
+  }
+
+  function created (copyToPath) {
+    res.set('Location', copyToPath)
     res.sendStatus(201)
     return next()
-  })
+  }
+}
+
+function parentPath (resourcePath) {
+  return path.posix.dirname(resourcePath.replace(/\/$/, ''))
 }
@@ -1,18 +1,142 @@
 module.exports = handler
 
+var async = require('async')
+var path = require('path')
 var debug = require('../debug').handlers
+var acl = require('./allow')
+var conditional = require('./conditional')
+var error = require('../http-error')
+var lock = require('../lock')
+var membership = require('../ldp-membership')
+var isReserved = require('../reserved').isReserved
+var utils = require('../utils')
 
 function handler (req, res, next) {
   debug('DELETE -- Request on' + req.originalUrl)
 
+  if ((req.get('Depth') || '').toLowerCase() === 'infinity') {
+    return deleteRecursive(req, res, next)
+  }
+  deleteOne(req, res, next)
+}
+
+function deleteOne (req, res, next) {
   var ldp = req.app.locals.ldp
-  ldp.delete(req.hostname, req.path, function (err) {
+  locked(req, res, function (callback) {
+    ldp.delete(req.hostname, req.path, callback)
+  }, function (err) {
     if (err) {
       debug('DELETE -- Failed to delete: ' + err)
       return next(err)
     }
     debug('DELETE -- Ok.')
-    res.sendStatus(200)
-    return next()
+    removeMember(req, function (err) {
+      if (err) {
+        return next(err)
+      }
+      res.sendStatus(200)
+      return next()
+    })
+  })
+}
+
+// Runs a deletion holding the lock on the target of the request, if the
+// preconditions of the request hold (see lib/handlers/conditional.js)
+function locked (req, res, fn, callback) {
+  var ldp = req.app.locals.ldp
+  var root = !ldp.idp ? ldp.root : ldp.root + req.hostname + '/'
+  lock(utils.uriToFilename(req.path, root), function (release) {
+    var done = function (err, result) {
+      release()
+      callback(err, result)
+    }
+    conditional.check(req, res, function (err) {
+      if (err) {
+        return done(err)
+      }
+      fn(done)
+    })
+  })
+}
+
+// Removes the membership triples of a deleted member of a Direct or Indirect
+// Container (see lib/ldp-membership.js)
+function removeMember (req, callback) {
+  var ldp = req.app.locals.ldp
+  var check = function (mode, resourcePath, callback) {
+    acl.can(req, mode, resourcePath, callback)
+  }
+  membership.remove(ldp, req.hostname, utils.uriBase(req), req.path, check, function (err) {
+    callback(err && (err.status ? err : error(err, 'Failed to update the membership resource')))
+  })
+}
+
+/**
+ * Deletes a container with everything inside it, as requested with a
+ * `Depth: infinity` header. The agent needs Write access to every resource
+ * in the container (and Control access to its ACLs): if it lacks any, nothing
+ * is deleted. The root container can't be deleted this way, and the version
+ * history, trash and uploads in progress of the account are left alone.
+ * Responds with a JSON report of the `deleted` and `failed` resources, with
+ * a 207 status if some could not be deleted.
+ * @method deleteRecursive
+ */
+function deleteRecursive (req, res, next) {
+  var ldp = req.app.locals.ldp
+  if (path.posix.normalize(req.path) === '/') {
+    return next(error(403, "Can't delete the root container"))
+  }
+  ldp.descendants(req.hostname, req.path, function (err, paths) {
+    if (err) {
+      return next(err)
+    }
+    // Not a container, nothing to recurse into
+    if (!paths) {
+      return deleteOne(req, res, next)
+    }
+    paths = paths.filter(function (resourcePath) {
+      return !isReserved(resourcePath)
+    })
+
+    async.mapSeries(paths, function (resourcePath, cb) {
+      acl.can(req, 'Write', resourcePath, function (err) {
+        cb(null, err && {
+          'path': resourcePath,
+          'status': err.status || 500,
+          'message': err.message
+        })
+      })
+    }, function (err, denied) {
+      if (err) {
+        return next(err)
+      }
+      denied = denied.filter(Boolean)
+      if (denied.length) {
+        debug('DELETE -- Denied on ' + denied.length + ' resources, deleting nothing')
+        return res.status(denied[0].status).json({ 'deleted': [], 'failed': denied })
+      }
+
+      locked(req, res, function (callback) {
+        ldp.deleteRecursive(req.hostname, req.path, paths, callback)
+      }, function (err, report) {
+        if (err) {
+          return next(err)
+        }
+        debug('DELETE -- Deleted ' + report.deleted.length + ' resources, ' +
+          report.failed.length + ' failed')
+        var status = report.failed.length ? 207 : 200
+        if (report.deleted.indexOf(req.path.replace(/\/?$/, '/')) < 0) {
+          res.status(status).json(report)
+          return next()
+        }
+        removeMember(req, function (err) {
+          if (err) {
+            return next(err)
+          }
+          res.status(status).json(report)
+          next()
+        })
+      })
+    })
   })
 }
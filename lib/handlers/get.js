@@ -1,26 +1,38 @@
 module.exports = handler
 
-var fs = require('fs')
 var glob = require('glob')
 var _path = require('path')
 var $rdf = require('rdflib')
 var S = require('string')
 var async = require('async')
 var Negotiator = require('negotiator')
+var querystring = require('querystring')
 
 var debug = require('debug')('solid:get')
 var debugGlob = require('debug')('solid:glob')
 var acl = require('./allow')
+var archive = require('../archive')
+var compression = require('../compression')
+var conditional = require('./conditional')
+var contentTypes = require('../content-types')
+var header = require('../header')
+var range = require('../range')
+var isReserved = require('../reserved').isReserved
 
 var utils = require('../utils.js')
 var translate = require('../utils.js').translate
 var error = require('../http-error')
+var etags = require('../etag')
+
+// Query parameters filtering and sorting container listings
+var SELECTION_PARAMS = [ 'prefix', 'type', 'modifiedSince', 'sort' ]
 
 var RDFs = [
   'text/turtle',
   'application/n3',
   'application/nquads',
   'application/n-quads',
+  'application/n-triples',
   'text/n3',
   'application/rdf+xml',
   'application/ld+json',
@@ -53,9 +65,11 @@ function handler (req, res, next) {
     'baseUri': baseUri,
     'includeBody': includeBody,
     'possibleRDFType': possibleRDFType,
-    'range': req.headers.range
+    'page': pagination(req),
+    'select': selection(req)
   }
-  ldp.get(options, function (err, ret) {
+  var get = includeBody ? ldp.get.bind(ldp) : head.bind(null, ldp)
+  get(options, function (err, ret) {
     // use globHandler if magic is detected
     if (err && err.status === 404 && glob.hasMagic(path)) {
       debug('forwarding to glob request')
@@ -72,25 +86,92 @@ function handler (req, res, next) {
       var stream = ret.stream
       var contentType = ret.contentType
       var container = ret.container
-      var contentRange = ret.contentRange
-      var chunksize = ret.chunksize
+    }
+
+    // Download a container with everything inside it as an archive
+    if (container && archive.TYPES[requestedType]) {
+      if (stream) {
+        stream.destroy()
+      }
+      return archiveHandler(req, res, next, path, requestedType)
+    }
+
+    // Link the pages of a paged container listing
+    if (container) {
+      res.vary('Prefer')
+    }
+    if (ret && ret.pages) {
+      var query = Object.assign({}, options.select, { 'size': options.page.size })
+      var pageUri = baseUri + path + '?' + querystring.stringify(query)
+      var rels = ['first', 'prev', 'next', 'last']
+      header.addLink(res, 'http://www.w3.org/ns/ldp#Page', 'type')
+      rels.forEach(function (rel) {
+        var after = ret.pages[rel]
+        if (after !== null) {
+          header.addLink(res, pageUri + (after ? '&after=' + encodeURIComponent(after) : ''), rel)
+        }
+      })
+    }
+
+    var html = requestedType.indexOf('text/html') === 0
+    var dataBrowser = RDFs.indexOf(contentType) >= 0 &&
+      !ldp.suppressDataBrowser && ldp.dataBrowserPath
+
+    // Byte ranges can be requested on stored resources that aren't RDF
+    var rangeable = !container && RDFs.indexOf(contentType) < 0
+    if (rangeable) {
+      res.set('Accept-Ranges', 'bytes')
+    }
+
+    // Set validators of the representation (unless sending a browser app)
+    // and evaluate the request's preconditions against them
+    if (!(html && ((container && ldp.fileBrowser) || dataBrowser))) {
+      var translated = !html && !negotiator.mediaType([contentType])
+      var etag = translated ? etags.forType(ret.etag, possibleRDFType) : ret.etag
+      // Byte ranges are sent as they are stored
+      var coding = rangeable && req.get('Range') ? null
+        : compression.negotiate(req, res, translated ? possibleRDFType : contentType,
+          container || translated ? undefined : ret.size)
+      // (streamed container listings have none, and compressed
+      // representations a weak one)
+      if (ret.etag) {
+        res.set('ETag', coding ? 'W/' + etag : etag)
+      }
+      res.set('Last-Modified', ret.lastModified.toUTCString())
+
+      var status = conditional.evaluate(req, etag, ret.lastModified)
+      if (status) {
+        if (stream) {
+          stream.destroy()
+        }
+        debug(req.method + ' -- Precondition status: ' + status)
+        if (status === 412) {
+          return next(error(412, 'Precondition failed'))
+        }
+        res.sendStatus(304)
+        return next()
+      }
     }
 
     // Till here it must exist
     if (!includeBody) {
       debug('HEAD only')
-      res.sendStatus(200)
+      // The content type a GET would return
+      res.set('Content-Type', negotiator.mediaType([contentType])
+        ? contentType : possibleRDFType)
+      res.status(200).end()
       return next()
     }
 
     // Handle fileBrowser and dataBrowser
-    if (requestedType.indexOf('text/html') === 0) {
+    if (html) {
       if (container && ldp.fileBrowser) {
+        stream.destroy()
         var address = req.protocol + '/' + req.get('host') + req.originalUrl
         return res.redirect(303, ldp.fileBrowser + address)
       }
 
-      if (RDFs.indexOf(contentType) >= 0 && !ldp.suppressDataBrowser && ldp.dataBrowserPath) {
+      if (dataBrowser) {
         res.set('Content-Type', 'text/html')
         var defaultDataBrowser = _path.join(__dirname, '../../static/databrowser.html')
         var dataBrowserPath = ldp.dataBrowserPath === 'default' ? defaultDataBrowser : ldp.dataBrowserPath
@@ -99,7 +180,7 @@ function handler (req, res, next) {
         return
       } else {
         res.setHeader('Content-Type', contentType)
-        return stream.pipe(res)
+        return sendStored()
       }
     }
 
@@ -107,13 +188,7 @@ function handler (req, res, next) {
     if (negotiator.mediaType([contentType])) {
       debug('no translation necessary ' + contentType)
       res.setHeader('Content-Type', contentType)
-      if (contentRange) {
-        var headers = { 'Content-Range': contentRange, 'Accept-Ranges': 'bytes', 'Content-Length': chunksize }
-        res.writeHead(206, headers)
-        return stream.pipe(res)
-      } else {
-        return stream.pipe(res)
-      }
+      return sendStored()
     }
 
     // If it is not in our RDFs we can't even translate,
@@ -130,8 +205,164 @@ function handler (req, res, next) {
       }
       debug(req.originalUrl + ' translating ' + contentType + ' -> ' + possibleRDFType)
       res.setHeader('Content-Type', possibleRDFType)
-      res.send(data)
-      return next()
+      compression.send(res, data, coding, next)
+    })
+
+    // Sends the stored representation, or the byte ranges of it requested
+    // with a `Range` header (unless `If-Range` tells it changed)
+    function sendStored () {
+      var ranges = rangeable && conditional.ifRange(req, ret.etag, ret.lastModified)
+        ? range.parse(req.get('Range'), ret.size)
+        : null
+      if (!ranges) {
+        return compression.pipe(stream, res, coding)
+      }
+      stream.destroy()
+      if (!ranges.length) {
+        res.set('Content-Range', 'bytes */' + ret.size)
+        return next(error(416, 'Range not satisfiable'))
+      }
+      debug(req.method + ' -- Sending ' + ranges.length + ' byte range(s)')
+      var root = !ldp.idp ? ldp.root : ldp.root + req.hostname + '/'
+      var filename = utils.uriToFilename(path, root)
+      range.send(res, ranges, ret.size, contentType, function (start, end) {
+        return ldp.createReadStream(filename, start, end)
+      })
+    }
+  })
+}
+
+/**
+ * Returns the page of a container listing requested with the `size` (and
+ * `after`) query parameters, or with the `max-member-count` preference of
+ * the `Prefer` header. Returns `undefined` for the whole listing.
+ * @method pagination
+ * @private
+ */
+function pagination (req) {
+  var size = req.query.size
+  if (size === undefined) {
+    var preference = /max-member-count="?(\d+)"?/.exec(req.get('Prefer') || '')
+    size = preference && preference[1]
+  }
+  size = parseInt(size, 10)
+  if (!(size > 0)) {
+    return undefined
+  }
+  return { 'size': size, 'after': req.query.after || '' }
+}
+
+/**
+ * Returns the filters and sort order of a container listing requested with
+ * query parameters (see `ldpContainer.selectMembers()`), or `undefined`.
+ * @method selection
+ * @private
+ */
+function selection (req) {
+  var select
+  SELECTION_PARAMS.forEach(function (param) {
+    if (typeof req.query[param] === 'string' && req.query[param]) {
+      select = select || {}
+      select[param] = req.query[param]
+    }
+  })
+  return select
+}
+
+/**
+ * Sends a container with everything inside it that the agent of the request
+ * can read, `.acl` and `.meta` files included, as a zip or tar archive
+ * (`contentType`). The entries are in a folder named after the container.
+ * @method archiveHandler
+ */
+function archiveHandler (req, res, next, path, contentType) {
+  var ldp = req.app.locals.ldp
+  var root = !ldp.idp ? ldp.root : ldp.root + req.hostname + '/'
+  var format = archive.TYPES[contentType]
+  var containerPath = path.endsWith('/') ? path : path + '/'
+  var name = _path.basename(containerPath) || req.hostname
+
+  res.set('Content-Type', contentType)
+  res.set('Content-Disposition', 'attachment; filename="' +
+    name.replace(/["\\]/g, '_') + '.' + format + '"')
+  if (req.method !== 'GET') {
+    res.status(200).end()
+    return next()
+  }
+
+  ldp.descendants(req.hostname, containerPath, function (err, paths) {
+    if (err) {
+      return next(err)
+    }
+    // The version history, trash and uploads in progress of the account
+    // are left out
+    paths = paths.filter(function (resourcePath) {
+      return !isReserved(resourcePath)
+    })
+    async.mapSeries(paths, function (resourcePath, done) {
+      acl.can(req, 'Read', resourcePath, function (err) {
+        done(null, !err)
+      })
+    }, function (err, allowed) {
+      if (err) {
+        return next(err)
+      }
+      paths = [ containerPath ].concat(paths.filter(function (resourcePath, i) {
+        return allowed[i]
+      }))
+      debug('Sending ' + paths.length + ' entries of ' + containerPath + ' as ' + format)
+      var output = archive.pack(format)
+      output.pipe(res)
+      async.eachSeries(paths, function (resourcePath, done) {
+        var filename = utils.uriToFilename(resourcePath, root)
+        ldp.stat(filename, function (err, stats) {
+          // Deleted in the meantime
+          if (err) {
+            return done()
+          }
+          var header = {
+            'name': name + '/' + resourcePath.slice(containerPath.length),
+            'size': stats.size,
+            'mtime': stats.mtime
+          }
+          var source = stats.isDirectory() ? null : ldp.createReadStream(filename)
+          output.entry(header, source, done)
+        })
+      }, function (err) {
+        if (err) {
+          return fail(err)
+        }
+        output.finalize(function (err) {
+          if (err) {
+            fail(err)
+          }
+        })
+      })
+      // Too late for an error status
+      function fail (err) {
+        debug('Failed to send the archive of ' + containerPath + ': ' + err.message)
+        res.destroy()
+      }
+    })
+  })
+}
+
+// Gets what a HEAD request tells of a resource, without reading it or
+// listing the container (which then has no entity tag)
+function head (ldp, options, callback) {
+  ldp.get(options, function (err, ret) {
+    if (err) {
+      return callback(err)
+    }
+    ret.stream = null
+    if (ret.container) {
+      return callback(null, ret)
+    }
+    var root = !ldp.idp ? ldp.root : ldp.root + options.hostname + '/'
+    var filename = utils.uriToFilename(options.path, root)
+    contentTypes.lookup(ldp, filename, function (err, contentType) {
+      ret.contentType = contentType
+      callback(err, ret)
     })
   })
 }
@@ -148,7 +379,11 @@ function globHandler (req, res, next) {
     nodir: true
   }
 
-  glob(filename, globOptions, function (err, matches) {
+  ldp.storage.glob(filename, globOptions, function (err, matches) {
+    // A pattern can match files of the reserved folders without naming them
+    matches = (matches || []).filter(function (match) {
+      return !isReserved(_path.relative(root, match))
+    })
     if (err || matches.length === 0) {
       debugGlob('No files matching the pattern')
       return next(error(404, 'No files matching glob pattern'))
@@ -160,7 +395,7 @@ function globHandler (req, res, next) {
     debugGlob('found matches ' + matches)
     async.each(matches, function (match, done) {
       var baseUri = utils.filenameToBaseUri(match, uri, root)
-      fs.readFile(match, {encoding: 'utf8'}, function (err, fileData) {
+      ldp.readFile(match, function (err, fileData) {
         if (err) {
           debugGlob('error ' + err)
           return done(null)
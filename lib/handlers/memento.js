@@ -0,0 +1,139 @@
+module.exports = handler
+
+var contentTypes = require('../content-types')
+var debug = require('../debug').handlers
+var error = require('../http-error')
+var header = require('../header')
+var utils = require('../utils')
+var versions = require('../versions')
+
+/**
+ * Exposes the version history of resources with the Memento protocol
+ * (RFC 7089), when the `versions` setting is enabled:
+ *
+ *  - each resource is its own TimeGate, negotiating on `Accept-Datetime`
+ *  - `?timemap` returns its TimeMap, in `application/link-format`
+ *  - `?memento=<timestamp>` returns one of its previous versions
+ *
+ * Requests without any of these go on to the GET handler, with `Link`
+ * headers pointing to the TimeGate and TimeMap.
+ * @method handler
+ */
+function handler (req, res, next) {
+  var ldp = req.app.locals.ldp
+  var path = res.locals.path || req.path
+  if (!ldp.versions || path[path.length - 1] === '/') {
+    return next()
+  }
+  var filename = utils.reqToPath(req)
+  var original = utils.uriBase(req) + path
+
+  versions.list(ldp, req.hostname, filename, function (err, timestamps) {
+    if (err) {
+      return next(err)
+    }
+    if (req.query.timemap !== undefined) {
+      return sendTimeMap(req, res, original, timestamps)
+    }
+    if (req.query.memento !== undefined) {
+      return sendMemento(req, res, next, original, filename, timestamps)
+    }
+
+    header.addLink(res, original + '?timemap', 'timemap')
+    header.addLink(res, original, 'timegate')
+    res.vary('Accept-Datetime')
+
+    var datetime = req.get('Accept-Datetime')
+    if (!datetime) {
+      return next()
+    }
+    datetime = Date.parse(datetime)
+    if (isNaN(datetime)) {
+      return next(error(400, 'Invalid Accept-Datetime header'))
+    }
+    ldp.stat(filename, function (err, stats) {
+      // The current state is the closest one
+      if (!err && stats.isFile() && seconds(stats.mtime.getTime()) <= datetime) {
+        return next()
+      }
+      var timestamp = closest(timestamps, datetime)
+      if (!timestamp) {
+        return next()
+      }
+      debug('GET -- Accept-Datetime ' + req.get('Accept-Datetime') +
+        ' selected version ' + timestamp)
+      res.set('Location', original + '?memento=' + timestamp)
+      res.sendStatus(302)
+    })
+  })
+}
+
+function sendTimeMap (req, res, original, timestamps) {
+  var links = [
+    '<' + original + '>; rel="original"',
+    '<' + original + '?timemap>; rel="self"; type="application/link-format"',
+    '<' + original + '>; rel="timegate"'
+  ]
+  timestamps.forEach(function (timestamp, index) {
+    var rel = 'memento'
+    if (index === timestamps.length - 1) {
+      rel = 'last ' + rel
+    }
+    if (index === 0) {
+      rel = 'first ' + rel
+    }
+    links.push('<' + original + '?memento=' + timestamp + '>; rel="' + rel +
+      '"; datetime="' + new Date(timestamp).toUTCString() + '"')
+  })
+  res.set('Content-Type', 'application/link-format')
+  res.send(links.join(',\n') + '\n')
+}
+
+function sendMemento (req, res, next, original, filename, timestamps) {
+  var ldp = req.app.locals.ldp
+  var timestamp = parseInt(req.query.memento, 10)
+  if (timestamps.indexOf(timestamp) === -1) {
+    return next(error(404, 'Version not found'))
+  }
+  // Versions have the content type of the resource
+  contentTypes.lookup(ldp, filename, function (err, contentType) {
+    if (err) {
+      return next(err)
+    }
+    res.set('Content-Type', contentType)
+    res.set('Memento-Datetime', new Date(timestamp).toUTCString())
+    header.addLink(res, original, 'original timegate')
+    header.addLink(res, original + '?timemap', 'timemap')
+    if (req.method === 'HEAD') {
+      return res.status(200).end()
+    }
+    var versionPath = versions.location(ldp, req.hostname, filename, timestamp)
+    ldp.storage.createReadStream(versionPath)
+      .on('error', function (err) {
+        debug('GET -- Error reading version ' + versionPath + ': ' + err)
+        next(error(err, "Can't read version"))
+      })
+      .pipe(res)
+  })
+}
+
+/**
+ * Returns the version that was current at `datetime`, or the first version
+ * if there were none then.
+ * @method closest
+ * @private
+ */
+function closest (timestamps, datetime) {
+  var found = timestamps[0]
+  timestamps.forEach(function (timestamp) {
+    if (seconds(timestamp) <= datetime) {
+      found = timestamp
+    }
+  })
+  return found
+}
+
+// HTTP dates have a resolution of one second
+function seconds (timestamp) {
+  return Math.floor(timestamp / 1000) * 1000
+}
@@ -0,0 +1,75 @@
+module.exports = handler
+
+const async = require('async')
+const path = require('path')
+const url = require('url')
+const acl = require('./allow')
+const debug = require('../debug')
+const error = require('../http-error')
+const ldpMove = require('../ldp-move')
+const membership = require('../ldp-membership')
+const utils = require('../utils')
+
+/**
+ * Handles HTTP MOVE requests, renaming the resource or container in the
+ * request path to the one in the `Destination:` header (a URL of the same
+ * server, or a path). The agent needs Write access to the destination and to
+ * the source, and to everything inside it when moving a container. Responds
+ * with a 201 and the new location.
+ * @method handler
+ */
+function handler (req, res, next) {
+  const destination = req.header('Destination')
+  if (!destination) {
+    return next(error(400, 'Destination header required'))
+  }
+  const parsed = url.parse(destination)
+  if (parsed.hostname && parsed.hostname !== req.hostname) {
+    return next(error(502, 'Resources can only be moved within the same server'))
+  }
+  const sourcePath = res.locals.path || req.path
+  if (!parsed.pathname || parsed.pathname[0] !== '/') {
+    return next(error(400, 'Invalid Destination header'))
+  }
+  // Dot segments would otherwise get around the checks of the destination
+  const destinationPath = path.posix.normalize(parsed.pathname)
+  const ldp = req.app.locals.ldp
+  const baseUri = utils.uriBase(req)
+  const check = (mode, resourcePath, callback) => acl.can(req, mode, resourcePath, callback)
+
+  async.waterfall([
+    (cb) => acl.can(req, 'Write', destinationPath, (err) => cb(err)),
+    (cb) => ldp.descendants(req.hostname, sourcePath, cb),
+    (paths, cb) => async.eachSeries(paths || [], (resourcePath, next) => {
+      acl.can(req, 'Write', resourcePath, next)
+    }, (err) => cb(err)),
+    // Both containers may have a membership resource to update
+    (cb) => membership.authorize(ldp, req.hostname, baseUri, parentPath(sourcePath), check, cb),
+    (cb) => membership.authorize(ldp, req.hostname, baseUri, parentPath(destinationPath), check, cb),
+    (cb) => ldpMove(ldp, req.hostname, sourcePath, destinationPath, baseUri, cb),
+    (movedTo, cb) => {
+      const movedFrom = sourcePath.replace(/\/?$/, movedTo.endsWith('/') ? '/' : '')
+      membership.remove(ldp, req.hostname, baseUri, movedFrom, check, (err) => {
+        if (err) {
+          return cb(err.status ? err : error(err, 'Failed to update the membership resource'))
+        }
+        membership.add(ldp, req.hostname, baseUri, movedTo, check, (err) => {
+          cb(err && (err.status ? err : error(err, 'Failed to update the membership resource')), movedTo)
+        })
+      })
+    }
+  ], (err, movedTo) => {
+    if (err) {
+      debug.handlers('MOVE -- Failed to move ' + sourcePath + ': ' + err.message)
+      return next(err)
+    }
+    debug.handlers('MOVE -- Moved ' + sourcePath + ' to ' + movedTo)
+    res.set('Location', movedTo)
+    res.sendStatus(201)
+    return next()
+  })
+}
+
+function parentPath (resourcePath) {
+  return path.posix.dirname(resourcePath.replace(/\/$/, ''))
+}
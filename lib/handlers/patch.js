@@ -1,15 +1,14 @@
 module.exports = handler
 
-var mime = require('mime-types')
-var fs = require('fs')
 var $rdf = require('rdflib')
+var contentTypes = require('../content-types')
+var conditional = require('./conditional')
 var debug = require('../debug').handlers
 var utils = require('../utils.js')
 var error = require('../http-error')
+var lock = require('../lock')
 const waterfall = require('run-waterfall')
 
-const DEFAULT_CONTENT_TYPE = 'text/turtle'
-
 function handler (req, res, next) {
   req.setEncoding('utf8')
   req.text = ''
@@ -30,47 +29,62 @@ function patchHandler (req, res, next) {
 
   var root = !ldp.idp ? ldp.root : ldp.root + req.hostname + '/'
   var filename = utils.uriToFilename(req.path, root)
-  var targetContentType = mime.lookup(filename) || DEFAULT_CONTENT_TYPE
   var patchContentType = req.get('content-type')
     ? req.get('content-type').split(';')[0].trim() // Ignore parameters
     : ''
   var targetURI = utils.uriAbs(req) + req.originalUrl
 
-  debug('PATCH -- Content-type ' + patchContentType + ' patching target ' + targetContentType + ' <' + targetURI + '>')
+  debug('PATCH -- Content-type ' + patchContentType + ' patching target <' + targetURI + '>')
 
   if (patchContentType === 'application/sparql') {
-    sparql(filename, targetURI, req.text, function (err, result) {
+    conditional.check(req, res, function (err) {
       if (err) {
         return next(err)
       }
-      res.json(result)
-      return next()
+      sparql(ldp, filename, targetURI, req.text, function (err, result) {
+        if (err) {
+          return next(err)
+        }
+        res.json(result)
+        return next()
+      })
     })
   } else if (patchContentType === 'application/sparql-update') {
-    return sparqlUpdate(filename, targetURI, req.text, function (err, patchKB) {
+    var precondition = (callback) => conditional.check(req, res, callback)
+    return sparqlUpdate(ldp, req.hostname, filename, targetURI, req.text, precondition, function (err, patchKB) {
       if (err) {
         return next(err)
       }
 
       // subscription.publishDelta(req, res, patchKB, targetURI)
       debug('PATCH -- applied OK (sync)')
-      res.send('Patch applied OK\n')
-      return next()
+      // Let the client know the entity tag of the patched resource
+      ldp.exists(req.hostname, req.path, function (err, ret) {
+        if (!err && ret.etag) {
+          res.set('ETag', ret.etag)
+        }
+        res.send('Patch applied OK\n')
+        return next()
+      })
     })
   } else {
     return next(error(400, 'Unknown patch content type: ' + patchContentType))
   }
 } // postOrPatch
 
-function sparql (filename, targetURI, text, callback) {
+function sparql (ldp, filename, targetURI, text, callback) {
   debug('PATCH -- parsing query ...')
   var patchURI = targetURI // @@@ beware the triples from the patch ending up in the same place
   var patchKB = $rdf.graph()
   var targetKB = $rdf.graph()
-  var targetContentType = mime.lookup(filename) || DEFAULT_CONTENT_TYPE
   var query = $rdf.SPARQLToQuery(text, false, patchKB, patchURI) // last param not used ATM
 
-  fs.readFile(filename, {encoding: 'utf8'}, function (err, dataIn) {
+  waterfall([
+    (cb) => contentTypes.lookup(ldp, filename, cb),
+    (targetContentType, cb) => ldp.storage.readFile(filename, {encoding: 'utf8'}, (err, dataIn) => {
+      cb(err, targetContentType, dataIn)
+    })
+  ], function (err, targetContentType, dataIn) {
     if (err) {
       return callback(error(404, 'Patch: Original file read error:' + err))
     }
@@ -127,11 +141,12 @@ function sparql (filename, targetURI, text, callback) {
   })
 }
 
-function sparqlUpdate (filename, targetURI, text, callback) {
+// Applies a SPARQL update, if its `precondition` holds (see
+// lib/handlers/conditional.js)
+function sparqlUpdate (ldp, host, filename, targetURI, text, precondition, callback) {
   var patchURI = targetURI // @@@ beware the triples from the patch ending up in the same place
   var patchKB = $rdf.graph()
   var targetKB = $rdf.graph()
-  var targetContentType = mime.lookup(filename) || DEFAULT_CONTENT_TYPE
 
   debug('PATCH -- parsing patch ...')
   var patchObject
@@ -143,22 +158,16 @@ function sparqlUpdate (filename, targetURI, text, callback) {
   }
   debug('PATCH -- reading target file ...')
 
-  waterfall([
-    (cb) => {
-      fs.stat(filename, (err) => {
-        if (!err) return cb()
-
-        fs.writeFile(filename, '', (err) => {
-          if (err) {
-            return cb(error(err, 'Error creating the patch target'))
-          }
-          cb()
-        })
-      })
-    },
-    (cb) => {
-      fs.readFile(filename, {encoding: 'utf8'}, function (err, dataIn) {
-        if (err) {
+  // Nothing else may write to the target between reading and writing it back
+  lock(filename, (release) => waterfall([
+    (cb) => precondition((err) => cb(err)),
+    (cb) => contentTypes.lookup(ldp, filename, cb),
+    (targetContentType, cb) => {
+      ldp.storage.readFile(filename, {encoding: 'utf8'}, function (err, dataIn) {
+        // A missing target is created by the patch
+        if (err && err.code === 'ENOENT') {
+          dataIn = ''
+        } else if (err) {
           return cb(error(500, 'Error reading the patch target'))
         }
 
@@ -184,9 +193,11 @@ function sparqlUpdate (filename, targetURI, text, callback) {
           var data = $rdf.serialize(target, targetKB, targetURI, targetContentType)
           // debug('Writeback data: ' + data)
 
-          fs.writeFile(filename, data, {encoding: 'utf8'}, function (err, data) {
+          // Write back through LDP, so that storage quotas apply
+          ldp.replace(host, filename, utils.stringToStream(data), targetContentType, function (err) {
             if (err) {
-              return cb(error(500, 'Failed to write file back after patch: ' + err))
+              debug('PATCH -- Failed to write file back after patch: ' + err.message)
+              return cb(err)
             }
             debug('PATCH -- applied OK (sync)')
             return cb(null, patchKB)
@@ -194,5 +205,8 @@ function sparqlUpdate (filename, targetURI, text, callback) {
         })
       })
     }
-  ], callback)
+  ], (err, patchKB) => {
+    release()
+    callback(err, patchKB)
+  }))
 }
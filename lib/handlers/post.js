@@ -1,14 +1,28 @@
 module.exports = handler
 
+var async = require('async')
 var Busboy = require('busboy')
 var debug = require('debug')('solid:post')
 var path = require('path')
+var uuid = require('uuid')
+var zlib = require('zlib')
+var acl = require('./allow')
+var archive = require('../archive')
 var header = require('../header')
+var isMember = require('../ldp-container').isMember
+var ldpImport = require('../ldp-import')
+var lock = require('../lock')
+var membership = require('../ldp-membership')
 var patch = require('./patch')
 var error = require('../http-error')
+var utils = require('../utils')
 
 function handler (req, res, next) {
   var ldp = req.app.locals.ldp
+  var root = !ldp.idp ? ldp.root : ldp.root + req.hostname + '/'
+  var check = function (mode, resourcePath, callback) {
+    acl.can(req, mode, resourcePath, callback)
+  }
   var contentType = req.get('content-type')
   debug('content-type is ', contentType)
   // Handle SPARQL(-update?) query
@@ -41,62 +55,263 @@ function handler (req, res, next) {
     }
 
     // Dispatch to the right handler
-    if (req.is('multipart/form-data')) {
-      multi(req, res, next)
-    } else {
-      one(req, res, next)
+    if (req.query.import !== undefined) {
+      return unpack()
     }
+    // Nothing is created unless the agent can add it to the membership
+    // resource of the container (see lib/ldp-membership.js)
+    membership.authorize(ldp, req.hostname, utils.uriBase(req), containerPath, check, function (err) {
+      if (err) {
+        return next(err)
+      }
+      if (req.is('multipart/form-data')) {
+        multi(req, res, next)
+      } else {
+        one(req, res, next)
+      }
+    })
   })
 
+  // Adds the membership triples of a new member of a Direct or Indirect
+  // Container (see lib/ldp-membership.js). Unless it replaced a resource,
+  // the member is deleted again if they can't be added.
+  function addMember (resourcePath, replaced, callback) {
+    membership.add(ldp, req.hostname, utils.uriBase(req), resourcePath, check, function (err) {
+      if (!err) {
+        return callback()
+      }
+      err = err.status ? err : error(err, 'Failed to update the membership resource')
+      if (replaced) {
+        return callback(err)
+      }
+      lock(utils.uriToFilename(resourcePath, root), function (release) {
+        ldp.delete(req.hostname, resourcePath, function (deleteErr) {
+          release()
+          if (deleteErr) {
+            debug('Failed to delete ' + resourcePath + ': ' + deleteErr.message)
+          }
+          callback(err)
+        })
+      })
+    })
+  }
+
+  /**
+   * Stores each file of a multipart request as a new resource of the
+   * container, named after its filename (or with a prefix if that is taken,
+   * as with the Slug of single POSTs). Files named like `.acl` or `.meta`
+   * files fail with a 403. Responds with a JSON report of the
+   * `created` resources (with their `location`) and of the parts that
+   * `failed`: a 201 if all were created, a 207 if only some were, or the
+   * status of the first failure if none were.
+   */
   function multi () {
     debug('receving multiple files')
 
     var busboy = new Busboy({ headers: req.headers })
+    var created = []
+    var failed = []
+    // Paths taken by the parts of this request, which may not be written yet
+    var reserved = []
+    // Files still being written, they are only in place once written fully
+    var pending = 0
+    var finished = false
+    var aborted = false
     busboy.on('file', function (fieldname, file, filename, encoding, mimetype) {
       debug('One file received via multipart: ' + filename)
-      ldp.put(
-        req.hostname,
-        path.join(containerPath, filename),
-        file,
-        function (err) {
+      pending++
+      var part = { 'field': fieldname, 'filename': filename }
+      var name = filename ? path.basename(filename) : ''
+      // Parts must not become the ACL or metadata of other resources
+      if (name && !isMember(ldp, name)) {
+        file.resume()
+        return fail(part, error(403, 'Files cannot be named like .acl or .meta files'))
+      }
+      availablePath(encodeURIComponent(name), function (resourcePath) {
+        ldp.put(req.hostname, resourcePath, file, mimetype, function (err) {
           if (err) {
-            busboy.emit('error', err)
+            // Let the other parts through
+            file.resume()
+            return fail(part, err)
           }
+          addMember(resourcePath, false, function (err) {
+            if (err) {
+              return fail(part, err)
+            }
+            part.location = resourcePath
+            created.push(part)
+            pending--
+            done()
+          })
         })
+      })
     })
     busboy.on('error', function (err) {
-      debug('Error receiving the file: ' + err.message)
-      next(error(500, 'Error receiving the file'))
+      debug('Error receiving the files: ' + err.message)
+      if (aborted) {
+        return
+      }
+      aborted = true
+      next(error(400, 'Error receiving the files'))
     })
 
-    // Handled by backpressure of streams!
     busboy.on('finish', function () {
-      debug('Done storing files')
-      res.sendStatus(200)
-      next()
+      finished = true
+      done()
     })
     req.pipe(busboy)
+
+    function availablePath (slug, callback) {
+      ldp.getAvailablePath(req.hostname, containerPath, slug, function (resourcePath) {
+        if (reserved.indexOf(resourcePath) >= 0) {
+          return availablePath(uuid.v1().split('-')[0] + '-' + slug, callback)
+        }
+        reserved.push(resourcePath)
+        callback(resourcePath)
+      })
+    }
+
+    function fail (part, err) {
+      debug('Failed to store ' + part.filename + ': ' + err.message)
+      part.status = err.status || 500
+      part.message = err.message
+      failed.push(part)
+      pending--
+      done()
+    }
+
+    function done () {
+      if (!finished || pending || aborted) {
+        return
+      }
+      debug('Done storing files, ' + created.length + ' created, ' + failed.length + ' failed')
+      if (!created.length && !failed.length) {
+        return next(error(400, 'No files to store'))
+      }
+      var status = !failed.length ? 201 : created.length ? 207 : failed[0].status
+      if (created.length === 1) {
+        res.set('Location', created[0].location)
+      }
+      res.status(status).json({ 'created': created, 'failed': failed })
+      next()
+    }
+  }
+
+  /**
+   * Unpacks a zip archive or a tarball (possibly gzipped) into the
+   * container, for requests with an `import` query parameter (see
+   * lib/ldp-import.js). Each entry needs Append access to the resource it
+   * creates, or Write access to the one it replaces, and Write access to the
+   * membership resource of its container if any. Responds with a JSON
+   * report of the `created` resources and of the `skipped` entries, with the
+   * same statuses as multipart requests.
+   */
+  function unpack () {
+    var type = req.is([ 'application/zip', 'application/x-tar', 'application/gzip', 'application/x-gzip' ])
+    if (!type) {
+      return next(error(415, 'Only zip and tar archives can be imported'))
+    }
+    var data = req
+    if (/gzip/.test(type)) {
+      data = req.pipe(zlib.createGunzip())
+      req.on('aborted', function () {
+        data.emit('aborted')
+      })
+    }
+    // Entries need Write access to the resources they replace, and also to
+    // the membership resources of their containers
+    var replaced = {}
+    var checkEntry = function (mode, resourcePath, callback) {
+      replaced[resourcePath] = mode === 'Write'
+      check(mode, resourcePath, function (err) {
+        if (err) {
+          return callback(err)
+        }
+        var parent = path.posix.dirname(resourcePath.replace(/\/$/, ''))
+        membership.authorize(ldp, req.hostname, utils.uriBase(req), parent, check, callback)
+      })
+    }
+    ldpImport(ldp, req.hostname, containerPath, data, archive.TYPES[type] || 'tar', checkEntry, function (err, report) {
+      if (err) {
+        return next(err)
+      }
+      var created = []
+      async.eachSeries(report.created, function (entry, done) {
+        addMember(entry.location, replaced[entry.location], function (err) {
+          if (!err) {
+            created.push(entry)
+          } else if (replaced[entry.location]) {
+            // Still in place, and most likely a member already
+            debug('Failed to add ' + entry.location + ' to its container: ' + err.message)
+            created.push(entry)
+          } else {
+            report.skipped.push({ 'name': entry.name, 'status': err.status, 'message': err.message })
+          }
+          done()
+        })
+      }, function () {
+        var skipped = report.skipped
+        debug('Imported ' + created.length + ' entries, skipped ' + skipped.length)
+        if (!created.length && !skipped.length) {
+          return next(error(400, 'Nothing to import'))
+        }
+        var status = !skipped.length ? 201 : created.length ? 207 : skipped[0].status
+        res.status(status).json({ 'created': created, 'skipped': skipped })
+        next()
+      })
+    })
   }
 
   function one () {
     debug('Receving one file')
     var linkHeader = header.parseMetadataFromHeader(req.get('Link'))
+    if (linkHeader.isDirectContainer || linkHeader.isIndirectContainer) {
+      return membershipContainer(linkHeader)
+    }
+    create(req, linkHeader.isBasicContainer, linkHeader)
+  }
+
+  // Direct and Indirect Containers are only created with the triples
+  // describing their membership
+  function membershipContainer (linkHeader) {
+    var type = linkHeader.isIndirectContainer ? 'IndirectContainer' : 'DirectContainer'
+    var data = ''
+    req.setEncoding('utf8')
+    req.on('data', function (chunk) {
+      data += chunk
+    })
+    req.on('end', function () {
+      membership.validate(ldp, utils.uriBase(req), containerPath, type, data, function (err) {
+        if (err) {
+          return next(err)
+        }
+        create(utils.stringToStream(data), true, linkHeader)
+      })
+    })
+  }
+
+  function create (stream, container, linkHeader) {
     var slug = req.get('Slug')
     ldp.post(
       req.hostname,
       containerPath,
       slug,
-      req,
-      linkHeader.isBasicContainer,
+      stream,
+      container,
       function (err, resourcePath) {
         if (err) {
           return next(err)
         }
         debug('File stored in ' + resourcePath)
-        header.addLinks(res, linkHeader)
-        res.set('Location', resourcePath)
-        res.sendStatus(201)
-        next()
+        addMember(resourcePath, false, function (err) {
+          if (err) {
+            return next(err)
+          }
+          header.addLinks(res, linkHeader)
+          res.set('Location', resourcePath)
+          res.sendStatus(201)
+          next()
+        })
       })
   }
 }
@@ -1,23 +1,44 @@
 module.exports = handler
 
 var debug = require('debug')('solid:put')
+var conditional = require('./conditional')
+var lock = require('../lock')
+var utils = require('../utils')
 
 function handler (req, res, next) {
   var ldp = req.app.locals.ldp
+  var root = !ldp.idp ? ldp.root : ldp.root + req.hostname + '/'
+  var filename = utils.uriToFilename(req.path, root)
   debug(req.originalUrl)
   res.header('MS-Author-Via', 'SPARQL')
 
-  ldp.put(req.hostname, req.path, req, function (err) {
-    if (err) {
-      debug('error putting the file:' + err.message)
-      err.message = 'Can\'t write file: ' + err.message
-      return next(err)
-    }
+  // The preconditions must still hold when the resource is written
+  lock(filename, function (release) {
+    conditional.check(req, res, function (err) {
+      if (err) {
+        release()
+        return next(err)
+      }
+      ldp.replace(req.hostname, filename, req, req.get('Content-Type') || '', function (err) {
+        if (err) {
+          release()
+          debug('error putting the file:' + err.message)
+          err.message = 'Can\'t write file: ' + err.message
+          return next(err)
+        }
 
-    debug('succeded putting the file')
+        debug('succeded putting the file')
 
-    res.sendStatus(201)
-    return next()
+        // Let the client know the entity tag of what it just wrote
+        ldp.exists(req.hostname, req.path, function (err, ret) {
+          release()
+          if (!err && ret.etag) {
+            res.set('ETag', ret.etag)
+          }
+          res.sendStatus(201)
+          return next()
+        })
+      })
+    })
   })
 }
-
@@ -6,10 +6,12 @@ module.exports.linksHandler = linksHandler
 var li = require('li')
 var path = require('path')
 var S = require('string')
+var membership = require('./ldp-membership')
 var metadata = require('./metadata.js')
 var debug = require('./debug.js')
 var utils = require('./utils.js')
 var error = require('./http-error')
+var isReserved = require('./reserved').isReserved
 
 function addLink (res, value, rel) {
   var oldLink = res.get('Link')
@@ -36,6 +38,9 @@ function addLinks (res, fileMetadata) {
   if (fileMetadata.isDirectContainer) {
     addLink(res, 'http://www.w3.org/ns/ldp#DirectContainer', 'type')
   }
+  if (fileMetadata.isIndirectContainer) {
+    addLink(res, 'http://www.w3.org/ns/ldp#IndirectContainer', 'type')
+  }
 }
 
 function linksHandler (req, res, next) {
@@ -49,23 +54,36 @@ function linksHandler (req, res, next) {
 
     return next(error(404, 'Trying to access metadata file as regular file'))
   }
+  // The version history, trash and uploads in progress of the account
+  if (isReserved(req.path)) {
+    debug.metadata('Trying to access a reserved folder as regular files.')
+
+    return next(error(404, 'Trying to access a reserved folder as regular files'))
+  }
   var fileMetadata = new metadata.Metadata()
-  if (S(filename).endsWith('/')) {
-    fileMetadata.isContainer = true
-    fileMetadata.isBasicContainer = true
-  } else {
+  if (!S(filename).endsWith('/')) {
     fileMetadata.isResource = true
+    return addAllLinks()
   }
+  fileMetadata.isContainer = true
   // Add LDP-required Accept-Post header for OPTIONS request to containers
-  if (fileMetadata.isContainer && req.method === 'OPTIONS') {
+  if (req.method === 'OPTIONS') {
     res.header('Accept-Post', '*/*')
   }
-  // Add ACL and Meta Link in header
-  addLink(res, utils.pathBasename(req.path) + ldp.suffixAcl, 'acl')
-  addLink(res, utils.pathBasename(req.path) + ldp.suffixMeta, 'describedBy')
-  // Add other Link headers
-  addLinks(res, fileMetadata)
-  next()
+  // Direct and Indirect Containers are described by their .meta
+  membership.containerType(ldp, req.hostname, req.path, utils.uriBase(req), function (err, type) {
+    fileMetadata['is' + (!err && type || 'BasicContainer')] = true
+    addAllLinks()
+  })
+
+  function addAllLinks () {
+    // Add ACL and Meta Link in header
+    addLink(res, utils.pathBasename(req.path) + ldp.suffixAcl, 'acl')
+    addLink(res, utils.pathBasename(req.path) + ldp.suffixMeta, 'describedBy')
+    // Add other Link headers
+    addLinks(res, fileMetadata)
+    next()
+  }
 }
 
 function parseMetadataFromHeader (linkHeader) {
@@ -89,6 +107,8 @@ function parseMetadataFromHeader (linkHeader) {
           fileMetadata.isBasicContainer = true
         } else if (parsedLinks[rel] === 'http://www.w3.org/ns/ldp#DirectContainer') {
           fileMetadata.isDirectContainer = true
+        } else if (parsedLinks[rel] === 'http://www.w3.org/ns/ldp#IndirectContainer') {
+          fileMetadata.isIndirectContainer = true
         }
       }
     }
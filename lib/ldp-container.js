@@ -1,26 +1,64 @@
 module.exports.addContainerStats = addContainerStats
 module.exports.addFile = addFile
+module.exports.addFiles = addFiles
 module.exports.addStats = addStats
+module.exports.bufferListing = bufferListing
+module.exports.createListingStream = createListingStream
 module.exports.getMetadataGraph = getMetadataGraph
+module.exports.isMember = isMember
+module.exports.paginate = paginate
 module.exports.readdir = readdir
+module.exports.selectMembers = selectMembers
 
 var $rdf = require('rdflib')
+var async = require('async')
 var debug = require('./debug')
 var error = require('./http-error')
-var fs = require('fs')
+var membership = require('./ldp-membership')
 var ns = require('solid-namespace')($rdf)
 var S = require('string')
+var utils = require('./utils')
 var turtleExtension = '.ttl'
 var mime = require('mime-types')
+var PassThrough = require('stream').PassThrough
+
+// Types that listings can be streamed in (see `createListingStream()`)
+var STREAMABLE_TYPES = [ 'text/turtle', 'application/n-triples' ]
+// Members read at the same time while listing a container
+var READ_CONCURRENCY = 16
+
+// Orders in which members can be sorted (see `selectMembers()`), ties are
+// sorted by name
+var ORDERS = {
+  name: function (a, b) {
+    return compareNames(a.name, b.name)
+  },
+  size: function (a, b) {
+    return KEYS.size(a) - KEYS.size(b)
+  },
+  mtime: function (a, b) {
+    return KEYS.mtime(a) - KEYS.mtime(b)
+  }
+}
+// Numeric sort keys of the other orders than by name
+var KEYS = {
+  size: function (member) {
+    return member.stats.size
+  },
+  mtime: function (member) {
+    return member.stats.mtime.getTime()
+  }
+}
 
 function addContainerStats (ldp, reqUri, filename, resourceGraph, next) {
   ldp.stat(filename, function (err, containerStats) {
     if (!err) {
       addStats(resourceGraph, reqUri, containerStats)
+      // Direct and Indirect Containers are described by their .meta
       resourceGraph.add(
         resourceGraph.sym(reqUri),
         ns.rdf('type'),
-        ns.ldp('BasicContainer'))
+        ns.ldp(membership.typeOf(resourceGraph, resourceGraph.sym(reqUri))))
 
       resourceGraph.add(
         resourceGraph.sym(reqUri),
@@ -31,9 +69,222 @@ function addContainerStats (ldp, reqUri, filename, resourceGraph, next) {
   })
 }
 
-function addFile (ldp, resourceGraph, containerUri, reqUri, uri, container, file, callback) {
+/**
+ * Tells whether a file of a container directory is listed as one of its
+ * members.
+ * @method isMember
+ * @param ldp {LDP}
+ * @param file {String} Name of the file
+ * @return {Boolean}
+ */
+function isMember (ldp, file) {
   // Skip .meta and .acl
   if (S(file).endsWith(ldp.suffixMeta) || S(file).endsWith(ldp.suffixAcl)) {
+    return false
+  }
+  // Skip the files being written (see `LDP.replace()`)
+  return !utils.isTmpFilename(file)
+}
+
+/**
+ * Filters and sorts the members of a container, as requested by the query
+ * parameters of a listing:
+ *
+ *  - `prefix`: only the members whose name starts with it
+ *  - `type`: only the members with this `rdf:type` (a URI), such as the
+ *    types recorded in their metadata
+ *  - `modifiedSince`: only the members modified at or after this date
+ *  - `sort`: `name` (the default), `size` or `mtime`, in descending order
+ *    with a leading `-` (e.g. `-mtime` for the most recent first)
+ *
+ * Since listings are graphs, the order only matters to paged listings.
+ * @method selectMembers
+ * @param ldp {LDP}
+ * @param container {String} Path of the container in the storage backend
+ * @param containerUri {String}
+ * @param files {Array<String>} Names of the files of the container
+ * @param options {Object} Query parameters
+ * @param callback {Function} Called back with the names of the members, and
+ *   their order for `paginate()`: whether it's `descending`, and unless
+ *   sorted by name, the sort `keys` of the members by name
+ */
+function selectMembers (ldp, container, containerUri, files, options, callback) {
+  var sort = options.sort || 'name'
+  var descending = S(sort).startsWith('-')
+  sort = descending ? sort.slice(1) : sort
+  if (!ORDERS.hasOwnProperty(sort)) {
+    return callback(error(400, 'Invalid sort order: ' + options.sort))
+  }
+  if (options.modifiedSince) {
+    var since = new Date(options.modifiedSince)
+    if (isNaN(since.getTime())) {
+      return callback(error(400, 'Invalid modifiedSince date: ' + options.modifiedSince))
+    }
+  }
+
+  files = files.filter(function (file) {
+    return isMember(ldp, file) &&
+      (!options.prefix || S(file).startsWith(options.prefix))
+  })
+  async.map(files, function (file, next) {
+    ldp.stat(container + file, function (err, stats) {
+      if (err) {
+        // File does not exist, skip
+        return next(null, null)
+      }
+      var member = { name: file, stats: stats }
+      if (since && stats.mtime < since) {
+        return next(null, null)
+      }
+      if (!options.type) {
+        return next(null, member)
+      }
+      getTypes(ldp, container, file, stats, containerUri + file, function (types) {
+        next(null, types.indexOf(options.type) >= 0 ? member : null)
+      })
+    })
+  }, function (err, members) {
+    if (err) {
+      return callback(err)
+    }
+    members = members
+      .filter(function (member) {
+        return member
+      })
+      .sort(function (a, b) {
+        var order = ORDERS[sort](a, b) || ORDERS.name(a, b)
+        return descending ? -order : order
+      })
+    var order = { 'descending': descending }
+    if (sort !== 'name') {
+      order.keys = {}
+      members.forEach(function (member) {
+        order.keys[member.name] = KEYS[sort](member)
+      })
+    }
+    callback(null, members.map(function (member) {
+      return member.name
+    }), order)
+  })
+}
+
+/**
+ * Calls back with the URIs of the types of a member, as they are listed.
+ * @method getTypes
+ * @private
+ */
+function getTypes (ldp, container, file, stats, fileUri, callback) {
+  var memberUri = fileUri + (stats.isDirectory() ? '/' : '')
+  var types = [ ns.ldp('Resource').uri ]
+  if (stats.isDirectory()) {
+    types.push(ns.ldp('BasicContainer').uri, ns.ldp('Container').uri)
+  }
+  if (mime.lookup(memberUri)) {
+    types.push('http://www.w3.org/ns/iana/media-types/' + mime.lookup(memberUri) + '#Resource')
+  }
+  getMetadataGraph(ldp, metaFilename(ldp, container, file, stats), memberUri, function (err, metadataGraph) {
+    if (err) {
+      return callback(types)
+    }
+    metadataTypes(metadataGraph, memberUri, stats).forEach(function (typeStatement) {
+      types.push(typeStatement.object.uri)
+    })
+    callback(types)
+  })
+}
+
+/**
+ * Selects one page of the members of a container (LDP Paging). Pages are
+ * identified by the position of the member they start after, so that they
+ * stay stable when members are added or removed before them: its name, or
+ * when sorted in another order, its sort key and name as `<key>/<name>`
+ * (names can't hold a `/`).
+ * @method paginate
+ * @param files {Array<String>} Names of the members, in order
+ * @param page {Object} Page `size`, and the position to start `after` (if
+ *   any)
+ * @param [order] {Object} Order of the members, as called back by
+ *   `selectMembers()` (by name by default)
+ * @return {Object} The `files` of the page, and the positions that the
+ *   `first`, `prev`, `next` and `last` pages start after (`''` for the first
+ *   page, `null` if there's no such page)
+ */
+function paginate (files, page, order) {
+  var keys = order && order.keys
+  var descending = order && order.descending
+  var position = function (name) {
+    return keys ? keys[name] + '/' + name : name
+  }
+  var start = 0
+  if (page.after) {
+    var after = keys && /^([^/]*)\/(.*)$/.exec(page.after)
+    var afterKey = after ? parseFloat(after[1]) : NaN
+    var afterName = after ? after[2] : page.after
+    // The first member past that position, which works even if that member
+    // is gone or moved since
+    start = files.length
+    files.some(function (file, index) {
+      var compared = (keys ? keys[file] - afterKey : 0) || compareNames(file, afterName)
+      if (descending ? compared < 0 : compared > 0) {
+        start = index
+        return true
+      }
+    })
+  }
+  var end = start + page.size
+  var last = files.length > 0
+    ? Math.floor((files.length - 1) / page.size) * page.size
+    : 0
+  var startAfter = function (index) {
+    return index > 0 ? position(files[index - 1]) : ''
+  }
+  return {
+    files: files.slice(start, end),
+    first: '',
+    prev: start > 0 ? startAfter(Math.max(start - page.size, 0)) : null,
+    next: end < files.length ? startAfter(end) : null,
+    last: startAfter(last)
+  }
+}
+
+function compareNames (a, b) {
+  return a < b ? -1 : a > b ? 1 : 0
+}
+
+/**
+ * Adds the members of a container to its listing with `addFile()`, reading
+ * them concurrently but adding them in the order of `files`, so that the
+ * listing always comes out the same.
+ * @method addFiles
+ * @param ldp {LDP}
+ * @param resourceGraph {IndexedFormula} Listing of the container
+ * @param containerUri {String}
+ * @param uri {String} Base URI of the server
+ * @param container {String} Path of the container in the storage backend
+ * @param files {Array<String>} Names of the members to list
+ * @param callback {Function}
+ */
+function addFiles (ldp, resourceGraph, containerUri, uri, container, files, callback) {
+  async.mapLimit(files, READ_CONCURRENCY, function (file, next) {
+    var memberGraph = $rdf.graph()
+    addFile(ldp, memberGraph, containerUri, containerUri + file, uri, container, file, function (err) {
+      next(err, memberGraph)
+    })
+  }, function (err, memberGraphs) {
+    if (err) {
+      return callback(err)
+    }
+    memberGraphs.forEach(function (memberGraph) {
+      memberGraph.statements.forEach(function (statement) {
+        resourceGraph.add(statement.subject, statement.predicate, statement.object)
+      })
+    })
+    callback(null)
+  })
+}
+
+function addFile (ldp, resourceGraph, containerUri, reqUri, uri, container, file, callback) {
+  if (!isMember(ldp, file)) {
     return callback(null)
   }
 
@@ -57,12 +308,7 @@ function addFile (ldp, resourceGraph, containerUri, reqUri, uri, container, file
       ns.ldp('contains'),
       resourceGraph.sym(memberUri))
 
-    // Set up a metaFile path
-    var metaFile = container + file +
-      (stats.isDirectory() ? '/' : '') +
-      (S(file).endsWith(turtleExtension) ? '' : ldp.suffixMeta)
-
-    getMetadataGraph(ldp, metaFile, memberUri, function (err, metadataGraph) {
+    getMetadataGraph(ldp, metaFilename(ldp, container, file, stats), memberUri, function (err, metadataGraph) {
       if (err) {
         metadataGraph = $rdf.graph()
       }
@@ -86,26 +332,12 @@ function addFile (ldp, resourceGraph, containerUri, reqUri, uri, container, file
         ns.ldp('Resource'))
 
       // Add type from metadataGraph
-      metadataGraph
-        .statementsMatching(
-          metadataGraph.sym(memberUri),
-          ns.rdf('type'),
-          undefined)
+      metadataTypes(metadataGraph, memberUri, stats)
         .forEach(function (typeStatement) {
-          // If the current is a file and its type is BasicContainer,
-          // This is not possible, so do not infer its type!
-          if (
-            (
-              typeStatement.object.uri !== ns.ldp('BasicContainer').uri &&
-              typeStatement.object.uri !== ns.ldp('Container').uri
-            ) ||
-            !stats.isFile()
-          ) {
-            resourceGraph.add(
-              resourceGraph.sym(reqUri),
-              typeStatement.predicate,
-              typeStatement.object)
-          }
+          resourceGraph.add(
+            resourceGraph.sym(reqUri),
+            typeStatement.predicate,
+            typeStatement.object)
         })
 
       return callback(null)
@@ -113,6 +345,191 @@ function addFile (ldp, resourceGraph, containerUri, reqUri, uri, container, file
   })
 }
 
+function metaFilename (ldp, container, file, stats) {
+  return container + file +
+    (stats.isDirectory() ? '/' : '') +
+    (S(file).endsWith(turtleExtension) ? '' : ldp.suffixMeta)
+}
+
+function metadataTypes (metadataGraph, memberUri, stats) {
+  return metadataGraph
+    .statementsMatching(
+      metadataGraph.sym(memberUri),
+      ns.rdf('type'),
+      undefined)
+    .filter(function (typeStatement) {
+      // If the current is a file and its type is BasicContainer,
+      // This is not possible, so do not infer its type!
+      return (
+        typeStatement.object.uri !== ns.ldp('BasicContainer').uri &&
+        typeStatement.object.uri !== ns.ldp('Container').uri
+      ) ||
+      !stats.isFile()
+    })
+}
+
+/**
+ * Returns a stream of the listing of a container, writing the statements
+ * about each member as soon as they are read, so that the listing of a huge
+ * container is never held in memory. Returns `undefined` if the listing
+ * can't be streamed in `contentType` (only Turtle and N-Triples can).
+ * @method createListingStream
+ * @param ldp {LDP}
+ * @param containerGraph {IndexedFormula} Statements about the container
+ * @param containerUri {String}
+ * @param uri {String} Base URI of the server
+ * @param container {String} Path of the container in the storage backend
+ * @param files {Array<String>} Names of the members to list
+ * @param contentType {String}
+ * @return {Stream}
+ */
+function createListingStream (ldp, containerGraph, containerUri, uri, container, files, contentType) {
+  if (STREAMABLE_TYPES.indexOf(contentType) < 0) {
+    return undefined
+  }
+  var stream = new PassThrough()
+  // Writers waiting for the client to catch up, or to go away
+  var waiting = []
+  function resume () {
+    waiting.splice(0).forEach(function (callback) {
+      callback(null)
+    })
+  }
+  stream.on('drain', resume)
+  stream.on('close', resume)
+
+  function write (graph, callback) {
+    if (stream.destroyed) {
+      return callback(new Error('Listing closed by the client'))
+    }
+    var data = graph.statements.map(function (statement) {
+      return toTriple(statement, containerUri, contentType) + '\n'
+    }).join('')
+    if (stream.write(data)) {
+      return callback(null)
+    }
+    waiting.push(callback)
+  }
+
+  // Members are read concurrently, but written in the order of `files`, so
+  // that the listing always comes out the same
+  var read = []
+  var written = 0
+  var writing = false
+  function writeNext () {
+    if (writing || !read[written]) {
+      return
+    }
+    var member = read[written]
+    read[written] = null
+    writing = true
+    write(member.graph, function (err) {
+      writing = false
+      written++
+      member.callback(err)
+      writeNext()
+    })
+  }
+
+  write(containerGraph, function () {
+    var index = 0
+    async.eachLimit(files, READ_CONCURRENCY, function (file, next) {
+      var position = index++
+      var memberGraph = $rdf.graph()
+      addFile(ldp, memberGraph, containerUri, containerUri + file, uri,
+        container, file, function (err) {
+          if (err) {
+            return next(err)
+          }
+          read[position] = { graph: memberGraph, callback: next }
+          writeNext()
+        })
+    }, function (err) {
+      if (stream.destroyed) {
+        return
+      }
+      if (err) {
+        debug.handlers('GET -- Error listing container: ' + err)
+        return stream.emit('error', error(500, "Can't list container"))
+      }
+      stream.end()
+    })
+  })
+  return stream
+}
+
+/**
+ * Returns a statement as a line of N-Triples, or of Turtle (with the URIs
+ * relative to the container, as in the listings serialized by rdflib).
+ * @method toTriple
+ * @private
+ */
+function toTriple (statement, containerUri, contentType) {
+  return [ statement.subject, statement.predicate, statement.object ]
+    .map(function (term) {
+      if (contentType === 'text/turtle' && term.termType === 'NamedNode' &&
+          S(term.uri).startsWith(containerUri)) {
+        return '<' + term.uri.slice(containerUri.length) + '>'
+      }
+      return term.toNT()
+    })
+    .join(' ') + ' .'
+}
+
+/**
+ * Reads the beginning of a listing, up to `limit` bytes. Calls back with
+ * the whole listing if it's shorter, so that it can get an entity tag, or
+ * else with a stream of the listing from its beginning.
+ * @method bufferListing
+ * @param listing {Stream}
+ * @param limit {Number} In bytes
+ * @param callback {Function} Called with an error, the listing if complete,
+ *   and a stream of the listing
+ */
+function bufferListing (listing, limit, callback) {
+  var chunks = []
+  var size = 0
+
+  function stop () {
+    listing.removeListener('data', onData)
+    listing.removeListener('end', onEnd)
+    listing.removeListener('error', onError)
+  }
+  function onData (chunk) {
+    chunks.push(chunk)
+    size += chunk.length
+    if (size <= limit) {
+      return
+    }
+    listing.pause()
+    stop()
+    var stream = new PassThrough()
+    chunks.forEach(function (chunk) {
+      stream.write(chunk)
+    })
+    listing.on('error', function (err) {
+      stream.emit('error', err)
+    })
+    stream.on('close', function () {
+      listing.destroy()
+    })
+    listing.pipe(stream)
+    callback(null, null, stream)
+  }
+  function onEnd () {
+    stop()
+    var data = Buffer.concat(chunks).toString()
+    callback(null, data, utils.stringToStream(data))
+  }
+  function onError (err) {
+    stop()
+    callback(err)
+  }
+  listing.on('data', onData)
+  listing.on('end', onEnd)
+  listing.on('error', onError)
+}
+
 function addStats (resourceGraph, reqUri, stats) {
   resourceGraph.add(
     resourceGraph.sym(reqUri),
@@ -139,9 +556,9 @@ function addStats (resourceGraph, reqUri, stats) {
   }
 }
 
-function readdir (filename, callback) {
+function readdir (ldp, filename, callback) {
   debug.handlers('GET -- Reading directory')
-  fs.readdir(filename, function (err, files) {
+  ldp.storage.readdir(filename, function (err, files) {
     if (err) {
       debug.handlers('GET -- Error reading files: ' + err)
       return callback(error(err, 'Can\'t read container'))
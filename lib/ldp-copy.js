@@ -1,65 +1,156 @@
 module.exports = copy
+module.exports.copyLocal = copyLocal
+module.exports.sources = sources
 
+const async = require('async')
+const contentTypes = require('./content-types')
 const debug = require('./debug')
-const fs = require('fs')
-const mkdirp = require('fs-extra').mkdirp
-const path = require('path')
+const error = require('./http-error')
+const PassThrough = require('stream').PassThrough
 const request = require('request')
-
-/**
- * Cleans up a file write stream (ends stream, deletes the file).
- * @method cleanupFileStream
- * @private
- * @param stream {WriteStream}
- */
-function cleanupFileStream (stream) {
-  let streamPath = stream.path
-  stream.destroy()
-  fs.unlinkSync(streamPath)
-}
+const isReserved = require('./reserved').isReserved
+const rewrite = require('./ldp-move').rewrite
+const utils = require('./utils')
 
 /**
  * Performs an LDP Copy operation, imports a remote resource to a local path.
+ * The resource is written with `ldp.put()`, so storage quotas apply.
+ * @param ldp {LDP} LDP instance
+ * @param host {String} Hostname of the account to copy into
  * @param copyToPath {String} Local path to copy the resource into
  * @param copyFromUri {String} Location of remote resource to copy from
  * @param callback {Function} Node error callback
  */
-function copy (copyToPath, copyFromUri, callback) {
-  mkdirp(path.dirname(copyToPath), function (err) {
-    if (err) {
-      debug.handlers('COPY -- Error creating destination directory: ' + err)
-      return callback(
-        new Error('Failed to create the path to the destination resource: ' +
-          err))
-    }
-    var destinationStream = fs.createWriteStream(copyToPath)
-      .on('error', function (err) {
-        cleanupFileStream(this)
-        return callback(new Error('Error writing data: ' + err))
-      })
-      .on('finish', function () {
+function copy (ldp, host, copyToPath, copyFromUri, callback) {
+  if (isReserved(copyToPath)) {
+    return callback(error(403, "Can't copy into a reserved folder"))
+  }
+  // Buffers the response body until the destination is ready
+  const source = new PassThrough()
+  request.get(copyFromUri)
+    .on('error', function (err) {
+      debug.handlers('COPY -- Error requesting source file: ' + err)
+      this.end()
+      return callback(new Error('Error writing data: ' + err))
+    })
+    .on('response', function (response) {
+      if (response.statusCode !== 200) {
+        debug.handlers('COPY -- HTTP error reading source file: ' +
+          response.statusMessage)
+        this.end()
+        let error = new Error('Error reading source file: ' + response.statusMessage)
+        error.statusCode = response.statusCode
+        return callback(error)
+      }
+      ldp.put(host, copyToPath, source, response.headers['content-type'] || '', function (err) {
+        if (err) {
+          debug.handlers('COPY -- Error writing destination file: ' + err.message)
+          return callback(err)
+        }
         // Success
         debug.handlers('COPY -- Wrote data to: ' + copyToPath)
         callback()
       })
-    request.get(copyFromUri)
-      .on('error', function (err) {
-        debug.handlers('COPY -- Error requesting source file: ' + err)
-        this.end()
-        cleanupFileStream(destinationStream)
-        return callback(new Error('Error writing data: ' + err))
-      })
-      .on('response', function (response) {
-        if (response.statusCode !== 200) {
-          debug.handlers('COPY -- HTTP error reading source file: ' +
-            response.statusMessage)
-          this.end()
-          cleanupFileStream(destinationStream)
-          let error = new Error('Error reading source file: ' + response.statusMessage)
-          error.statusCode = response.statusCode
-          return callback(error)
+    })
+    .pipe(source)
+}
+
+/**
+ * Copies a resource of the account, with its `.acl` and `.meta` files, or a
+ * container with everything inside it, through the storage backend. Files
+ * are written with `ldp.put()`, so storage quotas apply and existing
+ * resources are replaced, but a container is only copied to a new place
+ * (failing with a 412 otherwise). The URIs of the copied Turtle documents are
+ * then rewritten as when moving them (see lib/ldp-move.js), so that relative
+ * URIs keep pointing to the same resources. Nothing is copied into or out of
+ * the version history, trash or uploads of the account (failing with a 403).
+ * @param ldp {LDP} LDP instance
+ * @param host {String} Hostname of the account
+ * @param copyToPath {String} Path to copy the resource into
+ * @param copyFromPath {String} Path of the resource to copy
+ * @param baseUri {String} Base URI of the account
+ * @param callback {Function} Called with the path of the copy (with a
+ *   trailing slash for containers)
+ */
+function copyLocal (ldp, host, copyToPath, copyFromPath, baseUri, callback) {
+  if (isReserved(copyToPath)) {
+    return callback(error(403, "Can't copy into a reserved folder"))
+  }
+  const root = !ldp.idp ? ldp.root : ldp.root + host + '/'
+  sources(ldp, host, copyFromPath, (err, paths) => {
+    if (err) {
+      return callback(err)
+    }
+    const container = paths[0].endsWith('/')
+    copyFromPath = paths[0]
+    if (!container && copyToPath.endsWith('/')) {
+      return callback(error(400, 'Resources can only be copied to resources'))
+    }
+    copyToPath = copyToPath.replace(/\/?$/, container ? '/' : '')
+    if (container && copyToPath.indexOf(copyFromPath) === 0) {
+      return callback(error(409, "Can't copy a container into itself"))
+    }
+    ldp.storage.stat(utils.uriToFilename(copyToPath, root), (err) => {
+      if (container && !err) {
+        return callback(error(412, 'The destination already exists'))
+      }
+      async.eachSeries(paths, (resourcePath, next) => {
+        const target = copyToPath + resourcePath.slice(copyFromPath.length)
+        const filename = utils.uriToFilename(resourcePath, root)
+        if (resourcePath.endsWith('/')) {
+          return ldp.storage.mkdirp(utils.uriToFilename(target, root), (err) => {
+            next(err && error(err, 'Failed to create ' + target))
+          })
+        }
+        contentTypes.lookup(ldp, filename, (err, contentType) => {
+          if (err) {
+            return next(err)
+          }
+          ldp.put(host, target, ldp.createReadStream(filename), contentType, next)
+        })
+      }, (err) => {
+        if (err) {
+          debug.handlers('COPY -- Error copying ' + copyFromPath + ': ' + err.message)
+          return callback(err)
         }
+        debug.handlers('COPY -- Copied ' + copyFromPath + ' to ' + copyToPath)
+        rewrite(ldp, host, baseUri, copyFromPath, copyToPath, (err) => {
+          callback(err, copyToPath)
+        })
       })
-      .pipe(destinationStream)
+    })
+  })
+}
+
+/**
+ * Calls back with the paths of what copying a resource of the account
+ * copies: the resource and its `.acl` and `.meta` files, or a container (with
+ * a trailing slash) and everything inside it. Fails with a 403 for what is in
+ * the version history, trash or uploads of the account.
+ * @param ldp {LDP} LDP instance
+ * @param host {String} Hostname of the account
+ * @param copyFromPath {String} Path of the resource to copy
+ * @param callback {Function}
+ */
+function sources (ldp, host, copyFromPath, callback) {
+  if (isReserved(copyFromPath)) {
+    return callback(error(403, "Can't copy out of a reserved folder"))
+  }
+  ldp.descendants(host, copyFromPath, (err, paths) => {
+    if (err) {
+      return callback(error(404, "Can't find the resource to copy"))
+    }
+    if (paths) {
+      return callback(null, [ copyFromPath.replace(/\/?$/, '/') ].concat(paths))
+    }
+    const root = !ldp.idp ? ldp.root : ldp.root + host + '/'
+    const companions = [ '', ldp.suffixAcl, ldp.suffixMeta ].map((suffix) => {
+      return copyFromPath + suffix
+    })
+    async.mapSeries(companions, (resourcePath, next) => {
+      ldp.storage.stat(utils.uriToFilename(resourcePath, root), (err) => next(null, !err))
+    }, (err, found) => {
+      callback(err, companions.filter((resourcePath, i) => found[i]))
+    })
   })
 }
@@ -0,0 +1,164 @@
+module.exports = importArchive
+
+const async = require('async')
+const mime = require('mime-types')
+const archive = require('./archive')
+const debug = require('./debug')
+const error = require('./http-error')
+const quota = require('./quota')
+const isReserved = require('./reserved').isReserved
+const uploads = require('./uploads')
+const utils = require('./utils')
+
+/**
+ * Unpacks a zip or tar archive into a container, writing each file with
+ * `ldp.put()` (so storage quotas apply, and existing resources are
+ * replaced). The archive is first stored in the uploads folder of the
+ * account (see lib/uploads.js), where it must fit in the space left.
+ *
+ * Entries whose name would take them out of the container, links and the
+ * like, and entries going into the version history, trash or uploads of
+ * the account are skipped. A resource gets the content type recorded in its
+ * `.meta` file if the archive has one, or else the one its extension
+ * implies. `.acl` files are written last, so that all entries are checked
+ * against the access control lists in place before the import.
+ * @param ldp {LDP} LDP instance
+ * @param host {String} Hostname of the account
+ * @param containerPath {String} Path of the container to unpack into
+ * @param stream {Stream} Data of the archive
+ * @param format {String} `zip` or `tar`
+ * @param check {Function} Called with an access mode (`Append` to create a
+ *   resource, `Write` to replace one) and the path of each resource about to
+ *   be written, calling back with an error if that's not allowed
+ * @param callback {Function} Called with a report of the `created` entries
+ *   (with their `name` and `location`) and of the `skipped` ones (with their
+ *   `name`, a `status` and a `message`)
+ */
+function importArchive (ldp, host, containerPath, stream, format, check, callback) {
+  const staged = uploads.stagingFile(ldp, host)
+  const done = (err, report) => {
+    ldp.storage.unlink(staged, () => callback(err, report))
+  }
+  // Including what earlier imports left behind
+  uploads.purgeExpired(ldp, host, () => {
+    quota.available(ldp, host, staged, (err, available) => {
+      if (err) {
+        return callback(error(err, 'Failed to check the storage quota'))
+      }
+      ldp.write(staged, stream, available, (err) => {
+        if (err) {
+          return callback(err)
+        }
+        ldp.stat(staged, (err, stats) => {
+          if (err) {
+            return done(err)
+          }
+          const open = (start, end) => ldp.createReadStream(staged, start, end)
+          archive.list(format, stats.size, open, (err, entries) => {
+            if (err) {
+              return done(err)
+            }
+            debug.handlers('IMPORT -- Unpacking ' + entries.length + ' entries into ' + containerPath)
+            unpack(ldp, host, containerPath, entries, check, done)
+          })
+        })
+      })
+    })
+  })
+}
+
+function unpack (ldp, host, containerPath, entries, check, callback) {
+  const root = !ldp.idp ? ldp.root : ldp.root + host + '/'
+  const names = entries.map((entry) => entry.name)
+  const isAcl = (entry) => entry.name.endsWith(ldp.suffixAcl)
+  const created = []
+  const skipped = []
+  entries = entries.filter((entry) => !isAcl(entry)).concat(entries.filter(isAcl))
+  async.eachSeries(entries, (entry, next) => {
+    const skip = (err) => {
+      debug.handlers('IMPORT -- Skipped ' + entry.name + ': ' + err.message)
+      skipped.push({ 'name': entry.name, 'status': err.status || 500, 'message': err.message })
+      next()
+    }
+    const resourcePath = target(containerPath, entry)
+    if (!resourcePath) {
+      return skip(error(400, 'The entry would go out of the container'))
+    }
+    if (entry.type === 'other') {
+      return skip(error(400, 'Only files and folders can be imported'))
+    }
+    if (isReserved(resourcePath)) {
+      return skip(error(403, 'The entry would go into a reserved folder'))
+    }
+    const directory = entry.type === 'directory'
+    const filename = utils.uriToFilename(resourcePath, root)
+    ldp.storage.stat(filename, (err, stats) => {
+      const exists = !err
+      if (exists && stats.isDirectory() !== directory) {
+        return skip(error(409, 'A ' + (directory ? 'resource' : 'container') +
+          ' already exists at ' + resourcePath))
+      }
+      // Folders only need to be there
+      if (exists && directory) {
+        return next()
+      }
+      check(exists ? 'Write' : 'Append', resourcePath, (err) => {
+        if (err) {
+          return skip(err)
+        }
+        if (directory) {
+          return ldp.storage.mkdirp(filename, (err) => {
+            if (err) {
+              return skip(error(err, 'Failed to create the container'))
+            }
+            created.push({ 'name': entry.name, 'location': resourcePath })
+            next()
+          })
+        }
+        entry.open((err, data) => {
+          if (err) {
+            return skip(err)
+          }
+          ldp.put(host, resourcePath, data, contentType(ldp, entry.name, names), (err) => {
+            if (err) {
+              data.resume()
+              return skip(err)
+            }
+            created.push({ 'name': entry.name, 'location': resourcePath })
+            next()
+          })
+        })
+      })
+    })
+  }, () => {
+    callback(null, { 'created': created, 'skipped': skipped })
+  })
+}
+
+// Path of the resource an entry goes to, or null if the entry's name would
+// take it out of the container
+function target (containerPath, entry) {
+  const name = entry.name.replace(/^(\.\/)+/, '')
+  const directory = entry.type === 'directory'
+  // The container itself, in archives of `.`
+  if (!name && directory) {
+    return containerPath
+  }
+  const segments = name.split('/')
+  if (directory) {
+    segments.pop()
+  }
+  const invalid = !segments.length || segments.some((segment) => {
+    return !segment || segment === '.' || segment === '..' || /[\\\0]/.test(segment)
+  })
+  return invalid ? null : containerPath + segments.join('/') + (directory ? '/' : '')
+}
+
+// Resources with a metadata file in the archive get the content type
+// recorded in it (see lib/content-types.js)
+function contentType (ldp, name, names) {
+  if (utils.hasSuffix(name, ldp.turtleExtensions) || names.indexOf(name + ldp.suffixMeta) >= 0) {
+    return undefined
+  }
+  return mime.lookup(name) || 'application/octet-stream'
+}
@@ -0,0 +1,310 @@
+/**
+ * Membership of LDP Direct and Indirect Containers.
+ *
+ * A container is a Direct Container when its `.meta` file gives it an
+ * `ldp:membershipResource` and an `ldp:hasMemberRelation`, and an Indirect
+ * Container when it also gives it an `ldp:insertedContentRelation`. When a
+ * member is created in one (with POST) or deleted, the membership triples
+ * `<membershipResource> <hasMemberRelation> <member>` are added to or removed
+ * from the membership resource, which must be a Turtle resource of the same
+ * account (or a container, in which case they go in its `.meta` file). For
+ * Indirect Containers, the objects of the triples are the values of the
+ * `insertedContentRelation` of the new member, instead of the member itself.
+ *
+ * The agent adding or removing a member also needs Write access to the
+ * membership resource, which can't be an `.acl` or `.meta` file, or be in the
+ * version history, trash or uploads of the account. Handlers check it with
+ * `authorize()` before changing anything.
+ * @module ldp-membership
+ */
+module.exports.add = add
+module.exports.authorize = authorize
+module.exports.remove = remove
+module.exports.containerType = containerType
+module.exports.typeOf = typeOf
+module.exports.validate = validate
+
+var $rdf = require('rdflib')
+var async = require('async')
+var path = require('path')
+var ns = require('solid-namespace')($rdf)
+var debug = require('./debug').container
+var error = require('./http-error')
+var lock = require('./lock')
+var reserved = require('./reserved')
+var utils = require('./utils')
+
+/**
+ * Returns the LDP type of a container from the statements of its `.meta`
+ * file: `DirectContainer`, `IndirectContainer` or `BasicContainer`.
+ * @method typeOf
+ * @param graph {IndexedFormula}
+ * @param container {NamedNode}
+ * @return {String}
+ */
+function typeOf (graph, container) {
+  var has = function (predicate) {
+    return graph.statementsMatching(container, ns.ldp(predicate)).length > 0
+  }
+  if (!has('membershipResource') || !has('hasMemberRelation')) {
+    return 'BasicContainer'
+  }
+  return has('insertedContentRelation') ? 'IndirectContainer' : 'DirectContainer'
+}
+
+/**
+ * Checks that the Turtle description of a new container (the body of the
+ * POST creating it) has what its requested LDP type needs, and that its
+ * membership resource can be one, calling back with a 400 error if not.
+ * @method validate
+ * @param ldp {LDP}
+ * @param baseUri {String}
+ * @param containerPath {String} Path of the container it is created in
+ * @param type {String} `DirectContainer` or `IndirectContainer`
+ * @param data {String}
+ * @param callback {Function}
+ */
+function validate (ldp, baseUri, containerPath, type, data, callback) {
+  // The name of the new container isn't known yet, but relative IRIs
+  // resolve the same whatever it is
+  var base = baseUri + containerPath.replace(/\/?$/, '/') + 'new-container/'
+  var graph = $rdf.graph()
+  try {
+    $rdf.parse(data, graph, base, 'text/turtle')
+  } catch (err) {
+    return callback(error(400, 'Invalid container description'))
+  }
+  var container = $rdf.sym(base)
+  var found = typeOf(graph, container)
+  if (found !== type && !(found === 'IndirectContainer' && type === 'DirectContainer')) {
+    return callback(error(400, type === 'DirectContainer'
+      ? 'Direct Containers need an ldp:membershipResource and an ldp:hasMemberRelation'
+      : 'Indirect Containers need an ldp:membershipResource, an ldp:hasMemberRelation and an ldp:insertedContentRelation'))
+  }
+  var resource = graph.any(container, ns.ldp('membershipResource'))
+  var docPath = resource.termType === 'NamedNode' && documentPath(baseUri, resource)
+  if (!docPath) {
+    return callback(error(400, 'The membership resource must be in the account'))
+  }
+  if (isReserved(ldp, docPath)) {
+    return callback(error(400, 'The membership resource cannot be ' + docPath))
+  }
+  callback()
+}
+
+/**
+ * Calls back with the LDP type of a container (see `typeOf()`), and its
+ * membership settings (`resource`, `relation` and `inserted`) unless it is a
+ * Basic Container.
+ * @method containerType
+ * @param ldp {LDP}
+ * @param host {String}
+ * @param containerPath {String}
+ * @param baseUri {String}
+ * @param callback {Function}
+ */
+function containerType (ldp, host, containerPath, baseUri, callback) {
+  if (!containerPath.endsWith('/')) {
+    containerPath += '/'
+  }
+  var container = $rdf.sym(baseUri + containerPath)
+  ldp.graph(host, containerPath + ldp.suffixMeta, container.uri, function (err, graph) {
+    if (err) {
+      return callback(null, 'BasicContainer')
+    }
+    var type = typeOf(graph, container)
+    if (type === 'BasicContainer') {
+      return callback(null, type)
+    }
+    callback(null, type, {
+      resource: graph.any(container, ns.ldp('membershipResource')),
+      relation: graph.any(container, ns.ldp('hasMemberRelation')),
+      inserted: graph.any(container, ns.ldp('insertedContentRelation'))
+    })
+  })
+}
+
+/**
+ * Checks, before a member is added to or removed from a container, that the
+ * agent will be able to update its membership resource if it is a Direct or
+ * Indirect Container, calling back with an error if not.
+ * @method authorize
+ * @param ldp {LDP}
+ * @param host {String}
+ * @param baseUri {String}
+ * @param containerPath {String}
+ * @param check {Function} As for `add()`
+ * @param callback {Function}
+ */
+function authorize (ldp, host, baseUri, containerPath, check, callback) {
+  containerType(ldp, host, containerPath, baseUri, function (err, type, settings) {
+    if (err || type === 'BasicContainer') {
+      return callback(err)
+    }
+    var docPath = settings.resource.termType === 'NamedNode' &&
+      documentPath(baseUri, settings.resource)
+    if (!docPath) {
+      return callback()
+    }
+    if (isReserved(ldp, docPath)) {
+      return callback(error(403, 'The membership resource cannot be ' + docPath))
+    }
+    check('Write', docPath, function (err) {
+      callback(err)
+    })
+  })
+}
+
+/**
+ * Adds the membership triples of a new member of a container, if it is a
+ * Direct or Indirect Container.
+ * @method add
+ * @param ldp {LDP}
+ * @param host {String}
+ * @param baseUri {String}
+ * @param memberPath {String}
+ * @param check {Function} Called with an access mode and the path of the
+ *   membership resource, calling back with an error if the agent doesn't
+ *   have that access
+ * @param callback {Function}
+ */
+function add (ldp, host, baseUri, memberPath, check, callback) {
+  var member = $rdf.sym(baseUri + memberPath)
+  containerType(ldp, host, parentPath(memberPath), baseUri, function (err, type, settings) {
+    if (err || type === 'BasicContainer') {
+      return callback(err)
+    }
+    members(ldp, host, member, memberPath, type, settings, function (err, objects) {
+      if (err || !objects.length) {
+        return callback(err)
+      }
+      update(ldp, host, baseUri, settings.resource, check, function (graph) {
+        objects.forEach(function (object) {
+          graph.add(settings.resource, settings.relation, object)
+        })
+      }, callback)
+    })
+  })
+}
+
+/**
+ * Removes the membership triples of a deleted member of a container, if it
+ * is a Direct or Indirect Container.
+ * @method remove
+ * @param ldp {LDP}
+ * @param host {String}
+ * @param baseUri {String}
+ * @param memberPath {String}
+ * @param check {Function} As for `add()`
+ * @param callback {Function}
+ */
+function remove (ldp, host, baseUri, memberPath, check, callback) {
+  var member = baseUri + memberPath
+  containerType(ldp, host, parentPath(memberPath), baseUri, function (err, type, settings) {
+    if (err || type === 'BasicContainer') {
+      return callback(err)
+    }
+    update(ldp, host, baseUri, settings.resource, check, function (graph) {
+      // The objects of Indirect Containers are usually in their member
+      graph.statementsMatching(settings.resource, settings.relation).filter(function (st) {
+        return st.object.termType === 'NamedNode' &&
+          st.object.uri.split('#')[0] === member
+      }).forEach(function (st) {
+        graph.remove(st)
+      })
+    }, callback)
+  })
+}
+
+// Calls back with the objects of the membership triples of a new member
+function members (ldp, host, member, memberPath, type, settings, callback) {
+  if (type === 'DirectContainer' ||
+      settings.inserted.sameTerm(ns.ldp('MemberSubject'))) {
+    return callback(null, [ member ])
+  }
+  ldp.graph(host, memberPath, member.uri, function (err, graph) {
+    if (err) {
+      debug('Membership -- Not adding ' + member.uri + ', not Turtle')
+      return callback(null, [])
+    }
+    callback(null, graph.each(member, settings.inserted))
+  })
+}
+
+// Modifies the membership resource (or the `.meta` file of a container),
+// holding the lock on it
+function update (ldp, host, baseUri, resource, check, modify, callback) {
+  var docPath = resource.termType === 'NamedNode' && documentPath(baseUri, resource)
+  if (!docPath) {
+    debug('Membership -- Not updating ' + resource + ', not in the account')
+    return callback()
+  }
+  // Containers may have been given one by changing their `.meta` file
+  if (isReserved(ldp, docPath)) {
+    return callback(error(403, 'The membership resource cannot be ' + docPath))
+  }
+  var doc = baseUri + docPath
+  var root = !ldp.idp ? ldp.root : ldp.root + host + '/'
+  var filename = utils.uriToFilename(docPath.endsWith('/')
+    ? docPath + ldp.suffixMeta : docPath, root)
+
+  lock(filename, function (release) {
+    var done = function (err) {
+      release()
+      callback(err)
+    }
+    async.waterfall([
+      function (next) {
+        check('Write', docPath, function (err) {
+          next(err)
+        })
+      },
+      function (next) {
+        ldp.storage.readFile(filename, { 'encoding': 'utf8' }, function (err, data) {
+          if (err && err.code !== 'ENOENT') {
+            return next(error(err, "Can't read the membership resource"))
+          }
+          next(null, data || '')
+        })
+      },
+      function (data, next) {
+        var graph = $rdf.graph()
+        try {
+          $rdf.parse(data, graph, doc, 'text/turtle')
+        } catch (err) {
+          return next(error(409, 'The membership resource ' + doc + ' is not Turtle'))
+        }
+        modify(graph)
+        utils.serialize(graph, doc, 'text/turtle', next)
+      },
+      function (data, next) {
+        debug('Membership -- Updating ' + doc)
+        ldp.replace(host, filename, utils.stringToStream(data), 'text/turtle', next)
+      }
+    ], done)
+  })
+}
+
+// Path of the document of a membership resource, or null if it is not in
+// the account
+function documentPath (baseUri, resource) {
+  var doc = resource.uri.split('#')[0]
+  if (doc.indexOf(baseUri + '/') !== 0) {
+    return null
+  }
+  // Dot segments would otherwise be resolved when mapped to a file
+  var docPath = doc.slice(baseUri.length)
+  var normalized = path.posix.normalize(docPath)
+  return docPath.endsWith('/') ? normalized.replace(/\/?$/, '/') : normalized
+}
+
+// Membership triples must not go into access control lists or metadata, or
+// into the history, trash or uploads of the account
+function isReserved (ldp, docPath) {
+  return docPath.endsWith(ldp.suffixAcl) || docPath.endsWith(ldp.suffixMeta) ||
+    reserved.isReserved(docPath)
+}
+
+function parentPath (memberPath) {
+  return path.posix.dirname(memberPath.replace(/\/$/, '')).replace(/\/?$/, '/')
+}
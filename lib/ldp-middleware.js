@@ -12,6 +12,8 @@ var options = require('./handlers/options')
 var patch = require('./handlers/patch')
 var index = require('./handlers/index')
 var copy = require('./handlers/copy')
+var move = require('./handlers/move')
+var memento = require('./handlers/memento')
 var errorPages = require('./handlers/error-pages')
 
 function LdpMiddleware (corsSettings) {
@@ -30,7 +32,8 @@ function LdpMiddleware (corsSettings) {
 
   router.use('/*', authentication)
   router.copy('/*', acl.allow('Write'), copy)
-  router.get('/*', index, acl.allow('Read'), get)
+  router.move('/*', acl.allow('Write'), move)
+  router.get('/*', index, acl.allow('Read'), memento, get)
   router.post('/*', acl.allow('Append'), post)
   router.patch('/*', acl.allow('Write'), patch)
   router.put('/*', acl.allow('Write'), put)
@@ -0,0 +1,270 @@
+/**
+ * Moves (renames) resources and containers within an account, as requested
+ * with MOVE.
+ * @module ldp-move
+ */
+module.exports = move
+module.exports.rewrite = rewrite
+
+const $rdf = require('rdflib')
+const async = require('async')
+const path = require('path')
+const contentTypes = require('./content-types')
+const debug = require('./debug')
+const error = require('./http-error')
+const isMember = require('./ldp-container').isMember
+const isReserved = require('./reserved').isReserved
+const lock = require('./lock')
+const utils = require('./utils')
+
+// Types of the documents whose URIs are rewritten
+const TURTLE_TYPES = [ 'text/turtle', 'text/n3' ]
+
+/**
+ * Moves a resource, with its `.acl` and `.meta` files, or a container with
+ * everything inside it, with a single rename of the storage backend. The
+ * Turtle documents moved then have their URIs pointing into what was moved
+ * rewritten (see `rewrite()`), so that relative URIs still point to the same
+ * resources; if that fails (such as with a 507 once over the quota), what was
+ * moved is renamed back. Fails with a 412 if the destination already exists,
+ * and with a 403 if the source or destination is in the version history,
+ * trash or uploads of the account.
+ * @method move
+ * @param ldp {LDP}
+ * @param host {String}
+ * @param sourcePath {String}
+ * @param destinationPath {String}
+ * @param baseUri {String} Base URI of the account
+ * @param callback {Function} Called with the path of the destination (with a
+ *   trailing slash for containers)
+ */
+function move (ldp, host, sourcePath, destinationPath, baseUri, callback) {
+  if (isReserved(sourcePath) || isReserved(destinationPath)) {
+    return callback(error(403, "Can't move resources into or out of a reserved folder"))
+  }
+  const root = !ldp.idp ? ldp.root : ldp.root + host + '/'
+  const source = utils.uriToFilename(sourcePath, root)
+  ldp.storage.stat(source, (err, stats) => {
+    if (err) {
+      return callback(error(404, "Can't find the resource to move"))
+    }
+    const container = stats.isDirectory()
+    sourcePath = sourcePath.replace(/\/?$/, container ? '/' : '')
+    if (!container && destinationPath.endsWith('/')) {
+      return callback(error(400, 'Resources can only be moved to resources'))
+    }
+    destinationPath = destinationPath.replace(/\/?$/, container ? '/' : '')
+    if (sourcePath === '/') {
+      return callback(error(403, "Can't move the root container"))
+    }
+    if (!isMember(ldp, path.basename(sourcePath)) ||
+        !isMember(ldp, path.basename(destinationPath))) {
+      return callback(error(403, "Can't move .acl and .meta files on their own"))
+    }
+    if (container && destinationPath.indexOf(sourcePath) === 0) {
+      return callback(error(409, "Can't move a container into itself"))
+    }
+    const destination = utils.uriToFilename(destinationPath, root)
+    // Locks are taken in the same order by concurrent moves
+    const keys = [ source, destination ].sort()
+
+    lock(keys[0], (releaseFirst) => {
+      lock(keys[1], (releaseSecond) => {
+        const done = (err) => {
+          releaseSecond()
+          releaseFirst()
+          callback(err, destinationPath)
+        }
+        ldp.storage.stat(destination, (err) => {
+          if (!err) {
+            return done(error(412, 'The destination already exists'))
+          }
+          ldp.storage.mkdirp(path.dirname(destination), (err) => {
+            if (err) {
+              return done(error(err, 'Failed to create the destination container'))
+            }
+            renameAll(ldp, container, source, destination, (err) => {
+              if (err) {
+                return done(error(err, 'Failed to move the resource'))
+              }
+              debug.handlers('MOVE -- Moved ' + source + ' to ' + destination)
+              rewrite(ldp, host, baseUri, sourcePath, destinationPath, (err) => {
+                if (!err) {
+                  return ldp.searchIndex.update(destination, () => done())
+                }
+                debug.handlers('MOVE -- Moving ' + destination + ' back: ' + err.message)
+                renameAll(ldp, container, destination, source, (renameErr) => {
+                  if (renameErr) {
+                    debug.handlers('MOVE -- Failed to move ' + destination + ' back: ' + renameErr.message)
+                    return ldp.searchIndex.update(destination, () => done(err))
+                  }
+                  ldp.searchIndex.update(source, () => done(err))
+                })
+              })
+            })
+          })
+        })
+      })
+    })
+  })
+}
+
+// Renames a resource with its `.acl` and `.meta` files, or a container
+function renameAll (ldp, container, source, destination, callback) {
+  // The .acl and .meta of containers are inside them
+  const suffixes = container ? [ '' ] : [ '', ldp.suffixAcl, ldp.suffixMeta ]
+  async.eachSeries(suffixes, (suffix, next) => {
+    ldp.storage.stat(source + suffix, (err) => {
+      if (err) {
+        return next()
+      }
+      ldp.storage.rename(source + suffix, destination + suffix, next)
+    })
+  }, (err) => {
+    ldp.invalidate(source)
+    ldp.invalidate(destination)
+    ldp.searchIndex.remove(source)
+    callback(err)
+  })
+}
+
+/**
+ * Rewrites the URIs of the Turtle documents at `destinationPath` (a resource
+ * and its `.acl` and `.meta` files, or a container and everything inside it)
+ * that point into `sourcePath`, where they were moved or copied from, to the
+ * same place in `destinationPath`. Documents that can't be parsed are left
+ * as they are. If rewriting one fails, those already rewritten are restored.
+ * @method rewrite
+ * @param ldp {LDP}
+ * @param host {String}
+ * @param baseUri {String} Base URI of the account
+ * @param sourcePath {String}
+ * @param destinationPath {String}
+ * @param callback {Function}
+ */
+function rewrite (ldp, host, baseUri, sourcePath, destinationPath, callback) {
+  const root = !ldp.idp ? ldp.root : ldp.root + host + '/'
+  const container = destinationPath.endsWith('/')
+  const documents = (next) => {
+    if (!container) {
+      return next(null, [ '', ldp.suffixAcl, ldp.suffixMeta ].map((suffix) => {
+        return destinationPath + suffix
+      }))
+    }
+    ldp.descendants(host, destinationPath, (err, paths) => {
+      next(err, (paths || []).filter((documentPath) => !documentPath.endsWith('/')))
+    })
+  }
+  const from = baseUri + sourcePath
+  const to = baseUri + destinationPath
+  const map = (uri) => {
+    if (container) {
+      return uri.indexOf(from) === 0 ? to + uri.slice(from.length) : uri
+    }
+    const document = uri.split('#')[0]
+    const suffix = [ '', ldp.suffixAcl, ldp.suffixMeta ].find((suffix) => {
+      return document === from + suffix
+    })
+    return suffix === undefined ? uri : to + uri.slice(from.length)
+  }
+
+  // Original contents of the documents rewritten
+  const rewritten = []
+  documents((err, paths) => {
+    if (err) {
+      return callback(err)
+    }
+    async.eachSeries(paths, (documentPath, next) => {
+      const filename = utils.uriToFilename(documentPath, root)
+      const relative = documentPath.slice(destinationPath.length)
+      isTurtle(ldp, filename, (turtle) => {
+        if (!turtle) {
+          return next()
+        }
+        lock(filename, (release) => {
+          rewriteDocument(ldp, host, filename, from + relative, to + relative, map, (err, data) => {
+            release()
+            if (data !== undefined) {
+              rewritten.push({ filename: filename, data: data })
+            }
+            next(err)
+          })
+        })
+      })
+    }, (err) => {
+      if (!err) {
+        return callback()
+      }
+      async.eachSeries(rewritten.reverse(), (document, next) => {
+        lock(document.filename, (release) => {
+          ldp.replace(host, document.filename, utils.stringToStream(document.data), undefined, (err) => {
+            release()
+            if (err) {
+              debug.handlers('MOVE -- Failed to restore ' + document.filename + ': ' + err.message)
+            }
+            next()
+          })
+        })
+      }, () => callback(err))
+    })
+  })
+}
+
+// Calls back with whether a file exists and is a Turtle document
+function isTurtle (ldp, filename, callback) {
+  ldp.storage.stat(filename, (err) => {
+    if (err) {
+      return callback(false)
+    }
+    if (utils.hasSuffix(filename, ldp.turtleExtensions)) {
+      return callback(true)
+    }
+    contentTypes.lookup(ldp, filename, (err, contentType) => {
+      callback(!err && TURTLE_TYPES.indexOf(contentType) >= 0)
+    })
+  })
+}
+
+// Calls back with the original contents of the document if it was rewritten
+function rewriteDocument (ldp, host, filename, oldUri, newUri, map, callback) {
+  ldp.storage.readFile(filename, { 'encoding': 'utf8' }, (err, data) => {
+    if (err) {
+      return callback(error(err, "Can't read the moved document"))
+    }
+    const before = $rdf.graph()
+    const after = $rdf.graph()
+    const unchanged = $rdf.graph()
+    try {
+      $rdf.parse(data, before, oldUri, 'text/turtle')
+      $rdf.parse(data, unchanged, newUri, 'text/turtle')
+    } catch (err) {
+      debug.handlers('MOVE -- Not rewriting ' + filename + ': ' + err.message)
+      return callback()
+    }
+    const term = (node) => {
+      return node.termType === 'NamedNode' ? $rdf.sym(map(node.uri)) : node
+    }
+    before.statements.forEach((st) => {
+      after.add(term(st.subject), term(st.predicate), term(st.object))
+    })
+    // Documents that read the same from their new location are kept as is
+    if (sameStatements(after, unchanged)) {
+      return callback()
+    }
+    utils.serialize(after, newUri, 'text/turtle', (err, rewritten) => {
+      if (err) {
+        return callback(error(err, "Can't rewrite the moved document"))
+      }
+      ldp.replace(host, filename, utils.stringToStream(rewritten), undefined, (err) => {
+        callback(err, err ? undefined : data)
+      })
+    })
+  })
+}
+
+function sameStatements (a, b) {
+  const key = (st) => st.subject.toNT() + ' ' + st.predicate.toNT() + ' ' + st.object.toNT()
+  const keys = a.statements.map(key).sort()
+  const others = b.statements.map(key).sort()
+  return keys.length === others.length && keys.every((k, i) => k === others[i])
+}
@@ -1,23 +1,29 @@
-var mime = require('mime-types')
 var path = require('path')
-var fs = require('fs')
 var $rdf = require('rdflib')
 var async = require('async')
 // var url = require('url')
-var mkdirp = require('fs-extra').mkdirp
 var uuid = require('uuid')
 var debug = require('./debug')
 var utils = require('./utils')
 var error = require('./http-error')
+var etags = require('./etag')
 var stringToStream = require('./utils').stringToStream
 var serialize = require('./utils').serialize
 var extend = require('extend')
 var doWhilst = require('async').doWhilst
-var rimraf = require('rimraf')
 var ldpContainer = require('./ldp-container')
-var parse = require('./utils').parse
-
-const DEFAULT_CONTENT_TYPE = 'text/turtle'
+var FileStore = require('./storage/file-store')
+var GraphCache = require('./graph-cache')
+var SearchIndex = require('./search-index')
+var contentTypes = require('./content-types')
+var lock = require('./lock')
+var quota = require('./quota')
+var isReserved = require('./reserved').isReserved
+var trash = require('./trash')
+var versions = require('./versions')
+
+// Size up to which container listings are buffered, to get an entity tag
+var LISTING_BUFFER_SIZE = 256 * 1024
 
 class LDP {
   constructor (argv = {}) {
@@ -40,6 +46,40 @@ class LDP {
     }
     this.turtleExtensions = [ '.ttl', this.suffixAcl, this.suffixMeta ]
 
+    // Storage backend, see lib/storage/index.js for the interface
+    if (!this.storage) {
+      this.storage = new FileStore()
+    }
+
+    // Parsed ACL and RDF documents (see lib/graph-cache.js), and apart from
+    // them those of the SPARQL and fragments dataset (see lib/api/sparql)
+    var graphCacheSize = this.graphCacheSize === undefined
+      ? undefined : parseInt(this.graphCacheSize, 10)
+    this.graphCache = new GraphCache(this.storage, graphCacheSize)
+    this.datasetCache = new GraphCache(this.storage, graphCacheSize)
+
+    // Full-text index of the accounts (see lib/search-index.js)
+    this.searchIndex = new SearchIndex(this)
+
+    // Default storage quota of each account, in bytes (see lib/quota.js)
+    if (this.quota) {
+      this.quota = parseInt(this.quota, 10)
+    }
+    // Bytes used by each account, once counted
+    this.storageUsage = {}
+
+    // Most versions kept of each resource (see lib/versions.js), 0 for all
+    if (this.versions) {
+      this.maxVersions = this.maxVersions === undefined
+        ? 10 : parseInt(this.maxVersions, 10)
+    }
+
+    // Days deleted resources stay in the trash (see lib/trash.js), 0 for ever
+    if (this.trash) {
+      this.trashRetention = this.trashRetention === undefined
+        ? 30 : parseFloat(this.trashRetention)
+    }
+
     // Error pages folder
     this.errorPages = null
     if (!this.noErrorPages) {
@@ -72,6 +112,11 @@ class LDP {
     debug.settings('Suffix Acl: ' + this.suffixAcl)
     debug.settings('Suffix Meta: ' + this.suffixMeta)
     debug.settings('Filesystem Root: ' + this.root)
+    debug.settings('Storage backend: ' + this.storage.constructor.name)
+    debug.settings('Default storage quota: ' + (this.quota || 'none'))
+    debug.settings('Graph cache size: ' + this.graphCache.size)
+    debug.settings('Version history: ' + (this.versions ? (this.maxVersions || 'all') + ' versions' : false))
+    debug.settings('Trash: ' + (this.trash ? this.trashRetention + ' days' : false))
     debug.settings('Allow WebID authentication: ' + !!this.webid)
     debug.settings('Live-updates: ' + !!this.live)
     debug.settings('Identity Provider: ' + !!this.idp)
@@ -83,7 +128,7 @@ class LDP {
   }
 
   stat (file, callback) {
-    fs.stat(file, function (err, stats) {
+    this.storage.stat(file, function (err, stats) {
       if (err) {
         return callback(error(err, "Can't read metadata"))
       }
@@ -92,15 +137,15 @@ class LDP {
   }
 
   createReadStream (filename, start, end) {
-    if (start && end) {
-      return fs.createReadStream(filename, {'start': start, 'end': end})
+    if (start !== undefined && end !== undefined) {
+      return this.storage.createReadStream(filename, {'start': start, 'end': end})
     } else {
-      return fs.createReadStream(filename)
+      return this.storage.createReadStream(filename)
     }
   }
 
   readFile (filename, callback) {
-    fs.readFile(
+    this.storage.readFile(
       filename,
       { 'encoding': 'utf8' },
       function (err, data) {
@@ -127,8 +172,25 @@ class LDP {
     })
   }
 
-  listContainer (filename, reqUri, uri, containerData, contentType, callback) {
+  /**
+   * Lists the members of a container: all of them, or those selected by
+   * `options.select` (see `ldpContainer.selectMembers()`), or only one
+   * `options.page` of them (see `ldpContainer.paginate()`). Calls back with
+   * a stream of the listing serialized in `contentType` (Turtle by default),
+   * and the links to the other pages if paged. Turtle and N-Triples listings
+   * are streamed as the members are read.
+   * @method listContainer
+   */
+  listContainer (filename, reqUri, uri, containerData, contentType, options, callback) {
+    if (typeof options === 'function') {
+      callback = options
+      options = {}
+    }
+    var select = options.select
+    var page = options.page
     var ldp = this
+    var type = utils.serializationType(contentType)
+    var pages
     // var host = url.parse(uri).hostname
     // var root = !ldp.idp ? ldp.root : ldp.root + host + '/'
 
@@ -150,32 +212,53 @@ class LDP {
         },
         // reading directory
         function (next) {
-          ldpContainer.readdir(filename, next)
+          ldpContainer.readdir(ldp, filename, next)
         },
-        // Iterate through all the files
+        // Select the members
         function (files, next) {
-          async.each(
-            files,
-            function (file, cb) {
-              let fileUri = reqUri + file
-              ldpContainer.addFile(ldp, resourceGraph, reqUri, fileUri, uri,
-                filename, file, cb)
-            },
-            next)
+          // The version history, trash and uploads in progress of the
+          // account aren't part of its content
+          if (reqUri === uri + '/') {
+            files = files.filter((file) => !isReserved('/' + file))
+          }
+          if (select) {
+            return ldpContainer.selectMembers(ldp, filename, reqUri, files, select, next)
+          }
+          // Members are listed in a stable order, which pages and the entity
+          // tag of the listing rely on
+          files = files.filter((file) => ldpContainer.isMember(ldp, file)).sort()
+          next(null, files, null)
+        },
+        function (files, order, next) {
+          if (page) {
+            pages = ldpContainer.paginate(files, page, order)
+            files = pages.files
+            delete pages.files
+          }
+          next(null, files)
         }
       ],
-      function (err, data) {
+      function (err, files) {
         if (err) {
-          return callback(error(500, "Can't list container"))
+          return callback(err.status === 400 ? err : error(500, "Can't list container"))
         }
-        // TODO 'text/turtle' is fixed, should be contentType instead
-        // This forces one more translation turtle -> desired
-        serialize(resourceGraph, reqUri, 'text/turtle', function (err, result) {
+        var listing = ldpContainer.createListingStream(ldp, resourceGraph, reqUri, uri,
+          filename, files, type)
+        if (listing) {
+          return callback(null, listing, pages)
+        }
+
+        ldpContainer.addFiles(ldp, resourceGraph, reqUri, uri, filename, files, function (err) {
           if (err) {
-            debug.handlers('GET -- Error serializing container: ' + err)
-            return callback(error(500, "Can't serialize container"))
+            return callback(error(500, "Can't list container"))
           }
-          return callback(null, result)
+          serialize(resourceGraph, reqUri, type, function (err, result) {
+            if (err) {
+              debug.handlers('GET -- Error serializing container: ' + err)
+              return callback(error(500, "Can't serialize container"))
+            }
+            return callback(null, stringToStream(result), pages)
+          })
         })
       })
   }
@@ -199,38 +282,180 @@ class LDP {
         }
       }
       ldp.put(hostname, resourcePath, stream, function (err) {
-        if (err) callback(err)
+        if (err) {
+          return callback(err)
+        }
         callback(null, originalPath)
       })
     })
   }
 
-  put (host, resourcePath, stream, callback) {
+  put (host, resourcePath, stream, contentType, callback) {
     var ldp = this
     var root = !ldp.idp ? ldp.root : ldp.root + host + '/'
     var filePath = utils.uriToFilename(resourcePath, root, host)
+    if (typeof contentType === 'function') {
+      callback = contentType
+      // Requests come with their own content type
+      contentType = stream.headers ? stream.headers['content-type'] || '' : undefined
+    }
+    lock(filePath, function (release) {
+      ldp.replace(host, filePath, stream, contentType, function (err) {
+        release()
+        callback(err)
+      })
+    })
+  }
 
+  /**
+   * Replaces the contents of a file with a stream, like `put()`, but without
+   * taking the lock on the file: the caller must hold it (see lib/lock.js).
+   * The content type is recorded as in lib/content-types.js (`undefined`
+   * keeps the current one).
+   * @method replace
+   */
+  replace (host, filePath, stream, contentType, callback) {
+    var ldp = this
     // PUT requests not supported on containers. Use POST instead
     if (filePath.endsWith('/')) {
       return callback(error(409,
         'PUT not supported on containers, use POST instead'))
     }
-    // First, create the enclosing directory, if necessary
+    // The same goes for existing containers named without the slash
+    ldp.storage.stat(filePath, function (err, stats) {
+      if (!err && stats.isDirectory()) {
+        return callback(error(409,
+          'PUT not supported on containers, use POST instead'))
+      }
+      // First, check how much space is left in the account
+      quota.available(ldp, host, filePath, function (err, available, limit) {
+        if (err) {
+          return callback(error(err, 'Failed to check the storage quota'))
+        }
+        // Refuse requests declaring a body too large right away
+        var length = stream.headers && parseInt(stream.headers['content-length'], 10)
+        if (length > limit) {
+          return callback(error(413, 'Request is larger than the storage quota'))
+        }
+        if (length > available) {
+          return callback(error(507, 'Storage quota exceeded'))
+        }
+
+        // Write to a temporary file first, so that the resource is only
+        // replaced once all the data came in
+        var tmpPath = utils.tmpFilename(filePath)
+        ldp.write(tmpPath, stream, available, function (err) {
+          if (err) {
+            return callback(err)
+          }
+          // Only the administrator sets the quota of the account
+          quota.protect(ldp, host, filePath, tmpPath, function (err) {
+            if (err) {
+              return ldp.storage.unlink(tmpPath, function () {
+                callback(err)
+              })
+            }
+            // Sizes of the new data and of the data it replaces
+            async.map([ tmpPath, filePath ], function (filename, next) {
+              ldp.storage.stat(filename, function (err, stats) {
+                next(null, !err && stats.isFile() ? stats.size : 0)
+              })
+            }, function (err, sizes) {
+              if (err) {
+                return callback(err)
+              }
+              // Keep the current state of the resource in its version history
+              versions.keep(ldp, host, filePath, function (err, versionPath) {
+                if (err) {
+                  return ldp.storage.unlink(tmpPath, function () {
+                    callback(err)
+                  })
+                }
+                ldp.storage.rename(tmpPath, filePath, function (err) {
+                  if (err) {
+                    debug.handlers('PUT -- Error moving data to ' + filePath + ': ' + err)
+                    return versions.discard(ldp, versionPath, function () {
+                      ldp.storage.unlink(tmpPath, function () {
+                        callback(error(err, 'Error writing data'))
+                      })
+                    })
+                  }
+                  debug.handlers('PUT -- Wrote data to: ' + filePath)
+                  quota.update(ldp, filePath, sizes[0] - sizes[1])
+                  ldp.invalidate(filePath)
+                  contentTypes.record(ldp, filePath, contentType, function (err) {
+                    if (err) {
+                      return callback(err)
+                    }
+                    ldp.searchIndex.update(filePath, callback)
+                  })
+                })
+              })
+            })
+          })
+        })
+      })
+    })
+  }
+
+  /**
+   * Writes a stream into a file, creating the enclosing directory if
+   * necessary, and failing with a 507 if more than `available` bytes come in.
+   * The file is removed if the write fails or the request carrying the
+   * stream is aborted.
+   * @method write
+   * @private
+   */
+  write (filePath, stream, available, callback) {
+    var ldp = this
     var dirName = path.dirname(filePath)
-    mkdirp(dirName, (err) => {
+    ldp.storage.mkdirp(dirName, (err) => {
       if (err) {
         debug.handlers('PUT -- Error creating directory: ' + err)
         return callback(error(err,
           'Failed to create the path to the new resource'))
       }
       // Directory created, now write the file
-      var file = stream.pipe(fs.createWriteStream(filePath))
+      var file = ldp.storage.createWriteStream(filePath)
+      var called = false
+      var done = function (err) {
+        if (called) {
+          return
+        }
+        called = true
+        if (!err) {
+          return callback(null)
+        }
+        file.destroy()
+        ldp.storage.unlink(filePath, function () {
+          callback(err)
+        })
+      }
+      // The client went away before sending all the data
+      if (stream.aborted) {
+        return done(error(400, 'Request aborted'))
+      }
+      stream.on('aborted', function () {
+        debug.handlers('PUT -- Request aborted: ' + filePath)
+        done(error(400, 'Request aborted'))
+      })
+      stream.on('error', function (err) {
+        debug.handlers('PUT -- Error reading data: ' + err)
+        done(error(400, 'Error reading data'))
+      })
+      if (available !== Infinity) {
+        stream = stream.pipe(quota.limitStream(available))
+        stream.on('error', function (err) {
+          debug.handlers('PUT -- Storage quota exceeded: ' + filePath)
+          done(err)
+        })
+      }
+      stream.pipe(file)
       file.on('error', function () {
-        callback(error(500, 'Error writing data'))
+        done(error(500, 'Error writing data'))
       })
       file.on('finish', function () {
-        debug.handlers('PUT -- Wrote data to: ' + filePath)
-        callback(null)
+        done(null)
       })
     })
   }
@@ -263,18 +488,12 @@ class LDP {
     var root = ldp.idp ? ldp.root + host + '/' : ldp.root
     var filename = utils.uriToFilename(reqPath, root)
 
-    async.waterfall([
-      // Read file
-      function (cb) {
-        return ldp.readFile(filename, cb)
-      },
-      // Parse file
-      function (body, cb) {
-        parse(body, baseUri, contentType, function (err, graph) {
-          cb(err, graph)
-        })
+    ldp.graphCache.get(filename, baseUri, contentType, function (err, graph) {
+      if (err && err.code) {
+        return callback(error(err, "Can't read file"))
       }
-    ], callback)
+      callback(err, graph)
+    })
   }
 
   get (options, callback) {
@@ -284,7 +503,7 @@ class LDP {
       var baseUri = options.baseUri
       var includeBody = options.includeBody
       var contentType = options.possibleRDFType
-      var range = options.range
+      var listing = { 'page': options.page, 'select': options.select }
     }
     var ldp = this
     var root = !ldp.idp ? ldp.root : ldp.root + host + '/'
@@ -297,8 +516,16 @@ class LDP {
       }
 
       // Just return, since resource exists
+      // (the entity tag of a container depends on its listing)
       if (!includeBody) {
-        return callback(null, {'stream': stats, 'contentType': contentType, 'container': stats.isDirectory()})
+        return callback(null, {
+          'stream': stats,
+          'contentType': contentType,
+          'container': stats.isDirectory(),
+          'size': stats.size,
+          'etag': stats.isDirectory() ? undefined : etags.fromStats(stats),
+          'lastModified': stats.mtime
+        })
       }
 
       // Found a container
@@ -308,33 +535,24 @@ class LDP {
             metaFile = ''
           }
           let absContainerUri = baseUri + reqPath
-          ldp.listContainer(filename, absContainerUri, baseUri, metaFile, contentType,
-            function (err, data) {
+          ldp.listContainer(filename, absContainerUri, baseUri, metaFile, contentType, listing,
+            function (err, listing, pages) {
               if (err) {
                 debug.handlers('GET container -- Read error:' + err.message)
                 return callback(err)
               }
-              var stream = stringToStream(data)
-              // TODO 'text/turtle' is fixed, should be contentType instead
-              // This forces one more translation turtle -> desired
-              return callback(null, {'stream': stream, 'contentType': 'text/turtle', 'container': true})
+              // Listings too large to be buffered have no entity tag
+              ldpContainer.bufferListing(listing, LISTING_BUFFER_SIZE, function (err, data, stream) {
+                if (err) {
+                  debug.handlers('GET container -- Read error:' + err.message)
+                  return callback(err)
+                }
+                return callback(null, {'stream': stream, 'contentType': contentType || 'text/turtle', 'container': true, 'pages': pages, 'etag': data !== null ? etags.fromData(data) : undefined, 'lastModified': stats.mtime})
+              })
             })
         })
       } else {
-        var stream
-        if (range) {
-          var total = fs.statSync(filename).size
-          var parts = range.replace(/bytes=/, '').split('-')
-          var partialstart = parts[0]
-          var partialend = parts[1]
-          var start = parseInt(partialstart, 10)
-          var end = partialend ? parseInt(partialend, 10) : total - 1
-          var chunksize = (end - start) + 1
-          var contentRange = 'bytes ' + start + '-' + end + '/' + total
-          stream = ldp.createReadStream(filename, start, end)
-        } else {
-          stream = ldp.createReadStream(filename)
-        }
+        var stream = ldp.createReadStream(filename)
         stream
           .on('error', function (err) {
             debug.handlers('GET -- Read error:' + err.message)
@@ -342,16 +560,22 @@ class LDP {
           })
           .on('open', function () {
             debug.handlers('GET -- Read Start.')
-            var contentType = mime.lookup(filename) || DEFAULT_CONTENT_TYPE
-            if (utils.hasSuffix(filename, ldp.turtleExtensions)) {
-              contentType = 'text/turtle'
-            }
-            return callback(null, {'stream': stream, 'contentType': contentType, 'container': false, 'contentRange': contentRange, 'chunksize': chunksize})
+            contentTypes.lookup(ldp, filename, function (err, contentType) {
+              if (err) {
+                return callback(err)
+              }
+              return callback(null, {'stream': stream, 'contentType': contentType, 'container': false, 'size': stats.size, 'etag': etags.fromStats(stats), 'lastModified': stats.mtime})
+            })
           })
       }
     })
   }
 
+  /**
+   * Deletes a resource, or an empty container. The caller must hold the lock
+   * on it (see lib/lock.js).
+   * @method delete
+   */
   delete (host, resourcePath, callback) {
     var ldp = this
     var root = !ldp.idp ? ldp.root : ldp.root + host + '/'
@@ -362,21 +586,25 @@ class LDP {
       }
 
       if (stats.isDirectory()) {
-        return ldp.deleteContainer(filename, callback)
-      } else {
-        return ldp.deleteResource(filename, callback)
+        return ldp.deleteContainer(host, filename, callback)
       }
+      quota.protect(ldp, host, filename, null, function (err) {
+        if (err) {
+          return callback(err)
+        }
+        ldp.deleteResource(host, filename, callback)
+      })
     })
   }
 
-  deleteContainer (directory, callback) {
+  deleteContainer (host, directory, callback) {
     var self = this
     if (directory[ directory.length - 1 ] !== '/') {
       directory += '/'
     }
 
     var countValid = 0
-    fs.readdir(directory, function (err, list) {
+    self.storage.readdir(directory, function (err, list) {
       if (err) return callback(error(404, 'The container does not exist'))
 
       if (list.indexOf(self.suffixMeta) > -1) {
@@ -390,21 +618,176 @@ class LDP {
       if (list.length !== countValid) {
         return callback(error(409, 'Container is not empty'))
       }
+      self.invalidate(directory)
+      self.searchIndex.remove(directory)
 
-      return rimraf(directory, function (err) {
+      if (self.trash) {
+        return trash.move(self, host, directory, function (err) {
+          callback(err)
+        })
+      }
+
+      return self.storage.remove(directory, function (err) {
+        quota.invalidate(self, directory)
         if (err) return callback(error(err, 'Failed to delete the container'))
         return callback(null)
       })
     })
   }
 
-  deleteResource (filename, callback) {
-    return fs.unlink(filename, function (err, data) {
+  /**
+   * Drops a document, or all the documents of a container, from the graph
+   * and dataset caches.
+   * @method invalidate
+   * @param filename {String} Path of the document or container in the
+   *   storage backend
+   */
+  invalidate (filename) {
+    this.graphCache.invalidate(filename)
+    this.datasetCache.invalidate(filename)
+  }
+
+  deleteResource (host, filename, callback) {
+    var ldp = this
+    ldp.invalidate(filename)
+    ldp.searchIndex.remove(filename)
+    // Deleting moves the resource into the trash (see lib/trash.js), or else
+    // keeps it in its version history (see lib/versions.js)
+    if (ldp.trash) {
+      return trash.move(ldp, host, filename, function (err) {
+        callback(err)
+      })
+    }
+    versions.keep(ldp, host, filename, function (err) {
       if (err) {
-        debug.container('DELETE -- unlink() error: ' + err)
-        return callback(error(err, 'Failed to delete resource'))
+        return callback(err)
       }
-      return callback(null, data)
+      ldp.storage.unlink(filename, function (err, data) {
+        quota.invalidate(ldp, filename)
+        if (err) {
+          debug.container('DELETE -- unlink() error: ' + err)
+          return callback(error(err, 'Failed to delete resource'))
+        }
+        return callback(null, data)
+      })
+    })
+  }
+
+  /**
+   * Calls back with the paths of everything inside a container, recursively
+   * (including `.acl` and `.meta` files), each container before its contents.
+   * Calls back with `null` if the resource isn't a container.
+   * @method descendants
+   */
+  descendants (host, containerPath, callback) {
+    var ldp = this
+    var root = !ldp.idp ? ldp.root : ldp.root + host + '/'
+    var filename = utils.uriToFilename(containerPath, root)
+    ldp.stat(filename, function (err, stats) {
+      if (err) {
+        return callback(error(404, "Can't find " + err))
+      }
+      if (!stats.isDirectory()) {
+        return callback(null, null)
+      }
+      walk(containerPath.endsWith('/') ? containerPath : containerPath + '/',
+        filename, callback)
+    })
+
+    function walk (uriPath, dirname, callback) {
+      ldp.storage.readdir(dirname, function (err, files) {
+        if (err) {
+          return callback(error(err, 'Failed to list the container'))
+        }
+        async.concatSeries(files.sort(), function (file, next) {
+          var filename = path.join(dirname, file)
+          ldp.stat(filename, function (err, stats) {
+            if (err) {
+              return next(null, [])
+            }
+            if (!stats.isDirectory()) {
+              return next(null, [ uriPath + file ])
+            }
+            walk(uriPath + file + '/', filename, function (err, paths) {
+              next(err, [ uriPath + file + '/' ].concat(paths || []))
+            })
+          })
+        }, callback)
+      })
+    }
+  }
+
+  /**
+   * Deletes a container along with everything inside it (`paths`, as listed
+   * by `descendants()`), contents first. A failure only leaves the affected
+   * resource and the containers above it in place. With the trash enabled,
+   * the container moves to the trash as a whole instead.
+   * Calls back with a report of the `deleted` paths and of the `failed` ones
+   * (with a `path`, a `status` and a `message`).
+   * @method deleteRecursive
+   */
+  deleteRecursive (host, containerPath, paths, callback) {
+    var ldp = this
+    var root = !ldp.idp ? ldp.root : ldp.root + host + '/'
+    if (!containerPath.endsWith('/')) {
+      containerPath += '/'
+    }
+    var all = [ containerPath ].concat(paths)
+    var deleted = []
+    var failed = []
+
+    function fail (resourcePath, err) {
+      debug.handlers('DELETE -- Failed to delete ' + resourcePath + ': ' + err.message)
+      failed.push({
+        'path': resourcePath,
+        'status': err.status || 500,
+        'message': err.message
+      })
+    }
+
+    if (ldp.trash) {
+      var filename = utils.uriToFilename(containerPath, root)
+      ldp.invalidate(filename)
+      ldp.searchIndex.remove(filename)
+      return trash.move(ldp, host, filename, function (err) {
+        if (err) {
+          fail(containerPath, err)
+        } else {
+          deleted = all
+        }
+        callback(null, { 'deleted': deleted, 'failed': failed })
+      })
+    }
+
+    async.eachSeries(all.slice().reverse(), function (resourcePath, next) {
+      var filename = utils.uriToFilename(resourcePath, root)
+      var isContainer = resourcePath[resourcePath.length - 1] === '/'
+      var done = function (err) {
+        if (err) {
+          fail(resourcePath, err)
+        } else {
+          deleted.unshift(resourcePath)
+        }
+        next()
+      }
+
+      if (!isContainer) {
+        return ldp.deleteResource(host, filename, done)
+      }
+      var notEmpty = failed.some(function (failure) {
+        return failure.path.indexOf(resourcePath) === 0
+      })
+      if (notEmpty) {
+        return done(error(409, 'Container is not empty'))
+      }
+      ldp.invalidate(filename)
+      ldp.searchIndex.remove(filename)
+      ldp.storage.remove(filename, function (err) {
+        quota.invalidate(ldp, filename)
+        done(err && error(err, 'Failed to delete the container'))
+      })
+    }, function () {
+      callback(null, { 'deleted': deleted, 'failed': failed })
     })
   }
 
@@ -0,0 +1,45 @@
+/**
+ * In-process locks, serializing the operations that modify a resource (for
+ * example the read-modify-write of a PATCH and a concurrent PUT). They are
+ * not shared between processes.
+ * @module lock
+ */
+module.exports = lock
+
+var debug = require('./debug').ldp
+
+// Functions waiting for each lock currently held
+var queues = {}
+
+/**
+ * Runs `fn` once the lock on `key` is free, passing it a `release` function
+ * to call when done. Functions waiting for the same lock run in order.
+ * @method lock
+ * @param key {String} Usually the path of the resource in the storage backend
+ * @param fn {Function} Called with `release`
+ */
+function lock (key, fn) {
+  if (queues[key]) {
+    debug('Lock -- Waiting for ' + key)
+    queues[key].push(fn)
+    return
+  }
+  queues[key] = []
+  run(key, fn)
+}
+
+function run (key, fn) {
+  var released = false
+  fn(function release () {
+    if (released) {
+      return
+    }
+    released = true
+    var next = queues[key].shift()
+    if (next) {
+      process.nextTick(run, key, next)
+    } else {
+      delete queues[key]
+    }
+  })
+}
@@ -7,4 +7,5 @@ function Metadata () {
   this.isContainer = false
   this.isBasicContainer = false
   this.isDirectContainer = false
+  this.isIndirectContainer = false
 }
@@ -0,0 +1,300 @@
+/**
+ * Per-account storage quotas.
+ *
+ * The quota of an account defaults to the `quota` setting (in bytes), and can
+ * be overridden per account with a `solid:storageQuota` statement in the
+ * `.meta` of the account's root container, for example:
+ *
+ *   <> <http://www.w3.org/ns/solid/terms#storageQuota> 10000000 .
+ *
+ * Only the administrator of the server sets it, in the storage: writes and
+ * deletions that would change it through the server are refused (see
+ * `protect()`). In single-user mode, the whole server root counts as one
+ * account.
+ *
+ * The space used by an account is counted once, walking its folders, and then
+ * kept up to date: `ldp.replace()` reports the change in size of what it
+ * writes with `update()`, and other changes have the account counted again
+ * with `invalidate()`. Changes made to the storage by other means are only
+ * seen after a restart. Upload sessions in progress don't count in the space
+ * used, but the space they reserve isn't available to other writes (see
+ * lib/uploads.js).
+ * @module quota
+ */
+module.exports.limit = limit
+module.exports.usage = usage
+module.exports.available = available
+module.exports.limitStream = limitStream
+module.exports.report = report
+module.exports.update = update
+module.exports.invalidate = invalidate
+module.exports.protect = protect
+
+var $rdf = require('rdflib')
+var async = require('async')
+var path = require('path')
+var Transform = require('stream').Transform
+var ns = require('solid-namespace')($rdf)
+var debug = require('./debug').ldp
+var error = require('./http-error')
+var uploads = require('./uploads')
+var versions = require('./versions')
+
+/**
+ * Calls back with the quota of an account in bytes, or with `Infinity` if
+ * the account has none.
+ * @method limit
+ * @param ldp {LDP}
+ * @param host {String} Hostname of the account
+ * @param callback {Function}
+ */
+function limit (ldp, host, callback) {
+  ldp.readContainerMeta(accountRoot(ldp, host), function (err, metaFile) {
+    var quota = !err ? override(ldp, host, metaFile) : null
+    if (quota === null) {
+      quota = ldp.quota
+    }
+    callback(null, quota >= 0 ? quota : Infinity)
+  })
+}
+
+/**
+ * Calls back with a 403 error if replacing a file with another one (or
+ * deleting it, without a `replacement`) would change the quota override of
+ * an account, found in the `.meta` of its root container.
+ * @method protect
+ * @param ldp {LDP}
+ * @param host {String} Hostname of the account
+ * @param filename {String} Path of the file about to be replaced or deleted
+ * @param [replacement] {String} Path of the file replacing it
+ * @param callback {Function}
+ */
+function protect (ldp, host, filename, replacement, callback) {
+  var metaFilename = accountRoot(ldp, host) + ldp.suffixMeta
+  if (path.normalize(filename) !== metaFilename) {
+    return callback(null)
+  }
+  async.map([ filename, replacement ], function (filename, next) {
+    if (!filename) {
+      return next(null, null)
+    }
+    ldp.storage.readFile(filename, 'utf8', function (err, data) {
+      next(null, !err ? override(ldp, host, data) : null)
+    })
+  }, function (err, quotas) {
+    if (err || quotas[0] !== quotas[1]) {
+      debug('Quota -- Refused to change the quota of ' + host)
+      return callback(error(403, "The storage quota of the account can't be changed"))
+    }
+    callback(null)
+  })
+}
+
+/**
+ * Calls back with the number of bytes stored under a container, including
+ * metadata and ACL files.
+ * @method usage
+ * @param ldp {LDP}
+ * @param dirname {String} Container path in the storage backend
+ * @param callback {Function}
+ */
+function usage (ldp, dirname, callback) {
+  ldp.storage.readdir(dirname, function (err, files) {
+    if (err) {
+      return callback(null, 0)
+    }
+    async.reduce(files, 0, function (total, file, next) {
+      var filename = path.join(dirname, file)
+      ldp.storage.stat(filename, function (err, stats) {
+        if (err) {
+          return next(null, total)
+        }
+        if (stats.isDirectory()) {
+          return usage(ldp, filename, function (err, size) {
+            next(err, total + size)
+          })
+        }
+        next(null, total + stats.size)
+      })
+    }, callback)
+  })
+}
+
+/**
+ * Calls back with the number of bytes that can be written to a file of an
+ * account (the space it already takes counts as available, since writing
+ * replaces it), along with the account's quota. The space reserved by upload
+ * sessions in progress isn't available.
+ * @method available
+ * @param ldp {LDP}
+ * @param host {String} Hostname of the account
+ * @param filename {String} Path of the file about to be written
+ * @param [upload] {String} Upload session writing the file, whose
+ *   reservation counts as available
+ * @param callback {Function} Called with `(err, available, quota)`
+ */
+function available (ldp, host, filename, upload, callback) {
+  if (typeof upload === 'function') {
+    callback = upload
+    upload = null
+  }
+  limit(ldp, host, function (err, quota) {
+    if (err || quota === Infinity) {
+      return callback(err, Infinity, quota)
+    }
+    accountUsage(ldp, host, function (err, used) {
+      if (err) {
+        return callback(err)
+      }
+      uploads.reserved(ldp, host, upload, function (err, reserved) {
+        if (err) {
+          return callback(err)
+        }
+        ldp.storage.stat(filename, function (err, stats) {
+          var replaced = !err && stats.isFile() ? stats.size : 0
+          callback(null, Math.max(quota - used - reserved + replaced, 0), quota)
+        })
+      })
+    })
+  })
+}
+
+/**
+ * Returns a pass-through stream that fails with a 507 error once more than
+ * `available` bytes went through it.
+ * @method limitStream
+ * @param available {Number}
+ * @return {Transform}
+ */
+function limitStream (available) {
+  var written = 0
+  return new Transform({
+    transform: function (chunk, encoding, callback) {
+      written += chunk.length
+      if (written > available) {
+        return callback(error(507, 'Storage quota exceeded'))
+      }
+      callback(null, chunk)
+    }
+  })
+}
+
+/**
+ * Calls back with a summary of the storage used by an account, against its
+ * quota (`null` when there's no quota).
+ * @method report
+ * @param ldp {LDP}
+ * @param host {String} Hostname of the account
+ * @param callback {Function}
+ */
+function report (ldp, host, callback) {
+  limit(ldp, host, function (err, quota) {
+    if (err) {
+      return callback(err)
+    }
+    accountUsage(ldp, host, function (err, used) {
+      if (err) {
+        return callback(err)
+      }
+      var hasQuota = quota !== Infinity
+      callback(null, {
+        'used': used,
+        'quota': hasQuota ? quota : null,
+        'available': hasQuota ? Math.max(quota - used, 0) : null
+      })
+    })
+  })
+}
+
+/**
+ * Adds `delta` bytes to the space used by the account holding a file, if it
+ * was counted already.
+ * @method update
+ * @param ldp {LDP}
+ * @param filename {String} Path of the file that changed size
+ * @param delta {Number}
+ */
+function update (ldp, filename, delta) {
+  var account = fileAccount(ldp, filename)
+  if (typeof ldp.storageUsage[account] === 'number') {
+    ldp.storageUsage[account] += delta
+  } else {
+    // Counting may or may not have seen the change
+    delete ldp.storageUsage[account]
+  }
+}
+
+/**
+ * Has the space used by the account holding a file counted again on the next
+ * check.
+ * @method invalidate
+ * @param ldp {LDP}
+ * @param filename {String} Path of a file that changed
+ */
+function invalidate (ldp, filename) {
+  delete ldp.storageUsage[fileAccount(ldp, filename)]
+}
+
+/**
+ * Calls back with the number of bytes used by an account, counting them if
+ * they weren't already. The previous versions of its resources don't count,
+ * as the account can't delete them, and neither do uploads in progress (see
+ * lib/uploads.js).
+ * @method accountUsage
+ * @private
+ */
+function accountUsage (ldp, host, callback) {
+  var account = accountRoot(ldp, host)
+  if (typeof ldp.storageUsage[account] === 'number') {
+    return callback(null, ldp.storageUsage[account])
+  }
+  // Marks the count in progress, which changes in the meantime cancel
+  var counting = ldp.storageUsage[account] = {}
+  usage(ldp, account, function (err, used) {
+    if (err) {
+      return callback(err)
+    }
+    usage(ldp, versions.root(ldp, host), function (err, kept) {
+      if (err) {
+        return callback(err)
+      }
+      usage(ldp, uploads.root(ldp, host), function (err, uploading) {
+        if (err) {
+          return callback(err)
+        }
+        var total = used - kept - uploading
+        if (ldp.storageUsage[account] === counting) {
+          debug('Quota -- Counted ' + total + ' bytes used in ' + account)
+          ldp.storageUsage[account] = total
+        }
+        callback(null, total)
+      })
+    })
+  })
+}
+
+// Quota set in the .meta of the root of an account, null if none
+function override (ldp, host, metaFile) {
+  var graph = $rdf.graph()
+  var baseUri = 'file://' + accountRoot(ldp, host)
+  try {
+    $rdf.parse(metaFile, graph, baseUri, 'text/turtle')
+  } catch (parseErr) {
+    debug('Quota -- Error parsing the account metadata: ' + parseErr)
+    return null
+  }
+  var quota = graph.any(graph.sym(baseUri), ns.solid('storageQuota'))
+  return quota && !isNaN(parseInt(quota.value, 10)) ? parseInt(quota.value, 10) : null
+}
+
+function accountRoot (ldp, host) {
+  return !ldp.idp ? ldp.root : ldp.root + host + '/'
+}
+
+// Root of the account holding a file
+function fileAccount (ldp, filename) {
+  if (!ldp.idp) {
+    return ldp.root
+  }
+  return ldp.root + filename.slice(ldp.root.length).split('/')[0] + '/'
+}
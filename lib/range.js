@@ -0,0 +1,134 @@
+/**
+ * Byte ranges of stored resources, requested with a `Range` header
+ * (RFC 7233).
+ * @module range
+ */
+module.exports.parse = parse
+module.exports.send = send
+
+var async = require('async')
+var crypto = require('crypto')
+var debug = require('./debug').handlers
+
+// More ranges than this in a request are ignored (the whole resource is sent)
+var MAX_RANGES = 50
+
+/**
+ * Parses the `Range` header of a request for a resource of `size` bytes.
+ * Suffix ranges (`bytes=-500`) and open ranges (`bytes=500-`) are supported,
+ * and ranges past the end of the resource are shortened.
+ * @method parse
+ * @param header {String} Value of the `Range` header, if any
+ * @param size {Number} Size of the resource
+ * @return {Array} The satisfiable ranges, as `{ start, end }` objects with
+ *   inclusive offsets (empty if none is, which calls for a 416), or `null`
+ *   if the whole resource should be sent (no header, another unit than
+ *   bytes, or an invalid header, which is ignored)
+ */
+function parse (header, size) {
+  var match = /^\s*bytes\s*=\s*(.+)$/i.exec(header || '')
+  if (!match) {
+    return null
+  }
+  var specs = match[1].split(',').map(function (spec) { return spec.trim() })
+  if (specs.length > MAX_RANGES) {
+    return null
+  }
+  var ranges = []
+  for (var i = 0; i < specs.length; i++) {
+    var bounds = /^(\d*)-(\d*)$/.exec(specs[i])
+    if (!bounds || (!bounds[1] && !bounds[2])) {
+      return null
+    }
+    var start, end
+    if (!bounds[1]) {
+      // The last bytes of the resource
+      var length = parseInt(bounds[2], 10)
+      start = Math.max(size - length, 0)
+      end = size - 1
+      if (!length || !size) {
+        continue
+      }
+    } else {
+      start = parseInt(bounds[1], 10)
+      end = bounds[2] ? parseInt(bounds[2], 10) : size - 1
+      if (end < start) {
+        return null
+      }
+      if (start >= size) {
+        continue
+      }
+      end = Math.min(end, size - 1)
+    }
+    ranges.push({ 'start': start, 'end': end })
+  }
+  return ranges
+}
+
+/**
+ * Sends byte ranges of a resource with a 206 status, a single one as is and
+ * several ones as a `multipart/byteranges` body.
+ * @method send
+ * @param res {ServerResponse}
+ * @param ranges {Array} Satisfiable ranges, as returned by `parse()`
+ * @param size {Number} Size of the resource
+ * @param contentType {String} Content type of the resource
+ * @param open {Function} Returns a stream of the resource between the
+ *   `start` and `end` offsets it is called with
+ */
+function send (res, ranges, size, contentType, open) {
+  var contentRange = function (range) {
+    return 'bytes ' + range.start + '-' + range.end + '/' + size
+  }
+  var length = function (range) {
+    return range.end - range.start + 1
+  }
+
+  if (ranges.length === 1) {
+    res.writeHead(206, {
+      'Content-Type': contentType,
+      'Content-Range': contentRange(ranges[0]),
+      'Content-Length': length(ranges[0])
+    })
+    return pipe(open(ranges[0].start, ranges[0].end), res, true, function () {})
+  }
+
+  var boundary = crypto.randomBytes(16).toString('hex')
+  var heads = ranges.map(function (range) {
+    return '\r\n--' + boundary + '\r\n' +
+      'Content-Type: ' + contentType + '\r\n' +
+      'Content-Range: ' + contentRange(range) + '\r\n\r\n'
+  })
+  var tail = '\r\n--' + boundary + '--\r\n'
+  var total = Buffer.byteLength(tail) + ranges.reduce(function (total, range, i) {
+    return total + Buffer.byteLength(heads[i]) + length(range)
+  }, 0)
+
+  res.writeHead(206, {
+    'Content-Type': 'multipart/byteranges; boundary=' + boundary,
+    'Content-Length': total
+  })
+  async.eachOfSeries(ranges, function (range, i, next) {
+    res.write(heads[i])
+    pipe(open(range.start, range.end), res, false, next)
+  }, function (err) {
+    if (!err) {
+      res.end(tail)
+    }
+  })
+}
+
+// Pipes a range into the response, which is dropped if the range can't be
+// read (its headers being sent already)
+function pipe (stream, res, end, callback) {
+  stream
+    .on('error', function (err) {
+      debug('GET -- Error reading a range: ' + err.message)
+      res.destroy()
+      callback(err)
+    })
+    .on('end', function () {
+      callback()
+    })
+    .pipe(res, { 'end': end })
+}
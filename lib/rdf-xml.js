@@ -0,0 +1,123 @@
+/**
+ * RDF/XML serialization of graphs, used in place of rdflib's, which assigns
+ * an undeclared variable (and so throws in strict mode on Node versions
+ * without the `root` global).
+ *
+ * Each subject gets one flat `rdf:Description`, blank nodes are named with
+ * `rdf:nodeID`, and collections are written out as `rdf:first`/`rdf:rest`
+ * lists.
+ * @module rdf-xml
+ */
+module.exports.serialize = serialize
+
+var RDF = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#'
+var XSD_STRING = 'http://www.w3.org/2001/XMLSchema#string'
+
+/**
+ * Returns a graph serialized in RDF/XML. Throws if a predicate can't be
+ * written as an XML name.
+ * @method serialize
+ * @param graph {IndexedFormula}
+ * @return {String}
+ */
+function serialize (graph) {
+  var prefixes = {}
+  var nodeIds = {}
+  var descriptions = {}
+  var subjects = []
+
+  prefixes[RDF] = 'rdf'
+  Object.keys(graph.namespaces || {}).forEach(function (prefix) {
+    var namespace = graph.namespaces[prefix]
+    if (!prefixes[namespace] && /^[A-Za-z_][\w.-]*$/.test(prefix) &&
+        prefix.toLowerCase().indexOf('xml') !== 0) {
+      prefixes[namespace] = prefix
+    }
+  })
+
+  function nodeId (node) {
+    var key = node.toNT()
+    if (!nodeIds[key]) {
+      nodeIds[key] = 'b' + Object.keys(nodeIds).length
+    }
+    return nodeIds[key]
+  }
+
+  function qname (uri) {
+    var match = /^(.*[#/:])([A-Za-z_][\w.-]*)$/.exec(uri)
+    if (!match) {
+      throw new Error('Cannot write the predicate <' + uri + '> in RDF/XML')
+    }
+    if (!prefixes[match[1]]) {
+      prefixes[match[1]] = 'ns' + Object.keys(prefixes).length
+    }
+    return prefixes[match[1]] + ':' + match[2]
+  }
+
+  function add (subject, predicate, object) {
+    var key = subject.termType === 'BlankNode'
+      ? 'rdf:nodeID="' + nodeId(subject) + '"'
+      : 'rdf:about="' + escape(subject.value) + '"'
+    if (!descriptions[key]) {
+      descriptions[key] = []
+      subjects.push(key)
+    }
+    var name = qname(predicate.value)
+    var property
+    if (object.termType === 'collection') {
+      property = list(object.elements)
+    } else if (object.termType === 'BlankNode') {
+      property = '<' + name + ' rdf:nodeID="' + nodeId(object) + '"/>'
+    } else if (object.termType === 'Literal') {
+      var datatype = object.datatype && object.datatype.value
+      property = '<' + name +
+        (object.lang ? ' xml:lang="' + escape(object.lang) + '"' : '') +
+        (!object.lang && datatype && datatype !== XSD_STRING
+          ? ' rdf:datatype="' + escape(datatype) + '"' : '') +
+        '>' + escape(object.value) + '</' + name + '>'
+    } else {
+      property = '<' + name + ' rdf:resource="' + escape(object.value) + '"/>'
+    }
+    descriptions[key].push(property)
+
+    // Writes out the nodes of a list, returning the property linking to it
+    function list (elements) {
+      if (!elements.length) {
+        return '<' + name + ' rdf:resource="' + RDF + 'nil"/>'
+      }
+      var head = graph.bnode()
+      var node = head
+      elements.forEach(function (element, index) {
+        var rest = index < elements.length - 1 ? graph.bnode() : graph.sym(RDF + 'nil')
+        add(node, graph.sym(RDF + 'first'), element)
+        add(node, graph.sym(RDF + 'rest'), rest)
+        node = rest
+      })
+      return '<' + name + ' rdf:nodeID="' + nodeId(head) + '"/>'
+    }
+  }
+
+  graph.statements.forEach(function (statement) {
+    add(statement.subject, statement.predicate, statement.object)
+  })
+
+  var namespaces = Object.keys(prefixes).map(function (namespace) {
+    return ' xmlns:' + prefixes[namespace] + '="' + escape(namespace) + '"'
+  })
+  return '<?xml version="1.0" encoding="utf-8"?>\n' +
+    '<rdf:RDF' + namespaces.join('') + '>\n' +
+    subjects.map(function (key) {
+      return '  <rdf:Description ' + key + '>\n' +
+        descriptions[key].map(function (property) {
+          return '    ' + property + '\n'
+        }).join('') +
+        '  </rdf:Description>\n'
+    }).join('') +
+    '</rdf:RDF>\n'
+}
+
+function escape (text) {
+  return String(text).replace(/[&<>"]/g, function (char) {
+    return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[char]
+  })
+}
@@ -0,0 +1,29 @@
+/**
+ * Folders of an account that hold its version history (lib/versions.js),
+ * trash (lib/trash.js) and uploads in progress (lib/uploads.js). They are
+ * only read and changed through their own interfaces, never as regular
+ * resources: they are left out of listings, searches and queries, and
+ * can't be read, written, copied or moved into.
+ * @module reserved
+ */
+module.exports.isReserved = isReserved
+
+var path = require('path')
+var trash = require('./trash')
+var uploads = require('./uploads')
+var versions = require('./versions')
+
+/**
+ * Returns whether a path of the account is in one of its reserved folders.
+ * The path is normalized first, so that dot segments can't get around the
+ * check.
+ * @method isReserved
+ * @param resourcePath {String} Path from the root of the account, such as
+ *   `/.trash/1234/foo.ttl`
+ * @return {Boolean}
+ */
+function isReserved (resourcePath) {
+  var folder = path.posix.normalize('/' + resourcePath).split('/')[1]
+  return folder === versions.FOLDER || folder === trash.FOLDER ||
+    folder === uploads.FOLDER
+}
@@ -0,0 +1,293 @@
+'use strict'
+
+const $rdf = require('rdflib')
+const async = require('async')
+const path = require('path')
+const contentTypes = require('./content-types')
+const debug = require('./debug').search
+const isMember = require('./ldp-container').isMember
+const isReserved = require('./reserved').isReserved
+
+// Types of the resources whose literal values are indexed
+const RDF_TYPES = [ 'text/turtle', 'text/n3', 'application/rdf+xml', 'application/ld+json' ]
+// Larger resources are left out of the index
+const MAX_SIZE = 1024 * 1024
+// Words are runs of letters and digits, in any script
+const SEPARATOR = new RegExp('[^\\p{L}\\p{N}]+', 'u')
+
+/**
+ * In-memory full-text index of the literal values of RDF resources and of
+ * the contents of text files, by account.
+ *
+ * An account is indexed in full the first time it is searched; from then on,
+ * the LDP write and delete paths keep its index up to date (`update()` and
+ * `remove()`). Auxiliary resources (`.acl` and `.meta`), the trash, old
+ * versions and uploads in progress aren't indexed.
+ * @class SearchIndex
+ */
+class SearchIndex {
+  /**
+   * @constructor
+   * @param ldp {LDP}
+   */
+  constructor (ldp) {
+    this.ldp = ldp
+    // Words of each file, with their number of occurrences
+    this.documents = new Map()
+    // Files containing each word
+    this.words = new Map()
+    // Accounts indexed (`true`) or being indexed (waiting callbacks)
+    this.roots = new Map()
+    // Files being read, with a token replaced by any change made meanwhile,
+    // so that reads of outdated contents don't make it to the index
+    this.reading = new Map()
+  }
+
+  /**
+   * Calls back with the files of an account containing all the words of a
+   * query, as `{ filename, score }` objects (the score being the number of
+   * occurrences of the words), best matches first.
+   * @method search
+   * @param root {String} Root folder of the account in the storage backend
+   * @param text {String}
+   * @param callback {Function}
+   */
+  search (root, text, callback) {
+    this.build(root, (err) => {
+      if (err) {
+        return callback(err)
+      }
+      const words = tokenize(text)
+      if (!words.length) {
+        return callback(null, [])
+      }
+      const candidates = this.words.get(words[0]) || new Set()
+      const results = []
+      candidates.forEach((filename) => {
+        if (!filename.startsWith(root)) {
+          return
+        }
+        const counts = this.documents.get(filename)
+        let score = 0
+        for (const word of words) {
+          if (!counts.has(word)) {
+            return
+          }
+          score += counts.get(word)
+        }
+        results.push({ filename: filename, score: score })
+      })
+      results.sort((a, b) => {
+        return b.score - a.score || (a.filename < b.filename ? -1 : 1)
+      })
+      callback(null, results)
+    })
+  }
+
+  /**
+   * Indexes the current contents of a file, or of all the files of a
+   * container, if its account is indexed. Never fails.
+   * @method update
+   * @param filename {String} Path of the file or container in the storage
+   *   backend
+   * @param [callback] {Function}
+   */
+  update (filename, callback) {
+    callback = callback || function () {}
+    const root = this.rootOf(filename)
+    if (!root) {
+      return callback()
+    }
+    this.walk(root, filename, () => callback())
+  }
+
+  /**
+   * Drops a file, or all the files of a container, from the index.
+   * @method remove
+   * @param filename {String} Path of the file or container in the storage
+   *   backend
+   */
+  remove (filename) {
+    const directory = filename.endsWith('/') ? filename : filename + '/'
+    const removed = (key) => key === filename || key.startsWith(directory)
+    // Including the files being read
+    for (const key of Array.from(this.reading.keys())) {
+      if (removed(key)) {
+        this.reading.delete(key)
+      }
+    }
+    for (const key of Array.from(this.documents.keys())) {
+      if (removed(key)) {
+        this.unindex(key)
+      }
+    }
+  }
+
+  /**
+   * Indexes an account in full, unless it already is.
+   * @method build
+   * @private
+   */
+  build (root, callback) {
+    const state = this.roots.get(root)
+    if (state === true) {
+      return callback()
+    }
+    if (state) {
+      return state.push(callback)
+    }
+    const waiting = [ callback ]
+    this.roots.set(root, waiting)
+    debug('Indexing ' + root)
+    this.walk(root, root, (err) => {
+      if (err) {
+        this.roots.delete(root)
+      } else {
+        this.roots.set(root, true)
+        debug('Indexed ' + root + ' (' + this.documents.size + ' files in total)')
+      }
+      waiting.forEach((callback) => callback(err))
+    })
+  }
+
+  /**
+   * Indexes a file, or the files of a container recursively.
+   * @method walk
+   * @private
+   */
+  walk (root, filename, callback) {
+    const ldp = this.ldp
+    ldp.storage.stat(filename, (err, stats) => {
+      if (err) {
+        this.remove(filename)
+        return callback(err.code === 'ENOENT' && filename === root ? null : err)
+      }
+      if (!stats.isDirectory()) {
+        return this.index(root, filename, stats, callback)
+      }
+      ldp.storage.readdir(filename, (err, names) => {
+        if (err) {
+          return callback(err)
+        }
+        async.eachSeries(names, (name, next) => {
+          const child = path.join(filename, name)
+          if (!this.indexable(root, child)) {
+            return next()
+          }
+          this.walk(root, child, () => next())
+        }, () => callback())
+      })
+    })
+  }
+
+  /**
+   * Reads and indexes a single file.
+   * @method index
+   * @private
+   */
+  index (root, filename, stats, callback) {
+    const ldp = this.ldp
+    const token = {}
+    this.reading.set(filename, token)
+    const done = (words) => {
+      if (this.reading.get(filename) === token) {
+        this.reading.delete(filename)
+        this.unindex(filename)
+        if (words) {
+          this.store(filename, words)
+        }
+      }
+      callback()
+    }
+    if (!this.indexable(root, filename) || stats.size > MAX_SIZE) {
+      return done()
+    }
+    contentTypes.lookup(ldp, filename, (err, contentType) => {
+      const rdf = !err && RDF_TYPES.indexOf(contentType) >= 0
+      if (!rdf && !(contentType || '').startsWith('text/')) {
+        return done()
+      }
+      ldp.storage.readFile(filename, { 'encoding': 'utf8' }, (err, data) => {
+        if (err) {
+          return done()
+        }
+        if (!rdf) {
+          return done(tokenize(data))
+        }
+        literals(data, filename, contentType, (err, values) => {
+          if (err) {
+            debug('Failed to parse ' + filename + ': ' + err.message)
+          }
+          done(tokenize(values.join(' ')))
+        })
+      })
+    })
+  }
+
+  store (filename, words) {
+    const counts = new Map()
+    words.forEach((word) => {
+      counts.set(word, (counts.get(word) || 0) + 1)
+      if (!this.words.has(word)) {
+        this.words.set(word, new Set())
+      }
+      this.words.get(word).add(filename)
+    })
+    this.documents.set(filename, counts)
+  }
+
+  unindex (filename) {
+    const counts = this.documents.get(filename)
+    if (!counts) {
+      return
+    }
+    counts.forEach((count, word) => {
+      const files = this.words.get(word)
+      files.delete(filename)
+      if (!files.size) {
+        this.words.delete(word)
+      }
+    })
+    this.documents.delete(filename)
+  }
+
+  rootOf (filename) {
+    for (const root of this.roots.keys()) {
+      if (filename.startsWith(root)) {
+        return root
+      }
+    }
+  }
+
+  indexable (root, filename) {
+    return isMember(this.ldp, path.basename(filename)) &&
+      !isReserved(filename.slice(root.length))
+  }
+}
+
+// Lower case words of a text
+function tokenize (text) {
+  return text.toLowerCase().split(SEPARATOR).filter((word) => word)
+}
+
+// Calls back with the literal values of an RDF document
+function literals (data, filename, contentType, callback) {
+  const graph = $rdf.graph()
+  let called = false
+  const done = (err) => {
+    if (called) {
+      return
+    }
+    called = true
+    callback(err, err ? [] : graph.statements
+      .filter((st) => st.object.termType === 'Literal')
+      .map((st) => st.object.value))
+  }
+  try {
+    $rdf.parse(data, graph, 'file://' + filename, contentType, done)
+  } catch (err) {
+    done(err)
+  }
+}
+
+module.exports = SearchIndex
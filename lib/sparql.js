@@ -0,0 +1,1089 @@
+/**
+ * SPARQL queries over an rdflib graph, whose documents (the `why` of its
+ * statements) are the named graphs of the dataset, and their default graph
+ * the union of all of them.
+ *
+ * Supports SELECT and ASK queries, with basic graph patterns, OPTIONAL,
+ * UNION, MINUS, GRAPH, FILTER (including EXISTS), BIND and VALUES, the
+ * common operators and functions, aggregates with GROUP BY and HAVING, and
+ * ORDER BY, DISTINCT, LIMIT and OFFSET. Property paths and subqueries are not
+ * supported.
+ * @module sparql
+ */
+module.exports.query = query
+module.exports.serialize = serialize
+module.exports.toTerm = toTerm
+module.exports.RESULT_TYPES = [
+  'application/sparql-results+json',
+  'application/sparql-results+xml',
+  'text/csv',
+  'text/tab-separated-values'
+]
+
+var $rdf = require('rdflib')
+var SparqlParser = require('sparqljs').Parser
+var error = require('./http-error')
+
+var XSD = 'http://www.w3.org/2001/XMLSchema#'
+var RDF_LANG_STRING = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#langString'
+var INTEGER_TYPES = [ 'integer', 'int', 'long', 'short', 'byte',
+  'nonNegativeInteger', 'positiveInteger', 'nonPositiveInteger',
+  'negativeInteger', 'unsignedLong', 'unsignedInt', 'unsignedShort',
+  'unsignedByte' ].map(function (type) { return XSD + type })
+var NUMERIC_TYPES = INTEGER_TYPES.concat([ 'decimal', 'float', 'double' ]
+  .map(function (type) { return XSD + type }))
+// Marker generated along with the solutions of a query every STEPS
+// statements looked at, so that a long evaluation can pause (see collect())
+var PAUSE = {}
+var STEPS = 100
+// Milliseconds a query runs before giving the event loop a turn
+var TURN = 10
+
+/**
+ * Runs a query against a graph. Calls back with the results of a SELECT
+ * query as `{ vars, bindings }` (bindings mapping variable names to rdflib
+ * terms), or of an ASK query as `{ boolean }`.
+ *
+ * Solutions are evaluated one at a time, giving the event loop a turn every
+ * `TURN` milliseconds. Only as many as needed are: ASK queries stop at the
+ * first one, and SELECT queries without grouping or ordering once they have
+ * enough for their LIMIT and `options.maxResults`.
+ * @method query
+ * @param graph {IndexedFormula} Or any object with rdflib's
+ *   `statementsMatching()`
+ * @param text {String} SPARQL query
+ * @param baseUri {String} Base IRI of the relative IRIs of the query
+ * @param [options] {Object}
+ * @param [options.timeout] {Number} Milliseconds after which the query fails
+ *   with a 503 error
+ * @param [options.maxResults] {Number} Number of results of a SELECT query
+ *   past which the others are left out
+ * @param [options.maxSolutions] {Number} Number of solutions kept in memory
+ *   at once (to be grouped, ordered, made distinct or subtracted) past which
+ *   the query fails with a 503 error
+ * @param callback {Function}
+ */
+function query (graph, text, baseUri, options, callback) {
+  if (typeof options === 'function') {
+    callback = options
+    options = {}
+  }
+  var parsed
+  try {
+    parsed = new SparqlParser(null, baseUri).parse(text)
+  } catch (err) {
+    return callback(error(400, 'Invalid SPARQL query: ' + err.message.split('\n')[0]))
+  }
+  if (parsed.type !== 'query' ||
+      (parsed.queryType !== 'SELECT' && parsed.queryType !== 'ASK')) {
+    return callback(error(400, 'Only SELECT and ASK queries are supported'))
+  }
+  var state = {
+    steps: 0,
+    kept: 0,
+    deadline: options.timeout !== undefined ? Date.now() + options.timeout : Infinity,
+    maxSolutions: options.maxSolutions !== undefined ? options.maxSolutions : Infinity
+  }
+
+  var solutions = evaluateGroup(graph, parsed.where || [], [ {} ], undefined, state)
+  if (parsed.queryType === 'ASK') {
+    return collect(solutions, state, 1, function (err, solutions) {
+      callback(err, !err ? { 'boolean': solutions.length > 0 } : undefined)
+    })
+  }
+  var wanted = Infinity
+  if (!isGrouped(parsed) && !parsed.order) {
+    solutions = project(graph, parsed, solutions, state)
+    wanted = (parsed.offset || 0) + Math.min(
+      parsed.limit !== undefined ? parsed.limit : Infinity,
+      options.maxResults !== undefined ? options.maxResults : Infinity)
+  }
+  collect(solutions, state, wanted, function (err, solutions) {
+    if (err) {
+      return callback(err)
+    }
+    var results
+    try {
+      results = select(graph, parsed, solutions, state)
+    } catch (err) {
+      return callback(failure(err))
+    }
+    if (options.maxResults !== undefined) {
+      results.bindings = results.bindings.slice(0, options.maxResults)
+    }
+    callback(null, results)
+  })
+}
+
+/**
+ * Pulls the solutions of an evaluation until `wanted` of them came. Fails
+ * with a 503 error once past the deadline of the query.
+ * @method collect
+ * @private
+ */
+function collect (solutions, state, wanted, callback) {
+  var iterator = solutions[Symbol.iterator]()
+  var collected = []
+  var resume = function () {
+    var started = Date.now()
+    try {
+      checkDeadline(state)
+      while (collected.length < wanted) {
+        var next = iterator.next()
+        if (next.done) {
+          break
+        }
+        if (next.value !== PAUSE) {
+          keep(state)
+          collected.push(next.value)
+        } else if (Date.now() - started >= TURN) {
+          return setImmediate(resume)
+        }
+      }
+    } catch (err) {
+      return callback(failure(err))
+    }
+    callback(null, collected)
+  }
+  resume()
+}
+
+/**
+ * Evaluates the expressions of the projection of a SELECT query without
+ * grouping, and leaves out the duplicate solutions of DISTINCT queries.
+ * @method project
+ * @private
+ */
+function * project (graph, parsed, solutions, state) {
+  var projections = parsed.variables[0] === '*' ? [] : parsed.variables
+  var vars = projections.map(function (projection) {
+    return name(projection.variable || projection)
+  })
+  var context = { state: state }
+  var seen = {}
+  for (var solution of solutions) {
+    if (solution === PAUSE) {
+      yield PAUSE
+      continue
+    }
+    for (var i = 0; i < projections.length; i++) {
+      if (projections[i].expression) {
+        assign(solution, projections[i].variable,
+          attempt(projections[i].expression, solution, graph, context))
+      }
+    }
+    if (parsed.distinct || parsed.reduced) {
+      // (the variables bound vary between the solutions of SELECT *)
+      var bound = vars.length ? vars : allVariables([ solution ]).sort()
+      var key = bound.join(' ') + '\n' + solutionKey(solution, bound)
+      if (seen[key]) {
+        continue
+      }
+      keep(state)
+      seen[key] = true
+    }
+    yield solution
+  }
+}
+
+/**
+ * Applies the solution modifiers of a SELECT query.
+ * @method select
+ * @private
+ */
+function select (graph, parsed, solutions, state) {
+  var projections = parsed.variables[0] === '*' ? [] : parsed.variables
+  var context = { state: state }
+
+  if (isGrouped(parsed)) {
+    solutions = group(graph, parsed, solutions, state)
+  } else if (parsed.order) {
+    // (otherwise done as the solutions came, see project())
+    projections.forEach(function (projection) {
+      if (projection.expression) {
+        solutions.forEach(function (solution) {
+          assign(solution, projection.variable,
+            attempt(projection.expression, solution, graph, context))
+        })
+      }
+    })
+  }
+
+  if (parsed.order) {
+    solutions = solutions.slice().sort(function (a, b) {
+      for (var i = 0; i < parsed.order.length; i++) {
+        var order = parsed.order[i]
+        var result = compareForOrder(
+          attempt(order.expression, a, graph, context), attempt(order.expression, b, graph, context))
+        if (result) {
+          return order.descending ? -result : result
+        }
+      }
+      return 0
+    })
+  }
+
+  var vars = projections.length
+    ? projections.map(function (projection) {
+      return name(projection.variable || projection)
+    })
+    : allVariables(solutions)
+  var bindings = solutions.map(function (solution) {
+    var binding = {}
+    vars.forEach(function (variable) {
+      if (solution[variable]) {
+        binding[variable] = solution[variable]
+      }
+    })
+    return binding
+  })
+
+  if (parsed.distinct || parsed.reduced) {
+    var seen = {}
+    bindings = bindings.filter(function (binding) {
+      var key = solutionKey(binding, vars)
+      return seen[key] ? false : (seen[key] = true)
+    })
+  }
+  var offset = parsed.offset || 0
+  bindings = bindings.slice(offset,
+    parsed.limit !== undefined ? offset + parsed.limit : undefined)
+  return { 'vars': vars, 'bindings': bindings }
+}
+
+/**
+ * Groups solutions (GROUP BY), evaluates the aggregates of the projection
+ * and filters the groups (HAVING). Returns a solution per group.
+ * @method group
+ * @private
+ */
+function group (graph, parsed, solutions, state) {
+  var keys = parsed.group || []
+  var groups = {}
+  var order = []
+  solutions.forEach(function (solution) {
+    var values = keys.map(function (key) {
+      return attempt(key.expression, solution, graph, { state: state })
+    })
+    var id = values.map(function (value) {
+      return value ? value.toNT() : ''
+    }).join(' ')
+    if (!groups[id]) {
+      groups[id] = { values: values, solutions: [] }
+      order.push(id)
+    }
+    groups[id].solutions.push(solution)
+  })
+  // Aggregating nothing still gives a group, unless grouping by something
+  if (!order.length && !keys.length) {
+    groups[''] = { values: [], solutions: [] }
+    order.push('')
+  }
+
+  return order.map(function (id) {
+    var solution = {}
+    keys.forEach(function (key, index) {
+      var variable = key.variable || (typeof key.expression === 'string' && key.expression)
+      if (variable && isVariable(variable)) {
+        assign(solution, variable, groups[id].values[index])
+      }
+    })
+    var context = { group: groups[id].solutions, state: state }
+    parsed.variables.forEach(function (projection) {
+      if (projection.expression) {
+        assign(solution, projection.variable,
+          attempt(projection.expression, solution, graph, context))
+      }
+    })
+    solution.having = (parsed.having || []).every(function (expression) {
+      return effectiveBoolean(attempt(expression, solution, graph, context)) === true
+    })
+    return solution
+  }).filter(function (solution) {
+    var keep = solution.having
+    delete solution.having
+    return keep
+  })
+}
+
+/**
+ * Evaluates the patterns of a group, extending each of the `solutions` (an
+ * iterable). Solutions are generated one at a time, along with `PAUSE`
+ * markers every `STEPS` statements looked at. The filters of the group
+ * apply to all its patterns.
+ * @method evaluateGroup
+ * @private
+ */
+function * evaluateGroup (graph, patterns, solutions, named, state) {
+  var filters = []
+  patterns.forEach(function (pattern) {
+    switch (pattern.type) {
+      case 'bgp':
+        solutions = pattern.triples.reduce(function (solutions, triple) {
+          return matchTriple(graph, triple, solutions, named, state)
+        }, solutions)
+        break
+      case 'group':
+        solutions = evaluateGroup(graph, pattern.patterns, solutions, named, state)
+        break
+      case 'graph':
+        solutions = evaluateGroup(graph, pattern.patterns, solutions, pattern.name, state)
+        break
+      case 'optional':
+        solutions = leftJoin(graph, pattern.patterns, solutions, named, state)
+        break
+      case 'union':
+        solutions = union(graph, pattern.patterns, solutions, named, state)
+        break
+      case 'minus':
+        solutions = minus(graph, pattern.patterns, solutions, named, state)
+        break
+      case 'bind':
+        solutions = extend(graph, pattern, solutions, named, state)
+        break
+      case 'values':
+        solutions = inlineData(pattern, solutions)
+        break
+      case 'filter':
+        filters.push(pattern.expression)
+        break
+      default:
+        throw error(400, 'Unsupported SPARQL pattern: ' + pattern.type)
+    }
+  })
+  var context = { named: named, state: state }
+  var passes = function (solution) {
+    return filters.every(function (expression) {
+      return effectiveBoolean(attempt(expression, solution, graph, context)) === true
+    })
+  }
+  for (var solution of solutions) {
+    if (solution === PAUSE || passes(solution)) {
+      yield solution
+    }
+  }
+}
+
+/**
+ * Matches a triple pattern against the graph, in the document `named` (an
+ * IRI or variable) if any.
+ * @method matchTriple
+ * @private
+ */
+function * matchTriple (graph, triple, solutions, named, state) {
+  if (typeof triple.predicate !== 'string') {
+    throw error(400, 'Property paths are not supported')
+  }
+  var positions = [ triple.subject, triple.predicate, triple.object, named ]
+  var lookup = function (solution) {
+    var terms = positions.map(function (position) {
+      if (position === undefined) {
+        return undefined
+      }
+      return isVariable(position) ? solution[name(position)] : toTerm(position)
+    })
+    return graph.statementsMatching(terms[0], terms[1], terms[2], terms[3])
+  }
+  for (var solution of solutions) {
+    if (solution === PAUSE) {
+      yield PAUSE
+      continue
+    }
+    var statements = lookup(solution)
+    for (var i = 0; i < statements.length; i++) {
+      if (++state.steps % STEPS === 0) {
+        yield PAUSE
+      }
+      var extended = bindStatement(solution, positions, statements[i])
+      if (extended) {
+        yield extended
+      }
+    }
+  }
+}
+
+// Extends a solution with the terms of a statement in the variables of a
+// triple pattern, null if they don't agree with it
+function bindStatement (solution, positions, statement) {
+  var values = [ statement.subject, statement.predicate, statement.object, statement.why ]
+  var extended = Object.assign({}, solution)
+  for (var i = 0; i < positions.length; i++) {
+    if (positions[i] === undefined || !isVariable(positions[i])) {
+      continue
+    }
+    var variable = name(positions[i])
+    if (extended[variable] && !extended[variable].sameTerm(values[i])) {
+      return null
+    }
+    extended[variable] = values[i]
+  }
+  return extended
+}
+
+// OPTIONAL: each solution extended by the group, or as it is if it can't be
+function * leftJoin (graph, patterns, solutions, named, state) {
+  for (var solution of solutions) {
+    if (solution === PAUSE) {
+      yield PAUSE
+      continue
+    }
+    var extended = false
+    for (var result of evaluateGroup(graph, patterns, [ solution ], named, state)) {
+      extended = extended || result !== PAUSE
+      yield result
+    }
+    if (!extended) {
+      yield solution
+    }
+  }
+}
+
+// UNION: each solution extended by each branch in turn
+function * union (graph, branches, solutions, named, state) {
+  for (var solution of solutions) {
+    if (solution === PAUSE) {
+      yield PAUSE
+      continue
+    }
+    for (var i = 0; i < branches.length; i++) {
+      yield * evaluateGroup(graph, [ branches[i] ], [ solution ], named, state)
+    }
+  }
+}
+
+// MINUS: the solutions compatible with none of those of the group, which
+// are kept in memory
+function * minus (graph, patterns, solutions, named, state) {
+  var excluded = []
+  for (var other of evaluateGroup(graph, patterns, [ {} ], named, state)) {
+    if (other === PAUSE) {
+      yield PAUSE
+      continue
+    }
+    keep(state)
+    excluded.push(other)
+  }
+  var isExcluded = function (solution) {
+    return excluded.some(function (other) {
+      var shared = Object.keys(other).filter(function (variable) {
+        return solution[variable]
+      })
+      return shared.length && compatible(solution, other)
+    })
+  }
+  for (var solution of solutions) {
+    if (solution === PAUSE || !isExcluded(solution)) {
+      yield solution
+    }
+  }
+}
+
+// BIND
+function * extend (graph, pattern, solutions, named, state) {
+  var context = { named: named, state: state }
+  for (var solution of solutions) {
+    if (solution !== PAUSE) {
+      solution = Object.assign({}, solution)
+      assign(solution, pattern.variable,
+        attempt(pattern.expression, solution, graph, context))
+    }
+    yield solution
+  }
+}
+
+// VALUES
+function * inlineData (pattern, solutions) {
+  var rows = pattern.values.map(function (row) {
+    var values = {}
+    Object.keys(row).forEach(function (variable) {
+      if (row[variable] !== undefined) {
+        values[name(variable)] = toTerm(row[variable])
+      }
+    })
+    return values
+  })
+  for (var solution of solutions) {
+    if (solution === PAUSE) {
+      yield PAUSE
+      continue
+    }
+    for (var i = 0; i < rows.length; i++) {
+      if (compatible(solution, rows[i])) {
+        yield Object.assign({}, solution, rows[i])
+      }
+    }
+  }
+}
+
+// Whether an evaluation has a solution, looked for right away (in EXISTS)
+function hasSolution (solutions, state) {
+  for (var solution of solutions) {
+    if (solution !== PAUSE) {
+      return true
+    }
+    checkDeadline(state)
+  }
+  return false
+}
+
+// Counts a solution kept in memory
+function keep (state) {
+  if (++state.kept > state.maxSolutions) {
+    throw error(503, 'The query needs too many solutions at once')
+  }
+}
+
+function checkDeadline (state) {
+  if (Date.now() >= state.deadline) {
+    throw error(503, 'The query took too long')
+  }
+}
+
+function failure (err) {
+  return err.status ? err : error(500, 'Failed to run the query: ' + err.message)
+}
+
+/**
+ * Evaluates an expression, returning undefined on errors (such as unbound
+ * variables), as SPARQL does.
+ * @method attempt
+ * @private
+ */
+function attempt (expression, solution, graph, context) {
+  try {
+    return evaluate(expression, solution, graph, context || {})
+  } catch (err) {
+    if (err.status) {
+      throw err
+    }
+    return undefined
+  }
+}
+
+function evaluate (expression, solution, graph, context) {
+  if (typeof expression === 'string') {
+    if (isVariable(expression)) {
+      var value = solution[name(expression)]
+      if (!value) {
+        throw new Error('Unbound variable ' + expression)
+      }
+      return value
+    }
+    return toTerm(expression)
+  }
+  if (expression.type === 'aggregate') {
+    return aggregate(expression, graph, context)
+  }
+  if (expression.type === 'functionCall') {
+    return cast(expression.function,
+      evaluate(expression.args[0], solution, graph, context))
+  }
+  if (expression.type !== 'operation') {
+    throw error(400, 'Unsupported SPARQL expression: ' + expression.type)
+  }
+
+  var operator = expression.operator
+  var args = expression.args
+  var arg = function (index) {
+    return evaluate(args[index], solution, graph, context)
+  }
+  switch (operator) {
+    case '||':
+    case '&&':
+      var results = args.map(function (expression) {
+        return effectiveBoolean(attempt(expression, solution, graph, context))
+      })
+      var decisive = operator === '||'
+      if (results.indexOf(decisive) >= 0) {
+        return boolean(decisive)
+      }
+      if (results.indexOf(undefined) >= 0) {
+        throw new Error('Invalid operand of ' + operator)
+      }
+      return boolean(!decisive)
+    case '!':
+      return boolean(!effectiveBoolean(arg(0), true))
+    case 'bound':
+      return boolean(!!solution[name(args[0])])
+    case 'if':
+      return effectiveBoolean(arg(0), true) ? arg(1) : arg(2)
+    case 'coalesce':
+      for (var i = 0; i < args.length; i++) {
+        var candidate = attempt(args[i], solution, graph, context)
+        if (candidate) {
+          return candidate
+        }
+      }
+      throw new Error('No bound value')
+    case 'in':
+    case 'notin':
+      var left = arg(0)
+      var found = args[1].some(function (expression) {
+        var right = attempt(expression, solution, graph, context)
+        return right && compare(left, right) === 0
+      })
+      return boolean(operator === 'in' ? found : !found)
+    case 'exists':
+    case 'notexists':
+      var exists = hasSolution(
+        evaluateGroup(graph, [ args[0] ], [ solution ], context.named, context.state), context.state)
+      return boolean(operator === 'exists' ? exists : !exists)
+    case '=':
+    case '!=':
+      var equal = compare(arg(0), arg(1), true) === 0
+      return boolean(operator === '=' ? equal : !equal)
+    case '<':
+      return boolean(compare(arg(0), arg(1)) < 0)
+    case '>':
+      return boolean(compare(arg(0), arg(1)) > 0)
+    case '<=':
+      return boolean(compare(arg(0), arg(1)) <= 0)
+    case '>=':
+      return boolean(compare(arg(0), arg(1)) >= 0)
+    case '+':
+    case '-':
+    case '*':
+    case '/':
+      return arithmetic(operator, arg(0), arg(1))
+    case 'sameterm':
+      return boolean(arg(0).sameTerm(arg(1)))
+    case 'isiri':
+    case 'isuri':
+      return boolean(arg(0).termType === 'NamedNode')
+    case 'isblank':
+      return boolean(arg(0).termType === 'BlankNode')
+    case 'isliteral':
+      return boolean(arg(0).termType === 'Literal')
+    case 'isnumeric':
+      return boolean(isNumeric(arg(0)))
+    case 'str':
+      return $rdf.lit(lexical(arg(0)))
+    case 'lang':
+      return $rdf.lit(literal(arg(0)).lang || '')
+    case 'datatype':
+      return literal(arg(0)).datatype
+    case 'iri':
+    case 'uri':
+      return $rdf.sym(lexical(arg(0)))
+    case 'strlen':
+      return number(lexical(literal(arg(0))).length, XSD + 'integer')
+    case 'ucase':
+      return sameKind(arg(0), lexical(literal(arg(0))).toUpperCase())
+    case 'lcase':
+      return sameKind(arg(0), lexical(literal(arg(0))).toLowerCase())
+    case 'contains':
+      return boolean(lexical(literal(arg(0))).indexOf(lexical(literal(arg(1)))) >= 0)
+    case 'strstarts':
+      return boolean(lexical(literal(arg(0))).indexOf(lexical(literal(arg(1)))) === 0)
+    case 'strends':
+      var text = lexical(literal(arg(0)))
+      var end = lexical(literal(arg(1)))
+      return boolean(text.slice(text.length - end.length) === end)
+    case 'concat':
+      return $rdf.lit(args.map(function (expression, index) {
+        return lexical(literal(arg(index)))
+      }).join(''))
+    case 'regex':
+      return boolean(new RegExp(lexical(literal(arg(1))),
+        args[2] ? lexical(literal(arg(2))) : '').test(lexical(literal(arg(0)))))
+    case 'replace':
+      return sameKind(arg(0), lexical(literal(arg(0))).replace(
+        new RegExp(lexical(literal(arg(1))), 'g' + (args[3] ? lexical(literal(arg(3))) : '')),
+        lexical(literal(arg(2))).replace(/\$(\d)/g, '$$$1')))
+    case 'langmatches':
+      var tag = lexical(literal(arg(0))).toLowerCase()
+      var range = lexical(literal(arg(1))).toLowerCase()
+      return boolean(range === '*' ? tag !== ''
+        : tag === range || tag.indexOf(range + '-') === 0)
+    case 'abs':
+    case 'round':
+    case 'ceil':
+    case 'floor':
+      var operand = arg(0)
+      return number(Math[operator](numeric(operand)), operand.datatype.uri)
+    case 'year':
+    case 'month':
+    case 'day':
+      var date = new Date(lexical(literal(arg(0))))
+      if (isNaN(date.getTime())) {
+        throw new Error('Invalid date')
+      }
+      var parts = { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() }
+      return number(parts[operator], XSD + 'integer')
+    default:
+      throw error(400, 'Unsupported SPARQL operator: ' + operator)
+  }
+}
+
+function aggregate (expression, graph, context) {
+  if (!context.group) {
+    throw error(400, 'Aggregates are only allowed in the projection and HAVING')
+  }
+  var values = expression.expression === '*'
+    ? context.group.map(function () { return boolean(true) })
+    : context.group.map(function (solution) {
+      return attempt(expression.expression, solution, graph, { state: context.state })
+    }).filter(function (value) {
+      return value
+    })
+  if (expression.distinct) {
+    var seen = {}
+    values = values.filter(function (value) {
+      return seen[value.toNT()] ? false : (seen[value.toNT()] = true)
+    })
+  }
+  switch (expression.aggregation) {
+    case 'count':
+      return number(values.length, XSD + 'integer')
+    case 'sum':
+      return values.reduce(function (sum, value) {
+        return arithmetic('+', sum, value)
+      }, number(0, XSD + 'integer'))
+    case 'avg':
+      if (!values.length) {
+        return number(0, XSD + 'integer')
+      }
+      return arithmetic('/', aggregate(Object.assign({}, expression, { aggregation: 'sum' }), graph, context),
+        number(values.length, XSD + 'integer'))
+    case 'min':
+    case 'max':
+      if (!values.length) {
+        throw new Error('No values')
+      }
+      return values.reduce(function (best, value) {
+        var order = compareForOrder(value, best)
+        return (expression.aggregation === 'min' ? order < 0 : order > 0) ? value : best
+      })
+    case 'sample':
+      if (!values.length) {
+        throw new Error('No values')
+      }
+      return values[0]
+    case 'group_concat':
+      return $rdf.lit(values.map(lexical).join(
+        expression.separator !== undefined ? expression.separator : ' '))
+    default:
+      throw error(400, 'Unsupported SPARQL aggregate: ' + expression.aggregation)
+  }
+}
+
+/**
+ * Compares two terms, numerically for numbers, chronologically for dates
+ * and alphabetically for strings. Throws if they can't be compared, unless
+ * testing for equality (terms then have to be the same).
+ * @method compare
+ * @private
+ */
+function compare (a, b, equality) {
+  if (isNumeric(a) && isNumeric(b)) {
+    return numeric(a) - numeric(b)
+  }
+  if (a.termType === 'Literal' && b.termType === 'Literal') {
+    if (a.datatype.uri === XSD + 'dateTime' && b.datatype.uri === XSD + 'dateTime') {
+      return new Date(a.value).getTime() - new Date(b.value).getTime()
+    }
+    if (a.datatype.uri === b.datatype.uri && a.lang === b.lang) {
+      return a.value < b.value ? -1 : a.value > b.value ? 1 : 0
+    }
+  }
+  if (equality) {
+    return a.sameTerm(b) ? 0 : 1
+  }
+  throw new Error('Incomparable terms')
+}
+
+// Unbound values first, then blank nodes, IRIs and literals
+function compareForOrder (a, b) {
+  var ranks = { 'BlankNode': 1, 'NamedNode': 2, 'Literal': 3 }
+  var rankA = a ? ranks[a.termType] : 0
+  var rankB = b ? ranks[b.termType] : 0
+  if (rankA !== rankB || !a) {
+    return rankA - rankB
+  }
+  try {
+    return compare(a, b)
+  } catch (err) {
+    return a.toNT() < b.toNT() ? -1 : a.toNT() > b.toNT() ? 1 : 0
+  }
+}
+
+function arithmetic (operator, a, b) {
+  var x = numeric(a)
+  var y = numeric(b)
+  var integers = INTEGER_TYPES.indexOf(a.datatype.uri) >= 0 &&
+    INTEGER_TYPES.indexOf(b.datatype.uri) >= 0
+  var result = operator === '+' ? x + y
+    : operator === '-' ? x - y
+    : operator === '*' ? x * y
+    : x / y
+  if (!isFinite(result)) {
+    throw new Error('Invalid arithmetic')
+  }
+  return number(result, integers && operator !== '/' ? XSD + 'integer' : XSD + 'decimal')
+}
+
+function cast (datatype, value) {
+  var lexicalValue = lexical(value)
+  if (datatype === XSD + 'string') {
+    return $rdf.lit(lexicalValue)
+  }
+  if (NUMERIC_TYPES.indexOf(datatype) >= 0) {
+    var parsed = Number(lexicalValue)
+    if (lexicalValue === '' || isNaN(parsed)) {
+      throw new Error('Invalid number')
+    }
+    return number(INTEGER_TYPES.indexOf(datatype) >= 0 ? Math.trunc(parsed) : parsed, datatype)
+  }
+  if (datatype === XSD + 'boolean') {
+    return boolean(lexicalValue === 'true' || lexicalValue === '1')
+  }
+  return $rdf.lit(lexicalValue, undefined, $rdf.sym(datatype))
+}
+
+/**
+ * Returns the effective boolean value of a term, undefined (or throws, if
+ * `strict`) if it has none.
+ * @method effectiveBoolean
+ * @private
+ */
+function effectiveBoolean (term, strict) {
+  var value
+  if (term && term.termType === 'Literal') {
+    if (term.datatype.uri === XSD + 'boolean') {
+      value = term.value === 'true' || term.value === '1'
+    } else if (isNumeric(term)) {
+      value = !!numeric(term)
+    } else if (term.datatype.uri === XSD + 'string' || term.datatype.uri === RDF_LANG_STRING) {
+      value = term.value.length > 0
+    }
+  }
+  if (value === undefined && strict) {
+    throw new Error('No effective boolean value')
+  }
+  return value
+}
+
+function isNumeric (term) {
+  return term.termType === 'Literal' && NUMERIC_TYPES.indexOf(term.datatype.uri) >= 0
+}
+
+function numeric (term) {
+  if (!isNumeric(term)) {
+    throw new Error('Not a number')
+  }
+  return Number(term.value)
+}
+
+function literal (term) {
+  if (term.termType !== 'Literal') {
+    throw new Error('Not a literal')
+  }
+  return term
+}
+
+function lexical (term) {
+  return term.termType === 'NamedNode' ? term.uri : String(term.value)
+}
+
+// A literal like `term`, with the same language tag
+function sameKind (term, value) {
+  return $rdf.lit(value, term.lang || undefined)
+}
+
+function boolean (value) {
+  return $rdf.lit(String(value), undefined, $rdf.sym(XSD + 'boolean'))
+}
+
+function number (value, datatype) {
+  return $rdf.lit(String(value), undefined, $rdf.sym(datatype))
+}
+
+/**
+ * Converts an IRI or literal, as written by the SPARQL parser (`"v"@en`,
+ * `"5"^^http://www.w3.org/2001/XMLSchema#integer`), to an rdflib term.
+ * @method toTerm
+ * @param value {String}
+ * @return {NamedNode|Literal}
+ */
+function toTerm (value) {
+  if (value[0] === '"') {
+    var match = /^"([^]*)"(?:@([^@"]+)|\^\^([^"]+))?$/.exec(value)
+    if (!match) {
+      throw new Error('Invalid literal: ' + value)
+    }
+    return $rdf.lit(match[1], match[2], match[3] ? $rdf.sym(match[3]) : undefined)
+  }
+  return $rdf.sym(value)
+}
+
+// Blank nodes of queries are variables that can't be selected
+function isVariable (value) {
+  return typeof value === 'string' && (value[0] === '?' || value.indexOf('_:') === 0)
+}
+
+function name (variable) {
+  return variable[0] === '?' || variable[0] === '$' ? variable.slice(1) : variable
+}
+
+function assign (solution, variable, value) {
+  if (value) {
+    solution[name(variable)] = value
+  }
+}
+
+function compatible (a, b) {
+  return Object.keys(b).every(function (variable) {
+    return !a[variable] || a[variable].sameTerm(b[variable])
+  })
+}
+
+function allVariables (solutions) {
+  var vars = []
+  solutions.forEach(function (solution) {
+    Object.keys(solution).forEach(function (variable) {
+      if (vars.indexOf(variable) < 0 && variable.indexOf('_:') !== 0) {
+        vars.push(variable)
+      }
+    })
+  })
+  return vars
+}
+
+function solutionKey (solution, vars) {
+  return vars.map(function (variable) {
+    return solution[variable] ? solution[variable].toNT() : ''
+  }).join(' ')
+}
+
+function isGrouped (parsed) {
+  return !!(parsed.group || parsed.having) || (parsed.variables[0] !== '*' &&
+    parsed.variables.some(function (projection) {
+      return projection.expression && hasAggregate(projection.expression)
+    }))
+}
+
+function hasAggregate (expression) {
+  if (!expression || typeof expression !== 'object') {
+    return false
+  }
+  return expression.type === 'aggregate' ||
+    (expression.args || []).some(hasAggregate)
+}
+
+/**
+ * Serializes the results of a query in one of the `RESULT_TYPES`.
+ * @method serialize
+ * @param results {Object} As returned by `query()`
+ * @param contentType {String}
+ * @return {String}
+ */
+function serialize (results, contentType) {
+  switch (contentType) {
+    case 'application/sparql-results+xml':
+      return toXml(results)
+    case 'text/csv':
+      return toSeparatedValues(results, ',')
+    case 'text/tab-separated-values':
+      return toSeparatedValues(results, '\t')
+    default:
+      return JSON.stringify(toJson(results))
+  }
+}
+
+function toJson (results) {
+  if (results.boolean !== undefined) {
+    return { 'head': {}, 'boolean': results.boolean }
+  }
+  return {
+    'head': { 'vars': results.vars },
+    'results': {
+      'bindings': results.bindings.map(function (binding) {
+        var json = {}
+        Object.keys(binding).forEach(function (variable) {
+          var term = binding[variable]
+          if (term.termType === 'NamedNode') {
+            json[variable] = { 'type': 'uri', 'value': term.uri }
+          } else if (term.termType === 'BlankNode') {
+            json[variable] = { 'type': 'bnode', 'value': blankLabel(term) }
+          } else {
+            json[variable] = { 'type': 'literal', 'value': term.value }
+            if (term.lang) {
+              json[variable]['xml:lang'] = term.lang
+            } else if (term.datatype.uri !== XSD + 'string') {
+              json[variable].datatype = term.datatype.uri
+            }
+          }
+        })
+        return json
+      })
+    }
+  }
+}
+
+function toXml (results) {
+  var xml = '<?xml version="1.0"?>\n' +
+    '<sparql xmlns="http://www.w3.org/2005/sparql-results#">\n'
+  if (results.boolean !== undefined) {
+    return xml + '  <head></head>\n  <boolean>' + results.boolean + '</boolean>\n</sparql>\n'
+  }
+  xml += '  <head>\n' + results.vars.map(function (variable) {
+    return '    <variable name="' + escapeXml(variable) + '"/>\n'
+  }).join('') + '  </head>\n  <results>\n'
+  results.bindings.forEach(function (binding) {
+    xml += '    <result>\n'
+    Object.keys(binding).forEach(function (variable) {
+      var term = binding[variable]
+      var value
+      if (term.termType === 'NamedNode') {
+        value = '<uri>' + escapeXml(term.uri) + '</uri>'
+      } else if (term.termType === 'BlankNode') {
+        value = '<bnode>' + escapeXml(blankLabel(term)) + '</bnode>'
+      } else if (term.lang) {
+        value = '<literal xml:lang="' + escapeXml(term.lang) + '">' + escapeXml(term.value) + '</literal>'
+      } else if (term.datatype.uri !== XSD + 'string') {
+        value = '<literal datatype="' + escapeXml(term.datatype.uri) + '">' + escapeXml(term.value) + '</literal>'
+      } else {
+        value = '<literal>' + escapeXml(term.value) + '</literal>'
+      }
+      xml += '      <binding name="' + escapeXml(variable) + '">' + value + '</binding>\n'
+    })
+    xml += '    </result>\n'
+  })
+  return xml + '  </results>\n</sparql>\n'
+}
+
+// CSV has plain values, TSV the values in Turtle syntax
+function toSeparatedValues (results, separator) {
+  if (results.boolean !== undefined) {
+    return (separator === ',' ? '_askResult' : '?_askResult') + '\n' + results.boolean + '\n'
+  }
+  var rows = [ results.vars.map(function (variable) {
+    return separator === ',' ? variable : '?' + variable
+  }) ]
+  results.bindings.forEach(function (binding) {
+    rows.push(results.vars.map(function (variable) {
+      var term = binding[variable]
+      if (!term) {
+        return ''
+      }
+      if (separator === '\t') {
+        return term.termType === 'BlankNode' ? '_:' + blankLabel(term)
+          : term.toNT().replace(/\t/g, '\\t').replace(/\r/g, '\\r')
+      }
+      var value = term.termType === 'BlankNode' ? '_:' + blankLabel(term) : lexical(term)
+      return /[",\r\n]/.test(value) ? '"' + value.replace(/"/g, '""') + '"' : value
+    }))
+  })
+  return rows.map(function (row) {
+    return row.join(separator)
+  }).join(separator === ',' ? '\r\n' : '\n') + (separator === ',' ? '\r\n' : '\n')
+}
+
+function blankLabel (term) {
+  return 'b' + term.id
+}
+
+function escapeXml (text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+}
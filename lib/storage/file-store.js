@@ -0,0 +1,97 @@
+'use strict'
+
+const fs = require('fs')
+const glob = require('glob')
+const mkdirp = require('fs-extra').mkdirp
+const rimraf = require('rimraf')
+
+/**
+ * Storage backend that keeps resources on the local file system.
+ * This is the default backend of the LDP class.
+ * @class FileStore
+ */
+class FileStore {
+  stat (filename, callback) {
+    fs.stat(filename, callback)
+  }
+
+  readFile (filename, options, callback) {
+    if (typeof options === 'function') {
+      callback = options
+      options = undefined
+    }
+    fs.readFile(filename, options, callback)
+  }
+
+  writeFile (filename, data, callback) {
+    fs.writeFile(filename, data, callback)
+  }
+
+  createReadStream (filename, options) {
+    return fs.createReadStream(filename, options)
+  }
+
+  createWriteStream (filename) {
+    return fs.createWriteStream(filename)
+  }
+
+  readdir (dirname, callback) {
+    fs.readdir(dirname, callback)
+  }
+
+  mkdirp (dirname, callback) {
+    mkdirp(dirname, callback)
+  }
+
+  unlink (filename, callback) {
+    fs.unlink(filename, callback)
+  }
+
+  remove (dirname, callback) {
+    rimraf(dirname, callback)
+  }
+
+  rename (oldPath, newPath, callback) {
+    fs.rename(oldPath, newPath, callback)
+  }
+
+  link (existingPath, newPath, callback) {
+    fs.link(existingPath, newPath, function (err) {
+      // File systems without hard links get a copy
+      if (err && (err.code === 'EPERM' || err.code === 'EXDEV' || err.code === 'ENOTSUP')) {
+        return copy(existingPath, newPath, callback)
+      }
+      callback(err)
+    })
+  }
+
+  glob (pattern, options, callback) {
+    glob(pattern, options, callback)
+  }
+}
+
+// Copies a file, failing if the new path exists (as fs.copyFile() with
+// COPYFILE_EXCL, which needs Node 8.5)
+function copy (existingPath, newPath, callback) {
+  const input = fs.createReadStream(existingPath)
+  const output = fs.createWriteStream(newPath, { flags: 'wx' })
+  let called = false
+  const done = (err) => {
+    if (!called) {
+      called = true
+      callback(err)
+    }
+  }
+  output.on('error', (err) => {
+    input.destroy()
+    done(err)
+  })
+  input.on('error', (err) => {
+    output.destroy()
+    fs.unlink(newPath, () => done(err))
+  })
+  output.on('finish', () => done(null))
+  input.pipe(output)
+}
+
+module.exports = FileStore
@@ -0,0 +1,40 @@
+/**
+ * Storage backends used by the LDP class and the request handlers.
+ *
+ * A storage backend is an object exposing the following Node-style
+ * (callback last) methods. Paths are absolute, `/`-separated strings, already
+ * resolved against the LDP root (see `utils.uriToFilename()`). A trailing `/`
+ * on a path is allowed and ignored. Errors should carry a Node-style `code`
+ * (`ENOENT`, `ENOTDIR`, `EISDIR`, `ENOTEMPTY`) so that they can be turned into
+ * HTTP errors by `lib/http-error.js`.
+ *
+ *   - `stat(path, callback)` -- calls back with a stats object implementing
+ *       `isFile()`, `isDirectory()`, `size` and `mtime` (a `Date`), and
+ *       optionally `ino`, a number identifying the file which changes when
+ *       it's replaced (entity tags rely on it if `mtime` can be the same for
+ *       successive writes)
+ *   - `readFile(path, [options], callback)` -- calls back with a `Buffer`, or
+ *       a string if `options` (or `options.encoding`) names an encoding
+ *   - `writeFile(path, data, callback)` -- writes a string or `Buffer`
+ *   - `createReadStream(path, [options])` -- returns a readable stream,
+ *       honouring the inclusive `options.start` and `options.end` offsets
+ *   - `createWriteStream(path)` -- returns a writable stream that emits
+ *       `finish` once the data is stored, or `error`
+ *   - `readdir(path, callback)` -- calls back with the child names
+ *   - `mkdirp(path, callback)` -- creates a container and its parents
+ *   - `unlink(path, callback)` -- deletes a single resource
+ *   - `remove(path, callback)` -- deletes a container and everything in it
+ *   - `rename(oldPath, newPath, callback)` -- moves a resource or container,
+ *       atomically replacing any resource at `newPath` (writes rely on it)
+ *   - `link(existingPath, newPath, callback)` -- makes a new resource with
+ *       the data of an existing one, which replacing either one leaves alone
+ *       (a hard link, or else a copy)
+ *   - `glob(pattern, options, callback)` -- calls back with the paths of the
+ *       resources matching a glob pattern (`options` as in `node-glob`)
+ *
+ * @module storage
+ */
+module.exports = {
+  FileStore: require('./file-store'),
+  MemoryStore: require('./memory-store')
+}
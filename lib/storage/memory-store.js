@@ -0,0 +1,308 @@
+'use strict'
+
+const minimatch = require('minimatch')
+const path = require('path')
+const stream = require('stream')
+
+/**
+ * Storage backend that keeps resources in memory. Nothing survives a restart,
+ * which makes it useful for tests and throwaway servers.
+ * @class MemoryStore
+ */
+class MemoryStore {
+  constructor () {
+    this.entries = {
+      '/': new MemoryEntry(true)
+    }
+  }
+
+  stat (filename, callback) {
+    const entry = this.entries[normalize(filename)]
+    if (!entry) {
+      return defer(callback, fsError('ENOENT', 'stat', filename))
+    }
+    defer(callback, null, entry.stats())
+  }
+
+  readFile (filename, options, callback) {
+    if (typeof options === 'function') {
+      callback = options
+      options = undefined
+    }
+    const encoding = typeof options === 'string' ? options : options && options.encoding
+    const entry = this.entries[normalize(filename)]
+    if (!entry) {
+      return defer(callback, fsError('ENOENT', 'open', filename))
+    }
+    if (entry.directory) {
+      return defer(callback, fsError('EISDIR', 'read', filename))
+    }
+    defer(callback, null, encoding ? entry.data.toString(encoding) : entry.data)
+  }
+
+  writeFile (filename, data, callback) {
+    const err = this.store(filename, data)
+    defer(callback, err)
+  }
+
+  createReadStream (filename, options) {
+    options = options || {}
+    const entry = this.entries[normalize(filename)]
+    const readStream = new stream.PassThrough()
+    readStream.path = filename
+    process.nextTick(() => {
+      if (readStream.destroyed) {
+        return
+      }
+      if (!entry) {
+        return readStream.emit('error', fsError('ENOENT', 'open', filename))
+      }
+      if (entry.directory) {
+        return readStream.emit('error', fsError('EISDIR', 'read', filename))
+      }
+      const start = options.start || 0
+      const end = options.end === undefined ? entry.data.length : options.end + 1
+      readStream.end(entry.data.slice(start, end))
+      readStream.emit('open')
+    })
+    return readStream
+  }
+
+  createWriteStream (filename) {
+    const store = this
+    const chunks = []
+    // Like fs, fail when the stream is opened. The stream then never
+    // finishes, as an fs stream waiting on a file that could not be opened.
+    const err = this.checkWritable(filename)
+    const writeStream = new stream.Writable({
+      write (chunk, encoding, callback) {
+        if (err) return
+        chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, encoding))
+        callback()
+      },
+      final (callback) {
+        if (err) return
+        callback(store.store(filename, Buffer.concat(chunks)))
+      }
+    })
+    writeStream.path = filename
+    if (err) {
+      process.nextTick(() => writeStream.emit('error', err))
+    }
+    return writeStream
+  }
+
+  readdir (dirname, callback) {
+    const dir = normalize(dirname)
+    const entry = this.entries[dir]
+    if (!entry) {
+      return defer(callback, fsError('ENOENT', 'scandir', dirname))
+    }
+    if (!entry.directory) {
+      return defer(callback, fsError('ENOTDIR', 'scandir', dirname))
+    }
+    const names = this.descendants(dir)
+      .map((key) => path.relative(dir, key))
+      .filter((name) => name.indexOf('/') === -1)
+    defer(callback, null, names)
+  }
+
+  mkdirp (dirname, callback) {
+    const dir = normalize(dirname)
+    const ancestors = []
+    for (let current = dir; current !== '/'; current = path.dirname(current)) {
+      ancestors.unshift(current)
+    }
+    for (let i = 0; i < ancestors.length; i++) {
+      const entry = this.entries[ancestors[i]]
+      if (entry && !entry.directory) {
+        return defer(callback, fsError('ENOTDIR', 'mkdir', dirname))
+      }
+      if (!entry) {
+        this.entries[ancestors[i]] = new MemoryEntry(true)
+        this.touch(path.dirname(ancestors[i]))
+      }
+    }
+    defer(callback, null)
+  }
+
+  unlink (filename, callback) {
+    const key = normalize(filename)
+    const entry = this.entries[key]
+    if (!entry) {
+      return defer(callback, fsError('ENOENT', 'unlink', filename))
+    }
+    if (entry.directory) {
+      return defer(callback, fsError('EISDIR', 'unlink', filename))
+    }
+    delete this.entries[key]
+    this.touch(path.dirname(key))
+    defer(callback, null)
+  }
+
+  remove (dirname, callback) {
+    const key = normalize(dirname)
+    if (this.entries[key] && key !== '/') {
+      this.descendants(key).forEach((child) => { delete this.entries[child] })
+      delete this.entries[key]
+      this.touch(path.dirname(key))
+    }
+    defer(callback, null)
+  }
+
+  rename (oldPath, newPath, callback) {
+    const from = normalize(oldPath)
+    const to = normalize(newPath)
+    const entry = this.entries[from]
+    const parent = this.entries[path.dirname(to)]
+    if (!entry) {
+      return defer(callback, fsError('ENOENT', 'rename', oldPath))
+    }
+    if (!parent || !parent.directory) {
+      return defer(callback, fsError('ENOENT', 'rename', newPath))
+    }
+    if (from === to) {
+      return defer(callback, null)
+    }
+    const target = this.entries[to]
+    if (target && target.directory !== entry.directory) {
+      return defer(callback,
+        fsError(target.directory ? 'EISDIR' : 'ENOTDIR', 'rename', newPath))
+    }
+    if (target && target.directory && this.descendants(to).length > 0) {
+      return defer(callback, fsError('ENOTEMPTY', 'rename', newPath))
+    }
+    this.descendants(from).forEach((child) => {
+      this.entries[to + child.slice(from.length)] = this.entries[child]
+      delete this.entries[child]
+    })
+    this.entries[to] = entry
+    delete this.entries[from]
+    this.touch(path.dirname(from))
+    this.touch(path.dirname(to))
+    defer(callback, null)
+  }
+
+  link (existingPath, newPath, callback) {
+    const key = normalize(newPath)
+    const entry = this.entries[normalize(existingPath)]
+    if (!entry) {
+      return defer(callback, fsError('ENOENT', 'link', existingPath))
+    }
+    if (entry.directory) {
+      return defer(callback, fsError('EPERM', 'link', existingPath))
+    }
+    const err = this.checkWritable(newPath)
+    if (err) {
+      return defer(callback, err)
+    }
+    if (this.entries[key]) {
+      return defer(callback, fsError('EEXIST', 'link', newPath))
+    }
+    // Entries are replaced rather than changed on writes, so both paths can
+    // share one
+    this.entries[key] = entry
+    this.touch(path.dirname(key))
+    defer(callback, null)
+  }
+
+  glob (pattern, options, callback) {
+    const matches = Object.keys(this.entries)
+      .filter((key) => !(options.nodir && this.entries[key].directory))
+      .filter((key) => minimatch(key, pattern, options))
+    defer(callback, null, matches)
+  }
+
+  /**
+   * Synchronously stores a file, returning an error if its container is
+   * missing or if a container already lives at that path.
+   * @method store
+   * @private
+   */
+  store (filename, data) {
+    const key = normalize(filename)
+    const err = this.checkWritable(filename)
+    if (err) {
+      return err
+    }
+    const entry = new MemoryEntry(false)
+    entry.data = Buffer.isBuffer(data) ? data : Buffer.from(String(data))
+    this.entries[key] = entry
+    this.touch(path.dirname(key))
+    return null
+  }
+
+  checkWritable (filename) {
+    const key = normalize(filename)
+    const parent = this.entries[path.dirname(key)]
+    if (!parent || !parent.directory) {
+      return fsError('ENOENT', 'open', filename)
+    }
+    if (this.entries[key] && this.entries[key].directory) {
+      return fsError('EISDIR', 'open', filename)
+    }
+    return null
+  }
+
+  descendants (dir) {
+    const prefix = dir === '/' ? '/' : dir + '/'
+    return Object.keys(this.entries)
+      .filter((key) => key !== '/' && key.startsWith(prefix))
+  }
+
+  touch (dir) {
+    if (this.entries[dir]) {
+      this.entries[dir].mtime = now()
+    }
+  }
+}
+
+class MemoryEntry {
+  constructor (directory) {
+    this.directory = directory
+    this.data = Buffer.alloc(0)
+    this.mtime = now()
+  }
+
+  stats () {
+    const directory = this.directory
+    return {
+      size: directory ? 0 : this.data.length,
+      mtime: this.mtime,
+      isFile: () => !directory,
+      isDirectory: () => directory
+    }
+  }
+}
+
+let lastModified = 0
+
+/**
+ * Returns the current date, always later than the previous one returned so
+ * that every change gets a distinct modification time (and entity tag).
+ * @method now
+ * @private
+ */
+function now () {
+  lastModified = Math.max(Date.now(), lastModified + 1)
+  return new Date(lastModified)
+}
+
+function normalize (filename) {
+  return path.resolve('/', filename)
+}
+
+function fsError (code, syscall, filename) {
+  const err = new Error(code + ': ' + syscall + " '" + filename + "'")
+  err.code = code
+  err.syscall = syscall
+  err.path = filename
+  return err
+}
+
+function defer (callback) {
+  const args = Array.prototype.slice.call(arguments, 1)
+  process.nextTick(() => callback.apply(null, args))
+}
+
+module.exports = MemoryStore
@@ -0,0 +1,328 @@
+/**
+ * Trash of deleted resources, enabled by the `trash` setting.
+ *
+ * Instead of being removed, deleted resources are moved into the `.trash`
+ * folder of the account along with their `.acl` and `.meta` files, as
+ * `.trash/<id>/<name>`, next to a `.trash/<id>.json` record of the path they
+ * were deleted from. Items deleted more than `trashRetention` days ago are
+ * purged whenever the trash of the account is used or listed, and otherwise
+ * by `schedulePurge()`, when the server starts and every hour.
+ * @module trash
+ */
+module.exports.root = root
+module.exports.move = move
+module.exports.list = list
+module.exports.restore = restore
+module.exports.purge = purge
+module.exports.empty = empty
+module.exports.purgeExpired = purgeExpired
+module.exports.schedulePurge = schedulePurge
+
+var async = require('async')
+var crypto = require('crypto')
+var path = require('path')
+var debug = require('./debug').ldp
+var error = require('./http-error')
+var quota = require('./quota')
+
+var FOLDER = '.trash'
+module.exports.FOLDER = FOLDER
+
+var HOUR = 60 * 60 * 1000
+var DAY = 24 * HOUR
+
+/**
+ * Returns the folder holding the trash of an account.
+ * @method root
+ * @param ldp {LDP}
+ * @param host {String} Hostname of the account
+ * @return {String}
+ */
+function root (ldp, host) {
+  return accountRoot(ldp, host) + FOLDER + '/'
+}
+
+/**
+ * Moves a resource, or a container with all its contents, into the trash.
+ * @method move
+ * @param ldp {LDP}
+ * @param host {String} Hostname of the account
+ * @param filename {String} Path of the resource in the storage backend
+ * @param callback {Function}
+ */
+function move (ldp, host, filename, callback) {
+  ldp.storage.stat(filename, function (err, stats) {
+    if (err) {
+      return callback(error(404, "Can't find resource to delete"))
+    }
+    var container = stats.isDirectory()
+    var name = path.basename(filename)
+    var id = Date.now() + '-' + crypto.randomBytes(4).toString('hex')
+    var itemPath = path.join(root(ldp, host), id)
+    var record = {
+      'path': '/' + path.relative(accountRoot(ldp, host), filename) +
+        (container ? '/' : ''),
+      'deleted': Date.now()
+    }
+    // The .acl and .meta of containers are inside them
+    var names = container
+      ? [ name ]
+      : [ name, name + ldp.suffixAcl, name + ldp.suffixMeta ]
+
+    ldp.storage.mkdirp(itemPath, function (err) {
+      if (err) {
+        return callback(error(err, 'Failed to move the resource to the trash'))
+      }
+      async.eachSeries(names, function (name, next) {
+        var source = path.join(path.dirname(filename), name)
+        ldp.storage.stat(source, function (err) {
+          if (err) {
+            return next()
+          }
+          ldp.storage.rename(source, path.join(itemPath, name), next)
+        })
+      }, function (err) {
+        if (err) {
+          return callback(error(err, 'Failed to move the resource to the trash'))
+        }
+        ldp.storage.writeFile(itemPath + '.json', JSON.stringify(record), function (err) {
+          quota.invalidate(ldp, itemPath)
+          if (err) {
+            return callback(error(err, 'Failed to move the resource to the trash'))
+          }
+          debug('Trash -- Moved ' + filename + ' to ' + itemPath)
+          // Take the opportunity to purge expired items
+          list(ldp, host, function () {
+            callback(null, id)
+          })
+        })
+      })
+    })
+  })
+}
+
+/**
+ * Calls back with the items in the trash of an account, oldest first, as
+ * objects with an `id`, the `path` they were deleted from and the time they
+ * were `deleted` at. Expired items are purged first.
+ * @method list
+ * @param ldp {LDP}
+ * @param host {String} Hostname of the account
+ * @param callback {Function}
+ */
+function list (ldp, host, callback) {
+  var trashPath = root(ldp, host)
+  ldp.storage.readdir(trashPath, function (err, files) {
+    if (err) {
+      return callback(null, [])
+    }
+    var ids = files
+      .filter(function (file) { return path.extname(file) === '.json' })
+      .map(function (file) { return path.basename(file, '.json') })
+    async.map(ids, function (id, next) {
+      read(ldp, host, id, function (err, record) {
+        next(null, err ? null : record)
+      })
+    }, function (err, records) {
+      var expiry = ldp.trashRetention ? Date.now() - ldp.trashRetention * DAY : 0
+      var expired = records.filter(function (record) {
+        return record && record.deleted < expiry
+      })
+      async.each(expired, function (record, next) {
+        debug('Trash -- Purging expired ' + record.id)
+        purge(ldp, host, record.id, function () { next() })
+      }, function () {
+        callback(err, records
+          .filter(function (record) {
+            return record && expired.indexOf(record) === -1
+          })
+          .sort(function (a, b) { return a.deleted - b.deleted }))
+      })
+    })
+  })
+}
+
+/**
+ * Moves an item of the trash back to the path it was deleted from, and calls
+ * back with that path. Fails with a 409 if that path was reused since.
+ * @method restore
+ * @param ldp {LDP}
+ * @param host {String} Hostname of the account
+ * @param id {String} Trash item
+ * @param callback {Function}
+ */
+function restore (ldp, host, id, callback) {
+  read(ldp, host, id, function (err, record) {
+    if (err) {
+      return callback(err)
+    }
+    var itemPath = path.join(root(ldp, host), id)
+    var dirname = path.dirname(path.join(accountRoot(ldp, host), record.path))
+
+    ldp.storage.readdir(itemPath, function (err, names) {
+      if (err) {
+        return callback(error(err, 'Failed to read the trash item'))
+      }
+      async.each(names, function (name, next) {
+        ldp.storage.stat(path.join(dirname, name), function (err) {
+          next(err ? null : error(409, 'A resource already exists at ' + record.path))
+        })
+      }, function (err) {
+        if (err) {
+          return callback(err)
+        }
+        ldp.storage.mkdirp(dirname, function (err) {
+          if (err) {
+            return callback(error(err, 'Failed to restore the trash item'))
+          }
+          async.eachSeries(names, function (name, next) {
+            ldp.storage.rename(path.join(itemPath, name), path.join(dirname, name), next)
+          }, function (err) {
+            if (err) {
+              return callback(error(err, 'Failed to restore the trash item'))
+            }
+            debug('Trash -- Restored ' + id + ' to ' + record.path)
+            ldp.searchIndex.update(path.join(accountRoot(ldp, host), record.path), function () {
+              purge(ldp, host, id, function (err) {
+                callback(err, record.path)
+              })
+            })
+          })
+        })
+      })
+    })
+  })
+}
+
+/**
+ * Permanently deletes an item of the trash.
+ * @method purge
+ * @param ldp {LDP}
+ * @param host {String} Hostname of the account
+ * @param id {String} Trash item
+ * @param callback {Function}
+ */
+function purge (ldp, host, id, callback) {
+  if (!validId(id)) {
+    return callback(error(404, 'Trash item not found'))
+  }
+  var itemPath = path.join(root(ldp, host), id)
+  ldp.storage.unlink(itemPath + '.json', function (err) {
+    if (err) {
+      return callback(error(404, 'Trash item not found'))
+    }
+    ldp.storage.remove(itemPath, function (err) {
+      quota.invalidate(ldp, itemPath)
+      if (err) {
+        return callback(error(err, 'Failed to purge the trash item'))
+      }
+      callback(null)
+    })
+  })
+}
+
+/**
+ * Permanently deletes all the items in the trash of an account.
+ * @method empty
+ * @param ldp {LDP}
+ * @param host {String} Hostname of the account
+ * @param callback {Function}
+ */
+function empty (ldp, host, callback) {
+  ldp.storage.remove(root(ldp, host), function (err) {
+    quota.invalidate(ldp, root(ldp, host))
+    if (err) {
+      return callback(error(err, 'Failed to empty the trash'))
+    }
+    debug('Trash -- Emptied the trash of ' + (host || 'the server'))
+    callback(null)
+  })
+}
+
+/**
+ * Purges the expired items in the trash of every account.
+ * @method purgeExpired
+ * @param ldp {LDP}
+ * @param callback {Function}
+ */
+function purgeExpired (ldp, callback) {
+  // In multi-user mode, each folder of the root is an account
+  var accounts = function (callback) {
+    if (!ldp.idp) {
+      return callback(null, [ null ])
+    }
+    ldp.storage.readdir(ldp.root, function (err, files) {
+      if (err) {
+        return callback(error(err, 'Failed to list the accounts'))
+      }
+      async.filterSeries(files, function (file, next) {
+        ldp.storage.stat(ldp.root + file, function (err, stats) {
+          next(!err && stats.isDirectory())
+        })
+      }, function (hosts) {
+        callback(null, hosts)
+      })
+    })
+  }
+  accounts(function (err, hosts) {
+    if (err) {
+      return callback(err)
+    }
+    async.eachSeries(hosts, function (host, next) {
+      list(ldp, host, function () { next() })
+    }, callback)
+  })
+}
+
+/**
+ * Purges the expired items in the trash of every account now, and then every
+ * hour. The timer doesn't keep the process running.
+ * @method schedulePurge
+ * @param ldp {LDP}
+ * @return {Object} The timer, for `clearInterval()`
+ */
+function schedulePurge (ldp) {
+  var run = function () {
+    purgeExpired(ldp, function (err) {
+      if (err) {
+        debug('Trash -- Failed to purge expired items: ' + err.message)
+      }
+    })
+  }
+  run()
+  var timer = setInterval(run, HOUR)
+  timer.unref()
+  return timer
+}
+
+/**
+ * Calls back with the record of a trash item, along with its `id`.
+ * @method read
+ * @private
+ */
+function read (ldp, host, id, callback) {
+  if (!validId(id)) {
+    return callback(error(404, 'Trash item not found'))
+  }
+  ldp.storage.readFile(path.join(root(ldp, host), id + '.json'), function (err, data) {
+    if (err) {
+      return callback(error(404, 'Trash item not found'))
+    }
+    try {
+      var record = JSON.parse(data)
+    } catch (parseErr) {
+      return callback(error(500, 'Corrupted trash item ' + id))
+    }
+    record.id = id
+    callback(null, record)
+  })
+}
+
+// Ids come from requests, they must not escape the trash folder
+function validId (id) {
+  return /^[0-9]+-[0-9a-f]+$/.test(id)
+}
+
+function accountRoot (ldp, host) {
+  return !ldp.idp ? ldp.root : ldp.root + host + '/'
+}
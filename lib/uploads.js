@@ -0,0 +1,419 @@
+/**
+ * Resumable uploads of large files, in chunks sent with separate requests.
+ *
+ * An upload session is kept in the `.uploads` folder of the account, as a
+ * `.uploads/<id>.json` record of its target path, declared length, content
+ * type, agent and current offset, next to the chunks received so far in
+ * `.uploads/<id>/<offset>`. Finishing the upload writes the chunks into the
+ * target with `ldp.put()`, which replaces it atomically and applies the
+ * storage quota. Sessions not used for a day are purged whenever a new one
+ * is created in the account or an archive imported into it, as are the
+ * archives left behind by imports (see `stagingFile()`). Uploads in progress don't count in the storage
+ * used by the account, but each one reserves its declared length (or the
+ * data it received so far, without one) out of the space left, so that
+ * parallel sessions can't each take all of it.
+ * @module uploads
+ */
+module.exports.root = root
+module.exports.create = create
+module.exports.read = read
+module.exports.append = append
+module.exports.finish = finish
+module.exports.abort = abort
+module.exports.purgeExpired = purgeExpired
+module.exports.reserved = reserved
+module.exports.stagingFile = stagingFile
+
+var async = require('async')
+var crypto = require('crypto')
+var path = require('path')
+var PassThrough = require('stream').PassThrough
+var debug = require('./debug').ldp
+var error = require('./http-error')
+var lock = require('./lock')
+var quota = require('./quota')
+var utils = require('./utils')
+
+var FOLDER = '.uploads'
+module.exports.FOLDER = FOLDER
+
+// Sessions not used for that long are abandoned
+var EXPIRY = 24 * 60 * 60 * 1000
+// Prefix of the archives being imported
+var STAGED = 'import-'
+
+/**
+ * Returns the folder holding the upload sessions of an account.
+ * @method root
+ * @param ldp {LDP}
+ * @param host {String} Hostname of the account
+ * @return {String}
+ */
+function root (ldp, host) {
+  return accountRoot(ldp, host) + FOLDER + '/'
+}
+
+/**
+ * Creates an upload session, and calls back with its record (with its
+ * `id`). Fails with a 413 or 507 if the declared length doesn't fit in the
+ * storage quota.
+ * @method create
+ * @param ldp {LDP}
+ * @param host {String} Hostname of the account
+ * @param options {Object} `target` path of the resource to upload, and
+ *   optionally its `length` in bytes, `contentType` and uploading `agent`
+ * @param callback {Function}
+ */
+function create (ldp, host, options, callback) {
+  var filename = utils.uriToFilename(options.target, accountRoot(ldp, host))
+  quota.available(ldp, host, filename, function (err, available, limit) {
+    if (err) {
+      return callback(error(err, 'Failed to check the storage quota'))
+    }
+    if (options.length > limit) {
+      return callback(error(413, 'The upload is larger than the storage quota'))
+    }
+    if (options.length > available) {
+      return callback(error(507, 'Storage quota exceeded'))
+    }
+    purgeExpired(ldp, host, function () {
+      var id = crypto.randomBytes(16).toString('hex')
+      var record = {
+        'target': options.target,
+        'length': options.length,
+        'contentType': options.contentType,
+        'agent': options.agent,
+        'offset': 0,
+        'created': Date.now(),
+        'updated': Date.now()
+      }
+      write(ldp, host, id, record, function (err) {
+        if (err) {
+          return callback(err)
+        }
+        debug('Uploads -- Created ' + id + ' for ' + options.target)
+        record.id = id
+        callback(null, record)
+      })
+    })
+  })
+}
+
+/**
+ * Calls back with the record of an upload session, along with its `id`.
+ * @method read
+ * @param ldp {LDP}
+ * @param host {String} Hostname of the account
+ * @param id {String} Upload session
+ * @param callback {Function}
+ */
+function read (ldp, host, id, callback) {
+  if (!validId(id)) {
+    return callback(error(404, 'Upload not found'))
+  }
+  ldp.storage.readFile(path.join(root(ldp, host), id + '.json'), function (err, data) {
+    if (err) {
+      return callback(error(404, 'Upload not found'))
+    }
+    try {
+      var record = JSON.parse(data)
+    } catch (parseErr) {
+      return callback(error(500, 'Corrupted upload ' + id))
+    }
+    record.id = id
+    callback(null, record)
+  })
+}
+
+/**
+ * Adds a chunk to an upload session, and calls back with the new offset.
+ * The chunk must start at the current offset (or it fails with a 409), and
+ * neither go past the declared length (400) nor the storage quota (507). A
+ * chunk that doesn't come in whole is dropped.
+ * @method append
+ * @param ldp {LDP}
+ * @param host {String} Hostname of the account
+ * @param id {String} Upload session
+ * @param offset {Number} Offset of the chunk
+ * @param stream {Stream} Data of the chunk
+ * @param callback {Function}
+ */
+function append (ldp, host, id, offset, stream, callback) {
+  update(ldp, host, id, function (record, done) {
+    if (offset !== record.offset) {
+      return done(error(409, 'The upload is at offset ' + record.offset))
+    }
+    var filename = utils.uriToFilename(record.target, accountRoot(ldp, host))
+    quota.available(ldp, host, filename, id, function (err, available) {
+      if (err) {
+        return done(error(err, 'Failed to check the storage quota'))
+      }
+      var left = record.length === undefined ? Infinity : record.length - offset
+      var chunk = chunkFilename(ldp, host, id, offset)
+      ldp.write(chunk, stream, Math.min(available - offset, left), function (err) {
+        if (err) {
+          return done(err.status === 507 && left < available - offset
+            ? error(400, 'The chunk goes past the length of the upload') : err)
+        }
+        ldp.storage.stat(chunk, function (err, stats) {
+          if (err) {
+            return done(error(err, 'Failed to store the chunk'))
+          }
+          if (!stats.size) {
+            return ldp.storage.unlink(chunk, function () { done(null, record) })
+          }
+          record.offset += stats.size
+          done(null, record)
+        })
+      })
+    })
+  }, function (err, record) {
+    callback(err, record && record.offset)
+  })
+}
+
+/**
+ * Writes the data of a complete upload session into its target, and deletes
+ * the session. Fails with a 409 if less than the declared length came in.
+ * @method finish
+ * @param ldp {LDP}
+ * @param host {String} Hostname of the account
+ * @param id {String} Upload session
+ * @param callback {Function} Called with the record of the session
+ */
+function finish (ldp, host, id, callback) {
+  var recordFile = path.join(root(ldp, host), id + '.json')
+  lock(recordFile, function (release) {
+    var done = function (err, record) {
+      release()
+      callback(err, record)
+    }
+    read(ldp, host, id, function (err, record) {
+      if (err) {
+        return done(err)
+      }
+      if (record.length !== undefined && record.offset !== record.length) {
+        return done(error(409, 'Only ' + record.offset + ' of the ' + record.length +
+          ' bytes of the upload came in'))
+      }
+      // The target takes the place of the data, which no longer needs to be
+      // reserved
+      write(ldp, host, id, Object.assign({ 'finishing': true }, record), function (err) {
+        if (err) {
+          return done(err)
+        }
+        ldp.storage.readdir(path.join(root(ldp, host), id), function (err, chunks) {
+          var data = new PassThrough()
+          // The chunk being read, closed if the target doesn't take the data
+          var source = null
+          var stopped = false
+          async.eachSeries((err ? [] : chunks).sort(), function (chunk, next) {
+            if (stopped) {
+              return
+            }
+            source = ldp.createReadStream(path.join(root(ldp, host), id, chunk))
+              .on('error', next)
+              .on('end', function () { next() })
+            source.pipe(data, { 'end': false })
+          }, function (err) {
+            source = null
+            if (err) {
+              return data.emit('error', err)
+            }
+            data.end()
+          })
+          ldp.put(host, record.target, data, record.contentType, function (err) {
+            if (err) {
+              stopped = true
+              if (source) {
+                source.unpipe(data)
+                source.destroy()
+              }
+              return write(ldp, host, id, record, function () {
+                done(err)
+              })
+            }
+            debug('Uploads -- Finished ' + id + ' into ' + record.target)
+            remove(ldp, host, id, function () {
+              done(null, record)
+            })
+          })
+        })
+      })
+    })
+  })
+}
+
+/**
+ * Deletes an upload session with the data it received.
+ * @method abort
+ * @param ldp {LDP}
+ * @param host {String} Hostname of the account
+ * @param id {String} Upload session
+ * @param callback {Function}
+ */
+function abort (ldp, host, id, callback) {
+  var recordFile = path.join(root(ldp, host), id + '.json')
+  lock(recordFile, function (release) {
+    read(ldp, host, id, function (err) {
+      if (err) {
+        release()
+        return callback(err)
+      }
+      remove(ldp, host, id, function (err) {
+        release()
+        callback(err)
+      })
+    })
+  })
+}
+
+/**
+ * Deletes the upload sessions of an account that weren't used for a day,
+ * and the archives of imports started more than a day ago.
+ * @method purgeExpired
+ * @param ldp {LDP}
+ * @param host {String} Hostname of the account
+ * @param callback {Function}
+ */
+function purgeExpired (ldp, host, callback) {
+  ldp.storage.readdir(root(ldp, host), function (err, files) {
+    if (err) {
+      return callback(null)
+    }
+    var ids = files
+      .filter(function (file) { return path.extname(file) === '.json' })
+      .map(function (file) { return path.basename(file, '.json') })
+    var staged = files.filter(function (file) { return file.indexOf(STAGED) === 0 })
+    async.eachSeries(ids, function (id, next) {
+      read(ldp, host, id, function (err, record) {
+        if (err || record.updated > Date.now() - EXPIRY) {
+          return next()
+        }
+        debug('Uploads -- Purging abandoned ' + id)
+        abort(ldp, host, id, function () { next() })
+      })
+    }, function () {
+      async.eachSeries(staged, function (file, next) {
+        var filename = root(ldp, host) + file
+        ldp.storage.stat(filename, function (err, stats) {
+          if (err || stats.mtime.getTime() > Date.now() - EXPIRY) {
+            return next()
+          }
+          debug('Uploads -- Purging abandoned ' + file)
+          ldp.storage.unlink(filename, function () { next() })
+        })
+      }, function () {
+        callback(null)
+      })
+    })
+  })
+}
+
+/**
+ * Returns a new path in the uploads folder of an account, to store an
+ * archive while it is imported (see lib/ldp-import.js). The importer deletes
+ * it when done, or else `purgeExpired()` does a day later.
+ * @method stagingFile
+ * @param ldp {LDP}
+ * @param host {String} Hostname of the account
+ * @return {String}
+ */
+function stagingFile (ldp, host) {
+  return root(ldp, host) + STAGED + crypto.randomBytes(16).toString('hex')
+}
+
+/**
+ * Calls back with the space reserved by the upload sessions of an account:
+ * the declared length of each, or the data it received so far if it has
+ * none. Sessions being finished and abandoned ones don't count.
+ * @method reserved
+ * @param ldp {LDP}
+ * @param host {String} Hostname of the account
+ * @param [except] {String} Upload session left out
+ * @param callback {Function}
+ */
+function reserved (ldp, host, except, callback) {
+  ldp.storage.readdir(root(ldp, host), function (err, files) {
+    if (err) {
+      return callback(null, 0)
+    }
+    var ids = files
+      .filter(function (file) { return path.extname(file) === '.json' })
+      .map(function (file) { return path.basename(file, '.json') })
+      .filter(function (id) { return id !== except })
+    async.reduce(ids, 0, function (total, id, next) {
+      read(ldp, host, id, function (err, record) {
+        if (err || record.finishing || record.updated <= Date.now() - EXPIRY) {
+          return next(null, total)
+        }
+        next(null, total + Math.max(record.length || 0, record.offset))
+      })
+    }, callback)
+  })
+}
+
+// Modifies the record of a session, holding the lock on it
+function update (ldp, host, id, modify, callback) {
+  var recordFile = path.join(root(ldp, host), id + '.json')
+  lock(recordFile, function (release) {
+    var done = function (err, record) {
+      release()
+      callback(err, record)
+    }
+    read(ldp, host, id, function (err, record) {
+      if (err) {
+        return done(err)
+      }
+      modify(record, function (err, record) {
+        if (err) {
+          return done(err)
+        }
+        record.updated = Date.now()
+        write(ldp, host, id, record, function (err) {
+          done(err, record)
+        })
+      })
+    })
+  })
+}
+
+function write (ldp, host, id, record, callback) {
+  var data = Object.assign({}, record)
+  delete data.id
+  ldp.storage.mkdirp(path.join(root(ldp, host), id), function (err) {
+    if (err) {
+      return callback(error(err, 'Failed to store the upload'))
+    }
+    ldp.storage.writeFile(path.join(root(ldp, host), id + '.json'), JSON.stringify(data), function (err) {
+      callback(err && error(err, 'Failed to store the upload'))
+    })
+  })
+}
+
+function remove (ldp, host, id, callback) {
+  var itemPath = path.join(root(ldp, host), id)
+  ldp.storage.unlink(itemPath + '.json', function () {
+    ldp.storage.remove(itemPath, function (err) {
+      callback(err && error(err, 'Failed to delete the upload'))
+    })
+  })
+}
+
+// Chunks are named after their offset, padded so that they sort in order
+function chunkFilename (ldp, host, id, offset) {
+  var name = String(offset)
+  while (name.length < 16) {
+    name = '0' + name
+  }
+  return path.join(root(ldp, host), id, name)
+}
+
+// Ids come from requests, they must not escape the uploads folder
+function validId (id) {
+  return /^[0-9a-f]{32}$/.test(id)
+}
+
+function accountRoot (ldp, host) {
+  return !ldp.idp ? ldp.root : ldp.root + host + '/'
+}
@@ -9,15 +9,21 @@ exports.getResourceLink = getResourceLink
 exports.parse = parse
 exports.serialize = serialize
 exports.translate = translate
+exports.serializationType = serializationType
 exports.stringToStream = stringToStream
 exports.reqToPath = reqToPath
 exports.debrack = debrack
+exports.tmpFilename = tmpFilename
+exports.isTmpFilename = isTmpFilename
 
-var fs = require('fs')
 var path = require('path')
 var S = require('string')
 var $rdf = require('rdflib')
 var from = require('from2')
+var uuid = require('uuid')
+var rdfXml = require('./rdf-xml')
+
+var TMP_SUFFIX = '.tmp'
 
 function debrack (s) {
   if (s.length < 2) {
@@ -32,20 +38,17 @@ function debrack (s) {
   return s.substring(1, s.length - 1)
 }
 
+/**
+ * Returns the path in the storage backend of a resource. Containers are
+ * told by the trailing slash of their URI, the backend isn't looked at (it
+ * may not be the file system, see lib/storage).
+ * @method uriToFilename
+ * @param uri {String} Path of the resource
+ * @param base {String} Root of the account in the storage backend
+ * @return {String}
+ */
 function uriToFilename (uri, base) {
-  var filename = path.join(base, uri)
-  // Make sure filename ends with '/'  if filename exists and is a directory.
-  // TODO this sync operation can be avoided and can be left
-  // to do, to other components, see `ldp.get`
-  try {
-    var fileStats = fs.statSync(filename)
-    if (fileStats.isDirectory() && !filename.endsWith('/')) {
-      filename += '/'
-    } else if (fileStats.isFile() && filename.endsWith('/')) {
-      filename = S(filename).chompRight('/').s
-    }
-  } catch (err) {}
-  return filename
+  return path.join(base, uri)
 }
 
 function uriToRelativeFilename (uri, base) {
@@ -99,15 +102,36 @@ function getResourceLink (filename, uri, base, suffix, otherSuffix) {
 
 function parse (data, baseUri, contentType, callback) {
   var graph = $rdf.graph()
+  // rdflib parses JSON-LD asynchronously, and can call back more than once
+  // on errors. Calling back on the next tick keeps the errors thrown by the
+  // callback from being caught by rdflib.
+  var called = false
+  var done = function (err) {
+    if (called) {
+      return
+    }
+    called = true
+    process.nextTick(function () {
+      return err ? callback(err) : callback(null, graph)
+    })
+  }
   try {
-    $rdf.parse(data, graph, baseUri, contentType)
+    $rdf.parse(data, graph, baseUri, contentType, done)
   } catch (err) {
-    return callback(err)
+    done(err)
   }
-  return callback(null, graph)
 }
 
 function serialize (graph, baseUri, contentType, callback) {
+  // rdflib's RDF/XML serializer fails on recent Node versions
+  if (contentType === 'application/rdf+xml') {
+    try {
+      var xml = rdfXml.serialize(graph)
+    } catch (err) {
+      return callback(err)
+    }
+    return callback(null, xml)
+  }
   try {
                 // target, kb, base, contentType, callback
     $rdf.serialize(null, graph, baseUri, contentType, function (err, result) {
@@ -128,14 +152,27 @@ function serialize (graph, baseUri, contentType, callback) {
   }
 }
 
-function translate (stream, baseUri, from, to, callback) {
+/**
+ * Returns the content type to serialize RDF into, for a requested one
+ * (Turtle for N3, which it is a subset of).
+ * @method serializationType
+ * @param contentType {String}
+ * @return {String}
+ */
+function serializationType (contentType) {
   // Handle Turtle Accept header
-  if (to === 'text/turtle' ||
-      to === 'text/n3' ||
-      to === 'application/turtle' ||
-      to === 'application/n3') {
-    to = 'text/turtle'
+  if (!contentType ||
+      contentType === 'text/turtle' ||
+      contentType === 'text/n3' ||
+      contentType === 'application/turtle' ||
+      contentType === 'application/n3') {
+    return 'text/turtle'
   }
+  return contentType
+}
+
+function translate (stream, baseUri, from, to, callback) {
+  to = serializationType(to)
 
   var data = ''
   stream
@@ -176,3 +213,20 @@ function reqToPath (req) {
   var root = ldp.idp ? ldp.root + req.hostname + '/' : ldp.root
   return uriToFilename(req.path, root)
 }
+
+/**
+ * Returns the path of a temporary file to write the new contents of a file
+ * into, next to it so that it can be renamed in place. Its name starts with
+ * a dot, and `isTmpFilename()` recognizes it.
+ * @method tmpFilename
+ * @param filename {String}
+ * @return {String}
+ */
+function tmpFilename (filename) {
+  return path.join(path.dirname(filename),
+    '.' + path.basename(filename) + '.' + uuid.v4() + TMP_SUFFIX)
+}
+
+function isTmpFilename (filename) {
+  return /^\..+\.[0-9a-f-]{36}\.tmp$/.test(path.basename(filename))
+}
@@ -0,0 +1,158 @@
+/**
+ * Version history of resources, enabled by the `versions` setting.
+ *
+ * Before a resource is overwritten or deleted through LDP, its current state
+ * is kept in the `.versions` folder of the account, at
+ * `.versions/<path of the resource>/<modification time in ms>`, up to
+ * `maxVersions` versions of each resource. Old versions are exposed with the Memento protocol by `lib/handlers/memento.js`.
+ * @module versions
+ */
+module.exports.root = root
+module.exports.location = location
+module.exports.list = list
+module.exports.keep = keep
+module.exports.discard = discard
+
+var async = require('async')
+var path = require('path')
+var debug = require('./debug').ldp
+var error = require('./http-error')
+
+var FOLDER = '.versions'
+module.exports.FOLDER = FOLDER
+
+/**
+ * Returns the folder holding the version history of an account.
+ * @method root
+ * @param ldp {LDP}
+ * @param host {String} Hostname of the account
+ * @return {String}
+ */
+function root (ldp, host) {
+  return accountRoot(ldp, host) + FOLDER + '/'
+}
+
+/**
+ * Returns the location of a version of a resource.
+ * @method location
+ * @param ldp {LDP}
+ * @param host {String} Hostname of the account
+ * @param filename {String} Path of the resource in the storage backend
+ * @param [timestamp] {Number} Version, omit for the folder of all versions
+ * @return {String}
+ */
+function location (ldp, host, filename, timestamp) {
+  var relative = path.relative(accountRoot(ldp, host), filename)
+  return path.join(root(ldp, host), relative, timestamp ? String(timestamp) : '')
+}
+
+/**
+ * Calls back with the versions kept of a resource, as a sorted array of
+ * timestamps (in ms).
+ * @method list
+ * @param ldp {LDP}
+ * @param host {String} Hostname of the account
+ * @param filename {String} Path of the resource in the storage backend
+ * @param callback {Function}
+ */
+function list (ldp, host, filename, callback) {
+  var dirname = location(ldp, host, filename)
+  ldp.storage.readdir(dirname, function (err, files) {
+    if (err) {
+      return callback(null, [])
+    }
+    var timestamps = files
+      .filter(function (file) { return /^\d+$/.test(file) })
+      .map(function (file) { return parseInt(file, 10) })
+      .sort(function (a, b) { return a - b })
+    callback(null, timestamps)
+  })
+}
+
+/**
+ * Keeps the current state of a resource in its version history, if versions
+ * are enabled and the resource exists. The resource stays in place, sharing
+ * its data with the version (see `link()` in lib/storage/index.js), so that
+ * replacing it takes a single rename. Beyond `maxVersions`, the oldest
+ * versions of the resource are dropped.
+ * @method keep
+ * @param ldp {LDP}
+ * @param host {String} Hostname of the account
+ * @param filename {String} Path of the resource in the storage backend
+ * @param callback {Function} Called with the location of the kept version,
+ *   if any (to `discard()` it if the operation replacing it fails)
+ */
+function keep (ldp, host, filename, callback) {
+  if (!ldp.versions) {
+    return callback(null)
+  }
+  ldp.storage.stat(filename, function (err, stats) {
+    if (err || !stats.isFile()) {
+      return callback(null)
+    }
+    var versionPath = location(ldp, host, filename, stats.mtime.getTime())
+    ldp.storage.mkdirp(path.dirname(versionPath), function (err) {
+      if (err) {
+        return callback(error(err, 'Failed to keep the previous version'))
+      }
+      ldp.storage.link(filename, versionPath, function (err) {
+        // This state of the resource was kept already
+        if (err && err.code === 'EEXIST') {
+          return callback(null)
+        }
+        if (err) {
+          return callback(error(err, 'Failed to keep the previous version'))
+        }
+        debug('Versions -- Kept ' + filename + ' as ' + versionPath)
+        prune(ldp, host, filename, function () {
+          callback(null, versionPath)
+        })
+      })
+    })
+  })
+}
+
+/**
+ * Drops a version kept by `keep()`.
+ * @method discard
+ * @param ldp {LDP}
+ * @param versionPath {String} Location of the version
+ * @param callback {Function}
+ */
+function discard (ldp, versionPath, callback) {
+  if (!versionPath) {
+    return callback(null)
+  }
+  ldp.storage.unlink(versionPath, function (err) {
+    if (err) {
+      debug('Versions -- Failed to discard ' + versionPath + ': ' + err)
+    }
+    callback(err)
+  })
+}
+
+// Drops the oldest versions of a resource beyond `maxVersions`
+function prune (ldp, host, filename, callback) {
+  if (!ldp.maxVersions) {
+    return callback(null)
+  }
+  list(ldp, host, filename, function (err, timestamps) {
+    if (err) {
+      return callback(err)
+    }
+    var dropped = timestamps.slice(0, Math.max(timestamps.length - ldp.maxVersions, 0))
+    async.eachSeries(dropped, function (timestamp, next) {
+      var versionPath = location(ldp, host, filename, timestamp)
+      ldp.storage.unlink(versionPath, function (err) {
+        if (err) {
+          debug('Versions -- Failed to drop ' + versionPath + ': ' + err)
+        }
+        next()
+      })
+    }, callback)
+  })
+}
+
+function accountRoot (ldp, host) {
+  return !ldp.idp ? ldp.root : ldp.root + host + '/'
+}
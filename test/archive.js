@@ -0,0 +1,29 @@
+var assert = require('chai').assert
+var async = require('async')
+var archive = require('../lib/archive')
+
+describe('Archives', function () {
+  it('should refuse zip entries past the limits of the format', function (done) {
+    var output = archive.pack('zip')
+    output.resume()
+    var failure
+    var added = 0
+    async.whilst(function () {
+      return !failure && added <= 65535
+    }, function (next) {
+      output.entry({ 'name': added + '/', 'size': 0, 'mtime': new Date() }, null, function (err) {
+        if (err) {
+          failure = err
+        } else {
+          added++
+        }
+        // Folders are added right away, this keeps the stack from growing
+        setImmediate(next)
+      })
+    }, function () {
+      assert.equal(added, 65535)
+      assert.equal(failure.status, 507)
+      done()
+    })
+  })
+})
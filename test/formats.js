@@ -35,6 +35,8 @@ describe('formats', function () {
         .set('accept', 'application/ld+json')
         .expect(200)
         .expect('content-type', /application\/ld\+json/)
+        .expect(isValidJSON)
+        .expect(/ldp#contains/)
         .end(done)
     })
     it('should prefer to avoid translation even if type is listed with less priority', function (done) {
@@ -66,6 +68,27 @@ describe('formats', function () {
     })
   })
 
+  describe('N-Triples', function () {
+    it('should return the container listing in N-Triples if Accept is set to application/n-triples', function (done) {
+      server.get('/sampleContainer/')
+        .set('accept', 'application/n-triples')
+        .expect('content-type', /application\/n-triples/)
+        .expect(/<http:\/\/www.w3.org\/ns\/ldp#contains> <[^>]*\/sampleContainer\/example1.ttl> \./)
+        .expect(200, done)
+    })
+  })
+
+  describe('RDF/XML', function () {
+    it('should return the container listing in RDF/XML if Accept is set to application/rdf+xml', function (done) {
+      server.get('/sampleContainer/')
+        .set('accept', 'application/rdf+xml')
+        .expect('content-type', /application\/rdf\+xml/)
+        .expect(/<rdf:RDF/)
+        .expect(/example1\.ttl/)
+        .expect(200, done)
+    })
+  })
+
   describe('n3', function () {
     it('should return turtle document if Accept is set to text/n3', function (done) {
       server.get('/patch-5-initial.ttl')
@@ -0,0 +1,155 @@
+var $rdf = require('rdflib')
+var assert = require('chai').assert
+var async = require('async')
+var path = require('path')
+var supertest = require('supertest')
+var ldnode = require('../index')
+var MemoryStore = require('../lib/storage').MemoryStore
+
+describe('Triple Pattern Fragments', function () {
+  var alice = 'https://alice.example/profile/card#me'
+  var bob = 'https://bob.example/profile/card#me'
+  var storage = new MemoryStore()
+  var app = ldnode({
+    root: '/memory/',
+    storage: storage,
+    webid: true,
+    forceUser: alice
+  })
+  var server = supertest(app)
+  var hydra = $rdf.Namespace('http://www.w3.org/ns/hydra/core#')
+  var voID = $rdf.Namespace('http://rdfs.org/ns/void#')
+  var knows = 'http://xmlns.com/foaf/0.1/knows'
+  var name = 'http://xmlns.com/foaf/0.1/name'
+
+  function acl (agent, modes) {
+    return '<#auth> a <http://www.w3.org/ns/auth/acl#Authorization> ;\n' +
+      ' <http://www.w3.org/ns/auth/acl#accessTo> <./> ;\n' +
+      ' <http://www.w3.org/ns/auth/acl#defaultForNew> <./> ;\n' +
+      ' <http://www.w3.org/ns/auth/acl#agent> <' + agent + '> ;\n' +
+      ' <http://www.w3.org/ns/auth/acl#mode> ' + modes.map(function (mode) {
+        return '<http://www.w3.org/ns/auth/acl#' + mode + '>'
+      }).join(', ') + ' .\n'
+  }
+
+  before(function (done) {
+    var friends = ''
+    for (var i = 0; i < 150; i++) {
+      friends += '<#me> <' + knows + '> <https://friend-' + i + '.example/#me> .\n'
+    }
+    var files = {
+      '/memory/.acl': acl(alice, [ 'Read', 'Write', 'Control' ]),
+      '/memory/profile.ttl': '<#me> <' + name + '> "Alice"@en .\n' + friends,
+      // The same statement, in another resource
+      '/memory/copy.ttl': '<profile.ttl#me> <' + name + '> "Alice"@en .',
+      '/memory/private/.acl': acl(bob, [ 'Read', 'Write', 'Control' ]),
+      '/memory/private/secret.ttl': '<#me> <' + name + '> "Dave" .'
+    }
+    async.eachSeries(Object.keys(files), function (filename, next) {
+      storage.mkdirp(path.dirname(filename), function (err) {
+        if (err) return next(err)
+        storage.writeFile(filename, files[filename], next)
+      })
+    }, done)
+  })
+
+  function fragment (query, callback) {
+    server.get('/api/fragments')
+      .query(query)
+      .expect('Content-Type', /text\/turtle/)
+      .expect(200)
+      .end(function (err, res) {
+        if (err) return callback(err)
+        var uri = res.request.url
+        var graph = $rdf.graph()
+        $rdf.parse(res.text, graph, uri, 'text/turtle')
+        callback(null, graph, $rdf.sym(uri))
+      })
+  }
+
+  function value (graph, subject, predicate) {
+    var object = graph.any(subject, predicate)
+    return object && object.value
+  }
+
+  it('should return the readable triples matching a pattern', function (done) {
+    fragment({ predicate: name }, function (err, graph, page) {
+      if (err) return done(err)
+      var names = graph.statementsMatching(undefined, $rdf.sym(name)).map(function (st) {
+        return st.object.value
+      })
+      assert.deepEqual(names, [ 'Alice' ])
+      assert.equal(value(graph, page, voID('triples')), '1')
+      assert.equal(value(graph, page, hydra('totalItems')), '1')
+      done()
+    })
+  })
+
+  it('should match literals in the explicit representation', function (done) {
+    fragment({ object: '"Alice"@en' }, function (err, graph, page) {
+      if (err) return done(err)
+      assert.equal(value(graph, page, voID('triples')), '1')
+      fragment({ object: '"Alice"' }, function (err, graph, page) {
+        if (err) return done(err)
+        assert.equal(value(graph, page, voID('triples')), '0')
+        done()
+      })
+    })
+  })
+
+  it('should page large fragments', function (done) {
+    fragment({ predicate: knows }, function (err, graph, page) {
+      if (err) return done(err)
+      assert.equal(graph.statementsMatching(undefined, $rdf.sym(knows)).length, 100)
+      assert.equal(value(graph, page, hydra('totalItems')), '150')
+      assert.equal(value(graph, page, hydra('itemsPerPage')), '100')
+      var next = value(graph, page, hydra('next'))
+      assert.match(next, /\/api\/fragments\?predicate=.+&page=2$/)
+      fragment({ predicate: knows, page: 2 }, function (err, graph, page) {
+        if (err) return done(err)
+        assert.equal(graph.statementsMatching(undefined, $rdf.sym(knows)).length, 50)
+        assert.match(value(graph, page, hydra('previous')), /\/api\/fragments\?predicate=[^&]+$/)
+        assert.isUndefined(value(graph, page, hydra('next')))
+        done()
+      })
+    })
+  })
+
+  it('should not parse the dataset again for each page', function (done) {
+    var cache = app.locals.ldp.datasetCache
+    // Resources are cached by their URI, which includes the port otherwise
+    var page = function (number, callback) {
+      server.get('/api/fragments')
+        .set('host', 'localhost')
+        .query({ predicate: knows, page: number })
+        .expect(200, callback)
+    }
+    page(1, function (err) {
+      if (err) return done(err)
+      var misses = cache.stats().misses
+      page(2, function (err) {
+        if (err) return done(err)
+        assert.equal(cache.stats().misses, misses)
+        done()
+      })
+    })
+  })
+
+  it('should describe the search form of the interface', function (done) {
+    fragment({}, function (err, graph, page) {
+      if (err) return done(err)
+      var dataset = graph.any(page, $rdf.sym('http://purl.org/dc/terms/source'))
+      var search = graph.any(dataset, hydra('search'))
+      assert.match(value(graph, search, hydra('template')),
+        /\/api\/fragments\{\?subject,predicate,object\}$/)
+      assert.equal(graph.each(search, hydra('mapping')).length, 3)
+      done()
+    })
+  })
+
+  it('should reject invalid terms', function (done) {
+    server.get('/api/fragments')
+      .query({ object: '"unterminated' })
+      .expect(400, done)
+  })
+})
@@ -0,0 +1,193 @@
+var assert = require('chai').assert
+var async = require('async')
+var supertest = require('supertest')
+var ldnode = require('../index')
+var GraphCache = require('../lib/graph-cache')
+var MemoryStore = require('../lib/storage').MemoryStore
+
+describe('GraphCache', function () {
+  var storage
+  var cache
+
+  beforeEach(function (done) {
+    storage = new MemoryStore()
+    cache = new GraphCache(storage, 2)
+    storage.mkdirp('/data/sub/', function (err) {
+      if (err) return done(err)
+      async.eachSeries([ '/data/a.ttl', '/data/b.ttl', '/data/sub/c.ttl' ], function (filename, next) {
+        storage.writeFile(filename, '<#s> <#p> "' + filename + '" .', next)
+      }, done)
+    })
+  })
+
+  function get (filename, callback) {
+    cache.get(filename, 'https://example.org' + filename, 'text/turtle', callback)
+  }
+
+  function value (graph) {
+    return graph.statements[0].object.value
+  }
+
+  it('should return the same graph until the document changes', function (done) {
+    get('/data/a.ttl', function (err, first) {
+      if (err) return done(err)
+      get('/data/a.ttl', function (err, second) {
+        if (err) return done(err)
+        assert.strictEqual(second, first)
+        storage.writeFile('/data/a.ttl', '<#s> <#p> "changed" .', function (err) {
+          if (err) return done(err)
+          get('/data/a.ttl', function (err, third) {
+            if (err) return done(err)
+            assert.equal(value(third), 'changed')
+            assert.include(cache.stats(), { hits: 1, misses: 2, hitRate: 0.33 })
+            done()
+          })
+        })
+      })
+    })
+  })
+
+  it('should read invalidated documents again, even with the same mtime', function (done) {
+    get('/data/a.ttl', function (err) {
+      if (err) return done(err)
+      // A write within the resolution of modification times
+      var stat = storage.stat
+      storage.stat = function (filename, callback) {
+        stat.call(storage, filename, function (err, stats) {
+          callback(err, stats && Object.assign({}, stats, { mtime: new Date(0), size: 1 }))
+        })
+      }
+      get('/data/a.ttl', function (err) {
+        if (err) return done(err)
+        storage.writeFile('/data/a.ttl', '<#s> <#p> "rewritten" .', function (err) {
+          if (err) return done(err)
+          cache.invalidate('/data/a.ttl')
+          get('/data/a.ttl', function (err, graph) {
+            if (err) return done(err)
+            assert.equal(value(graph), 'rewritten')
+            done()
+          })
+        })
+      })
+    })
+  })
+
+  it('should invalidate the documents of a container', function (done) {
+    async.eachSeries([ '/data/a.ttl', '/data/sub/c.ttl' ], get, function (err) {
+      if (err) return done(err)
+      cache.invalidate('/data/sub/')
+      assert.deepEqual(Array.from(cache.entries.keys()), [ '/data/a.ttl' ])
+      done()
+    })
+  })
+
+  it('should evict the least recently used documents', function (done) {
+    async.eachSeries([ '/data/a.ttl', '/data/b.ttl', '/data/a.ttl', '/data/sub/c.ttl' ], get, function (err) {
+      if (err) return done(err)
+      assert.deepEqual(Array.from(cache.entries.keys()), [ '/data/a.ttl', '/data/sub/c.ttl' ])
+      assert.equal(cache.stats().evictions, 1)
+      done()
+    })
+  })
+
+  it('should not cache anything with a size of 0', function (done) {
+    cache = new GraphCache(storage, 0)
+    async.eachSeries([ '/data/a.ttl', '/data/a.ttl' ], get, function (err) {
+      if (err) return done(err)
+      assert.include(cache.stats(), { hits: 0, misses: 2, entries: 0 })
+      done()
+    })
+  })
+
+  it('should call back with the errors of missing documents', function (done) {
+    get('/data/missing.ttl', function (err) {
+      assert.equal(err && err.code, 'ENOENT')
+      done()
+    })
+  })
+})
+
+describe('HTTP ACL caching', function () {
+  var alice = 'https://alice.example/profile/card#me'
+  var storage = new MemoryStore()
+  var app = ldnode({
+    root: '/memory/',
+    storage: storage,
+    webid: true,
+    forceUser: alice
+  })
+  var server = supertest(app)
+
+  function acl (modes) {
+    return '<#auth> a <http://www.w3.org/ns/auth/acl#Authorization> ;\n' +
+      ' <http://www.w3.org/ns/auth/acl#accessTo> <./> ;\n' +
+      ' <http://www.w3.org/ns/auth/acl#defaultForNew> <./> ;\n' +
+      ' <http://www.w3.org/ns/auth/acl#agent> <' + alice + '> ;\n' +
+      ' <http://www.w3.org/ns/auth/acl#mode> ' + modes.map(function (mode) {
+        return '<http://www.w3.org/ns/auth/acl#' + mode + '>'
+      }).join(', ') + ' .\n'
+  }
+
+  before(function (done) {
+    async.series([
+      storage.mkdirp.bind(storage, '/memory/'),
+      storage.writeFile.bind(storage, '/memory/.acl', acl([ 'Read', 'Write', 'Control' ])),
+      storage.writeFile.bind(storage, '/memory/doc.txt', 'doc')
+    ], done)
+  })
+
+  it('should reuse the parsed ACL on the next requests', function (done) {
+    // (ACLs are parsed against the URI of the server)
+    server.get('/doc.txt')
+      .set('host', 'localhost')
+      .expect(200)
+      .end(function (err) {
+        if (err) return done(err)
+        var hits = app.locals.ldp.graphCache.stats().hits
+        server.get('/doc.txt')
+          .set('host', 'localhost')
+          .expect(200)
+          .end(function (err) {
+            if (err) return done(err)
+            assert.isAbove(app.locals.ldp.graphCache.stats().hits, hits)
+            done()
+          })
+      })
+  })
+
+  it('should serve the metrics of the cache to the owner', function (done) {
+    server.get('/api/cache')
+      .set('host', 'localhost')
+      .expect('Content-Type', /application\/json/)
+      .expect(200)
+      .end(function (err, res) {
+        if (err) return done(err)
+        assert.deepEqual(Object.keys(res.body).sort(),
+          [ 'entries', 'evictions', 'hitRate', 'hits', 'invalidations', 'misses' ])
+        assert.isAbove(res.body.hits, 0)
+        done()
+      })
+  })
+
+  it('should not serve the metrics of the cache to other agents', function (done) {
+    supertest(ldnode({
+      root: '/memory/',
+      storage: storage,
+      webid: true,
+      forceUser: 'https://bob.example/profile/card#me'
+    })).get('/api/cache')
+      .expect(403, done)
+  })
+
+  it('should apply a new ACL right away', function (done) {
+    server.put('/.acl')
+      .set('content-type', 'text/turtle')
+      .send(acl([ 'Write', 'Control' ]))
+      .expect(201)
+      .end(function (err) {
+        if (err) return done(err)
+        server.get('/doc.txt')
+          .expect(403, done)
+      })
+  })
+})
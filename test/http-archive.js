@@ -0,0 +1,159 @@
+var assert = require('chai').assert
+var async = require('async')
+var path = require('path')
+var supertest = require('supertest')
+var zlib = require('zlib')
+var ldnode = require('../index')
+var MemoryStore = require('../lib/storage').MemoryStore
+
+describe('HTTP GET of containers as archives', function () {
+  var alice = 'https://alice.example/profile/card#me'
+  var storage = new MemoryStore()
+  var server = supertest(ldnode({
+    root: '/memory/',
+    storage: storage,
+    webid: true,
+    forceUser: alice
+  }))
+
+  function acl (target, modes) {
+    return '<#auth> a <http://www.w3.org/ns/auth/acl#Authorization> ;\n' +
+      ' <http://www.w3.org/ns/auth/acl#accessTo> <' + target + '> ;\n' +
+      ' <http://www.w3.org/ns/auth/acl#defaultForNew> <' + target + '> ;\n' +
+      ' <http://www.w3.org/ns/auth/acl#agent> <' + alice + '> ;\n' +
+      ' <http://www.w3.org/ns/auth/acl#mode> ' + modes.map(function (mode) {
+        return '<http://www.w3.org/ns/auth/acl#' + mode + '>'
+      }).join(', ') + ' .\n'
+  }
+
+  var longName = new Array(30).join('long-') + 'name.txt'
+
+  before(function (done) {
+    var files = {
+      '/memory/.acl': acl('./', [ 'Read', 'Write', 'Control' ]),
+      '/memory/album/photo.jpg': 'JPEG',
+      '/memory/album/photo.jpg.meta': '<photo.jpg> <http://purl.org/dc/terms/title> "A photo" .',
+      '/memory/album/pictures/1.png': 'PNG',
+      '/memory/album/pictures/2.png': 'Another PNG',
+      ['/memory/album/pictures/thumbnails/' + longName]: 'Long',
+      '/memory/album/secret/.acl': acl('./', [ 'Write' ]),
+      '/memory/album/secret/diary.txt': 'Dear diary'
+    }
+    async.eachSeries(Object.keys(files), function (filename, next) {
+      storage.mkdirp(path.dirname(filename), function (err) {
+        if (err) return next(err)
+        storage.writeFile(filename, files[filename], next)
+      })
+    }, done)
+  })
+
+  function binary (res, callback) {
+    var chunks = []
+    res.on('data', function (chunk) { chunks.push(chunk) })
+    res.on('end', function () { callback(null, Buffer.concat(chunks)) })
+  }
+
+  // Lists the entries of a tar archive, with their data
+  function untar (data) {
+    var entries = {}
+    var longPath
+    var offset = 0
+    while (data[offset]) {
+      var field = function (start, length) {
+        return data.slice(offset + start, offset + start + length).toString().replace(/\0.*$/, '')
+      }
+      var name = field(345, 155) ? field(345, 155) + '/' + field(0, 100) : field(0, 100)
+      var size = parseInt(field(124, 12), 8)
+      var content = data.slice(offset + 512, offset + 512 + size).toString()
+      if (field(156, 1) === 'x') {
+        longPath = /path=(.*)\n/.exec(content)[1]
+      } else {
+        entries[longPath || name] = content
+        longPath = null
+      }
+      offset += 512 + Math.ceil(size / 512) * 512
+    }
+    return entries
+  }
+
+  // Lists the entries of a zip archive from its central directory, with
+  // their data
+  function unzip (data) {
+    var entries = {}
+    var end = data.length - 22
+    assert.equal(data.readUInt32LE(end), 0x06054b50)
+    var offset = data.readUInt32LE(end + 16)
+    for (var i = 0; i < data.readUInt16LE(end + 10); i++) {
+      var nameLength = data.readUInt16LE(offset + 28)
+      var name = data.slice(offset + 46, offset + 46 + nameLength).toString()
+      var local = data.readUInt32LE(offset + 42)
+      var start = local + 30 + data.readUInt16LE(local + 26)
+      var compressed = data.slice(start, start + data.readUInt32LE(offset + 20))
+      entries[name] = data.readUInt16LE(offset + 10) === 8
+        ? zlib.inflateRawSync(compressed).toString() : compressed.toString()
+      offset += 46 + nameLength
+    }
+    return entries
+  }
+
+  it('should send a container as a tar archive, with metadata files', function (done) {
+    server.get('/album/')
+      .set('Accept', 'application/x-tar')
+      .expect('Content-Type', /application\/x-tar/)
+      .expect('Content-Disposition', 'attachment; filename="album.tar"')
+      .expect(200)
+      .buffer(true).parse(binary)
+      .end(function (err, res) {
+        if (err) return done(err)
+        var entries = untar(res.body)
+        assert.equal(entries['album/photo.jpg'], 'JPEG')
+        assert.include(entries['album/photo.jpg.meta'], 'A photo')
+        assert.equal(entries['album/pictures/2.png'], 'Another PNG')
+        assert.equal(entries['album/pictures/thumbnails/' + longName], 'Long')
+        assert.property(entries, 'album/pictures/')
+        done()
+      })
+  })
+
+  it('should send a container as a zip archive', function (done) {
+    server.get('/album/pictures/')
+      .set('Accept', 'application/zip')
+      .expect('Content-Type', /application\/zip/)
+      .expect('Content-Disposition', 'attachment; filename="pictures.zip"')
+      .expect(200)
+      .buffer(true).parse(binary)
+      .end(function (err, res) {
+        if (err) return done(err)
+        assert.deepEqual(unzip(res.body), {
+          'pictures/': '',
+          'pictures/1.png': 'PNG',
+          'pictures/2.png': 'Another PNG',
+          'pictures/thumbnails/': '',
+          ['pictures/thumbnails/' + longName]: 'Long'
+        })
+        done()
+      })
+  })
+
+  it('should leave out what the agent cannot read', function (done) {
+    server.get('/album/')
+      .set('Accept', 'application/zip')
+      .expect(200)
+      .buffer(true).parse(binary)
+      .end(function (err, res) {
+        if (err) return done(err)
+        var entries = unzip(res.body)
+        assert.property(entries, 'album/photo.jpg')
+        assert.notProperty(entries, 'album/secret/diary.txt')
+        assert.notProperty(entries, 'album/secret/.acl')
+        done()
+      })
+  })
+
+  it('should still send container listings otherwise', function (done) {
+    server.get('/album/')
+      .set('Accept', 'text/turtle')
+      .expect('Content-Type', /text\/turtle/)
+      .expect(200, done)
+  })
+})
@@ -0,0 +1,109 @@
+var assert = require('chai').assert
+var zlib = require('zlib')
+var supertest = require('supertest')
+var ldnode = require('../index')
+var MemoryStore = require('../lib/storage').MemoryStore
+
+describe('HTTP compression', function () {
+  var storage = new MemoryStore()
+  var server = supertest(ldnode({
+    root: '/memory/',
+    storage: storage
+  }))
+  var turtle = ''
+  for (var i = 0; i < 100; i++) {
+    turtle += '<#me> <http://xmlns.com/foaf/0.1/knows> <https://friend-' + i + '.example/#me> .\n'
+  }
+  var text = new Array(200).join('All work and no play. ')
+
+  before(function (done) {
+    storage.mkdirp('/memory/', function (err) {
+      if (err) return done(err)
+      storage.writeFile('/memory/friends.ttl', turtle, function (err) {
+        if (err) return done(err)
+        storage.writeFile('/memory/small.txt', 'Small', function (err) {
+          if (err) return done(err)
+          storage.writeFile('/memory/long.txt', text, function (err) {
+            if (err) return done(err)
+            storage.writeFile('/memory/photo.jpg', Buffer.alloc(4096), done)
+          })
+        })
+      })
+    })
+  })
+
+  it('should gzip Turtle resources, with a weak ETag', function (done) {
+    server.get('/friends.ttl')
+      .set('Accept-Encoding', 'gzip')
+      .expect('Content-Encoding', 'gzip')
+      .expect('Vary', /Accept-Encoding/)
+      .expect('ETag', /^W\/"/)
+      .expect(200)
+      .end(function (err, res) {
+        if (err) return done(err)
+        assert.equal(res.text, turtle)
+        server.get('/friends.ttl')
+          .set('Accept-Encoding', 'gzip')
+          .set('If-None-Match', res.headers.etag)
+          .expect(304, done)
+      })
+  })
+
+  it('should gzip translated RDF', function (done) {
+    server.get('/friends.ttl')
+      .set('Accept', 'application/ld+json')
+      .set('Accept-Encoding', 'gzip')
+      .expect('Content-Type', /application\/ld\+json/)
+      .expect('Content-Encoding', 'gzip')
+      .expect(200)
+      .end(function (err, res) {
+        if (err) return done(err)
+        assert.include(JSON.parse(res.text)[0]['http://xmlns.com/foaf/0.1/knows'], { '@id': 'https://friend-99.example/#me' })
+        done()
+      })
+  })
+
+  it('should send resources as they are without Accept-Encoding', function (done) {
+    server.get('/friends.ttl')
+      .set('Accept-Encoding', 'identity')
+      .expect('Vary', /Accept-Encoding/)
+      .expect(200)
+      .end(function (err, res) {
+        if (err) return done(err)
+        assert.notProperty(res.headers, 'content-encoding')
+        assert.notMatch(res.headers.etag, /^W\//)
+        done()
+      })
+  })
+
+  it('should not compress media, small resources or byte ranges', function (done) {
+    var uncompressed = function (path, range) {
+      return function (next) {
+        var request = server.get(path).set('Accept-Encoding', 'gzip')
+        if (range) {
+          request.set('Range', range)
+        }
+        request.end(function (err, res) {
+          if (err) return next(err)
+          assert.notProperty(res.headers, 'content-encoding', path)
+          next()
+        })
+      }
+    }
+    uncompressed('/photo.jpg')(function (err) {
+      if (err) return done(err)
+      uncompressed('/small.txt')(function (err) {
+        if (err) return done(err)
+        uncompressed('/long.txt', 'bytes=0-99')(done)
+      })
+    })
+  })
+
+  var brotli = zlib.createBrotliCompress ? it : it.skip
+  brotli('should prefer brotli when it is accepted', function (done) {
+    server.get('/long.txt')
+      .set('Accept-Encoding', 'gzip, br')
+      .expect('Content-Encoding', 'br')
+      .expect(200, done)
+  })
+})
@@ -0,0 +1,237 @@
+var assert = require('chai').assert
+var http = require('http')
+var supertest = require('supertest')
+var ldnode = require('../index')
+var MemoryStore = require('../lib/storage').MemoryStore
+
+describe('HTTP conditional requests', function () {
+  var storage = new MemoryStore()
+  var server = supertest(ldnode.createServer({
+    root: '/memory/',
+    storage: storage
+  }))
+  var etag
+
+  before(function (done) {
+    server.put('/profile/card')
+      .set('content-type', 'text/turtle')
+      .send('<#me> <#name> "Alice" .')
+      .expect(201)
+      .end(function (err, res) {
+        etag = res.headers.etag
+        done(err)
+      })
+  })
+
+  describe('GET', function () {
+    it('should return a strong ETag and Last-Modified', function (done) {
+      server.get('/profile/card')
+        .expect(200)
+        .end(function (err, res) {
+          if (err) return done(err)
+          assert.match(res.headers.etag, /^"[0-9a-f]+"$/)
+          assert.equal(res.headers.etag, etag)
+          assert.ok(res.headers['last-modified'])
+          done()
+        })
+    })
+
+    it('should return 304 if If-None-Match matches', function (done) {
+      server.get('/profile/card')
+        .set('If-None-Match', etag)
+        .expect(304, done)
+    })
+
+    it('should return 200 if If-None-Match does not match', function (done) {
+      server.get('/profile/card')
+        .set('If-None-Match', '"other"')
+        .expect(200, done)
+    })
+
+    it('should return 412 if If-Match does not match', function (done) {
+      server.get('/profile/card')
+        .set('If-Match', '"other"')
+        .expect(412, done)
+    })
+
+    it('should return 304 if not modified since If-Modified-Since', function (done) {
+      server.get('/profile/card')
+        .set('If-Modified-Since', new Date(Date.now() + 60000).toUTCString())
+        .expect(304, done)
+    })
+
+    it('should return 200 if modified since If-Modified-Since', function (done) {
+      server.get('/profile/card')
+        .set('If-Modified-Since', new Date(0).toUTCString())
+        .expect(200, done)
+    })
+
+    it('should give translated representations a different ETag', function (done) {
+      server.get('/profile/card')
+        .set('Accept', 'application/ld+json')
+        .expect(200)
+        .end(function (err, res) {
+          if (err) return done(err)
+          assert.ok(res.headers.etag)
+          assert.notEqual(res.headers.etag, etag)
+          done()
+        })
+    })
+
+    it('should return an ETag for containers on GET, not listing them on HEAD', function (done) {
+      server.get('/profile/')
+        .expect(200)
+        .end(function (err, res) {
+          if (err) return done(err)
+          assert.ok(res.headers.etag)
+          server.head('/profile/')
+            .expect(200)
+            .end(function (err, res) {
+              if (err) return done(err)
+              assert.notOk(res.headers.etag)
+              assert.ok(res.headers['last-modified'])
+              done()
+            })
+        })
+    })
+
+    it('should return the ETag of resources on HEAD', function (done) {
+      server.head('/profile/card')
+        .expect('ETag', etag)
+        .expect(200, done)
+    })
+  })
+
+  describe('PUT', function () {
+    it('should not overwrite with If-None-Match: *', function (done) {
+      server.put('/profile/card')
+        .set('If-None-Match', '*')
+        .set('content-type', 'text/turtle')
+        .send('<#me> <#name> "Mallory" .')
+        .expect(412, done)
+    })
+
+    it('should create with If-None-Match: *', function (done) {
+      server.put('/profile/new')
+        .set('If-None-Match', '*')
+        .set('content-type', 'text/turtle')
+        .send('<#me> <#name> "Bob" .')
+        .expect(201, done)
+    })
+
+    it('should not create with If-Match', function (done) {
+      server.put('/profile/missing')
+        .set('If-Match', '*')
+        .set('content-type', 'text/turtle')
+        .send('')
+        .expect(412, done)
+    })
+
+    it('should overwrite if If-Match matches, returning the new ETag', function (done) {
+      server.put('/profile/card')
+        .set('If-Match', etag)
+        .set('content-type', 'text/turtle')
+        .send('<#me> <#name> "Alice Smith" .')
+        .expect(201)
+        .end(function (err, res) {
+          if (err) return done(err)
+          assert.ok(res.headers.etag)
+          assert.notEqual(res.headers.etag, etag)
+          etag = res.headers.etag
+          done()
+        })
+    })
+
+    it('should let only one of concurrent writes with the same If-Match through', function (done) {
+      var app = ldnode.createServer({ root: '/memory/', storage: storage }).listen(0)
+      var statuses = []
+      // Both requests are in before either body is complete
+      var writes = [ 'Alice Jones', 'Alice Brown' ].map(function (name) {
+        var body = '<#me> <#name> "' + name + '" .'
+        var request = http.request({
+          'method': 'PUT',
+          'port': app.address().port,
+          'path': '/profile/card',
+          'headers': {
+            'If-Match': etag,
+            'Content-Type': 'text/turtle',
+            'Content-Length': body.length
+          }
+        }, function (res) {
+          res.resume()
+          statuses.push(res.statusCode)
+          if (statuses.length < 2) return
+          app.close()
+          assert.deepEqual(statuses.sort(), [ 201, 412 ])
+          server.get('/profile/card').expect(200, function (err, res) {
+            if (err) return done(err)
+            etag = res.headers.etag
+            done()
+          })
+        })
+        request.on('error', done)
+        request.write(body.slice(0, 10))
+        return { 'request': request, 'rest': body.slice(10) }
+      })
+      setTimeout(function () {
+        writes.forEach(function (write) {
+          write.request.end(write.rest)
+        })
+      }, 100)
+    })
+  })
+
+  describe('PATCH', function () {
+    var patch = 'INSERT DATA { <#me> <#nick> "al" . }'
+
+    it('should refuse a patch based on a stale ETag', function (done) {
+      server.patch('/profile/card')
+        .set('If-Match', '"stale"')
+        .set('content-type', 'application/sparql-update')
+        .send(patch)
+        .expect(412, done)
+    })
+
+    it('should apply a patch if If-Match matches', function (done) {
+      server.patch('/profile/card')
+        .set('If-Match', etag)
+        .set('content-type', 'application/sparql-update')
+        .send(patch)
+        .expect(200)
+        .end(function (err, res) {
+          if (err) return done(err)
+          assert.notEqual(res.headers.etag, etag)
+          // The previous ETag is now stale
+          server.patch('/profile/card')
+            .set('If-Match', etag)
+            .set('content-type', 'application/sparql-update')
+            .send(patch)
+            .expect(412, done)
+        })
+    })
+  })
+
+  describe('DELETE', function () {
+    it('should not delete if If-Match does not match', function (done) {
+      server.delete('/profile/new')
+        .set('If-Match', '"stale"')
+        .expect(412, done)
+    })
+
+    it('should not delete if modified since If-Unmodified-Since', function (done) {
+      server.delete('/profile/new')
+        .set('If-Unmodified-Since', new Date(0).toUTCString())
+        .expect(412, done)
+    })
+
+    it('should delete if If-Match matches', function (done) {
+      server.head('/profile/new')
+        .end(function (err, res) {
+          if (err) return done(err)
+          server.delete('/profile/new')
+            .set('If-Match', res.headers.etag)
+            .expect(200, done)
+        })
+    })
+  })
+})
@@ -0,0 +1,140 @@
+var assert = require('chai').assert
+var async = require('async')
+var li = require('li')
+var supertest = require('supertest')
+var ldnode = require('../index')
+var MemoryStore = require('../lib/storage').MemoryStore
+
+describe('HTTP container listing queries', function () {
+  var storage = new MemoryStore()
+  var server = supertest(ldnode({
+    root: '/memory/',
+    storage: storage
+  }))
+  var members = [ 'notes', 'photo-1.png', 'photo-2.png', 'report.txt' ]
+  var modified
+
+  before(function (done) {
+    storage.mkdirp('/memory/files/notes/', function (err) {
+      if (err) return done(err)
+      // Written in this order, the last ones being the most recent
+      async.eachSeries([
+        [ 'report.txt', 'quarterly report' ],
+        [ 'photo-2.png', 'png' ],
+        [ 'photo-1.png', 'a bigger png' ],
+        [ 'report.txt.meta', '<report.txt> a <http://schema.org/Report> .' ]
+      ], function (file, next) {
+        storage.writeFile('/memory/files/' + file[0], file[1], next)
+      }, function (err) {
+        if (err) return done(err)
+        storage.stat('/memory/files/photo-2.png', function (err, stats) {
+          modified = stats && stats.mtime
+          done(err)
+        })
+      })
+    })
+  })
+
+  function contains (text) {
+    return members.filter(function (member) {
+      return text.indexOf('<' + member + (member === 'notes' ? '/' : '') + '>') >= 0
+    })
+  }
+
+  function list (query, expected, done) {
+    server.get('/files/?' + query)
+      .expect(200)
+      .end(function (err, res) {
+        if (err) return done(err)
+        assert.deepEqual(contains(res.text), expected)
+        done()
+      })
+  }
+
+  it('should filter members by name prefix', function (done) {
+    list('prefix=photo-', [ 'photo-1.png', 'photo-2.png' ], done)
+  })
+
+  it('should filter members by type recorded in their metadata', function (done) {
+    list('type=' + encodeURIComponent('http://schema.org/Report'),
+      [ 'report.txt' ], done)
+  })
+
+  it('should filter members by LDP type', function (done) {
+    list('type=' + encodeURIComponent('http://www.w3.org/ns/ldp#Container'),
+      [ 'notes' ], done)
+  })
+
+  it('should filter members by modification date', function (done) {
+    list('modifiedSince=' + encodeURIComponent(modified.toISOString()),
+      [ 'photo-1.png', 'photo-2.png' ], done)
+  })
+
+  it('should sort the members of paged listings', function (done) {
+    var order = {}
+    async.eachSeries([ 'size', '-size', 'mtime', '-mtime' ], function (sort, next) {
+      server.get('/files/?sort=' + sort + '&size=1')
+        .expect(200)
+        .end(function (err, res) {
+          if (err) return next(err)
+          order[sort] = contains(res.text)
+          next()
+        })
+    }, function (err) {
+      if (err) return done(err)
+      assert.deepEqual(order, {
+        'size': [ 'notes' ],
+        '-size': [ 'report.txt' ],
+        'mtime': [ 'notes' ],
+        '-mtime': [ 'photo-1.png' ]
+      })
+      done()
+    })
+  })
+
+  it('should keep the query in the links to the other pages', function (done) {
+    server.get('/files/?prefix=photo-&sort=-mtime&size=1')
+      .expect(200)
+      .end(function (err, res) {
+        if (err) return done(err)
+        assert.deepEqual(contains(res.text), [ 'photo-1.png' ])
+        var next = li.parse(res.headers.link).next
+        assert.match(next, /prefix=photo-&sort=-mtime&size=1&after=\d+%2Fphoto-1.png$/)
+        list(next.replace(/^https?:\/\/[^/]+\/files\/\?/, ''), [ 'photo-2.png' ], done)
+      })
+  })
+
+  it('should page through members sorted by size, by their size and name', function (done) {
+    var seen = []
+    var uri = '/files/?sort=size&size=1'
+    async.whilst(function () { return uri }, function (next) {
+      server.get(uri)
+        .expect(200)
+        .end(function (err, res) {
+          if (err) return next(err)
+          seen = seen.concat(contains(res.text))
+          var links = li.parse(res.headers.link)
+          uri = links.next && links.next.replace(/^https?:\/\/[^/]+/, '')
+          next()
+        })
+    }, function (err) {
+      if (err) return done(err)
+      assert.deepEqual(seen, [ 'notes', 'photo-2.png', 'photo-1.png', 'report.txt' ])
+      done()
+    })
+  })
+
+  it('should start pages after members that are gone by their sort key', function (done) {
+    list('sort=size&size=1&after=' + encodeURIComponent('5/gone.png'), [ 'photo-1.png' ], done)
+  })
+
+  it('should reject unknown sort orders', function (done) {
+    server.get('/files/?sort=color')
+      .expect(400, done)
+  })
+
+  it('should reject invalid dates', function (done) {
+    server.get('/files/?modifiedSince=yesterday')
+      .expect(400, done)
+  })
+})
@@ -0,0 +1,105 @@
+var assert = require('chai').assert
+var async = require('async')
+var supertest = require('supertest')
+var ldnode = require('../index')
+var MemoryStore = require('../lib/storage').MemoryStore
+
+describe('HTTP streamed container listings', function () {
+  var storage = new MemoryStore()
+  var server = supertest(ldnode({
+    root: '/memory/',
+    storage: storage
+  }))
+  var count = 2000
+
+  before(function (done) {
+    storage.mkdirp('/memory/huge/', function (err) {
+      if (err) return done(err)
+      async.timesSeries(count, function (i, next) {
+        storage.writeFile('/memory/huge/file-' + i + '.txt', String(i), next)
+      }, done)
+    })
+  })
+
+  function members (text) {
+    return text.match(/ldp#contains> <file-\d+\.txt> \./g) || []
+  }
+
+  it('should list every member of a huge container, without an ETag', function (done) {
+    server.get('/huge/')
+      .expect('Content-Type', /text\/turtle/)
+      .expect(200)
+      .end(function (err, res) {
+        if (err) return done(err)
+        assert.notProperty(res.headers, 'etag')
+        assert.equal(members(res.text).length, count)
+        done()
+      })
+  })
+
+  it('should stream listings in N-Triples', function (done) {
+    server.get('/huge/')
+      .set('accept', 'application/n-triples')
+      .expect('Content-Type', /application\/n-triples/)
+      .expect(200)
+      .end(function (err, res) {
+        if (err) return done(err)
+        var contains = res.text.match(/ldp#contains> <http:\/\/[^>]+\/huge\/file-\d+\.txt> \./g)
+        assert.equal(contains.length, count)
+        done()
+      })
+  })
+
+  it('should list members in the same order whatever order they are read in', function (done) {
+    var storage = new MemoryStore()
+    var server = supertest(ldnode({
+      root: '/memory/',
+      storage: storage
+    }))
+    var names = [ 'a.txt', 'b.txt', 'c.txt', 'd.txt' ]
+    var stat = storage.stat
+    var delays = [ 20, 0, 10, 5 ]
+    var listings = []
+    async.eachSeries(names, function (name, next) {
+      storage.mkdirp('/memory/small/', function () {
+        storage.writeFile('/memory/small/' + name, name, next)
+      })
+    }, function (err) {
+      if (err) return done(err)
+      async.timesSeries(2, function (i, next) {
+        // Members take turns being read last
+        delays.reverse()
+        storage.stat = function (filename, callback) {
+          var delay = delays[names.indexOf(filename.split('/').pop())] || 0
+          setTimeout(stat.bind(storage, filename, callback), delay)
+        }
+        server.get('/small/')
+          .expect(200)
+          .end(function (err, res) {
+            storage.stat = stat
+            listings.push(res)
+            next(err)
+          })
+      }, function (err) {
+        if (err) return done(err)
+        assert.deepEqual(listings[0].text.match(/[a-d]\.txt> \./g), [
+          'a.txt> .', 'b.txt> .', 'c.txt> .', 'd.txt> .'
+        ])
+        assert.equal(listings[0].text, listings[1].text)
+        assert.equal(listings[0].headers.etag, listings[1].headers.etag)
+        done()
+      })
+    })
+  })
+
+  it('should keep the ETag of listings small enough to be buffered', function (done) {
+    server.get('/huge/?size=10')
+      .expect(200)
+      .end(function (err, res) {
+        if (err) return done(err)
+        assert.ok(res.headers.etag)
+        assert.equal(members(res.text).length, 10)
+        done()
+      })
+  })
+})
@@ -0,0 +1,129 @@
+var assert = require('chai').assert
+var supertest = require('supertest')
+var ldnode = require('../index')
+var MemoryStore = require('../lib/storage').MemoryStore
+
+describe('HTTP content types', function () {
+  var storage = new MemoryStore()
+  var server = supertest(ldnode({
+    root: '/memory/',
+    storage: storage
+  }))
+  var png = Buffer.from('89504e470d0a1a0a', 'hex')
+
+  before(function (done) {
+    storage.mkdirp('/memory/files/', done)
+  })
+
+  it('should serve a resource with the type it was PUT with', function (done) {
+    server.put('/files/picture')
+      .set('content-type', 'image/png')
+      .send(png)
+      .expect(201)
+      .end(function (err) {
+        if (err) return done(err)
+        server.get('/files/picture')
+          .expect('Content-Type', 'image/png')
+          .expect(200)
+          .end(function (err) {
+            if (err) return done(err)
+            server.head('/files/picture')
+              .expect('Content-Type', 'image/png')
+              .expect(200, done)
+          })
+      })
+  })
+
+  it('should serve a resource with the type it was POSTed with', function (done) {
+    server.post('/files/')
+      .set('content-type', 'image/png')
+      .send(png)
+      .expect(201)
+      .end(function (err, res) {
+        if (err) return done(err)
+        server.get(res.headers.location)
+          .expect('Content-Type', 'image/png')
+          .expect(200, done)
+      })
+  })
+
+  it('should record the type of each part of a multipart POST', function (done) {
+    server.post('/files/')
+      .attach('part', png, 'upload')
+      .expect(201)
+      .end(function (err) {
+        if (err) return done(err)
+        server.get('/files/upload')
+          .expect('Content-Type', 'application/octet-stream')
+          .expect(200, done)
+      })
+  })
+
+  it('should keep the recorded type on PATCH', function (done) {
+    server.put('/files/data')
+      .set('content-type', 'text/turtle')
+      .send('<#a> <#b> <#c> .')
+      .expect(201)
+      .end(function (err) {
+        if (err) return done(err)
+        server.patch('/files/data')
+          .set('content-type', 'application/sparql-update')
+          .send('INSERT DATA { <#a> <#b> <#d> . }')
+          .expect(200)
+          .end(function (err) {
+            if (err) return done(err)
+            server.get('/files/data')
+              .expect('Content-Type', /text\/turtle/)
+              .expect(/#d/)
+              .expect(200, done)
+          })
+      })
+  })
+
+  it('should replace the recorded type when the resource is replaced', function (done) {
+    server.put('/files/picture')
+      .set('content-type', 'text/plain')
+      .send('not a picture anymore')
+      .expect(201)
+      .end(function (err) {
+        if (err) return done(err)
+        server.get('/files/picture')
+          .expect('Content-Type', /text\/plain/)
+          .expect(200, done)
+      })
+  })
+
+  it('should fall back to application/octet-stream for unknown data', function (done) {
+    server.put('/files/unknown')
+      .expect(201)
+      .end(function (err) {
+        if (err) return done(err)
+        server.get('/files/unknown')
+          .expect('Content-Type', 'application/octet-stream')
+          .expect(200, done)
+      })
+  })
+
+  it('should not record types implied by the extension', function (done) {
+    server.put('/files/notes.txt')
+      .set('content-type', 'text/plain')
+      .send('notes')
+      .expect(201)
+      .end(function (err) {
+        if (err) return done(err)
+        storage.stat('/memory/files/notes.txt.meta', function (err) {
+          assert.equal(err && err.code, 'ENOENT')
+          done()
+        })
+      })
+  })
+
+  it('should serve resources without a recorded type as Turtle', function (done) {
+    storage.writeFile('/memory/files/card', '<#me> <#name> "Alice" .', function (err) {
+      if (err) return done(err)
+      server.get('/files/card')
+        .expect('Content-Type', /text\/turtle/)
+        .expect(200, done)
+    })
+  })
+})
@@ -1,7 +1,11 @@
+var $rdf = require('rdflib')
 var assert = require('chai').assert
+var async = require('async')
 var fs = require('fs')
 var request = require('request')
 var path = require('path')
+var supertest = require('supertest')
+var MemoryStore = require('../lib/storage').MemoryStore
 // Helper functions for the FS
 var rm = require('./test-utils').rm
 
@@ -98,3 +102,137 @@ describe('HTTP COPY API', function () {
     })
   })
 })
+
+describe('HTTP COPY within the server', function () {
+  var alice = 'https://alice.example/profile/card#me'
+  var storage = new MemoryStore()
+  var server = supertest(solidServer({
+    root: '/memory/',
+    storage: storage,
+    webid: true,
+    forceUser: alice
+  }))
+
+  function acl (target, modes) {
+    return '<#auth> a <http://www.w3.org/ns/auth/acl#Authorization> ;\n' +
+      ' <http://www.w3.org/ns/auth/acl#accessTo> <' + target + '> ;\n' +
+      ' <http://www.w3.org/ns/auth/acl#defaultForNew> <' + target + '> ;\n' +
+      ' <http://www.w3.org/ns/auth/acl#agent> <' + alice + '> ;\n' +
+      ' <http://www.w3.org/ns/auth/acl#mode> ' + modes.map(function (mode) {
+        return '<http://www.w3.org/ns/auth/acl#' + mode + '>'
+      }).join(', ') + ' .\n'
+  }
+
+  before(function (done) {
+    var files = {
+      '/memory/.acl': acl('./', [ 'Read', 'Write', 'Control' ]),
+      '/memory/photo.jpg': 'JPEG',
+      '/memory/photo.jpg.meta': '<photo.jpg> <http://purl.org/dc/terms/title> "A photo" .',
+      '/memory/album/index.ttl': '<#it> <http://xmlns.com/foaf/0.1/depiction> <pictures/1.png>, <../photo.jpg> .',
+      '/memory/album/pictures/1.png': 'PNG',
+      '/memory/secret/.acl': acl('./', [ 'Write' ]),
+      '/memory/secret/diary.txt': 'Dear diary',
+      '/memory/.trash/item-1/note.txt': 'Deleted',
+      '/memory/.versions/photo.jpg/1': 'Old JPEG',
+      '/memory/.uploads/upload-1': 'Uploading'
+    }
+    async.eachSeries(Object.keys(files), function (filename, next) {
+      storage.mkdirp(path.dirname(filename), function (err) {
+        if (err) return next(err)
+        storage.writeFile(filename, files[filename], next)
+      })
+    }, done)
+  })
+
+  it('should copy a resource with its metadata', function (done) {
+    server.copy('/copies/photo.jpg')
+      .set('Source', '/photo.jpg')
+      .expect('Location', '/copies/photo.jpg')
+      .expect(201)
+      .end(function (err) {
+        if (err) return done(err)
+        server.get('/copies/photo.jpg')
+          .expect('Content-Type', /image\/jpeg/)
+          .expect(200, function (err) {
+            if (err) return done(err)
+            async.map([ '/memory/copies/photo.jpg', '/memory/copies/photo.jpg.meta' ], function (filename, next) {
+              storage.readFile(filename, 'utf8', next)
+            }, function (err, data) {
+              if (err) return done(err)
+              assert.equal(data[0], 'JPEG')
+              assert.include(data[1], 'A photo')
+              done()
+            })
+          })
+      })
+  })
+
+  it('should copy a container with everything inside it', function (done) {
+    server.copy('/backup/album/')
+      .set('Source', '/album/')
+      .expect('Location', '/backup/album/')
+      .expect(201)
+      .end(function (err) {
+        if (err) return done(err)
+        storage.readFile('/memory/backup/album/pictures/1.png', 'utf8', function (err, data) {
+          if (err) return done(err)
+          assert.equal(data, 'PNG')
+          server.get('/backup/album/index.ttl')
+            .expect(200)
+            .end(function (err, res) {
+              if (err) return done(err)
+              var uri = res.request.url
+              var graph = $rdf.graph()
+              $rdf.parse(res.text, graph, uri, 'text/turtle')
+              var pictures = graph.statementsMatching($rdf.sym(uri + '#it')).map(function (st) {
+                return st.object.uri.replace(/^https?:\/\/[^/]+/, '')
+              }).sort()
+              assert.deepEqual(pictures, [ '/backup/album/pictures/1.png', '/photo.jpg' ])
+              done()
+            })
+        })
+      })
+  })
+
+  it('should not copy a container over an existing one', function (done) {
+    server.copy('/backup/album/')
+      .set('Source', '/album/')
+      .expect(412, done)
+  })
+
+  it('should require Read access to what is copied', function (done) {
+    server.copy('/diary.txt')
+      .set('Source', '/secret/diary.txt')
+      .expect(403)
+      .end(function (err) {
+        if (err) return done(err)
+        storage.stat('/memory/diary.txt', function (err) {
+          assert.ok(err, 'Nothing should have been copied')
+          done()
+        })
+      })
+  })
+
+  it('should not copy out of or into reserved folders', function (done) {
+    // Reserved folders aren't found at all as destinations
+    var copies = {
+      '/restored.txt': [ '/.trash/item-1/note.txt', 403 ],
+      '/old.jpg': [ '/.versions/photo.jpg/1', 403 ],
+      '/upload.txt': [ '/album/../.uploads/upload-1', 403 ],
+      '/.trash/photo.jpg': [ '/photo.jpg', 404 ]
+    }
+    async.eachSeries(Object.keys(copies), function (destination, next) {
+      server.copy(destination)
+        .set('Source', copies[destination][0])
+        .expect(copies[destination][1], next)
+    }, function (err) {
+      if (err) return done(err)
+      async.some([ '/memory/restored.txt', '/memory/old.jpg', '/memory/upload.txt', '/memory/.trash/photo.jpg' ], function (filename, next) {
+        storage.stat(filename, function (err) { next(!err) })
+      }, function (found) {
+        assert.isFalse(found, 'Nothing should have been copied')
+        done()
+      })
+    })
+  })
+})
@@ -0,0 +1,119 @@
+var assert = require('chai').assert
+var async = require('async')
+var path = require('path')
+var supertest = require('supertest')
+var ldnode = require('../index')
+var MemoryStore = require('../lib/storage').MemoryStore
+
+describe('HTTP recursive DELETE', function () {
+  var alice = 'https://alice.example/profile/card#me'
+  var storage = new MemoryStore()
+  var server = supertest(ldnode({
+    root: '/memory/',
+    storage: storage,
+    webid: true,
+    forceUser: alice
+  }))
+
+  function acl (modes) {
+    return '<#auth> a <http://www.w3.org/ns/auth/acl#Authorization> ;\n' +
+      ' <http://www.w3.org/ns/auth/acl#accessTo> <./> ;\n' +
+      ' <http://www.w3.org/ns/auth/acl#defaultForNew> <./> ;\n' +
+      ' <http://www.w3.org/ns/auth/acl#agent> <' + alice + '> ;\n' +
+      ' <http://www.w3.org/ns/auth/acl#mode> ' + modes.map(function (mode) {
+        return '<http://www.w3.org/ns/auth/acl#' + mode + '>'
+      }).join(', ') + ' .\n'
+  }
+
+  before(function (done) {
+    var files = {
+      '/memory/.acl': acl([ 'Read', 'Write', 'Control' ]),
+      '/memory/tree/a.txt': 'a',
+      '/memory/tree/sub/b.txt': 'b',
+      '/memory/tree/sub/.meta': '',
+      '/memory/mixed/ok.txt': 'ok',
+      '/memory/mixed/locked/.acl': acl([ 'Read' ]),
+      '/memory/mixed/locked/x.txt': 'x',
+      '/memory/partial/good.txt': 'good',
+      '/memory/partial/bad.txt': 'bad'
+    }
+    async.eachSeries(Object.keys(files), function (filename, next) {
+      storage.mkdirp(path.dirname(filename), function (err) {
+        if (err) return next(err)
+        storage.writeFile(filename, files[filename], next)
+      })
+    }, done)
+  })
+
+  it('should still refuse to delete a non-empty container without Depth', function (done) {
+    server.delete('/tree/')
+      .expect(409, done)
+  })
+
+  it('should delete a container and its contents with Depth: infinity', function (done) {
+    server.delete('/tree/')
+      .set('Depth', 'infinity')
+      .expect(200)
+      .end(function (err, res) {
+        if (err) return done(err)
+        assert.sameMembers(res.body.deleted, [
+          '/tree/', '/tree/a.txt', '/tree/sub/', '/tree/sub/.meta', '/tree/sub/b.txt'
+        ])
+        assert.lengthOf(res.body.failed, 0)
+        server.get('/tree/')
+          .expect(404, done)
+      })
+  })
+
+  it('should delete nothing if a descendant is not writable', function (done) {
+    server.delete('/mixed/')
+      .set('Depth', 'infinity')
+      .expect(403)
+      .end(function (err, res) {
+        if (err) return done(err)
+        assert.lengthOf(res.body.deleted, 0)
+        assert.sameMembers(res.body.failed.map(function (failure) {
+          return failure.path
+        }), [ '/mixed/locked/', '/mixed/locked/.acl', '/mixed/locked/x.txt' ])
+        assert.equal(res.body.failed[0].status, 403)
+        server.get('/mixed/ok.txt')
+          .expect(200, done)
+      })
+  })
+
+  it('should refuse to delete the root container', function (done) {
+    server.delete('/')
+      .set('Depth', 'infinity')
+      .expect(403)
+      .end(function (err) {
+        if (err) return done(err)
+        server.get('/mixed/ok.txt')
+          .expect(200, done)
+      })
+  })
+
+  it('should report the resources it failed to delete', function (done) {
+    var unlink = storage.unlink
+    storage.unlink = function (filename, callback) {
+      if (filename === '/memory/partial/bad.txt') {
+        var err = new Error('EACCES: permission denied')
+        err.code = 'EACCES'
+        return process.nextTick(callback, err)
+      }
+      unlink.apply(storage, arguments)
+    }
+    server.delete('/partial/')
+      .set('Depth', 'infinity')
+      .expect(207)
+      .end(function (err, res) {
+        storage.unlink = unlink
+        if (err) return done(err)
+        assert.deepEqual(res.body.deleted, [ '/partial/good.txt' ])
+        assert.deepEqual(res.body.failed.map(function (failure) {
+          return [ failure.path, failure.status ]
+        }), [ [ '/partial/bad.txt', 500 ], [ '/partial/', 409 ] ])
+        server.get('/partial/bad.txt')
+          .expect(200, done)
+      })
+  })
+})
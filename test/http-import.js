@@ -0,0 +1,207 @@
+var assert = require('chai').assert
+var async = require('async')
+var path = require('path')
+var supertest = require('supertest')
+var zlib = require('zlib')
+var PassThrough = require('stream').PassThrough
+var archive = require('../lib/archive')
+var ldnode = require('../index')
+var MemoryStore = require('../lib/storage').MemoryStore
+
+describe('HTTP POST of archives to import', function () {
+  var alice = 'https://alice.example/profile/card#me'
+  var storage = new MemoryStore()
+  var server = supertest(ldnode({
+    root: '/memory/',
+    storage: storage,
+    webid: true,
+    forceUser: alice
+  }))
+
+  function acl (target, modes) {
+    return '<#auth> a <http://www.w3.org/ns/auth/acl#Authorization> ;\n' +
+      ' <http://www.w3.org/ns/auth/acl#accessTo> <' + target + '> ;\n' +
+      ' <http://www.w3.org/ns/auth/acl#defaultForNew> <' + target + '> ;\n' +
+      ' <http://www.w3.org/ns/auth/acl#agent> <' + alice + '> ;\n' +
+      ' <http://www.w3.org/ns/auth/acl#mode> ' + modes.map(function (mode) {
+        return '<http://www.w3.org/ns/auth/acl#' + mode + '>'
+      }).join(', ') + ' .\n'
+  }
+
+  before(function (done) {
+    var files = {
+      '/memory/.acl': acl('./', [ 'Read', 'Write', 'Control' ]),
+      '/memory/album/photo.jpg': 'JPEG',
+      '/memory/album/pictures/1.png': 'PNG',
+      '/memory/locked/.acl': acl('./', [ 'Read' ])
+    }
+    async.eachSeries(Object.keys(files), function (filename, next) {
+      storage.mkdirp(path.dirname(filename), function (err) {
+        if (err) return next(err)
+        storage.writeFile(filename, files[filename], next)
+      })
+    }, function (err) {
+      if (err) return done(err)
+      async.eachSeries([ '/memory/imports/', '/memory/backup/' ], storage.mkdirp.bind(storage), done)
+    })
+  })
+
+  // Packs files (or folders, ending with a `/`) into an archive
+  function pack (format, files, callback) {
+    var output = archive.pack(format)
+    var chunks = []
+    output.on('data', function (chunk) { chunks.push(chunk) })
+    output.on('end', function () { callback(null, Buffer.concat(chunks)) })
+    async.eachSeries(Object.keys(files), function (name, next) {
+      var data = new PassThrough()
+      data.end(files[name])
+      output.entry({ 'name': name, 'size': Buffer.byteLength(files[name]), 'mtime': new Date() }, data, next)
+    }, function () {
+      output.finalize()
+    })
+  }
+
+  function binary (res, callback) {
+    var chunks = []
+    res.on('data', function (chunk) { chunks.push(chunk) })
+    res.on('end', function () { callback(null, Buffer.concat(chunks)) })
+  }
+
+  it('should unpack a tarball, keeping the content types of the entries', function (done) {
+    pack('tar', {
+      'notes/': '',
+      'notes/todo.txt': 'Buy milk',
+      'notes/data': '{ "milk": 1 }',
+      'notes/data.meta': '<data> <http://purl.org/dc/terms/format> "application/json" .',
+      'notes/empty/': ''
+    }, function (err, data) {
+      if (err) return done(err)
+      server.post('/imports/?import')
+        .set('Content-Type', 'application/x-tar')
+        .send(data)
+        .expect(201)
+        .end(function (err, res) {
+          if (err) return done(err)
+          assert.deepEqual(res.body.skipped, [])
+          assert.include(res.body.created, { 'name': 'notes/todo.txt', 'location': '/imports/notes/todo.txt' })
+          async.series([
+            function (next) {
+              server.get('/imports/notes/todo.txt')
+                .expect('Content-Type', /text\/plain/)
+                .expect(200, 'Buy milk', next)
+            },
+            function (next) {
+              server.get('/imports/notes/data')
+                .expect('Content-Type', /application\/json/)
+                .expect(200, next)
+            },
+            function (next) {
+              storage.stat('/memory/imports/notes/empty/', function (err, stats) {
+                if (err) return next(err)
+                assert.ok(stats.isDirectory())
+                next()
+              })
+            }
+          ], done)
+        })
+    })
+  })
+
+  it('should unpack a container exported as a zip archive', function (done) {
+    server.get('/album/')
+      .set('Accept', 'application/zip')
+      .buffer(true).parse(binary)
+      .expect(200)
+      .end(function (err, res) {
+        if (err) return done(err)
+        server.post('/backup/?import')
+          .set('Content-Type', 'application/zip')
+          .send(res.body)
+          .expect(201)
+          .end(function (err) {
+            if (err) return done(err)
+            server.get('/backup/album/pictures/1.png')
+              .expect('Content-Type', /image\/png/)
+              .expect(200, done)
+          })
+      })
+  })
+
+  it('should unpack a gzipped tarball', function (done) {
+    pack('tar', { 'hello.txt': 'Hello' }, function (err, data) {
+      if (err) return done(err)
+      server.post('/imports/?import')
+        .set('Content-Type', 'application/gzip')
+        .send(zlib.gzipSync(data))
+        .expect(201)
+        .end(function (err) {
+          if (err) return done(err)
+          server.get('/imports/hello.txt').expect(200, 'Hello', done)
+        })
+    })
+  })
+
+  it('should skip entries going out of the container', function (done) {
+    pack('zip', {
+      '../escaped.txt': 'Out',
+      '/absolute.txt': 'Out',
+      'inside/../../escaped.txt': 'Out',
+      'inside.txt': 'In'
+    }, function (err, data) {
+      if (err) return done(err)
+      server.post('/imports/?import')
+        .set('Content-Type', 'application/zip')
+        .send(data)
+        .expect(207)
+        .end(function (err, res) {
+          if (err) return done(err)
+          assert.deepEqual(res.body.created.map(function (entry) { return entry.name }), [ 'inside.txt' ])
+          assert.lengthOf(res.body.skipped, 3)
+          res.body.skipped.forEach(function (entry) {
+            assert.equal(entry.status, 400)
+          })
+          storage.stat('/memory/escaped.txt', function (err) {
+            assert.ok(err, 'Nothing should be written out of the container')
+            done()
+          })
+        })
+    })
+  })
+
+  it('should skip entries the agent cannot write', function (done) {
+    pack('tar', { 'locked/secret.txt': 'Secret' }, function (err, data) {
+      if (err) return done(err)
+      server.post('/?import')
+        .set('Content-Type', 'application/x-tar')
+        .send(data)
+        .expect(403)
+        .end(function (err, res) {
+          if (err) return done(err)
+          assert.deepEqual(res.body.created, [])
+          assert.equal(res.body.skipped[0].name, 'locked/secret.txt')
+          done()
+        })
+    })
+  })
+
+  it('should refuse what is not an archive, and invalid archives', function (done) {
+    server.post('/imports/?import')
+      .set('Content-Type', 'text/plain')
+      .send('Not an archive')
+      .expect(415, function (err) {
+        if (err) return done(err)
+        server.post('/imports/?import')
+          .set('Content-Type', 'application/zip')
+          .send(Buffer.from('Not a zip archive'))
+          .expect(400, function (err) {
+            if (err) return done(err)
+            // Archives are not kept once unpacked
+            storage.readdir('/memory/.uploads/', function (err, files) {
+              if (err) return done(err)
+              assert.deepEqual(files, [])
+              done()
+            })
+          })
+      })
+  })
+})
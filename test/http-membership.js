@@ -0,0 +1,239 @@
+var $rdf = require('rdflib')
+var assert = require('chai').assert
+var async = require('async')
+var supertest = require('supertest')
+var ldnode = require('../index')
+var MemoryStore = require('../lib/storage').MemoryStore
+
+describe('HTTP Direct and Indirect Containers', function () {
+  var storage = new MemoryStore()
+  var server = supertest(ldnode({
+    root: '/memory/',
+    storage: storage
+  }))
+  var prefixes = '@prefix ldp: <http://www.w3.org/ns/ldp#> .\n' +
+    '@prefix vcard: <http://www.w3.org/2006/vcard/ns#> .\n' +
+    '@prefix foaf: <http://xmlns.com/foaf/0.1/> .\n'
+  var hasMember = $rdf.sym('http://www.w3.org/2006/vcard/ns#hasMember')
+
+  before(function (done) {
+    storage.mkdirp('/memory/', function (err) {
+      if (err) return done(err)
+      storage.writeFile('/memory/book.ttl',
+        '<#it> a <http://www.w3.org/2006/vcard/ns#AddressBook> .', done)
+    })
+  })
+
+  // Calls back with the members of the address book
+  function members (callback) {
+    server.get('/book.ttl')
+      .expect(200)
+      .end(function (err, res) {
+        if (err) return callback(err)
+        var graph = $rdf.graph()
+        var uri = res.request.url
+        $rdf.parse(res.text, graph, uri, 'text/turtle')
+        callback(null, graph.each($rdf.sym(uri + '#it'), hasMember).map(function (member) {
+          return member.uri.replace(/^https?:\/\/[^/]+/, '')
+        }))
+      })
+  }
+
+  function container (slug, type, description, status, callback) {
+    server.post('/')
+      .set('slug', slug)
+      .set('link', '<http://www.w3.org/ns/ldp#' + type + '>; rel="type"')
+      .set('content-type', 'text/turtle')
+      .send(prefixes + description)
+      .expect(status, callback)
+  }
+
+  function member (containerPath, slug, body, callback) {
+    server.post(containerPath)
+      .set('slug', slug)
+      .set('content-type', 'text/turtle')
+      .send(body)
+      .expect(201)
+      .end(function (err, res) {
+        callback(err, res && res.headers.location)
+      })
+  }
+
+  it('should create Direct Containers, typed as such', function (done) {
+    container('people', 'DirectContainer',
+      '<> ldp:membershipResource <../book.ttl#it> ; ldp:hasMemberRelation vcard:hasMember .',
+      201, function (err) {
+        if (err) return done(err)
+        server.get('/people/')
+          .expect('Link', /<http:\/\/www.w3.org\/ns\/ldp#DirectContainer>; rel="type"/)
+          .expect(200)
+          .end(function (err, res) {
+            if (err) return done(err)
+            assert.notMatch(res.headers.link, /BasicContainer/)
+            assert.include(res.text, 'ldp#DirectContainer>')
+            assert.notInclude(res.text, 'ldp#BasicContainer>')
+            done()
+          })
+      })
+  })
+
+  it('should refuse Direct Containers without their membership', function (done) {
+    container('broken', 'DirectContainer', '<> ldp:hasMemberRelation vcard:hasMember .', 400, done)
+  })
+
+  it('should add and remove the membership triples of members', function (done) {
+    member('/people/', 'bob', prefixes + '<#card> a vcard:Individual .', function (err, location) {
+      if (err) return done(err)
+      members(function (err, list) {
+        if (err) return done(err)
+        assert.deepEqual(list, [ location ])
+        server.delete(location)
+          .expect(200)
+          .end(function (err) {
+            if (err) return done(err)
+            members(function (err, list) {
+              if (err) return done(err)
+              assert.deepEqual(list, [])
+              done()
+            })
+          })
+      })
+    })
+  })
+
+  it('should add the inserted content of members of Indirect Containers', function (done) {
+    async.waterfall([
+      function (next) {
+        container('groups', 'IndirectContainer',
+          '<> ldp:membershipResource <../book.ttl#it> ; ldp:hasMemberRelation vcard:hasMember ;\n' +
+          ' ldp:insertedContentRelation foaf:primaryTopic .', 201, function (err) {
+            next(err)
+          })
+      },
+      function (next) {
+        member('/groups/', 'friends', prefixes + '<> foaf:primaryTopic <#group> .', next)
+      },
+      function (location, next) {
+        members(function (err, list) {
+          if (err) return next(err)
+          assert.deepEqual(list, [ location + '#group' ])
+          next()
+        })
+      }
+    ], done)
+  })
+})
+
+describe('HTTP membership resources', function () {
+  var alice = 'https://alice.example/profile/card#me'
+  var bob = 'https://bob.example/profile/card#me'
+  var storage = new MemoryStore()
+  var server = supertest(ldnode({
+    root: '/memory/',
+    storage: storage,
+    webid: true,
+    forceUser: bob
+  }))
+  var membership = '@prefix ldp: <http://www.w3.org/ns/ldp#> .\n' +
+    '<> ldp:hasMemberRelation <http://www.w3.org/ns/auth/acl#agent> ;\n' +
+    ' ldp:membershipResource '
+
+  function acl (agent, modes) {
+    return '<#owner> a <http://www.w3.org/ns/auth/acl#Authorization> ;\n' +
+      ' <http://www.w3.org/ns/auth/acl#accessTo> <./> ;\n' +
+      ' <http://www.w3.org/ns/auth/acl#defaultForNew> <./> ;\n' +
+      ' <http://www.w3.org/ns/auth/acl#agent> <' + agent + '> ;\n' +
+      ' <http://www.w3.org/ns/auth/acl#mode> ' + modes.map(function (mode) {
+        return '<http://www.w3.org/ns/auth/acl#' + mode + '>'
+      }).join(', ') + ' .\n'
+  }
+
+  before(function (done) {
+    var files = {
+      '/memory/.acl': acl(alice, [ 'Read', 'Write', 'Control' ]),
+      '/memory/book.ttl': '<#it> a <http://www.w3.org/2006/vcard/ns#AddressBook> .',
+      '/memory/drop/.acl': acl(bob, [ 'Read', 'Write' ]),
+      // Containers whose `.meta` file was changed to point elsewhere
+      '/memory/drop/owners/.meta': membership + '</.acl#owner> .',
+      '/memory/drop/book/.meta': membership + '</book.ttl#it> .',
+      '/memory/drop/broken.ttl': 'Not Turtle',
+      '/memory/drop/broken/.meta': membership + '</drop/broken.ttl#it> .'
+    }
+    async.eachSeries(Object.keys(files), function (filename, next) {
+      storage.mkdirp(filename.replace(/[^/]*$/, ''), function (err) {
+        if (err) return next(err)
+        storage.writeFile(filename, files[filename], next)
+      })
+    }, done)
+  })
+
+  function unchanged (filename, data, callback) {
+    storage.readFile(filename, { 'encoding': 'utf8' }, function (err, current) {
+      if (err) return callback(err)
+      assert.equal(current, data)
+      callback()
+    })
+  }
+
+  it('should refuse containers whose membership resource is an ACL', function (done) {
+    async.eachSeries([ '</.acl#owner>', '<../.acl#owner>', '</drop/../.acl#owner>', '</.meta>' ], function (resource, next) {
+      server.post('/drop/')
+        .set('slug', 'admins')
+        .set('link', '<http://www.w3.org/ns/ldp#DirectContainer>; rel="type"')
+        .set('content-type', 'text/turtle')
+        .send(membership + resource + ' .')
+        .expect(400, next)
+    }, done)
+  })
+
+  it('should not add members to an ACL the container points at', function (done) {
+    server.post('/drop/owners/')
+      .set('content-type', 'text/turtle')
+      .send('<#me> a <http://xmlns.com/foaf/0.1/Person> .')
+      .expect(403, function (err) {
+        if (err) return done(err)
+        unchanged('/memory/.acl', acl(alice, [ 'Read', 'Write', 'Control' ]), done)
+      })
+  })
+
+  function contents (directory, expected, callback) {
+    storage.readdir(directory, function (err, files) {
+      if (err) return callback(err)
+      assert.deepEqual(files, expected)
+      callback()
+    })
+  }
+
+  it('should not add members to resources the agent cannot write', function (done) {
+    server.post('/drop/book/')
+      .set('content-type', 'text/turtle')
+      .send('<#me> a <http://xmlns.com/foaf/0.1/Person> .')
+      .expect(403, function (err) {
+        if (err) return done(err)
+        unchanged('/memory/book.ttl', '<#it> a <http://www.w3.org/2006/vcard/ns#AddressBook> .', function (err) {
+          if (err) return done(err)
+          contents('/memory/drop/book/', [ '.meta' ], done)
+        })
+      })
+  })
+
+  it('should not create any of the files of multipart requests either', function (done) {
+    server.post('/drop/book/')
+      .attach('file', Buffer.from('Hello'), 'hello.txt')
+      .expect(403, function (err) {
+        if (err) return done(err)
+        contents('/memory/drop/book/', [ '.meta' ], done)
+      })
+  })
+
+  it('should delete members whose membership triples could not be added', function (done) {
+    server.post('/drop/broken/')
+      .attach('file', Buffer.from('Hello'), 'hello.txt')
+      .expect(409, function (err, res) {
+        if (err) return done(err)
+        assert.lengthOf(res.body.created, 0)
+        assert.lengthOf(res.body.failed, 1)
+        contents('/memory/drop/broken/', [ '.meta' ], done)
+      })
+  })
+})
@@ -0,0 +1,209 @@
+var $rdf = require('rdflib')
+var assert = require('chai').assert
+var async = require('async')
+var path = require('path')
+var supertest = require('supertest')
+var ldnode = require('../index')
+var MemoryStore = require('../lib/storage').MemoryStore
+
+describe('HTTP MOVE', function () {
+  var alice = 'https://alice.example/profile/card#me'
+  var storage = new MemoryStore()
+  var app = ldnode({
+    root: '/memory/',
+    storage: storage,
+    webid: true,
+    forceUser: alice
+  })
+  var server = supertest(app)
+  var knows = $rdf.sym('http://xmlns.com/foaf/0.1/knows')
+
+  function acl (target, modes) {
+    return '<#auth> a <http://www.w3.org/ns/auth/acl#Authorization> ;\n' +
+      ' <http://www.w3.org/ns/auth/acl#accessTo> <' + target + '> ;\n' +
+      ' <http://www.w3.org/ns/auth/acl#defaultForNew> <' + target + '> ;\n' +
+      ' <http://www.w3.org/ns/auth/acl#agent> <' + alice + '> ;\n' +
+      ' <http://www.w3.org/ns/auth/acl#mode> ' + modes.map(function (mode) {
+        return '<http://www.w3.org/ns/auth/acl#' + mode + '>'
+      }).join(', ') + ' .\n'
+  }
+
+  before(function (done) {
+    var files = {
+      '/memory/.acl': acl('./', [ 'Read', 'Write', 'Control' ]),
+      '/memory/note.txt': 'Hello',
+      '/memory/note.txt.meta': '<note.txt> <http://purl.org/dc/terms/title> "A note" .',
+      '/memory/note.txt.acl': acl('note.txt', [ 'Read', 'Write', 'Control' ]),
+      '/memory/project/card.ttl': '<#me> <http://xmlns.com/foaf/0.1/knows> <friends/bob.ttl#me>, <../elsewhere.ttl#me> .',
+      '/memory/project/friends/bob.ttl': '<#me> <http://xmlns.com/foaf/0.1/knows> <../card.ttl#me> .',
+      '/memory/taken.txt': 'Taken',
+      '/memory/readonly/.acl': acl('./', [ 'Read' ]),
+      '/memory/rollback/a.ttl': '<#me> <http://xmlns.com/foaf/0.1/knows> <../elsewhere.ttl#me> .',
+      '/memory/rollback/b.ttl': '<#me> <http://xmlns.com/foaf/0.1/knows> <../elsewhere.ttl#me> .',
+      '/memory/.uploads/upload-1': 'Uploading'
+    }
+    async.eachSeries(Object.keys(files), function (filename, next) {
+      storage.mkdirp(path.dirname(filename), function (err) {
+        if (err) return next(err)
+        storage.writeFile(filename, files[filename], next)
+      })
+    }, done)
+  })
+
+  function exists (filename, callback) {
+    storage.stat(filename, function (err) {
+      callback(!err)
+    })
+  }
+
+  it('should rename a resource with its .acl and .meta files', function (done) {
+    server.move('/note.txt')
+      .set('Destination', '/notes/first.txt')
+      .expect('Location', '/notes/first.txt')
+      .expect(201)
+      .end(function (err) {
+        if (err) return done(err)
+        async.map([ '/memory/note.txt', '/memory/note.txt.meta', '/memory/note.txt.acl',
+          '/memory/notes/first.txt', '/memory/notes/first.txt.meta', '/memory/notes/first.txt.acl'
+        ], function (filename, next) {
+          exists(filename, function (found) { next(null, found) })
+        }, function (err, found) {
+          if (err) return done(err)
+          assert.deepEqual(found, [ false, false, false, true, true, true ])
+          storage.readFile('/memory/notes/first.txt.meta', 'utf8', function (err, data) {
+            if (err) return done(err)
+            assert.include(data, '<first.txt>')
+            done()
+          })
+        })
+      })
+  })
+
+  it('should rename a container, keeping its relative URIs pointing inside it', function (done) {
+    server.move('/project/')
+      .set('Destination', 'http://127.0.0.1/archive/project/')
+      .expect('Location', '/archive/project/')
+      .expect(201)
+      .end(function (err) {
+        if (err) return done(err)
+        server.get('/archive/project/card.ttl')
+          .expect(200)
+          .end(function (err, res) {
+            if (err) return done(err)
+            var uri = res.request.url
+            var graph = $rdf.graph()
+            $rdf.parse(res.text, graph, uri, 'text/turtle')
+            var friends = graph.each($rdf.sym(uri + '#me'), knows).map(function (friend) {
+              return friend.uri.replace(/^https?:\/\/[^/]+/, '')
+            }).sort()
+            // URIs outside of the container still point to the same place
+            assert.deepEqual(friends, [ '/archive/project/friends/bob.ttl#me', '/elsewhere.ttl#me' ])
+            exists('/memory/project', function (found) {
+              assert.isFalse(found)
+              done()
+            })
+          })
+      })
+  })
+
+  it('should not overwrite an existing destination', function (done) {
+    server.move('/taken.txt')
+      .set('Destination', '/notes/first.txt')
+      .expect(412, done)
+  })
+
+  it('should require Write access to the destination', function (done) {
+    server.move('/taken.txt')
+      .set('Destination', '/readonly/taken.txt')
+      .expect(403)
+      .end(function (err) {
+        if (err) return done(err)
+        exists('/memory/taken.txt', function (found) {
+          assert.isTrue(found)
+          done()
+        })
+      })
+  })
+
+  it('should check access to the destination once normalized', function (done) {
+    server.move('/taken.txt')
+      .set('Destination', '/readonly/../notes/taken.txt')
+      .expect('Location', '/notes/taken.txt')
+      .expect(201)
+      .end(function (err) {
+        if (err) return done(err)
+        server.move('/notes/taken.txt')
+          .set('Destination', '/taken.txt')
+          .expect(201, done)
+      })
+  })
+
+  it('should move everything back if the documents cannot be rewritten', function (done) {
+    var ldp = app.locals.ldp
+    var replace = ldp.replace
+    var calls = 0
+    // The second document goes over the quota
+    ldp.replace = function (host, filename, stream, contentType, callback) {
+      if (++calls === 2) {
+        stream.resume()
+        return callback(Object.assign(new Error('Storage quota exceeded'), { status: 507 }))
+      }
+      replace.apply(ldp, arguments)
+    }
+    server.move('/rollback/')
+      .set('Destination', '/deeper/rollback/')
+      .expect(507)
+      .end(function (err) {
+        ldp.replace = replace
+        if (err) return done(err)
+        exists('/memory/deeper/rollback/', function (found) {
+          assert.isFalse(found)
+          async.eachSeries([ 'a', 'b' ], function (name, next) {
+            storage.readFile('/memory/rollback/' + name + '.ttl', 'utf8', function (err, data) {
+              if (err) return next(err)
+              assert.equal(data, '<#me> <http://xmlns.com/foaf/0.1/knows> <../elsewhere.ttl#me> .')
+              next()
+            })
+          }, done)
+        })
+      })
+  })
+
+  it('should refuse moving a container into itself', function (done) {
+    server.move('/notes/')
+      .set('Destination', '/notes/inner/')
+      .expect(409, done)
+  })
+
+  it('should not move resources into or out of reserved folders', function (done) {
+    async.series([
+      function (next) {
+        server.move('/taken.txt')
+          .set('Destination', '/.trash/taken.txt')
+          .expect(403, next)
+      },
+      function (next) {
+        server.move('/taken.txt')
+          .set('Destination', '/notes/../.versions/taken.txt')
+          .expect(403, next)
+      },
+      function (next) {
+        // Reserved folders aren't found at all otherwise
+        server.move('/.uploads/upload-1')
+          .set('Destination', '/upload.txt')
+          .expect(404, next)
+      },
+      function (next) {
+        server.move('/notes/../.uploads/upload-1')
+          .set('Destination', '/upload.txt')
+          .expect(404, next)
+      }
+    ], function (err) {
+      if (err) return done(err)
+      async.every([ '/memory/taken.txt', '/memory/.uploads/upload-1' ], exists, function (found) {
+        assert.isTrue(found)
+        done()
+      })
+    })
+  })
+})
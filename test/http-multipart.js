@@ -0,0 +1,103 @@
+var assert = require('chai').assert
+var supertest = require('supertest')
+var ldnode = require('../index')
+var MemoryStore = require('../lib/storage').MemoryStore
+
+describe('HTTP multipart POST', function () {
+  var storage = new MemoryStore()
+  var server = supertest(ldnode({
+    root: '/memory/',
+    storage: storage,
+    quota: 1000
+  }))
+
+  before(function (done) {
+    storage.mkdirp('/memory/photos/', function (err) {
+      if (err) return done(err)
+      storage.writeFile('/memory/photos/cat.jpg', 'Existing cat', done)
+    })
+  })
+
+  it('should create a resource for each file, without overwriting any', function (done) {
+    server.post('/photos/')
+      .attach('first', Buffer.from('New cat'), 'cat.jpg')
+      .attach('second', Buffer.from('Another new cat'), 'cat.jpg')
+      .attach('third', Buffer.from('Dog'), '../dog.jpg')
+      .expect(201)
+      .end(function (err, res) {
+        if (err) return done(err)
+        assert.deepEqual(res.body.failed, [])
+        var locations = res.body.created.map(function (part) { return part.location }).sort()
+        assert.lengthOf(locations, 3)
+        assert.include(locations, '/photos/dog.jpg')
+        locations.forEach(function (location) {
+          assert.match(location, /^\/photos\/([0-9a-f]+-)?(cat|dog)\.jpg$/)
+        })
+        assert.equal(locations.filter(function (location) { return /cat/.test(location) }).length, 2)
+        assert.notInclude(locations, '/photos/cat.jpg')
+        storage.readFile('/memory/photos/cat.jpg', 'utf8', function (err, data) {
+          if (err) return done(err)
+          assert.equal(data, 'Existing cat')
+          done()
+        })
+      })
+  })
+
+  it('should give the location of a single created resource', function (done) {
+    server.post('/photos/')
+      .attach('file', Buffer.from('Bird'), 'bird.jpg')
+      .expect('Location', '/photos/bird.jpg')
+      .expect(201)
+      .end(function (err, res) {
+        if (err) return done(err)
+        assert.deepEqual(res.body.created, [
+          { 'field': 'file', 'filename': 'bird.jpg', 'location': '/photos/bird.jpg' }
+        ])
+        done()
+      })
+  })
+
+  it('should report the files that could not be stored', function (done) {
+    server.post('/photos/')
+      .attach('small', Buffer.from('Mouse'), 'mouse.jpg')
+      .attach('large', Buffer.alloc(2000), 'elephant.jpg')
+      .expect(207)
+      .end(function (err, res) {
+        if (err) return done(err)
+        assert.deepEqual(res.body.created.map(function (part) { return part.filename }), [ 'mouse.jpg' ])
+        assert.lengthOf(res.body.failed, 1)
+        assert.equal(res.body.failed[0].filename, 'elephant.jpg')
+        assert.equal(res.body.failed[0].status, 507)
+        storage.stat('/memory/photos/elephant.jpg', function (err) {
+          assert.ok(err, 'The failed file should not be stored')
+          done()
+        })
+      })
+  })
+
+  it('should fail with the status of the failure when nothing is stored', function (done) {
+    server.post('/photos/')
+      .attach('large', Buffer.alloc(2000), 'whale.jpg')
+      .expect(507, done)
+  })
+
+  it('should not store files named like .acl or .meta files', function (done) {
+    server.post('/photos/')
+      .attach('acl', Buffer.from('<#owner> a <http://www.w3.org/ns/auth/acl#Authorization> .'), 'cat.jpg.acl')
+      .attach('meta', Buffer.from('<cat.jpg> a <http://example.org/Cat> .'), '.meta')
+      .attach('file', Buffer.from('Fish'), 'fish.jpg')
+      .expect(207)
+      .end(function (err, res) {
+        if (err) return done(err)
+        assert.deepEqual(res.body.created.map(function (part) { return part.location }), [ '/photos/fish.jpg' ])
+        assert.deepEqual(res.body.failed.map(function (part) { return part.status }), [ 403, 403 ])
+        storage.readdir('/memory/photos/', function (err, files) {
+          if (err) return done(err)
+          files.forEach(function (file) {
+            assert.notMatch(file, /\.(acl|meta)$/)
+          })
+          done()
+        })
+      })
+  })
+})
@@ -0,0 +1,98 @@
+var assert = require('chai').assert
+var async = require('async')
+var li = require('li')
+var supertest = require('supertest')
+var ldnode = require('../index')
+var MemoryStore = require('../lib/storage').MemoryStore
+
+describe('HTTP container paging', function () {
+  var storage = new MemoryStore()
+  var server = supertest(ldnode({
+    root: '/memory/',
+    storage: storage
+  }))
+  var members = [ 'a.txt', 'b.txt', 'c', 'd.txt', 'e.txt' ]
+
+  before(function (done) {
+    storage.mkdirp('/memory/paged/c/', function (err) {
+      if (err) return done(err)
+      async.eachSeries([ 'e.txt', 'a.txt', 'd.txt', 'b.txt' ], function (member, next) {
+        storage.writeFile('/memory/paged/' + member, member, next)
+      }, function (err) {
+        if (err) return done(err)
+        // Not a member
+        storage.writeFile('/memory/paged/a.txt.meta', '', done)
+      })
+    })
+  })
+
+  function contains (text) {
+    return members.filter(function (member) {
+      return text.indexOf('<' + member + (member === 'c' ? '/' : '') + '>') >= 0
+    })
+  }
+
+  it('should list one page of members with the Prefer header', function (done) {
+    server.get('/paged/')
+      .set('prefer', 'return=representation; max-member-count="2"')
+      .expect('Vary', /Prefer/)
+      .expect(200)
+      .end(function (err, res) {
+        if (err) return done(err)
+        assert.deepEqual(contains(res.text), [ 'a.txt', 'b.txt' ])
+        var links = li.parse(res.headers.link)
+        assert.equal(links.type, 'http://www.w3.org/ns/ldp#Page')
+        assert.match(links.first, /\/paged\/\?size=2$/)
+        assert.match(links.next, /\/paged\/\?size=2&after=b.txt$/)
+        assert.match(links.last, /\/paged\/\?size=2&after=d.txt$/)
+        assert.notProperty(links, 'prev')
+        done()
+      })
+  })
+
+  it('should list every member once when following the next pages', function (done) {
+    var listed = []
+    var pages = 0
+    function getPage (uri) {
+      server.get(uri)
+        .expect(200)
+        .end(function (err, res) {
+          if (err) return done(err)
+          pages++
+          listed = listed.concat(contains(res.text))
+          var next = li.parse(res.headers.link).next
+          if (next) {
+            return getPage(next.replace(/^https?:\/\/[^/]+/, ''))
+          }
+          assert.equal(pages, 3)
+          assert.deepEqual(listed, members)
+          done()
+        })
+    }
+    getPage('/paged/?size=2')
+  })
+
+  it('should link a page to the previous one', function (done) {
+    server.get('/paged/?size=2&after=d.txt')
+      .expect(200)
+      .end(function (err, res) {
+        if (err) return done(err)
+        assert.deepEqual(contains(res.text), [ 'e.txt' ])
+        var links = li.parse(res.headers.link)
+        assert.match(links.prev, /\/paged\/\?size=2&after=b.txt$/)
+        assert.notProperty(links, 'next')
+        done()
+      })
+  })
+
+  it('should list all the members without paging', function (done) {
+    server.get('/paged/')
+      .expect(200)
+      .end(function (err, res) {
+        if (err) return done(err)
+        assert.deepEqual(contains(res.text), members)
+        assert.notInclude(res.headers.link, 'ldp#Page')
+        done()
+      })
+  })
+})
@@ -0,0 +1,131 @@
+var assert = require('chai').assert
+var http = require('http')
+var supertest = require('supertest')
+var ldnode = require('../index')
+var MemoryStore = require('../lib/storage').MemoryStore
+
+describe('HTTP Range requests', function () {
+  var storage = new MemoryStore()
+  var app = ldnode({
+    root: '/memory/',
+    storage: storage
+  })
+  var server = supertest(app)
+
+  before(function (done) {
+    storage.mkdirp('/memory/', function (err) {
+      if (err) return done(err)
+      storage.writeFile('/memory/digits.txt', '0123456789', function (err) {
+        if (err) return done(err)
+        storage.writeFile('/memory/data.ttl', '<#a> <#b> <#c> .', done)
+      })
+    })
+  })
+
+  function get (range) {
+    return server.get('/digits.txt')
+      .set('Range', range)
+      .buffer(true)
+      .parse(function (res, callback) {
+        var data = ''
+        res.setEncoding('utf8')
+        res.on('data', function (chunk) { data += chunk })
+        res.on('end', function () { callback(null, data) })
+      })
+  }
+
+  it('should advertise byte ranges on resources that are not RDF', function (done) {
+    server.head('/digits.txt')
+      .expect('Accept-Ranges', 'bytes')
+      .expect(200)
+      .end(function (err) {
+        if (err) return done(err)
+        server.head('/data.ttl')
+          .expect(200)
+          .end(function (err, res) {
+            if (err) return done(err)
+            assert.notProperty(res.headers, 'accept-ranges')
+            done()
+          })
+      })
+  })
+
+  it('should send a single range', function (done) {
+    get('bytes=2-4')
+      .expect('Content-Range', 'bytes 2-4/10')
+      .expect('Content-Length', '3')
+      .expect(206)
+      .end(function (err, res) {
+        if (err) return done(err)
+        assert.equal(res.body, '234')
+        done()
+      })
+  })
+
+  it('should send suffix and open ranges', function (done) {
+    get('bytes=-3')
+      .expect('Content-Range', 'bytes 7-9/10')
+      .expect(206)
+      .end(function (err, res) {
+        if (err) return done(err)
+        assert.equal(res.body, '789')
+        get('bytes=8-')
+          .expect('Content-Range', 'bytes 8-9/10')
+          .expect(206)
+          .end(function (err, res) {
+            if (err) return done(err)
+            assert.equal(res.body, '89')
+            done()
+          })
+      })
+  })
+
+  it('should send several ranges as multipart/byteranges', function (done) {
+    // (superagent would parse the multipart body)
+    var listener = app.listen(0, function () {
+      http.get({
+        port: listener.address().port,
+        path: '/digits.txt',
+        headers: { 'Range': 'bytes=0-1, 5-20' }
+      }, function (res) {
+        var body = ''
+        res.setEncoding('utf8')
+        res.on('data', function (chunk) { body += chunk })
+        res.on('end', function () {
+          listener.close()
+          assert.equal(res.statusCode, 206)
+          assert.match(res.headers['content-type'], /^multipart\/byteranges; boundary=/)
+          var boundary = res.headers['content-type'].split('boundary=')[1]
+          assert.equal(body,
+            '\r\n--' + boundary + '\r\nContent-Type: text/plain\r\nContent-Range: bytes 0-1/10\r\n\r\n01' +
+            '\r\n--' + boundary + '\r\nContent-Type: text/plain\r\nContent-Range: bytes 5-9/10\r\n\r\n56789' +
+            '\r\n--' + boundary + '--\r\n')
+          assert.equal(res.headers['content-length'], String(Buffer.byteLength(body)))
+          done()
+        })
+      }).on('error', done)
+    })
+  })
+
+  it('should reject unsatisfiable ranges with a 416', function (done) {
+    get('bytes=10-20')
+      .expect('Content-Range', 'bytes */10')
+      .expect(416, done)
+  })
+
+  it('should send the whole resource if If-Range does not match', function (done) {
+    get('bytes=0-1')
+      .set('If-Range', '"outdated"')
+      .expect(200)
+      .end(function (err, res) {
+        if (err) return done(err)
+        assert.equal(res.body, '0123456789')
+        server.head('/digits.txt').end(function (err, res) {
+          if (err) return done(err)
+          get('bytes=0-1')
+            .set('If-Range', res.headers.etag)
+            .expect(206, done)
+        })
+      })
+  })
+})
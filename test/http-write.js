@@ -0,0 +1,147 @@
+var assert = require('chai').assert
+var async = require('async')
+var fs = require('fs')
+var http = require('http')
+var path = require('path')
+var supertest = require('supertest')
+var ldnode = require('../index')
+var MemoryStore = require('../lib/storage').MemoryStore
+var rm = require('./test-utils').rm
+var write = require('./test-utils').write
+var read = require('./test-utils').read
+
+describe('HTTP writes', function () {
+  describe('interrupted by the client', function () {
+    var server
+    var port
+
+    before(function (done) {
+      fs.mkdirSync(path.join(__dirname, '/resources/write-tests'))
+      write('original', 'write-tests/file.txt')
+      var app = ldnode({ root: path.join(__dirname, '/resources') })
+      server = http.createServer(app).listen(0, function () {
+        port = server.address().port
+        done()
+      })
+    })
+
+    after(function () {
+      server.close()
+      rm('write-tests')
+    })
+
+    it('should leave the resource as it was', function (done) {
+      var req = http.request({
+        port: port,
+        method: 'PUT',
+        path: '/write-tests/file.txt',
+        headers: {
+          'Content-Type': 'text/plain',
+          'Content-Length': 1000
+        }
+      })
+      req.on('error', function () {})
+      req.write(new Array(101).join('x'))
+      setTimeout(function () {
+        req.abort()
+        setTimeout(function () {
+          assert.equal(read('write-tests/file.txt'), 'original')
+          // The temporary file is gone
+          assert.deepEqual(
+            fs.readdirSync(path.join(__dirname, '/resources/write-tests')),
+            [ 'file.txt' ])
+          done()
+        }, 100)
+      }, 100)
+    })
+
+    it('should release the resource for the next writes', function (done) {
+      supertest('http://localhost:' + port)
+        .put('/write-tests/file.txt')
+        .set('content-type', 'text/plain')
+        .send('replaced')
+        .expect(201)
+        .end(function (err) {
+          if (err) return done(err)
+          assert.equal(read('write-tests/file.txt'), 'replaced')
+          done()
+        })
+    })
+  })
+
+  describe('running concurrently', function () {
+    var storage = new MemoryStore()
+    var server = supertest(ldnode({
+      root: '/memory/',
+      storage: storage
+    }))
+
+    // Slow reads down, so that the requests overlap
+    var readFile = storage.readFile
+    storage.readFile = function () {
+      var args = arguments
+      setTimeout(function () {
+        readFile.apply(storage, args)
+      }, 20)
+    }
+
+    before(function (done) {
+      server.put('/data.ttl')
+        .set('content-type', 'text/turtle')
+        .send('')
+        .expect(201, done)
+    })
+
+    it('should apply all the PATCHes to the same resource', function (done) {
+      var patches = []
+      for (var i = 0; i < 10; i++) {
+        patches.push('INSERT DATA { <#s> <#p> "' + i + '" . }')
+      }
+      async.each(patches, function (patch, next) {
+        server.patch('/data.ttl')
+          .set('content-type', 'application/sparql-update')
+          .send(patch)
+          .expect(200, next)
+      }, function (err) {
+        if (err) return done(err)
+        server.get('/data.ttl')
+          .expect(200)
+          .end(function (err, res) {
+            if (err) return done(err)
+            patches.forEach(function (patch, i) {
+              assert.include(res.text, '"' + i + '"')
+            })
+            done()
+          })
+      })
+    })
+
+    it('should apply PUTs and PATCHes to the same resource in turn', function (done) {
+      async.parallel([
+        function (next) {
+          server.put('/data.ttl')
+            .set('content-type', 'text/turtle')
+            .send('<#s> <#p> "put" .')
+            .expect(201, next)
+        },
+        function (next) {
+          server.patch('/data.ttl')
+            .set('content-type', 'application/sparql-update')
+            .send('INSERT DATA { <#s> <#p> "patch" . }')
+            .expect(200, next)
+        }
+      ], function (err) {
+        if (err) return done(err)
+        server.get('/data.ttl')
+          .expect(200)
+          .end(function (err, res) {
+            if (err) return done(err)
+            // Whichever came last, the PUT wasn't mixed into a PATCH
+            assert.include(res.text, '"put"')
+            assert.notInclude(res.text, '"0"')
+            done()
+          })
+      })
+    })
+  })
+})
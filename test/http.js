@@ -102,8 +102,8 @@ describe('HTTP APIs', function () {
           .set('Origin', 'http://example.com')
           .expect('Access-Control-Allow-Origin', 'http://example.com')
           .expect('Access-Control-Allow-Credentials', 'true')
-          .expect('Access-Control-Allow-Methods', 'OPTIONS,HEAD,GET,PATCH,POST,PUT,DELETE')
-          .expect('Access-Control-Expose-Headers', 'User, Location, Link, Vary, Last-Modified, ETag, Accept-Patch, Accept-Post, Updates-Via, Allow, Content-Length')
+          .expect('Access-Control-Allow-Methods', 'OPTIONS,HEAD,GET,PATCH,POST,PUT,DELETE,MOVE')
+          .expect('Access-Control-Expose-Headers', 'User, Location, Link, Vary, Last-Modified, ETag, Memento-Datetime, Accept-Patch, Accept-Post, Updates-Via, Allow, Content-Length, Upload-Offset, Upload-Length')
           .expect(204, done)
       })
 
@@ -590,7 +590,7 @@ describe('HTTP APIs', function () {
         server.post('/sampleContainer/')
           .attach('timbl', path.join(__dirname, '/resources/timbl.jpg'))
           .attach('nicola', path.join(__dirname, '/resources/nicola.jpg'))
-          .expect(200)
+          .expect(201)
           .end(function (err) {
             if (err) return done(err)
 
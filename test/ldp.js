@@ -2,6 +2,7 @@ var assert = require('chai').assert
 var $rdf = require('rdflib')
 var ns = require('solid-namespace')($rdf)
 var LDP = require('../lib/ldp')
+var etags = require('../lib/etag')
 var path = require('path')
 var stringToStream = require('../lib/utils').stringToStream
 
@@ -80,6 +81,25 @@ describe('LDP', function () {
       })
     })
 
+    it('should change the entity tag on writes of the same size and time', function (done) {
+      var filename = path.join(__dirname, '/resources/testPut.txt')
+      ldp.put('localhost', '/resources/testPut.txt', stringToStream('hello'), function (err) {
+        assert.notOk(err)
+        // As if both writes happened within one tick of the clock
+        fs.utimesSync(filename, 1500000000, 1500000000)
+        var first = fs.statSync(filename)
+        ldp.put('localhost', '/resources/testPut.txt', stringToStream('world'), function (err) {
+          assert.notOk(err)
+          fs.utimesSync(filename, 1500000000, 1500000000)
+          var second = fs.statSync(filename)
+          rm('testPut.txt')
+          assert.equal(second.mtimeMs, first.mtimeMs)
+          assert.notEqual(etags.fromStats(second), etags.fromStats(first))
+          done()
+        })
+      })
+    })
+
     it('should fail if a trailing `/` is passed', function (done) {
       var stream = stringToStream('hello world')
       ldp.put('localhost', '/resources/', stream, function (err) {
@@ -87,6 +107,14 @@ describe('LDP', function () {
         done()
       })
     })
+
+    it('should fail on an existing container without a trailing `/`', function (done) {
+      var stream = stringToStream('hello world')
+      ldp.put('localhost', '/resources', stream, function (err) {
+        assert.equal(err.status, 409)
+        done()
+      })
+    })
   })
 
   describe('delete', function () {
@@ -109,6 +137,21 @@ describe('LDP', function () {
     })
   })
   describe('listContainer', function () {
+    // Calls back with the listing read from the stream
+    function readListing (callback) {
+      return function (err, listing) {
+        if (err) return callback(err)
+        var data = ''
+        listing
+          .on('data', function (chunk) {
+            data += chunk
+          })
+          .on('end', function () {
+            callback(null, data)
+          })
+      }
+    }
+
     it('should inherit type if file is .ttl', function (done) {
       write('@prefix dcterms: <http://purl.org/dc/terms/>.' +
         '@prefix o: <http://example.org/ontology>.' +
@@ -116,7 +159,7 @@ describe('LDP', function () {
         '   dcterms:title "This is a magic type" ;' +
         '   o:limit 500000.00 .', 'sampleContainer/magicType.ttl')
 
-      ldp.listContainer(path.join(__dirname, '/resources/sampleContainer/'), 'https://server.tld/resources/sampleContainer/', 'https://server.tld', '', 'text/turtle', function (err, data) {
+      ldp.listContainer(path.join(__dirname, '/resources/sampleContainer/'), 'https://server.tld/resources/sampleContainer/', 'https://server.tld', '', 'text/turtle', readListing(function (err, data) {
         if (err) done(err)
         var graph = $rdf.graph()
         $rdf.parse(
@@ -143,7 +186,7 @@ describe('LDP', function () {
 
         rm('sampleContainer/magicType.ttl')
         done()
-      })
+      }))
     })
 
     it('should not inherit type of BasicContainer/Container if type is File', function (done) {
@@ -159,7 +202,7 @@ describe('LDP', function () {
         '   dcterms:title "This is a container" ;' +
         '   o:limit 500000.00 .', 'sampleContainer/basicContainerFile.ttl')
 
-      ldp.listContainer(path.join(__dirname, '/resources/sampleContainer/'), 'https://server.tld/resources/sampleContainer/', 'https://server.tld', '', 'text/turtle', function (err, data) {
+      ldp.listContainer(path.join(__dirname, '/resources/sampleContainer/'), 'https://server.tld/resources/sampleContainer/', 'https://server.tld', '', 'text/turtle', readListing(function (err, data) {
         if (err) done(err)
         var graph = $rdf.graph()
         $rdf.parse(
@@ -195,11 +238,11 @@ describe('LDP', function () {
         rm('sampleContainer/containerFile.ttl')
         rm('sampleContainer/basicContainerFile.ttl')
         done()
-      })
+      }))
     })
 
     it('should ldp:contains the same amount of files in dir', function (done) {
-      ldp.listContainer(path.join(__dirname, '/resources/sampleContainer/'), 'https://server.tld/resources/sampleContainer/', 'https://server.tld', '', 'text/turtle', function (err, data) {
+      ldp.listContainer(path.join(__dirname, '/resources/sampleContainer/'), 'https://server.tld/resources/sampleContainer/', 'https://server.tld', '', 'text/turtle', readListing(function (err, data) {
         if (err) done(err)
         fs.readdir(path.join(__dirname, '/resources/sampleContainer/'), function (err, files) {
           var graph = $rdf.graph()
@@ -219,7 +262,7 @@ describe('LDP', function () {
           assert.notOk(err)
           done()
         })
-      })
+      }))
     })
   })
 })
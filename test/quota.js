@@ -0,0 +1,164 @@
+var assert = require('chai').assert
+var supertest = require('supertest')
+var ldnode = require('../index')
+var MemoryStore = require('../lib/storage').MemoryStore
+
+describe('Storage quotas', function () {
+  describe('single-user', function () {
+    var storage = new MemoryStore()
+    var server = supertest(ldnode({
+      root: '/memory/',
+      storage: storage,
+      quota: 100
+    }))
+
+    it('should accept writes under the quota', function (done) {
+      server.put('/notes/first.txt')
+        .set('content-type', 'text/plain')
+        .send(new Array(61).join('a'))
+        .expect(201, done)
+    })
+
+    it('should report the usage against the quota', function (done) {
+      server.get('/api/accounts/quota')
+        .expect(200)
+        .end(function (err, res) {
+          if (err) return done(err)
+          assert.deepEqual(res.body, { used: 60, quota: 100, available: 40 })
+          done()
+        })
+    })
+
+    it('should refuse a request larger than the quota with 413', function (done) {
+      server.put('/notes/huge.txt')
+        .set('content-type', 'text/plain')
+        .send(new Array(102).join('a'))
+        .expect(413, done)
+    })
+
+    it('should refuse writes over the quota with 507', function (done) {
+      server.put('/notes/second.txt')
+        .set('content-type', 'text/plain')
+        .send(new Array(51).join('b'))
+        .expect(507)
+        .end(function (err) {
+          if (err) return done(err)
+          server.get('/notes/second.txt')
+            .expect(404, done)
+        })
+    })
+
+    it('should count the size of a replaced resource as available', function (done) {
+      server.put('/notes/first.txt')
+        .set('content-type', 'text/plain')
+        .send(new Array(91).join('c'))
+        .expect(201, done)
+    })
+
+    it('should enforce the quota on PATCH', function (done) {
+      server.patch('/notes/data.ttl')
+        .set('content-type', 'application/sparql-update')
+        .send('INSERT DATA { <#a> <#b> "a rather long literal value" . }')
+        .expect(507, done)
+    })
+
+    it('should enforce the quota on streamed bodies of unknown length', function (done) {
+      var stream = storage.createWriteStream('/memory/notes/chunked.txt')
+      stream.on('error', done)
+      stream.end(new Array(21).join('d'), function () {
+        server.copy('/notes/copied.txt')
+          .set('Source', '/notes/chunked.txt')
+          .expect(507)
+          .end(function (err) {
+            if (err) return done(err)
+            server.get('/notes/copied.txt')
+              .expect(404, done)
+          })
+      })
+    })
+
+    it('should count the space again once resources are deleted', function (done) {
+      server.delete('/notes/first.txt')
+        .expect(200)
+        .end(function (err) {
+          if (err) return done(err)
+          server.get('/api/accounts/quota')
+            .expect(200)
+            .end(function (err, res) {
+              if (err) return done(err)
+              // Only the file written straight to the storage is left
+              assert.equal(res.body.used, 20)
+              done()
+            })
+        })
+    })
+  })
+
+  describe('multi-user', function () {
+    var storage = new MemoryStore()
+    var server = supertest(ldnode({
+      root: '/memory/',
+      storage: storage,
+      idp: true,
+      quota: 10
+    }))
+
+    before(function (done) {
+      storage.mkdirp('/memory/alice.localhost/', function () {
+        storage.writeFile('/memory/alice.localhost/.meta',
+          '<> <http://www.w3.org/ns/solid/terms#storageQuota> 1000 .', done)
+      })
+    })
+
+    it('should apply the default quota to accounts', function (done) {
+      server.put('/file.txt')
+        .set('host', 'bob.localhost')
+        .set('content-type', 'text/plain')
+        .send('more than ten bytes')
+        .expect(413, done)
+    })
+
+    it('should apply the quota override in the account .meta', function (done) {
+      server.put('/file.txt')
+        .set('host', 'alice.localhost')
+        .set('content-type', 'text/plain')
+        .send('more than ten bytes')
+        .expect(201)
+        .end(function (err) {
+          if (err) return done(err)
+          server.get('/api/accounts/quota')
+            .set('host', 'alice.localhost')
+            .expect(200)
+            .end(function (err, res) {
+              if (err) return done(err)
+              assert.equal(res.body.quota, 1000)
+              // Along with the .meta
+              assert.isAbove(res.body.used, 19)
+              done()
+            })
+        })
+    })
+
+    it('should not let accounts change their quota override', function (done) {
+      server.put('/.meta')
+        .set('host', 'alice.localhost')
+        .set('content-type', 'text/turtle')
+        .send('<> <http://www.w3.org/ns/solid/terms#storageQuota> 900 .')
+        .expect(403)
+        .end(function (err) {
+          if (err) return done(err)
+          server.delete('/.meta')
+            .set('host', 'alice.localhost')
+            .expect(403, done)
+        })
+    })
+
+    it('should let accounts change the rest of the .meta', function (done) {
+      server.patch('/.meta')
+        .set('host', 'alice.localhost')
+        .set('content-type', 'application/sparql-update')
+        .send('INSERT DATA { <> <http://purl.org/dc/terms/title> "Alice" . }')
+        .expect(200, done)
+    })
+  })
+})
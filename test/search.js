@@ -0,0 +1,131 @@
+var assert = require('chai').assert
+var async = require('async')
+var path = require('path')
+var supertest = require('supertest')
+var ldnode = require('../index')
+var MemoryStore = require('../lib/storage').MemoryStore
+
+describe('Full-text search', function () {
+  var alice = 'https://alice.example/profile/card#me'
+  var bob = 'https://bob.example/profile/card#me'
+  var storage = new MemoryStore()
+  var app = ldnode({
+    root: '/memory/',
+    storage: storage,
+    webid: true,
+    forceUser: alice
+  })
+  var server = supertest(app)
+
+  function acl (agent, modes) {
+    return '<#auth> a <http://www.w3.org/ns/auth/acl#Authorization> ;\n' +
+      ' <http://www.w3.org/ns/auth/acl#accessTo> <./> ;\n' +
+      ' <http://www.w3.org/ns/auth/acl#defaultForNew> <./> ;\n' +
+      ' <http://www.w3.org/ns/auth/acl#agent> <' + agent + '> ;\n' +
+      ' <http://www.w3.org/ns/auth/acl#mode> ' + modes.map(function (mode) {
+        return '<http://www.w3.org/ns/auth/acl#' + mode + '>'
+      }).join(', ') + ' .\n'
+  }
+
+  before(function (done) {
+    var files = {
+      '/memory/.acl': acl(alice, [ 'Read', 'Write', 'Control' ]),
+      '/memory/recipes/soup.ttl': '<#soup> <http://schema.org/name> "Pumpkin soup" ;\n' +
+        ' <http://schema.org/recipeIngredient> "pumpkin", "onion" ;\n' +
+        ' <http://schema.org/pumpkin> <#notALiteral> .',
+      '/memory/recipes/pie.txt': 'A pumpkin pie, with cinnamon.',
+      '/memory/recipes/photo.png': 'pumpkin',
+      '/memory/private/.acl': acl(bob, [ 'Read', 'Write', 'Control' ]),
+      '/memory/private/cake.txt': 'Pumpkin cake'
+    }
+    async.eachSeries(Object.keys(files), function (filename, next) {
+      storage.mkdirp(path.dirname(filename), function (err) {
+        if (err) return next(err)
+        storage.writeFile(filename, files[filename], next)
+      })
+    }, done)
+  })
+
+  function search (query, expected, done) {
+    server.get('/api/search')
+      .query({ q: query })
+      .expect('Content-Type', /application\/json/)
+      .expect(200)
+      .end(function (err, res) {
+        if (err) return done(err)
+        assert.deepEqual(res.body.map(function (result) {
+          return result.path
+        }), expected)
+        done()
+      })
+  }
+
+  it('should find the readable resources containing all the words', function (done) {
+    server.get('/api/search')
+      .query({ q: 'Pumpkin' })
+      .expect(200)
+      .end(function (err, res) {
+        if (err) return done(err)
+        assert.deepEqual(res.body.map(function (result) {
+          return [ result.path, result.score ]
+        }), [ [ '/recipes/soup.ttl', 2 ], [ '/recipes/pie.txt', 1 ] ])
+        assert.match(res.body[0].uri, /^https?:\/\/[^/]+\/recipes\/soup\.ttl$/)
+        search('pumpkin CINNAMON', [ '/recipes/pie.txt' ], done)
+      })
+  })
+
+  it('should index new and updated resources', function (done) {
+    async.series([
+      function (next) {
+        server.put('/recipes/bread.txt')
+          .set('content-type', 'text/plain')
+          .send('Pumpkin bread')
+          .expect(201, next)
+      },
+      function (next) {
+        server.put('/recipes/pie.txt')
+          .set('content-type', 'text/plain')
+          .send('An apple pie')
+          .expect(201, next)
+      },
+      function (next) {
+        search('pumpkin', [ '/recipes/soup.ttl', '/recipes/bread.txt' ], next)
+      },
+      function (next) {
+        search('apple', [ '/recipes/pie.txt' ], next)
+      }
+    ], done)
+  })
+
+  it('should forget deleted resources', function (done) {
+    server.delete('/recipes/soup.ttl')
+      .expect(200)
+      .end(function (err) {
+        if (err) return done(err)
+        search('onion', [], done)
+      })
+  })
+
+  it('should only keep track of the files being read', function (done) {
+    search('pie', [ '/recipes/pie.txt' ], function (err) {
+      if (err) return done(err)
+      assert.equal(app.locals.ldp.searchIndex.reading.size, 0)
+      done()
+    })
+  })
+
+  it('should require a query', function (done) {
+    server.get('/api/search')
+      .expect(400, done)
+  })
+
+  it('should be advertised in the service capability document', function (done) {
+    server.get('/.well-known/solid')
+      .expect(200)
+      .end(function (err, res) {
+        if (err) return done(err)
+        assert.equal(res.body.api.search, '/api/search')
+        done()
+      })
+  })
+})
@@ -0,0 +1,292 @@
+var $rdf = require('rdflib')
+var assert = require('chai').assert
+var async = require('async')
+var path = require('path')
+var supertest = require('supertest')
+var ldnode = require('../index')
+var sparql = require('../lib/sparql')
+var MemoryStore = require('../lib/storage').MemoryStore
+
+describe('SPARQL endpoint', function () {
+  var alice = 'https://alice.example/profile/card#me'
+  var bob = 'https://bob.example/profile/card#me'
+  var storage = new MemoryStore()
+  var app = ldnode({
+    root: '/memory/',
+    storage: storage,
+    webid: true,
+    forceUser: alice
+  })
+  var server = supertest(app)
+  var prefix = 'PREFIX foaf: <http://xmlns.com/foaf/0.1/>\n'
+
+  function acl (agent, modes) {
+    return '<#auth> a <http://www.w3.org/ns/auth/acl#Authorization> ;\n' +
+      ' <http://www.w3.org/ns/auth/acl#accessTo> <./> ;\n' +
+      ' <http://www.w3.org/ns/auth/acl#defaultForNew> <./> ;\n' +
+      ' <http://www.w3.org/ns/auth/acl#agent> <' + agent + '> ;\n' +
+      ' <http://www.w3.org/ns/auth/acl#mode> ' + modes.map(function (mode) {
+        return '<http://www.w3.org/ns/auth/acl#' + mode + '>'
+      }).join(', ') + ' .\n'
+  }
+
+  before(function (done) {
+    var files = {
+      '/memory/.acl': acl(alice, [ 'Read', 'Write', 'Control' ]),
+      '/memory/people/alice.ttl': '@prefix foaf: <http://xmlns.com/foaf/0.1/> .\n' +
+        '<#me> foaf:name "Alice"@en ; foaf:age 30 ; foaf:knows <bob.ttl#me> .',
+      '/memory/people/bob.ttl': '@prefix foaf: <http://xmlns.com/foaf/0.1/> .\n' +
+        '<#me> foaf:name "Bob" ; foaf:age 25 .',
+      '/memory/people/carol.jsonld': JSON.stringify({
+        '@id': 'https://carol.example/profile/card#me',
+        'http://xmlns.com/foaf/0.1/name': 'Carol, "C"'
+      }),
+      '/memory/people/notes.txt': '<#me> <http://xmlns.com/foaf/0.1/name> "Notes" .',
+      '/memory/private/.acl': acl(bob, [ 'Read', 'Write', 'Control' ]),
+      '/memory/private/dave.ttl': '<#me> <http://xmlns.com/foaf/0.1/name> "Dave" .'
+    }
+    async.eachSeries(Object.keys(files), function (filename, next) {
+      storage.mkdirp(path.dirname(filename), function (err) {
+        if (err) return next(err)
+        storage.writeFile(filename, files[filename], next)
+      })
+    }, done)
+  })
+
+  function values (res, variable) {
+    return res.body.results.bindings.map(function (binding) {
+      return binding[variable] && binding[variable].value
+    })
+  }
+
+  it('should query all the readable RDF resources', function (done) {
+    server.get('/api/sparql')
+      .query({ query: prefix + 'SELECT ?name WHERE { ?person foaf:name ?name } ORDER BY ?name' })
+      .expect('Content-Type', /application\/sparql-results\+json/)
+      .expect(200)
+      .end(function (err, res) {
+        if (err) return done(err)
+        assert.deepEqual(res.body.head.vars, [ 'name' ])
+        assert.deepEqual(values(res, 'name'), [ 'Alice', 'Bob', 'Carol, "C"' ])
+        assert.deepEqual(res.body.results.bindings[0].name,
+          { type: 'literal', value: 'Alice', 'xml:lang': 'en' })
+        done()
+      })
+  })
+
+  it('should name the graphs after the resources', function (done) {
+    server.get('/api/sparql')
+      .query({ query: prefix + 'SELECT ?g WHERE { GRAPH ?g { ?person foaf:age 25 } }' })
+      .expect(200)
+      .end(function (err, res) {
+        if (err) return done(err)
+        assert.match(values(res, 'g')[0], /^https?:\/\/[^/]+\/people\/bob\.ttl$/)
+        done()
+      })
+  })
+
+  it('should support filters, optional patterns and aggregates', function (done) {
+    server.get('/api/sparql')
+      .query({
+        query: prefix + 'SELECT (COUNT(?person) AS ?count) WHERE {\n' +
+          ' ?person foaf:name ?name OPTIONAL { ?person foaf:age ?age }\n' +
+          ' FILTER (!BOUND(?age) || ?age > 26) }'
+      })
+      .expect(200)
+      .end(function (err, res) {
+        if (err) return done(err)
+        assert.deepEqual(res.body.results.bindings, [ { count: {
+          type: 'literal',
+          value: '2',
+          datatype: 'http://www.w3.org/2001/XMLSchema#integer'
+        } } ])
+        done()
+      })
+  })
+
+  it('should leave out the resources the agent cannot read', function (done) {
+    server.get('/api/sparql')
+      .query({ query: 'ASK { ?person <http://xmlns.com/foaf/0.1/name> "Dave" }' })
+      .expect(200)
+      .end(function (err, res) {
+        if (err) return done(err)
+        assert.deepEqual(res.body, { head: {}, boolean: false })
+        done()
+      })
+  })
+
+  it('should send results as XML, CSV and TSV', function (done) {
+    var query = prefix + 'SELECT ?name ?age WHERE { ?person foaf:name ?name ; foaf:age ?age } ORDER BY ?age'
+    async.series([
+      function (next) {
+        server.get('/api/sparql')
+          .query({ query: query })
+          .set('accept', 'application/sparql-results+xml')
+          .expect('Content-Type', /application\/sparql-results\+xml/)
+          .expect(/<binding name="name"><literal>Bob<\/literal><\/binding>/)
+          .expect(200, next)
+      },
+      function (next) {
+        server.get('/api/sparql')
+          .query({ query: query })
+          .set('accept', 'text/csv')
+          .expect('Content-Type', /text\/csv/)
+          .expect('name,age\r\nBob,25\r\nAlice,30\r\n')
+          .expect(200, next)
+      },
+      function (next) {
+        server.get('/api/sparql')
+          .query({ query: query })
+          .set('accept', 'text/tab-separated-values')
+          .expect('Content-Type', /text\/tab-separated-values/)
+          .expect('?name\t?age\n"Bob"\t"25"^^<http://www.w3.org/2001/XMLSchema#integer>\n' +
+            '"Alice"@en\t"30"^^<http://www.w3.org/2001/XMLSchema#integer>\n')
+          .expect(200, next)
+      }
+    ], done)
+  })
+
+  it('should accept queries sent with POST', function (done) {
+    server.post('/api/sparql')
+      .set('content-type', 'application/sparql-query')
+      .set('accept', 'text/csv')
+      .send(prefix + 'SELECT ?name WHERE { <people/alice.ttl#me> foaf:knows ?friend . ?friend foaf:name ?name }')
+      .expect('name\r\nBob\r\n')
+      .expect(200, done)
+  })
+
+  it('should reject invalid and unsupported queries', function (done) {
+    async.series([
+      function (next) {
+        server.get('/api/sparql')
+          .query({ query: 'SELECT WHERE' })
+          .expect(400, next)
+      },
+      function (next) {
+        server.get('/api/sparql')
+          .query({ query: 'CONSTRUCT { ?s ?p ?o } WHERE { ?s ?p ?o }' })
+          .expect(400, next)
+      },
+      function (next) {
+        server.get('/api/sparql')
+          .expect(400, next)
+      }
+    ], done)
+  })
+
+  it('should only answer authenticated agents', function (done) {
+    var server = supertest(ldnode({
+      root: '/memory/',
+      storage: storage
+    }))
+    server.get('/api/sparql')
+      .query({ query: 'ASK WHERE { ?s ?p ?o }' })
+      .expect(401, done)
+  })
+
+  it('should keep the dataset apart from the graph cache', function (done) {
+    var entries = app.locals.ldp.graphCache.stats().entries
+    server.get('/api/sparql')
+      .query({ query: 'SELECT * WHERE { ?s ?p ?o }' })
+      .expect(200, function (err) {
+        if (err) return done(err)
+        assert.equal(app.locals.ldp.graphCache.stats().entries, entries)
+        assert.isAbove(app.locals.ldp.datasetCache.stats().entries, 0)
+        done()
+      })
+  })
+
+  it('should only parse the resources changed since the last query', function (done) {
+    var cache = app.locals.ldp.datasetCache
+    var query = prefix + 'SELECT ?name WHERE { ?person foaf:name ?name } ORDER BY ?name'
+    // Resources are cached by their URI, which includes the port otherwise
+    var get = function () {
+      return server.get('/api/sparql').set('host', 'localhost').query({ query: query })
+    }
+    get().expect(200, function (err) {
+      if (err) return done(err)
+      var misses = cache.stats().misses
+      get().expect(200, function (err) {
+        if (err) return done(err)
+        assert.equal(cache.stats().misses, misses)
+        server.put('/people/bob.ttl')
+          .set('content-type', 'text/turtle')
+          .send('<#me> <http://xmlns.com/foaf/0.1/name> "Robert" ; <http://xmlns.com/foaf/0.1/age> 25 .')
+          .expect(201, function (err) {
+            if (err) return done(err)
+            get().expect(200).end(function (err, res) {
+              if (err) return done(err)
+              assert.deepEqual(values(res, 'name'), [ 'Alice', 'Carol, "C"', 'Robert' ])
+              done()
+            })
+          })
+      })
+    })
+  })
+})
+
+describe('SPARQL queries', function () {
+  var graph = $rdf.graph()
+  var doc = $rdf.sym('https://example.org/people')
+  for (var i = 0; i < 5; i++) {
+    graph.add($rdf.sym('https://example.org/people#' + i),
+      $rdf.sym('http://xmlns.com/foaf/0.1/name'), $rdf.lit('Person ' + i), doc)
+  }
+  var large = $rdf.graph()
+  for (i = 0; i < 300; i++) {
+    large.add($rdf.sym('https://example.org/people#' + i),
+      $rdf.sym('http://xmlns.com/foaf/0.1/name'), $rdf.lit('Person ' + i), doc)
+  }
+
+  it('should fail with a 503 once past the timeout', function (done) {
+    sparql.query(graph, 'SELECT * WHERE { ?s ?p ?o }', 'https://example.org/', { timeout: 0 }, function (err) {
+      assert.equal(err.status, 503)
+      done()
+    })
+  })
+
+  it('should stop evaluating once it has enough results', function (done) {
+    var query = 'SELECT * WHERE { ?a ?p ?x . ?b ?p ?y . ?c ?p ?z . ?d ?p ?w } LIMIT 1'
+    sparql.query(large, query, 'https://example.org/', { timeout: 2000 }, function (err, results) {
+      if (err) return done(err)
+      assert.lengthOf(results.bindings, 1)
+      done()
+    })
+  })
+
+  it('should give the event loop a turn during long queries', function (done) {
+    var turns = 0
+    var tick = function () {
+      turns++
+      timer = setImmediate(tick)
+    }
+    var timer = setImmediate(tick)
+    var query = 'SELECT (COUNT(*) AS ?count) WHERE { ?a ?p ?x . ?b ?p ?y . ?c ?p ?z }'
+    sparql.query(large, query, 'https://example.org/', { timeout: 100 }, function (err) {
+      clearImmediate(timer)
+      assert.equal(err.status, 503)
+      assert.isAbove(turns, 1)
+      done()
+    })
+  })
+
+  it('should fail with a 503 past the maximum of solutions in memory', function (done) {
+    var query = 'SELECT * WHERE { ?s ?p ?o } ORDER BY ?o'
+    sparql.query(graph, query, 'https://example.org/', { maxSolutions: 3 }, function (err) {
+      assert.equal(err.status, 503)
+      sparql.query(graph, 'SELECT * WHERE { ?s ?p ?o } LIMIT 3', 'https://example.org/', { maxSolutions: 3 }, function (err, results) {
+        if (err) return done(err)
+        assert.lengthOf(results.bindings, 3)
+        done()
+      })
+    })
+  })
+
+  it('should leave out the results past the maximum', function (done) {
+    sparql.query(graph, 'SELECT * WHERE { ?s ?p ?o }', 'https://example.org/', { maxResults: 3 }, function (err, results) {
+      if (err) return done(err)
+      assert.lengthOf(results.bindings, 3)
+      done()
+    })
+  })
+})
@@ -0,0 +1,225 @@
+var assert = require('chai').assert
+var supertest = require('supertest')
+var ldnode = require('../index')
+var LDP = require('../lib/ldp')
+var MemoryStore = require('../lib/storage').MemoryStore
+var stringToStream = require('../lib/utils').stringToStream
+
+describe('Storage', function () {
+  describe('MemoryStore', function () {
+    var store
+
+    beforeEach(function (done) {
+      store = new MemoryStore()
+      store.mkdirp('/data/container/', done)
+    })
+
+    it('should stat containers and resources', function (done) {
+      store.writeFile('/data/container/hello.txt', 'hello world', function (err) {
+        assert.notOk(err)
+        store.stat('/data/container/hello.txt', function (err, stats) {
+          assert.notOk(err)
+          assert.ok(stats.isFile())
+          assert.equal(stats.size, 11)
+          assert.instanceOf(stats.mtime, Date)
+          store.stat('/data/container/', function (err, stats) {
+            assert.notOk(err)
+            assert.ok(stats.isDirectory())
+            done()
+          })
+        })
+      })
+    })
+
+    it('should give ENOENT for missing resources', function (done) {
+      store.readFile('/data/missing.txt', function (err) {
+        assert.equal(err.code, 'ENOENT')
+        done()
+      })
+    })
+
+    it('should not write into a missing container', function (done) {
+      store.createWriteStream('/data/missing/hello.txt')
+        .on('error', function (err) {
+          assert.equal(err.code, 'ENOENT')
+          done()
+        })
+        .on('finish', function () {
+          done(new Error('should not have finished'))
+        })
+        .end('hello')
+    })
+
+    it('should stream data in and out', function (done) {
+      stringToStream('hello world')
+        .pipe(store.createWriteStream('/data/container/hello.txt'))
+        .on('finish', function () {
+          var data = ''
+          store.createReadStream('/data/container/hello.txt', { start: 6, end: 10 })
+            .on('data', function (chunk) {
+              data += chunk
+            })
+            .on('end', function () {
+              assert.equal(data, 'world')
+              done()
+            })
+        })
+    })
+
+    it('should list direct children only', function (done) {
+      store.mkdirp('/data/container/child/grandchild', function (err) {
+        assert.notOk(err)
+        store.writeFile('/data/container/file.ttl', '', function (err) {
+          assert.notOk(err)
+          store.readdir('/data/container/', function (err, files) {
+            assert.notOk(err)
+            assert.deepEqual(files.sort(), [ 'child', 'file.ttl' ])
+            done()
+          })
+        })
+      })
+    })
+
+    it('should rename and remove containers with their contents', function (done) {
+      store.writeFile('/data/container/file.ttl', 'data', function (err) {
+        assert.notOk(err)
+        store.rename('/data/container', '/data/moved', function (err) {
+          assert.notOk(err)
+          store.readFile('/data/moved/file.ttl', 'utf8', function (err, data) {
+            assert.notOk(err)
+            assert.equal(data, 'data')
+            store.remove('/data/moved/', function (err) {
+              assert.notOk(err)
+              store.readdir('/data', function (err, files) {
+                assert.notOk(err)
+                assert.deepEqual(files, [])
+                done()
+              })
+            })
+          })
+        })
+      })
+    })
+
+    it('should link resources, keeping their data apart from then on', function (done) {
+      store.writeFile('/data/container/hello.txt', 'hello', function (err) {
+        assert.notOk(err)
+        store.link('/data/container/hello.txt', '/data/container/kept.txt', function (err) {
+          assert.notOk(err)
+          store.writeFile('/data/container/hello.txt', 'bye', function (err) {
+            assert.notOk(err)
+            store.readFile('/data/container/kept.txt', 'utf8', function (err, data) {
+              assert.notOk(err)
+              assert.equal(data, 'hello')
+              store.link('/data/container/hello.txt', '/data/container/kept.txt', function (err) {
+                assert.equal(err.code, 'EEXIST')
+                done()
+              })
+            })
+          })
+        })
+      })
+    })
+
+    it('should glob over stored resources', function (done) {
+      store.writeFile('/data/container/a.ttl', '', function () {
+        store.writeFile('/data/container/b.txt', '', function () {
+          store.glob('/data/container/*', { nodir: true }, function (err, matches) {
+            assert.notOk(err)
+            assert.deepEqual(matches, [ '/data/container/a.ttl', '/data/container/b.txt' ])
+            done()
+          })
+        })
+      })
+    })
+  })
+
+  describe('LDP with a MemoryStore', function () {
+    var ldp = new LDP({
+      root: '/memory/',
+      storage: new MemoryStore()
+    })
+
+    it('should put, get and delete resources', function (done) {
+      ldp.put('localhost', '/foo/bar.txt', stringToStream('hello'), function (err) {
+        assert.notOk(err)
+        ldp.readFile('/memory/foo/bar.txt', function (err, data) {
+          assert.notOk(err)
+          assert.equal(data, 'hello')
+          ldp.delete('localhost', '/foo/bar.txt', function (err) {
+            assert.notOk(err)
+            ldp.exists('localhost', '/foo/bar.txt', function (err) {
+              assert.equal(err.status, 404)
+              done()
+            })
+          })
+        })
+      })
+    })
+  })
+
+  describe('HTTP with a MemoryStore', function () {
+    var server = supertest(ldnode.createServer({
+      root: '/memory/',
+      storage: new MemoryStore()
+    }))
+
+    it('should create a resource with PUT and read it back', function (done) {
+      server.put('/notes/hello.ttl')
+        .set('content-type', 'text/turtle')
+        .send('<#hello> <#linked> <#world> .')
+        .expect(201)
+        .end(function (err) {
+          if (err) return done(err)
+          server.get('/notes/hello.ttl')
+            .expect('Content-Type', /text\/turtle/)
+            .expect(/linked/)
+            .expect(200, done)
+        })
+    })
+
+    it('should list the container', function (done) {
+      server.get('/notes/')
+        .expect(/hello\.ttl/)
+        .expect(200, done)
+    })
+
+    it('should PATCH the resource', function (done) {
+      server.patch('/notes/hello.ttl')
+        .set('content-type', 'application/sparql-update')
+        .send('INSERT DATA { <#hello> <#patched> <#world> . }')
+        .expect(200)
+        .end(function (err) {
+          if (err) return done(err)
+          server.get('/notes/hello.ttl')
+            .expect(/patched/)
+            .expect(200, done)
+        })
+    })
+
+    it('should POST into the container and DELETE the result', function (done) {
+      server.post('/notes/')
+        .set('slug', 'posted.txt')
+        .set('content-type', 'text/plain')
+        .send('posted')
+        .expect(201)
+        .end(function (err, res) {
+          if (err) return done(err)
+          assert.equal(res.headers.location, '/notes/posted.txt')
+          server.delete('/notes/posted.txt')
+            .expect(200)
+            .end(function (err) {
+              if (err) return done(err)
+              server.get('/notes/posted.txt')
+                .expect(404, done)
+            })
+        })
+    })
+
+    it('should answer glob requests', function (done) {
+      server.get('/notes/*')
+        .expect(/patched/)
+        .expect(200, done)
+    })
+  })
+})
@@ -0,0 +1,262 @@
+var assert = require('chai').assert
+var async = require('async')
+var supertest = require('supertest')
+var ldnode = require('../index')
+var LDP = require('../lib/ldp')
+var trash = require('../lib/trash')
+var MemoryStore = require('../lib/storage').MemoryStore
+
+describe('Trash', function () {
+  var storage = new MemoryStore()
+  var server = supertest(ldnode({
+    root: '/memory/',
+    storage: storage,
+    trash: true
+  }))
+
+  function items (callback) {
+    server.get('/api/accounts/trash')
+      .expect(200)
+      .end(function (err, res) {
+        callback(err, res && res.body)
+      })
+  }
+
+  before(function (done) {
+    server.put('/notes/todo.ttl')
+      .set('content-type', 'text/turtle')
+      .send('<#a> <#b> "first" .')
+      .expect(201)
+      .end(function (err) {
+        if (err) return done(err)
+        server.put('/notes/todo.ttl.acl')
+          .set('content-type', 'text/turtle')
+          .send('<#owner> a <http://www.w3.org/ns/auth/acl#Authorization> .')
+          .expect(201, done)
+      })
+  })
+
+  it('should move deleted resources to the trash with their .acl', function (done) {
+    server.delete('/notes/todo.ttl')
+      .expect(200)
+      .end(function (err) {
+        if (err) return done(err)
+        server.get('/notes/todo.ttl.acl')
+          .expect(404)
+          .end(function (err) {
+            if (err) return done(err)
+            items(function (err, items) {
+              if (err) return done(err)
+              assert.lengthOf(items, 1)
+              assert.equal(items[0].path, '/notes/todo.ttl')
+              assert.isNumber(items[0].deleted)
+              done()
+            })
+          })
+      })
+  })
+
+  it('should not expose the trash as regular files', function (done) {
+    server.get('/.trash/')
+      .expect(404)
+      .end(function (err) {
+        if (err) return done(err)
+        server.get('/')
+          .set('accept', 'text/turtle')
+          .expect(200)
+          .end(function (err, res) {
+            if (err) return done(err)
+            assert.notInclude(res.text, '.trash')
+            done()
+          })
+      })
+  })
+
+  it('should not expose the trash through glob patterns', function (done) {
+    server.get('/.tras[h]/*/*.ttl')
+      .expect(404, done)
+  })
+
+  it('should refuse to restore over a resource created since', function (done) {
+    server.put('/notes/todo.ttl')
+      .set('content-type', 'text/turtle')
+      .send('<#a> <#b> "second" .')
+      .expect(201)
+      .end(function (err) {
+        if (err) return done(err)
+        items(function (err, items) {
+          if (err) return done(err)
+          server.post('/api/accounts/trash/' + items[0].id)
+            .expect(409)
+            .end(function (err) {
+              if (err) return done(err)
+              server.delete('/notes/todo.ttl')
+                .expect(200, done)
+            })
+        })
+      })
+  })
+
+  it('should restore items to their original path', function (done) {
+    items(function (err, items) {
+      if (err) return done(err)
+      assert.lengthOf(items, 2)
+      server.post('/api/accounts/trash/' + items[0].id)
+        .expect('Location', /\/notes\/todo\.ttl$/)
+        .expect(201)
+        .end(function (err) {
+          if (err) return done(err)
+          server.get('/notes/todo.ttl')
+            .expect(/"first"/)
+            .expect(200)
+            .end(function (err) {
+              if (err) return done(err)
+              server.get('/notes/todo.ttl.acl')
+                .expect(200, done)
+            })
+        })
+    })
+  })
+
+  it('should move empty containers to the trash and restore them', function (done) {
+    server.put('/empty/.meta')
+      .set('content-type', 'text/turtle')
+      .send('')
+      .expect(201)
+      .end(function (err) {
+        if (err) return done(err)
+        server.delete('/empty/')
+          .expect(200)
+          .end(function (err) {
+            if (err) return done(err)
+            items(function (err, items) {
+              if (err) return done(err)
+              var item = items.filter(function (item) {
+                return item.path === '/empty/'
+              })[0]
+              assert.ok(item)
+              server.post('/api/accounts/trash/' + item.id)
+                .expect(201)
+                .end(function (err) {
+                  if (err) return done(err)
+                  server.head('/empty/')
+                    .expect(200, done)
+                })
+            })
+          })
+      })
+  })
+
+  it('should delete items for good', function (done) {
+    items(function (err, items) {
+      if (err) return done(err)
+      server.delete('/api/accounts/trash/' + items[0].id)
+        .expect(200)
+        .end(function (err) {
+          if (err) return done(err)
+          server.post('/api/accounts/trash/' + items[0].id)
+            .expect(404, done)
+        })
+    })
+  })
+
+  it('should empty the trash', function (done) {
+    server.delete('/notes/todo.ttl')
+      .expect(200)
+      .end(function (err) {
+        if (err) return done(err)
+        server.delete('/api/accounts/trash')
+          .expect(200)
+          .end(function (err) {
+            if (err) return done(err)
+            items(function (err, items) {
+              if (err) return done(err)
+              assert.lengthOf(items, 0)
+              done()
+            })
+          })
+      })
+  })
+
+  it('should purge items after the retention period', function (done) {
+    var storage = new MemoryStore()
+    var server = supertest(ldnode({
+      root: '/memory/',
+      storage: storage,
+      trash: true,
+      trashRetention: 1
+    }))
+    server.put('/old.txt')
+      .set('content-type', 'text/plain')
+      .send('old')
+      .expect(201)
+      .end(function (err) {
+        if (err) return done(err)
+        server.delete('/old.txt')
+          .expect(200)
+          .end(function (err) {
+            if (err) return done(err)
+            storage.readdir('/memory/.trash/', function (err, files) {
+              if (err) return done(err)
+              var record = '/memory/.trash/' + files.filter(function (file) {
+                return /\.json$/.test(file)
+              })[0]
+              var twoDaysAgo = Date.now() - 2 * 24 * 60 * 60 * 1000
+              storage.writeFile(record, JSON.stringify({ path: '/old.txt', deleted: twoDaysAgo }), function (err) {
+                if (err) return done(err)
+                server.get('/api/accounts/trash')
+                  .expect(200)
+                  .end(function (err, res) {
+                    if (err) return done(err)
+                    assert.lengthOf(res.body, 0)
+                    storage.readdir('/memory/.trash/', function (err, files) {
+                      if (err) return done(err)
+                      assert.lengthOf(files, 0)
+                      done()
+                    })
+                  })
+              })
+            })
+          })
+      })
+  })
+
+  it('should purge the expired items of every account without them being listed', function (done) {
+    var storage = new MemoryStore()
+    var ldp = new LDP({ root: '/memory/', storage: storage, idp: true, trash: true, trashRetention: 1 })
+    var twoDaysAgo = Date.now() - 2 * 24 * 60 * 60 * 1000
+    var items = {
+      '/memory/alice.localhost/.trash/1-aa.json': { path: '/old.txt', deleted: twoDaysAgo },
+      '/memory/bob.localhost/.trash/1-bb.json': { path: '/old.txt', deleted: twoDaysAgo },
+      '/memory/bob.localhost/.trash/2-cc.json': { path: '/new.txt', deleted: Date.now() }
+    }
+    async.eachSeries(Object.keys(items), function (record, next) {
+      storage.mkdirp(record.replace(/\.json$/, '/'), function (err) {
+        if (err) return next(err)
+        storage.writeFile(record, JSON.stringify(items[record]), next)
+      })
+    }, function (err) {
+      if (err) return done(err)
+      trash.purgeExpired(ldp, function (err) {
+        if (err) return done(err)
+        storage.glob('/memory/*/.trash/*', {}, function (err, files) {
+          if (err) return done(err)
+          assert.deepEqual(files.sort(), [
+            '/memory/bob.localhost/.trash/2-cc',
+            '/memory/bob.localhost/.trash/2-cc.json'
+          ])
+          done()
+        })
+      })
+    })
+  })
+
+  it('should delete resources for good when disabled', function (done) {
+    var server = supertest(ldnode({
+      root: '/memory/',
+      storage: new MemoryStore()
+    }))
+    server.get('/api/accounts/trash')
+      .expect(404, done)
+  })
+})
@@ -0,0 +1,259 @@
+var assert = require('chai').assert
+var async = require('async')
+var supertest = require('supertest')
+var ldnode = require('../index')
+var MemoryStore = require('../lib/storage').MemoryStore
+
+describe('Resumable uploads', function () {
+  var storage = new MemoryStore()
+  var server = supertest(ldnode({
+    root: '/memory/',
+    storage: storage,
+    quota: 1000
+  }))
+
+  before(function (done) {
+    storage.mkdirp('/memory/', done)
+  })
+
+  function create (body, callback) {
+    server.post('/api/uploads')
+      .send(body)
+      .expect('Upload-Offset', '0')
+      .expect(201)
+      .end(function (err, res) {
+        callback(err, res && res.headers.location.replace(/^https?:\/\/[^/]+/, ''))
+      })
+  }
+
+  function chunk (upload, offset, data, status) {
+    return server.patch(upload)
+      .set('Upload-Offset', String(offset))
+      .set('Content-Type', 'application/offset+octet-stream')
+      .send(data)
+      .expect(status)
+  }
+
+  it('should upload a file in chunks, resuming from the current offset', function (done) {
+    create({ target: '/videos/clip.txt', length: 10, contentType: 'text/plain' }, function (err, upload) {
+      if (err) return done(err)
+      assert.match(upload, /^\/api\/uploads\/[0-9a-f]{32}$/)
+      async.series([
+        function (next) {
+          chunk(upload, 0, '01234', 204).expect('Upload-Offset', '5').end(next)
+        },
+        function (next) {
+          // Resending a chunk that already came in
+          chunk(upload, 0, '01234', 409).expect('Upload-Offset', '5').end(next)
+        },
+        function (next) {
+          server.head(upload)
+            .expect('Upload-Offset', '5')
+            .expect('Upload-Length', '10')
+            .expect(200, next)
+        },
+        function (next) {
+          // Not complete yet
+          server.post(upload).expect(409, next)
+        },
+        function (next) {
+          chunk(upload, 5, '56789', 204).expect('Upload-Offset', '10').end(next)
+        },
+        function (next) {
+          server.post(upload)
+            .expect('Location', /\/videos\/clip.txt$/)
+            .expect(201, next)
+        },
+        function (next) {
+          server.get('/videos/clip.txt')
+            .expect('Content-Type', /text\/plain/)
+            .expect(200, '0123456789', next)
+        },
+        function (next) {
+          // The session is gone
+          server.head(upload).expect(404, next)
+        }
+      ], function (err) {
+        done(err)
+      })
+    })
+  })
+
+  it('should close the chunks if the target cannot be written', function (done) {
+    var app = ldnode({ root: '/memory/', storage: new MemoryStore() })
+    var server = supertest(app)
+    var ldp = app.locals.ldp
+    var createReadStream = ldp.createReadStream
+    var streams = []
+    ldp.createReadStream = function () {
+      var stream = createReadStream.apply(ldp, arguments)
+      streams.push(stream)
+      return stream
+    }
+    var data = new Array(64 * 1024 + 1).join('x')
+    server.post('/api/uploads')
+      .send({ target: '/taken', length: data.length * 2 })
+      .expect(201)
+      .end(function (err, res) {
+        if (err) return done(err)
+        var upload = res.headers.location.replace(/^https?:\/\/[^/]+/, '')
+        async.series([
+          function (next) {
+            server.put('/taken/file.txt').send('Taken').expect(201, next)
+          },
+          function (next) {
+            server.patch(upload)
+              .set('Upload-Offset', '0')
+              .set('Content-Type', 'application/offset+octet-stream')
+              .send(data)
+              .expect(204, next)
+          },
+          function (next) {
+            server.patch(upload)
+              .set('Upload-Offset', String(data.length))
+              .set('Content-Type', 'application/offset+octet-stream')
+              .send(data)
+              .expect(204, next)
+          },
+          function (next) {
+            server.post(upload).expect(409, next)
+          }
+        ], function (err) {
+          ldp.createReadStream = createReadStream
+          if (err) return done(err)
+          assert.isAbove(streams.length, 0)
+          streams.forEach(function (stream) {
+            assert.isTrue(stream.destroyed || stream.readableEnded)
+          })
+          done()
+        })
+      })
+  })
+
+  it('should refuse chunks past the declared length', function (done) {
+    create({ target: '/short.txt', length: 3 }, function (err, upload) {
+      if (err) return done(err)
+      chunk(upload, 0, 'Too long', 400).end(function (err) {
+        if (err) return done(err)
+        server.head(upload).expect('Upload-Offset', '0').expect(200, done)
+      })
+    })
+  })
+
+  it('should apply the storage quota', function (done) {
+    server.post('/api/uploads')
+      .send({ target: '/huge.bin', length: 2000 })
+      .expect(413, function (err) {
+        if (err) return done(err)
+        create({ target: '/big.bin' }, function (err, upload) {
+          if (err) return done(err)
+          chunk(upload, 0, new Array(1200).join('x'), 507).end(done)
+        })
+      })
+  })
+
+  it('should delete uploads given up on', function (done) {
+    create({ target: '/abandoned.txt' }, function (err, upload) {
+      if (err) return done(err)
+      server.delete(upload).expect(200, function (err) {
+        if (err) return done(err)
+        server.head(upload).expect(404, done)
+      })
+    })
+  })
+
+  it('should purge uploads not used for a day', function (done) {
+    create({ target: '/forgotten.txt' }, function (err, upload) {
+      if (err) return done(err)
+      var record = '/memory/.uploads/' + upload.split('/').pop() + '.json'
+      storage.readFile(record, 'utf8', function (err, data) {
+        if (err) return done(err)
+        data = JSON.parse(data)
+        data.updated -= 25 * 60 * 60 * 1000
+        storage.writeFile(record, JSON.stringify(data), function (err) {
+          if (err) return done(err)
+          create({ target: '/new.txt' }, function (err) {
+            if (err) return done(err)
+            server.head(upload).expect(404, done)
+          })
+        })
+      })
+    })
+  })
+
+  it('should purge the archives left behind by imports', function (done) {
+    var staged = {
+      '/memory/.uploads/import-old': Date.now() - 25 * 60 * 60 * 1000,
+      '/memory/.uploads/import-new': Date.now()
+    }
+    async.eachSeries(Object.keys(staged), function (filename, next) {
+      storage.writeFile(filename, 'Archive', function (err) {
+        if (err) return next(err)
+        storage.entries[filename].mtime = new Date(staged[filename])
+        next()
+      })
+    }, function (err) {
+      if (err) return done(err)
+      create({ target: '/imported.txt' }, function (err) {
+        if (err) return done(err)
+        storage.readdir('/memory/.uploads/', function (err, files) {
+          if (err) return done(err)
+          assert.notInclude(files, 'import-old')
+          assert.include(files, 'import-new')
+          done()
+        })
+      })
+    })
+  })
+
+  it('should reserve the space of uploads in progress', function (done) {
+    var data = new Array(601).join('x')
+    create({ target: '/first.bin', length: 600 }, function (err, upload) {
+      if (err) return done(err)
+      async.series([
+        function (next) {
+          server.post('/api/uploads')
+            .send({ target: '/second.bin', length: 600 })
+            .expect(507, next)
+        },
+        function (next) {
+          server.put('/other.bin')
+            .set('Content-Type', 'application/octet-stream')
+            .send(Buffer.from(data))
+            .expect(507, next)
+        },
+        function (next) {
+          chunk(upload, 0, data, 204).end(next)
+        },
+        function (next) {
+          // The data of the upload only takes its space once
+          server.post(upload).expect(201, next)
+        },
+        function (next) {
+          server.delete('/first.bin').expect(200, next)
+        }
+      ], function (err) {
+        done(err)
+      })
+    })
+  })
+
+  it('should not list uploads in progress in the root container', function (done) {
+    server.get('/')
+      .expect(200)
+      .end(function (err, res) {
+        if (err) return done(err)
+        assert.notInclude(res.text, '.uploads')
+        done()
+      })
+  })
+
+  it('should not serve uploads in progress as resources', function (done) {
+    create({ target: '/hidden.txt' }, function (err, upload) {
+      if (err) return done(err)
+      async.eachSeries([ '/.uploads/', '/.uploads/' + upload.split('/').pop() + '.json' ], function (uploadPath, next) {
+        server.get(uploadPath).expect(404, next)
+      }, done)
+    })
+  })
+})
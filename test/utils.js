@@ -1,4 +1,6 @@
 var assert = require('chai').assert
+var path = require('path')
+var $rdf = require('rdflib')
 
 var utils = require('../lib/utils')
 
@@ -22,5 +24,33 @@ describe('Utility functions', function () {
     it('should not decode uris', function () {
       assert.equal(utils.uriToFilename('uri%20', 'base/'), 'base/uri%20')
     })
+    it('should tell containers by the trailing slash of their uri only', function () {
+      // The test folder exists on disk, but storage may be elsewhere
+      var base = path.join(__dirname, '..')
+      assert.equal(utils.uriToFilename('/test', base), path.join(base, 'test'))
+      assert.equal(utils.uriToFilename('/test/', base), path.join(base, 'test/'))
+    })
+  })
+
+  describe('serialize', function () {
+    it('should write RDF/XML that parses back into the same graph', function (done) {
+      var base = 'https://example.com/container/'
+      var turtle = '<> <http://www.w3.org/ns/ldp#contains> <a.ttl> ;\n' +
+        '  <#title> "Fish & <chips>"@en, 3, [ <#name> "x" ], ( 1 <b> ) .'
+      utils.parse(turtle, base, 'text/turtle', function (err, graph) {
+        if (err) return done(err)
+        utils.serialize(graph, base, 'application/rdf+xml', function (err, xml) {
+          if (err) return done(err)
+          assert.match(xml, /^<\?xml/)
+          utils.parse(xml, base, 'application/rdf+xml', function (err, parsed) {
+            if (err) return done(err)
+            assert.equal(parsed.statements.length, 10)
+            assert.ok(parsed.holds(parsed.sym(base), parsed.sym('http://www.w3.org/ns/ldp#contains'), parsed.sym(base + 'a.ttl')))
+            assert.ok(parsed.holds(parsed.sym(base), parsed.sym(base + '#title'), $rdf.lit('Fish & <chips>', 'en')))
+            done()
+          })
+        })
+      })
+    })
   })
 })
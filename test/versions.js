@@ -0,0 +1,237 @@
+var assert = require('chai').assert
+var supertest = require('supertest')
+var ldnode = require('../index')
+var MemoryStore = require('../lib/storage').MemoryStore
+
+describe('Version history', function () {
+  var storage = new MemoryStore()
+  var server = supertest(ldnode({
+    root: '/memory/',
+    storage: storage,
+    versions: true
+  }))
+
+  function timemap (path, callback) {
+    server.get(path + '?timemap')
+      .expect('Content-Type', /application\/link-format/)
+      .expect(200)
+      .end(function (err, res) {
+        if (err) return callback(err)
+        var mementos = res.text.match(/\?memento=\d+/g) || []
+        callback(null, mementos.map(function (memento) {
+          return path + memento
+        }), res.text)
+      })
+  }
+
+  before(function (done) {
+    server.put('/notes/todo.ttl')
+      .set('content-type', 'text/turtle')
+      .send('<#a> <#b> "first" .')
+      .expect(201)
+      .end(function (err) {
+        if (err) return done(err)
+        server.put('/notes/todo.ttl')
+          .set('content-type', 'text/turtle')
+          .send('<#a> <#b> "second" .')
+          .expect(201, done)
+      })
+  })
+
+  it('should link to the TimeMap and TimeGate of resources', function (done) {
+    server.get('/notes/todo.ttl')
+      .expect('Vary', /Accept-Datetime/)
+      .expect(200)
+      .end(function (err, res) {
+        if (err) return done(err)
+        assert.include(res.headers.link, '/notes/todo.ttl?timemap>; rel="timemap"')
+        assert.include(res.headers.link, '/notes/todo.ttl>; rel="timegate"')
+        done()
+      })
+  })
+
+  it('should keep the previous version on PUT', function (done) {
+    timemap('/notes/todo.ttl', function (err, mementos, text) {
+      if (err) return done(err)
+      assert.lengthOf(mementos, 1)
+      assert.include(text, 'rel="original"')
+      assert.include(text, 'rel="first last memento"; datetime="')
+      server.get(mementos[0])
+        .expect('Content-Type', /text\/turtle/)
+        .expect('Memento-Datetime', /GMT$/)
+        .expect(/"first"/)
+        .expect(200, done)
+    })
+  })
+
+  it('should keep the previous version on PATCH', function (done) {
+    server.patch('/notes/todo.ttl')
+      .set('content-type', 'application/sparql-update')
+      .send('INSERT DATA { <#a> <#b> "third" . }')
+      .expect(200)
+      .end(function (err) {
+        if (err) return done(err)
+        timemap('/notes/todo.ttl', function (err, mementos) {
+          if (err) return done(err)
+          assert.lengthOf(mementos, 2)
+          server.get(mementos[1])
+            .expect(/"second"/)
+            .expect(200, done)
+        })
+      })
+  })
+
+  it('should leave the resource in place while replacing it', function (done) {
+    var rename = storage.rename
+    var moved = []
+    storage.rename = function (oldPath, newPath, callback) {
+      moved.push(oldPath)
+      rename.apply(storage, arguments)
+    }
+    server.put('/notes/list.ttl')
+      .set('content-type', 'text/turtle')
+      .send('<#a> <#b> "first" .')
+      .expect(201)
+      .end(function (err) {
+        if (err) return done(err)
+        server.put('/notes/list.ttl')
+          .set('content-type', 'text/turtle')
+          .send('<#a> <#b> "second" .')
+          .expect(201)
+          .end(function (err) {
+            storage.rename = rename
+            if (err) return done(err)
+            assert.notInclude(moved, '/memory/notes/list.ttl')
+            timemap('/notes/list.ttl', function (err, mementos) {
+              if (err) return done(err)
+              assert.lengthOf(mementos, 1)
+              server.get(mementos[0])
+                .expect(/"first"/)
+                .expect(200, done)
+            })
+          })
+      })
+  })
+
+  it('should redirect Accept-Datetime to the version current at that date', function (done) {
+    server.get('/notes/todo.ttl')
+      .set('Accept-Datetime', new Date(0).toUTCString())
+      .expect('Vary', /Accept-Datetime/)
+      .expect(302)
+      .end(function (err, res) {
+        if (err) return done(err)
+        timemap('/notes/todo.ttl', function (err, mementos) {
+          if (err) return done(err)
+          assert.match(res.headers.location, new RegExp(mementos[0].replace('?', '\\?') + '$'))
+          done()
+        })
+      })
+  })
+
+  it('should serve the current state for a recent Accept-Datetime', function (done) {
+    server.get('/notes/todo.ttl')
+      .set('Accept-Datetime', new Date(Date.now() + 60000).toUTCString())
+      .expect(/"third"/)
+      .expect(200, done)
+  })
+
+  it('should keep the last version on DELETE', function (done) {
+    server.delete('/notes/todo.ttl')
+      .expect(200)
+      .end(function (err) {
+        if (err) return done(err)
+        server.get('/notes/todo.ttl')
+          .expect(404)
+          .end(function (err) {
+            if (err) return done(err)
+            timemap('/notes/todo.ttl', function (err, mementos) {
+              if (err) return done(err)
+              assert.lengthOf(mementos, 3)
+              server.get(mementos[2])
+                .expect(/"third"/)
+                .expect(200, done)
+            })
+          })
+      })
+  })
+
+  it('should return 404 for unknown versions', function (done) {
+    server.get('/notes/todo.ttl?memento=1')
+      .expect(404, done)
+  })
+
+  it('should not expose the version history as regular files', function (done) {
+    server.get('/.versions/notes/todo.ttl/')
+      .expect(404)
+      .end(function (err) {
+        if (err) return done(err)
+        server.get('/')
+          .set('accept', 'text/turtle')
+          .expect(200)
+          .end(function (err, res) {
+            if (err) return done(err)
+            assert.notInclude(res.text, '.versions')
+            done()
+          })
+      })
+  })
+
+  it('should drop the oldest versions beyond the maximum', function (done) {
+    var server = supertest(ldnode({
+      root: '/memory/',
+      storage: new MemoryStore(),
+      versions: true,
+      maxVersions: 2
+    }))
+    var contents = [ 'first', 'second', 'third', 'fourth' ]
+    var write = function (i) {
+      if (i === contents.length) {
+        return server.get('/file.txt?timemap')
+          .expect(200)
+          .end(function (err, res) {
+            if (err) return done(err)
+            var mementos = res.text.match(/\?memento=\d+/g)
+            assert.lengthOf(mementos, 2)
+            server.get('/file.txt' + mementos[0])
+              .expect(200, 'second', done)
+          })
+      }
+      server.put('/file.txt')
+        .set('content-type', 'text/plain')
+        .send(contents[i])
+        .expect(201)
+        .end(function (err) {
+          if (err) return done(err)
+          write(i + 1)
+        })
+    }
+    write(0)
+  })
+
+  it('should not keep versions by default', function (done) {
+    var server = supertest(ldnode({
+      root: '/memory/',
+      storage: new MemoryStore()
+    }))
+    server.put('/file.txt')
+      .set('content-type', 'text/plain')
+      .send('first')
+      .expect(201)
+      .end(function (err) {
+        if (err) return done(err)
+        server.put('/file.txt')
+          .set('content-type', 'text/plain')
+          .send('second')
+          .expect(201)
+          .end(function (err) {
+            if (err) return done(err)
+            server.get('/file.txt')
+              .end(function (err, res) {
+                if (err) return done(err)
+                assert.notInclude(res.headers.link || '', 'timemap')
+                done()
+              })
+          })
+      })
+  })
+})